@@ -0,0 +1,27 @@
+namespace VoiceAssistant.Api.Controllers;
+
+/// <summary>
+/// 文字对话请求
+/// </summary>
+/// <param name="Text">用户输入的文字</param>
+/// <param name="TextOnly">为 true 时只返回文字回复，不合成语音</param>
+public record SendTextRequest(string Text, bool TextOnly = false);
+
+/// <summary>
+/// 切换识别语言请求
+/// </summary>
+/// <param name="Language">识别语言（BCP-47 或 "auto"）</param>
+public record SetLanguageRequest(string Language);
+
+/// <summary>
+/// 选择音色请求
+/// </summary>
+/// <param name="VoiceName">音色名称，为 null 时恢复按语言选择默认音色</param>
+public record SetVoiceRequest(string? VoiceName);
+
+/// <summary>
+/// 试听音色请求
+/// </summary>
+/// <param name="VoiceName">音色名称</param>
+/// <param name="Text">试听文字</param>
+public record PreviewVoiceRequest(string VoiceName, string Text);
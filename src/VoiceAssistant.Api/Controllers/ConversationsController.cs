@@ -1,4 +1,7 @@
+using System.Globalization;
+using System.Text;
 using Microsoft.AspNetCore.Mvc;
+using VoiceAssistant.Api.Hubs;
 using VoiceAssistant.Core.Exceptions;
 using VoiceAssistant.Core.Interfaces;
 using VoiceAssistant.Core.Models;
@@ -10,24 +13,68 @@ namespace VoiceAssistant.Api.Controllers;
 public class ConversationsController(
     IConversationPipeline pipeline,
     ISessionManager sessionManager,
+    ITextToSpeechService ttsService,
     ILogger<ConversationsController> logger) : ControllerBase
 {
     /// <summary>
     /// 创建新会话
     /// </summary>
+    /// <param name="language">识别语言（BCP-47 或 "auto"），不传时使用默认语言</param>
     [HttpPost]
-    public IActionResult CreateSession()
+    public IActionResult CreateSession([FromQuery] string? language = null)
     {
         var session = sessionManager.CreateSession();
-        logger.LogInformation("Created new session: {SessionId}", session.SessionId);
+        if (!string.IsNullOrWhiteSpace(language))
+        {
+            sessionManager.SetLanguage(session.SessionId, language);
+        }
+
+        logger.LogInformation("Created new session: {SessionId}, language: {Language}", session.SessionId, session.Language);
 
         return Ok(new
         {
             session.SessionId,
-            session.CreatedAt
+            session.CreatedAt,
+            session.Language,
+            MaxAudioSeconds = AudioLimits.MaxDurationSeconds
         });
     }
 
+    /// <summary>
+    /// 用本地保存的对话历史创建新会话，LLM 延续之前的上下文
+    /// </summary>
+    /// <param name="history">历史消息，只允许 user 和 assistant 角色</param>
+    /// <param name="language">识别语言（BCP-47 或 "auto"），不传时使用默认语言</param>
+    [HttpPost("restore")]
+    public IActionResult RestoreSession([FromBody] List<ConversationMessage> history, [FromQuery] string? language = null)
+    {
+        try
+        {
+            var session = sessionManager.RestoreSession(history);
+            if (!string.IsNullOrWhiteSpace(language))
+            {
+                sessionManager.SetLanguage(session.SessionId, language);
+            }
+
+            logger.LogInformation("Restored session: {SessionId}, language: {Language}, messages: {MessageCount}",
+                session.SessionId, session.Language, history.Count);
+
+            return Ok(new
+            {
+                session.SessionId,
+                session.CreatedAt,
+                session.Language,
+                RestoredMessageCount = history.Count,
+                MaxAudioSeconds = AudioLimits.MaxDurationSeconds
+            });
+        }
+        catch (InvalidInputException ex)
+        {
+            logger.LogWarning(ex, "Failed to restore session: {ErrorCode}", ex.ErrorCode);
+            return BadRequest(new { Code = ex.ErrorCode, ex.Message });
+        }
+    }
+
     /// <summary>
     /// 获取会话详情
     /// </summary>
@@ -47,6 +94,178 @@ public class ConversationsController(
         });
     }
 
+    /// <summary>
+    /// 切换会话的识别语言（"auto" 为自动检测），保留对话上下文
+    /// </summary>
+    [HttpPut("{sessionId}/language")]
+    public IActionResult SetLanguage(string sessionId, [FromBody] SetLanguageRequest request)
+    {
+        try
+        {
+            sessionManager.SetLanguage(sessionId, request.Language);
+            logger.LogInformation("Session {SessionId} language set to {Language}", sessionId, request.Language);
+            return NoContent();
+        }
+        catch (SessionNotFoundException ex)
+        {
+            return NotFound(new { Code = ex.ErrorCode, ex.Message });
+        }
+        catch (InvalidInputException ex)
+        {
+            return BadRequest(new { Code = ex.ErrorCode, ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// 获取与会话识别语言匹配的合成音色列表，以及会话当前选择的音色
+    /// </summary>
+    [HttpGet("{sessionId}/voices")]
+    public async Task<IActionResult> GetVoices(string sessionId, CancellationToken cancellationToken)
+    {
+        var session = sessionManager.GetSession(sessionId);
+        if (session is null)
+            return NotFound(new { Code = "SESSION_NOT_FOUND", Message = $"会话 {sessionId} 不存在" });
+
+        var voices = await ttsService.GetVoicesAsync(session.Language, cancellationToken);
+
+        return Ok(new
+        {
+            session.SessionId,
+            session.Language,
+            SelectedVoice = session.VoiceName,
+            Voices = voices
+        });
+    }
+
+    /// <summary>
+    /// 设置会话的合成音色，之后每一轮回复都使用该音色；VoiceName 为 null 时恢复按语言选择默认音色
+    /// </summary>
+    [HttpPut("{sessionId}/voice")]
+    public async Task<IActionResult> SetVoice(string sessionId, [FromBody] SetVoiceRequest request, CancellationToken cancellationToken)
+    {
+        if (sessionManager.GetSession(sessionId) is null)
+            return NotFound(new { Code = "SESSION_NOT_FOUND", Message = $"会话 {sessionId} 不存在" });
+
+        if (!string.IsNullOrWhiteSpace(request.VoiceName))
+        {
+            var voices = await ttsService.GetVoicesAsync(cancellationToken: cancellationToken);
+            if (!voices.Any(v => v.Name.Equals(request.VoiceName.Trim(), StringComparison.OrdinalIgnoreCase)))
+                return BadRequest(new { Code = "INVALID_INPUT", Message = $"不支持的音色: {request.VoiceName}" });
+        }
+
+        sessionManager.SetVoice(sessionId, request.VoiceName);
+        logger.LogInformation("Session {SessionId} voice set to {VoiceName}", sessionId, request.VoiceName ?? "(default)");
+        return NoContent();
+    }
+
+    /// <summary>
+    /// 用指定音色合成一小段试听文字，不影响会话历史
+    /// </summary>
+    [HttpPost("{sessionId}/voices/preview")]
+    public async Task<IActionResult> PreviewVoice(string sessionId, [FromBody] PreviewVoiceRequest request, CancellationToken cancellationToken)
+    {
+        if (sessionManager.GetSession(sessionId) is null)
+            return NotFound(new { Code = "SESSION_NOT_FOUND", Message = $"会话 {sessionId} 不存在" });
+
+        if (string.IsNullOrWhiteSpace(request.VoiceName))
+            return BadRequest(new { Code = "INVALID_INPUT", Message = "音色不能为空" });
+        if (string.IsNullOrWhiteSpace(request.Text))
+            return BadRequest(new { Code = "INVALID_INPUT", Message = "试听文字不能为空" });
+        if (request.Text.Length > VoiceHub.MaxPreviewTextLength)
+            return BadRequest(new { Code = "INVALID_INPUT", Message = $"试听文字不能超过 {VoiceHub.MaxPreviewTextLength} 个字符" });
+
+        var audio = await ttsService.SynthesizeAsync(request.Text.Trim(), request.VoiceName, cancellationToken);
+
+        return Ok(new
+        {
+            request.VoiceName,
+            AudioBase64 = Convert.ToBase64String(audio.Data),
+            audio.ContentType
+        });
+    }
+
+    /// <summary>
+    /// 导出会话记录：format 为 "json"（默认，含每条消息的时间戳和元数据）或 "markdown"（下载 .md 文件）。
+    /// 只包含用户和助手消息，不含系统提示
+    /// </summary>
+    [HttpGet("{sessionId}/transcript")]
+    public IActionResult GetTranscript(string sessionId, [FromQuery] string format = "json")
+    {
+        var session = sessionManager.GetSession(sessionId);
+        if (session is null)
+            return NotFound(new { Code = "SESSION_NOT_FOUND", Message = $"会话 {sessionId} 不存在" });
+
+        var messages = session.Messages.Where(m => m.Role != "system").ToList();
+
+        if (format.Equals("json", StringComparison.OrdinalIgnoreCase))
+        {
+            return Ok(new
+            {
+                session.SessionId,
+                session.CreatedAt,
+                session.LastActiveAt,
+                session.Language,
+                session.VoiceName,
+                Messages = messages.Select(m => new
+                {
+                    m.Role,
+                    m.Content,
+                    m.Timestamp,
+                    m.IsInterrupted,
+                    m.HeardRatio
+                })
+            });
+        }
+
+        if (format.Equals("markdown", StringComparison.OrdinalIgnoreCase) ||
+            format.Equals("md", StringComparison.OrdinalIgnoreCase))
+        {
+            logger.LogInformation("Exporting Markdown transcript for session {SessionId}", sessionId);
+            return File(
+                Encoding.UTF8.GetBytes(BuildMarkdownTranscript(session, messages)),
+                "text/markdown; charset=utf-8",
+                $"transcript-{sessionId}.md");
+        }
+
+        return BadRequest(new { Code = "INVALID_INPUT", Message = $"不支持的导出格式: {format}，可选 json 或 markdown" });
+    }
+
+    private static string BuildMarkdownTranscript(ConversationSession session, IReadOnlyList<ConversationMessage> messages)
+    {
+        var markdown = new StringBuilder()
+            .AppendLine("# 对话记录")
+            .AppendLine()
+            .AppendLine($"- 会话：{session.SessionId}")
+            .AppendLine($"- 创建时间：{FormatTimestamp(session.CreatedAt)}")
+            .AppendLine($"- 识别语言：{session.Language}");
+
+        if (session.VoiceName is not null)
+            markdown.AppendLine($"- 音色：{session.VoiceName}");
+
+        foreach (var message in messages)
+        {
+            var speaker = message.Role == "user" ? "用户" : "助手";
+            markdown
+                .AppendLine()
+                .AppendLine($"## {speaker} · {FormatTimestamp(message.Timestamp)}")
+                .AppendLine()
+                .AppendLine(message.Content.Trim());
+
+            if (message.IsInterrupted)
+            {
+                var heard = message.HeardRatio is { } ratio
+                    ? $"，用户听到约 {Math.Round(ratio * 100)}%"
+                    : string.Empty;
+                markdown.AppendLine().AppendLine($"> 播放时被打断{heard}");
+            }
+        }
+
+        return markdown.ToString();
+    }
+
+    private static string FormatTimestamp(DateTimeOffset timestamp) =>
+        timestamp.ToUniversalTime().ToString("yyyy-MM-dd HH:mm:ss 'UTC'", CultureInfo.InvariantCulture);
+
     /// <summary>
     /// 删除会话
     /// </summary>
@@ -72,17 +291,47 @@ public class ConversationsController(
             return BadRequest(new { Message = "请上传音频文件" });
         }
 
-        try
+        return await RunTurnAsync(sessionId, async () =>
         {
+            // 表单里的文件类型不可靠（常见 application/octet-stream），无法识别时按 WAV 处理
+            var contentType = AudioFormats.Normalize(audio.ContentType) ?? AudioFormats.Wav;
+
             using var stream = audio.OpenReadStream();
-            var result = await pipeline.ProcessAsync(sessionId, stream, cancellationToken);
+            return await pipeline.ProcessAsync(sessionId, stream, contentType, cancellationToken: cancellationToken);
+        });
+    }
+
+    /// <summary>
+    /// 发送文字进行对话（跳过语音识别），TextOnly 为 true 时不合成语音
+    /// </summary>
+    [HttpPost("{sessionId}/messages")]
+    public async Task<IActionResult> SendText(string sessionId, [FromBody] SendTextRequest request, CancellationToken cancellationToken)
+    {
+        if (string.IsNullOrWhiteSpace(request.Text))
+        {
+            return BadRequest(new { Message = "请输入文字" });
+        }
+
+        return await RunTurnAsync(sessionId, () => pipeline.ProcessTextAsync(
+            sessionId, request.Text, synthesizeSpeech: !request.TextOnly, cancellationToken: cancellationToken));
+    }
+
+    /// <summary>
+    /// 执行一轮对话并返回结果；请求中止时管道撤回本轮写入的会话历史
+    /// </summary>
+    private async Task<IActionResult> RunTurnAsync(string sessionId, Func<Task<ConversationTurnResult>> processTurn)
+    {
+        try
+        {
+            var result = await processTurn();
 
             return Ok(new
             {
                 result.UserText,
+                result.UserLanguage,
                 result.AssistantText,
-                AudioBase64 = Convert.ToBase64String(result.Audio.Data),
-                result.Audio.ContentType
+                AudioBase64 = result.Audio is null ? null : Convert.ToBase64String(result.Audio.Data),
+                result.Audio?.ContentType
             });
         }
         catch (SessionNotFoundException ex)
@@ -95,6 +344,11 @@ public class ConversationsController(
             logger.LogWarning(ex, "Audio too long for session {SessionId}", sessionId);
             return BadRequest(new { ex.ErrorCode, ex.Message });
         }
+        catch (InvalidInputException ex)
+        {
+            logger.LogWarning(ex, "Invalid input for session {SessionId}", sessionId);
+            return BadRequest(new { ex.ErrorCode, ex.Message });
+        }
         catch (VoiceAssistantException ex)
         {
             logger.LogError(ex, "Upstream service error for session {SessionId}: {ErrorCode}", sessionId, ex.ErrorCode);
@@ -102,7 +356,7 @@ public class ConversationsController(
         }
         catch (Exception ex)
         {
-            logger.LogError(ex, "Error processing speak for session {SessionId}", sessionId);
+            logger.LogError(ex, "Error processing turn for session {SessionId}", sessionId);
             return StatusCode(500, new { Code = "INTERNAL_ERROR", Message = "处理失败" });
         }
     }
@@ -0,0 +1,124 @@
+using System.Globalization;
+using MessagePack;
+using MessagePack.Formatters;
+using VoiceAssistant.Core.Models;
+
+namespace VoiceAssistant.Api.Hubs;
+
+/// <summary>
+/// MessagePack 协议下 <see cref="ConversationMessage"/> 的格式化器。
+/// 浏览器按 JSON 协议的习惯发送 camelCase 键和 ISO 8601 时间字符串，
+/// 默认的 Contractless 解析器既不忽略键名大小写，也不接受字符串形式的 DateTimeOffset
+/// </summary>
+internal sealed class ConversationMessageFormatter : IMessagePackFormatter<ConversationMessage?>
+{
+    public void Serialize(ref MessagePackWriter writer, ConversationMessage? value, MessagePackSerializerOptions options)
+    {
+        if (value is null)
+        {
+            writer.WriteNil();
+            return;
+        }
+
+        writer.WriteMapHeader(5);
+        writer.Write("role");
+        writer.Write(value.Role);
+        writer.Write("content");
+        writer.Write(value.Content);
+        writer.Write("timestamp");
+        writer.Write(value.Timestamp.ToString("O", CultureInfo.InvariantCulture));
+        writer.Write("isInterrupted");
+        writer.Write(value.IsInterrupted);
+        writer.Write("heardRatio");
+        if (value.HeardRatio is { } heardRatio)
+        {
+            writer.Write(heardRatio);
+        }
+        else
+        {
+            writer.WriteNil();
+        }
+    }
+
+    public ConversationMessage? Deserialize(ref MessagePackReader reader, MessagePackSerializerOptions options)
+    {
+        if (reader.TryReadNil())
+        {
+            return null;
+        }
+
+        string? role = null;
+        string? content = null;
+        DateTimeOffset? timestamp = null;
+        var isInterrupted = false;
+        double? heardRatio = null;
+
+        options.Security.DepthStep(ref reader);
+        try
+        {
+            var count = reader.ReadMapHeader();
+            for (var i = 0; i < count; i++)
+            {
+                switch (reader.ReadString()?.ToLowerInvariant())
+                {
+                    case "role":
+                        role = reader.ReadString();
+                        break;
+                    case "content":
+                        content = reader.ReadString();
+                        break;
+                    case "timestamp":
+                        timestamp = ReadTimestamp(ref reader, options);
+                        break;
+                    case "isinterrupted":
+                        isInterrupted = !reader.TryReadNil() && reader.ReadBoolean();
+                        break;
+                    case "heardratio":
+                        heardRatio = reader.TryReadNil() ? null : reader.ReadDouble();
+                        break;
+                    default:
+                        reader.Skip();
+                        break;
+                }
+            }
+        }
+        finally
+        {
+            reader.Depth--;
+        }
+
+        if (role is null || content is null)
+        {
+            throw new MessagePackSerializationException("历史消息缺少 role 或 content");
+        }
+
+        return new ConversationMessage
+        {
+            Role = role,
+            Content = content,
+            Timestamp = timestamp ?? DateTimeOffset.UtcNow,
+            IsInterrupted = isInterrupted,
+            HeardRatio = heardRatio
+        };
+    }
+
+    /// <summary>
+    /// 时间戳可以是 ISO 8601 字符串（浏览器）、MessagePack 的 timestamp 扩展类型，
+    /// 或 .NET 客户端序列化 DateTimeOffset 时使用的 [DateTime, 偏移分钟] 数组
+    /// </summary>
+    private static DateTimeOffset? ReadTimestamp(ref MessagePackReader reader, MessagePackSerializerOptions options)
+    {
+        if (reader.TryReadNil())
+        {
+            return null;
+        }
+
+        return reader.NextMessagePackType switch
+        {
+            MessagePackType.String => DateTimeOffset.Parse(
+                reader.ReadString()!, CultureInfo.InvariantCulture, DateTimeStyles.RoundtripKind),
+            MessagePackType.Extension => new DateTimeOffset(reader.ReadDateTime()),
+            _ => options.Resolver.GetFormatterWithVerify<DateTimeOffset>().Deserialize(ref reader, options)
+        };
+    }
+}
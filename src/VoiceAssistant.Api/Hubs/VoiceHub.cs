@@ -12,64 +12,409 @@ namespace VoiceAssistant.Api.Hubs;
 public class VoiceHub(
     IConversationPipeline pipeline,
     ISessionManager sessionManager,
+    ITextToSpeechService ttsService,
     ILogger<VoiceHub> logger) : Hub
 {
+    /// <summary>
+    /// 试听文字的最大长度
+    /// </summary>
+    public const int MaxPreviewTextLength = 200;
+
     /// <summary>
     /// ConnectionId → SessionId 的映射
     /// </summary>
     private static readonly ConcurrentDictionary<string, string> ConnectionSessionMap = new();
 
+    /// <summary>
+    /// SessionId → 正在处理的轮次，供 CancelTurn 取消
+    /// </summary>
+    private static readonly ConcurrentDictionary<string, RunningTurn> RunningTurns = new();
+
     /// <summary>
     /// 客户端请求开始新会话
     /// </summary>
     public async Task StartSession(string language = "zh-CN")
     {
         var session = sessionManager.CreateSession();
+        sessionManager.SetLanguage(session.SessionId, language);
         ConnectionSessionMap[Context.ConnectionId] = session.SessionId;
 
         logger.LogInformation("New session started: {SessionId}, language: {Language}", session.SessionId, language);
 
-        await Clients.Caller.SendAsync("SessionStarted", new { SessionId = session.SessionId });
+        await Clients.Caller.SendAsync("SessionStarted", new
+        {
+            SessionId = session.SessionId,
+            MaxAudioSeconds = AudioLimits.MaxDurationSeconds
+        });
+    }
+
+    /// <summary>
+    /// 客户端断线重连后，将已有会话重新绑定到新连接，保留对话上下文
+    /// </summary>
+    public async Task ResumeSession(string sessionId)
+    {
+        try
+        {
+            var session = sessionManager.GetSessionOrThrow(sessionId);
+            ConnectionSessionMap[Context.ConnectionId] = session.SessionId;
+
+            logger.LogInformation("Session resumed: {SessionId} on connection {ConnectionId}", sessionId, Context.ConnectionId);
+
+            await Clients.Caller.SendAsync("SessionResumed", new
+            {
+                SessionId = session.SessionId,
+                MessageCount = session.Messages.Count
+            });
+        }
+        catch (VoiceAssistantException ex)
+        {
+            logger.LogWarning(ex, "Failed to resume session {SessionId}: {ErrorCode}", sessionId, ex.ErrorCode);
+            await Clients.Caller.SendAsync("Error", new
+            {
+                SessionId = sessionId,
+                Code = ex.ErrorCode,
+                Message = ex.Message
+            });
+        }
+    }
+
+    /// <summary>
+    /// 客户端重新打开本地保存的对话：用其历史消息创建新会话，LLM 延续之前的上下文
+    /// </summary>
+    public async Task RestoreSession(string language, List<ConversationMessage> history)
+    {
+        try
+        {
+            var session = sessionManager.RestoreSession(history);
+            sessionManager.SetLanguage(session.SessionId, language);
+            ConnectionSessionMap[Context.ConnectionId] = session.SessionId;
+
+            logger.LogInformation("Session restored: {SessionId}, language: {Language}, messages: {MessageCount}",
+                session.SessionId, language, history.Count);
+
+            await Clients.Caller.SendAsync("SessionStarted", new
+            {
+                SessionId = session.SessionId,
+                RestoredMessageCount = history.Count,
+                MaxAudioSeconds = AudioLimits.MaxDurationSeconds
+            });
+        }
+        catch (VoiceAssistantException ex)
+        {
+            logger.LogWarning(ex, "Failed to restore session: {ErrorCode}", ex.ErrorCode);
+            await Clients.Caller.SendAsync("Error", new
+            {
+                SessionId = (string?)null,
+                Code = ex.ErrorCode,
+                Message = ex.Message
+            });
+        }
+    }
+
+    /// <summary>
+    /// 切换会话的识别语言（"auto" 为自动检测），保留对话上下文
+    /// </summary>
+    public async Task SetLanguage(string sessionId, string language)
+    {
+        try
+        {
+            sessionManager.SetLanguage(sessionId, language);
+            logger.LogInformation("Session {SessionId} language set to {Language}", sessionId, language);
+        }
+        catch (VoiceAssistantException ex)
+        {
+            logger.LogWarning(ex, "Voice assistant error for session {SessionId}: {ErrorCode}", sessionId, ex.ErrorCode);
+            await Clients.Caller.SendAsync("Error", new
+            {
+                SessionId = sessionId,
+                Code = ex.ErrorCode,
+                Message = ex.Message
+            });
+        }
+    }
+
+    /// <summary>
+    /// 获取与会话识别语言匹配的合成音色列表，以及会话当前选择的音色
+    /// </summary>
+    public async Task GetVoices(string sessionId)
+    {
+        try
+        {
+            var session = sessionManager.GetSessionOrThrow(sessionId);
+            var voices = await ttsService.GetVoicesAsync(session.Language, Context.ConnectionAborted);
+
+            await Clients.Caller.SendAsync("Voices", new
+            {
+                SessionId = sessionId,
+                Language = session.Language,
+                SelectedVoice = session.VoiceName,
+                Voices = voices
+            });
+        }
+        catch (VoiceAssistantException ex)
+        {
+            logger.LogWarning(ex, "Voice assistant error for session {SessionId}: {ErrorCode}", sessionId, ex.ErrorCode);
+            await Clients.Caller.SendAsync("Error", new
+            {
+                SessionId = sessionId,
+                Code = ex.ErrorCode,
+                Message = ex.Message
+            });
+        }
+    }
+
+    /// <summary>
+    /// 设置会话的合成音色，之后每一轮回复都使用该音色；传入 null 恢复按语言选择默认音色
+    /// </summary>
+    public async Task SetVoice(string sessionId, string? voiceName)
+    {
+        try
+        {
+            sessionManager.GetSessionOrThrow(sessionId);
+
+            if (!string.IsNullOrWhiteSpace(voiceName))
+            {
+                var voices = await ttsService.GetVoicesAsync(cancellationToken: Context.ConnectionAborted);
+                if (!voices.Any(v => v.Name.Equals(voiceName.Trim(), StringComparison.OrdinalIgnoreCase)))
+                    throw new InvalidInputException($"不支持的音色: {voiceName}");
+            }
+
+            sessionManager.SetVoice(sessionId, voiceName);
+            logger.LogInformation("Session {SessionId} voice set to {VoiceName}", sessionId, voiceName ?? "(default)");
+        }
+        catch (VoiceAssistantException ex)
+        {
+            logger.LogWarning(ex, "Voice assistant error for session {SessionId}: {ErrorCode}", sessionId, ex.ErrorCode);
+            await Clients.Caller.SendAsync("Error", new
+            {
+                SessionId = sessionId,
+                Code = ex.ErrorCode,
+                Message = ex.Message
+            });
+        }
+    }
+
+    /// <summary>
+    /// 用指定音色合成一小段试听文字，不影响会话历史
+    /// </summary>
+    public async Task PreviewVoice(string sessionId, string voiceName, string text)
+    {
+        try
+        {
+            sessionManager.GetSessionOrThrow(sessionId);
+
+            if (string.IsNullOrWhiteSpace(voiceName))
+                throw new InvalidInputException("音色不能为空");
+            if (string.IsNullOrWhiteSpace(text))
+                throw new InvalidInputException("试听文字不能为空");
+            if (text.Length > MaxPreviewTextLength)
+                throw new InvalidInputException($"试听文字不能超过 {MaxPreviewTextLength} 个字符");
+
+            var audio = await ttsService.SynthesizeAsync(text.Trim(), voiceName, Context.ConnectionAborted);
+
+            await Clients.Caller.SendAsync("VoicePreview", new
+            {
+                SessionId = sessionId,
+                VoiceName = voiceName,
+                AudioChunk = audio.Data,
+                ContentType = audio.ContentType
+            });
+        }
+        catch (VoiceAssistantException ex)
+        {
+            logger.LogWarning(ex, "Voice assistant error for session {SessionId}: {ErrorCode}", sessionId, ex.ErrorCode);
+            await Clients.Caller.SendAsync("Error", new
+            {
+                SessionId = sessionId,
+                Code = ex.ErrorCode,
+                Message = ex.Message
+            });
+        }
     }
 
     /// <summary>
     /// 接收完整音频并处理对话
     /// </summary>
-    public async Task SendAudio(string sessionId, string audioChunkBase64)
+    /// <param name="audio">录音数据：MessagePack 协议下为二进制，JSON 协议下为 Base64 字符串</param>
+    /// <param name="format">
+    /// 录音格式（MIME 类型）："audio/wav"、"audio/ogg" 或 "audio/webm"（Opus 编码），为 null 时按 WAV 处理
+    /// </param>
+    public async Task SendAudio(string sessionId, byte[] audio, string? format)
+    {
+        await RunTurnAsync(sessionId, synthesizeSpeech: true, async (observer, cancellationToken) =>
+        {
+            var contentType = AudioFormats.Normalize(format)
+                ?? throw new InvalidInputException($"不支持的音频格式: {format}");
+
+            using var audioStream = new MemoryStream(audio);
+
+            return await pipeline.ProcessAsync(sessionId, audioStream, contentType, observer, cancellationToken);
+        });
+    }
+
+    /// <summary>
+    /// 接收客户端流式上传的 PCM 帧，边录音边识别
+    /// </summary>
+    public async Task StreamAudio(string sessionId, IAsyncEnumerable<byte[]> audioFrames)
+    {
+        await RunTurnAsync(sessionId, synthesizeSpeech: true, (observer, cancellationToken) => pipeline.ProcessStreamAsync(
+            sessionId, audioFrames, observer, cancellationToken));
+    }
+
+    /// <summary>
+    /// 接收用户输入的文字并处理对话（跳过语音识别）
+    /// </summary>
+    /// <param name="textOnly">为 true 时只返回文字回复，不推送音频</param>
+    public async Task SendText(string sessionId, string text, bool textOnly)
+    {
+        await RunTurnAsync(sessionId, synthesizeSpeech: !textOnly, (observer, cancellationToken) => pipeline.ProcessTextAsync(
+            sessionId, text, synthesizeSpeech: !textOnly, observer, cancellationToken));
+    }
+
+    /// <summary>
+    /// 取消会话正在处理的轮次（识别、生成回复或合成语音中），管道会撤回本轮写入的会话历史。
+    /// 等该轮次停止推送后返回 TurnCancelled 事件；没有正在处理的轮次时 Cancelled 为 false
+    /// </summary>
+    public async Task CancelTurn(string sessionId)
+    {
+        var cancelled = false;
+
+        if (RunningTurns.TryGetValue(sessionId, out var turn))
+        {
+            try
+            {
+                await turn.Cancellation.CancelAsync();
+            }
+            catch (ObjectDisposedException)
+            {
+                // 轮次恰好在此期间结束
+            }
+
+            cancelled = await turn.Completion.Task;
+        }
+
+        logger.LogInformation("Cancel requested for session {SessionId}, turn cancelled: {Cancelled}", sessionId, cancelled);
+
+        await Clients.Caller.SendAsync("TurnCancelled", new
+        {
+            SessionId = sessionId,
+            Cancelled = cancelled
+        });
+    }
+
+    /// <summary>
+    /// 客户端在助手语音播放过程中被用户插话打断，记录用户听到的比例。
+    /// 回复仍在生成或合成时就此停止，已生成的部分保留在会话历史中；等该轮次停止推送后再标记并返回
+    /// </summary>
+    public async Task InterruptPlayback(string sessionId, double heardRatio)
     {
         try
         {
-            var audioBytes = Convert.FromBase64String(audioChunkBase64);
-            using var audioStream = new MemoryStream(audioBytes);
+            if (RunningTurns.TryGetValue(sessionId, out var turn))
+            {
+                try
+                {
+                    await turn.Interruption.CancelAsync();
+                }
+                catch (ObjectDisposedException)
+                {
+                    // 轮次恰好在此期间结束
+                }
 
-            var result = await pipeline.ProcessAsync(sessionId, audioStream, Context.ConnectionAborted);
+                await turn.Completion.Task;
+            }
 
-            // 发送识别结果
-            await Clients.Caller.SendAsync("RecognitionResult", new
+            var marked = sessionManager.MarkLastAssistantMessageInterrupted(sessionId, heardRatio);
+
+            logger.LogInformation("Playback interrupted for session {SessionId}, heard ratio: {HeardRatio:F2}, marked: {Marked}",
+                sessionId, heardRatio, marked);
+        }
+        catch (VoiceAssistantException ex)
+        {
+            logger.LogWarning(ex, "Voice assistant error for session {SessionId}: {ErrorCode}", sessionId, ex.ErrorCode);
+            await Clients.Caller.SendAsync("Error", new
             {
                 SessionId = sessionId,
-                Text = result.UserText,
-                Confidence = 1.0,
-                IsFinal = true
+                Code = ex.ErrorCode,
+                Message = ex.Message
             });
+        }
+    }
+
+    /// <summary>
+    /// 执行一轮对话：识别结果、AI 回复增量和分句音频在生成时即推送给调用方，
+    /// 结束时分别发送 isComplete 为 true 的 AssistantTextChunk 和（需要语音时）AudioChunk。
+    /// 被 CancelTurn 取消（或连接断开）时不再推送任何事件；被 InterruptPlayback 打断后同样不再推送
+    /// </summary>
+    private async Task RunTurnAsync(
+        string sessionId,
+        bool synthesizeSpeech,
+        Func<IConversationTurnObserver, CancellationToken, Task<ConversationTurnResult>> processTurn)
+    {
+        using var cancellation = CancellationTokenSource.CreateLinkedTokenSource(Context.ConnectionAborted);
+        using var interruption = new CancellationTokenSource();
+        var turn = new RunningTurn(cancellation, interruption);
 
-            // 发送 AI 文本回复
+        // 同一会话一次只处理一轮：替换正在处理的轮次会使它既无法取消也无法打断
+        if (!RunningTurns.TryAdd(sessionId, turn))
+        {
+            var ex = new TurnInProgressException(sessionId);
+            logger.LogWarning("Turn rejected for session {SessionId}: another turn is still running", sessionId);
+            await Clients.Caller.SendAsync("Error", new
+            {
+                SessionId = sessionId,
+                Code = ex.ErrorCode,
+                Message = ex.Message
+            });
+            return;
+        }
+
+        try
+        {
+            var observer = new CallerTurnObserver(Clients.Caller, sessionId, interruption.Token);
+            await processTurn(observer, cancellation.Token);
+
+            // 客户端已丢下被打断的回复，不再等待结束标记
+            if (interruption.IsCancellationRequested)
+            {
+                logger.LogInformation("Turn interrupted for session {SessionId}", sessionId);
+                return;
+            }
+
+            // AI 文本回复结束
             await Clients.Caller.SendAsync("AssistantTextChunk", new
             {
                 SessionId = sessionId,
-                TextChunk = result.AssistantText,
+                TextChunk = string.Empty,
                 IsComplete = true
             });
 
-            // 发送音频数据
+            // 仅文字回复时没有音频
+            if (!synthesizeSpeech)
+            {
+                return;
+            }
+
+            // 所有分句音频已推送，发送不带音频数据的结束标记
             await Clients.Caller.SendAsync("AudioChunk", new
             {
                 SessionId = sessionId,
-                AudioChunk = Convert.ToBase64String(result.Audio.Data),
-                ContentType = result.Audio.ContentType,
+                AudioChunk = (byte[]?)null,
+                ContentType = (string?)null,
+                Sequence = observer.AudioChunkCount,
                 IsComplete = true
             });
         }
+        catch (Exception) when (cancellation.IsCancellationRequested)
+        {
+            // 管道已撤回本轮的会话历史；取消可能被包装成 STT/LLM/TTS 异常，同样不作为错误上报
+            logger.LogInformation("Turn cancelled for session {SessionId}", sessionId);
+            turn.Completion.TrySetResult(true);
+        }
+        catch (Exception ex) when (interruption.IsCancellationRequested)
+        {
+            logger.LogWarning(ex, "Interrupted turn failed for session {SessionId}", sessionId);
+        }
         catch (VoiceAssistantException ex)
         {
             logger.LogWarning(ex, "Voice assistant error for session {SessionId}: {ErrorCode}", sessionId, ex.ErrorCode);
@@ -90,6 +435,11 @@ public class VoiceHub(
                 Message = ex.Message
             });
         }
+        finally
+        {
+            RunningTurns.TryRemove(new KeyValuePair<string, RunningTurn>(sessionId, turn));
+            turn.Completion.TrySetResult(false);
+        }
     }
 
     /// <summary>
@@ -118,4 +468,83 @@ public class VoiceHub(
 
         return base.OnDisconnectedAsync(exception);
     }
+
+    /// <summary>
+    /// 正在处理的一轮对话
+    /// </summary>
+    private sealed class RunningTurn(CancellationTokenSource cancellation, CancellationTokenSource interruption)
+    {
+        public CancellationTokenSource Cancellation { get; } = cancellation;
+
+        /// <summary>
+        /// 用户打断回复播放时触发，回复停在已生成的位置
+        /// </summary>
+        public CancellationTokenSource Interruption { get; } = interruption;
+
+        /// <summary>
+        /// 轮次结束且不再推送事件时完成；因取消而结束时结果为 true
+        /// </summary>
+        public TaskCompletionSource<bool> Completion { get; } = new(TaskCreationOptions.RunContinuationsAsynchronously);
+    }
+
+    /// <summary>
+    /// 将管道的中间结果转成推送给调用方的 Hub 事件；回复被打断后不再推送
+    /// </summary>
+    private sealed class CallerTurnObserver(IClientProxy caller, string sessionId, CancellationToken replyInterrupted)
+        : IConversationTurnObserver
+    {
+        public CancellationToken ReplyInterrupted { get; } = replyInterrupted;
+
+        /// <summary>
+        /// 已推送的分句音频数量，也是下一个 AudioChunk 的序号
+        /// </summary>
+        public int AudioChunkCount { get; private set; }
+
+        public Task OnInterimUserTextAsync(string text, CancellationToken cancellationToken) =>
+            caller.SendAsync("RecognitionResult", new
+            {
+                SessionId = sessionId,
+                Text = text,
+                Language = (string?)null,
+                Confidence = (double?)null,
+                IsFinal = false
+            }, cancellationToken);
+
+        public Task OnUserTextAsync(string text, string? language, double confidence, CancellationToken cancellationToken) =>
+            caller.SendAsync("RecognitionResult", new
+            {
+                SessionId = sessionId,
+                Text = text,
+                Language = language,
+                Confidence = (double?)confidence,
+                IsFinal = true
+            }, cancellationToken);
+
+        public Task OnAssistantTextAsync(string textChunk, CancellationToken cancellationToken) =>
+            ReplyInterrupted.IsCancellationRequested
+                ? Task.CompletedTask
+                : caller.SendAsync("AssistantTextChunk", new
+                {
+                    SessionId = sessionId,
+                    TextChunk = textChunk,
+                    IsComplete = false
+                }, cancellationToken);
+
+        public async Task OnAudioAsync(AudioData audio, int sequence, int textEnd, CancellationToken cancellationToken)
+        {
+            if (ReplyInterrupted.IsCancellationRequested)
+                return;
+
+            await caller.SendAsync("AudioChunk", new
+            {
+                SessionId = sessionId,
+                AudioChunk = audio.Data,
+                audio.ContentType,
+                Sequence = sequence,
+                TextEnd = textEnd,
+                IsComplete = false
+            }, cancellationToken);
+            AudioChunkCount = sequence + 1;
+        }
+    }
 }
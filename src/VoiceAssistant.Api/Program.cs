@@ -1,3 +1,5 @@
+using MessagePack;
+using MessagePack.Resolvers;
 using VoiceAssistant.Core;
 using VoiceAssistant.Infrastructure;
 using VoiceAssistant.Api.Hubs;
@@ -9,10 +11,21 @@ var builder = WebApplication.CreateBuilder(args);
 builder.Services.AddOpenApi();
 builder.Services.AddControllers();
 builder.Services.AddSignalR(options =>
-{
-    // 60s of 16kHz 16-bit mono PCM ≈ 1.92MB raw → ~2.56MB base64
-    options.MaximumReceiveMessageSize = 4 * 1024 * 1024; // 4 MB
-});
+    {
+        // 60s of 16kHz 16-bit mono PCM ≈ 1.92MB raw (MessagePack) → ~2.56MB base64 (JSON)
+        options.MaximumReceiveMessageSize = 4 * 1024 * 1024; // 4 MB
+        // CancelTurn has to run while the same connection's SendAudio/StreamAudio/SendText is in progress
+        options.MaximumParallelInvocationsPerClient = 2;
+    })
+    // Binary audio for clients that load the MessagePack protocol; JSON stays available
+    .AddMessagePackProtocol(options =>
+    {
+        options.SerializerOptions = MessagePackSerializerOptions.Standard
+            .WithResolver(CompositeResolver.Create(
+                [new ConversationMessageFormatter()],
+                [ContractlessStandardResolver.Instance]))
+            .WithSecurity(MessagePackSecurity.UntrustedData);
+    });
 builder.Services.AddHealthChecks();
 
 // Register application services
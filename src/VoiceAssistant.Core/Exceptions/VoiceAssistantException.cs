@@ -41,12 +41,24 @@ public class ChatServiceException(string message, Exception? innerException = nu
 public class SpeechSynthesisException(string message, Exception? innerException = null)
     : VoiceAssistantException("TTS_FAILED", message, innerException ?? new Exception(message));
 
+/// <summary>
+/// 客户端输入无效异常（如空文本）
+/// </summary>
+public class InvalidInputException(string message)
+    : VoiceAssistantException("INVALID_INPUT", message);
+
 /// <summary>
 /// 会话不存在异常
 /// </summary>
 public class SessionNotFoundException(string sessionId)
     : VoiceAssistantException("SESSION_NOT_FOUND", $"会话 {sessionId} 不存在");
 
+/// <summary>
+/// 会话已有正在处理的轮次异常
+/// </summary>
+public class TurnInProgressException(string sessionId)
+    : VoiceAssistantException("TURN_IN_PROGRESS", $"会话 {sessionId} 正在处理上一轮对话，请等待其结束或先取消");
+
 /// <summary>
 /// 音频超时异常
 /// </summary>
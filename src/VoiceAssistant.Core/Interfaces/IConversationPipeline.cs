@@ -5,13 +5,41 @@ namespace VoiceAssistant.Core.Interfaces;
 /// <summary>
 /// 对话处理管道：STT → LLM → TTS
 /// </summary>
+/// <remarks>
+/// 各方法传入 observer 时以流式方式处理：LLM 回复逐段推送给 observer，语音按句合成并依次推送，
+/// 返回结果中的 Audio 为 null；不传时等待完整回复后一次性合成语音。
+/// 本轮失败（抛出异常）或 cancellationToken 被取消时，本轮已写入会话历史的用户消息和回复都会撤回
+/// </remarks>
 public interface IConversationPipeline
 {
     /// <summary>
     /// 处理一轮完整对话：语音输入 → 文字 → AI 回复 → 语音输出
     /// </summary>
+    /// <param name="contentType">录音格式（<see cref="AudioFormats"/>），默认 PCM WAV</param>
     Task<ConversationTurnResult> ProcessAsync(
         string sessionId,
         Stream audioInput,
+        string contentType = AudioFormats.Wav,
+        IConversationTurnObserver? observer = null,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// 处理一轮流式对话：边录音边识别的 PCM 帧 → 文字 → AI 回复 → 语音输出
+    /// </summary>
+    Task<ConversationTurnResult> ProcessStreamAsync(
+        string sessionId,
+        IAsyncEnumerable<byte[]> audioFrames,
+        IConversationTurnObserver? observer = null,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// 处理一轮文字输入的对话：跳过 STT，文字 → AI 回复 → 语音输出（可选）
+    /// </summary>
+    /// <param name="synthesizeSpeech">为 false 时只返回文字回复，不调用 TTS</param>
+    Task<ConversationTurnResult> ProcessTextAsync(
+        string sessionId,
+        string text,
+        bool synthesizeSpeech = true,
+        IConversationTurnObserver? observer = null,
         CancellationToken cancellationToken = default);
 }
@@ -0,0 +1,37 @@
+using VoiceAssistant.Core.Models;
+
+namespace VoiceAssistant.Core.Interfaces;
+
+/// <summary>
+/// 接收一轮对话的中间结果，用于边生成边推送：识别中间结果、用户文本、AI 回复的增量文本、分句合成的语音
+/// </summary>
+public interface IConversationTurnObserver
+{
+    /// <summary>
+    /// 用户打断了回复的播放时触发：管道停止生成与合成，已生成的部分作为本轮回复写入会话历史，本轮正常结束
+    /// </summary>
+    CancellationToken ReplyInterrupted { get; }
+
+    /// <summary>
+    /// 流式语音识别过程中收到新的识别假设（整句替换，而非增量），可能多次触发，最终以 <see cref="OnUserTextAsync"/> 为准
+    /// </summary>
+    Task OnInterimUserTextAsync(string text, CancellationToken cancellationToken);
+
+    /// <summary>
+    /// 用户文本已确定（语音识别完成或收到文字输入），在调用 LLM 之前触发
+    /// </summary>
+    /// <param name="language">识别出的用户语言，文字输入时为 null</param>
+    /// <param name="confidence">识别置信度 (0.0 - 1.0)，文字输入时为 1.0</param>
+    Task OnUserTextAsync(string text, string? language, double confidence, CancellationToken cancellationToken);
+
+    /// <summary>
+    /// 收到 LLM 流式返回的一段回复文本
+    /// </summary>
+    Task OnAssistantTextAsync(string textChunk, CancellationToken cancellationToken);
+
+    /// <summary>
+    /// 一个分句的语音合成完成，sequence 从 0 开始按朗读顺序递增
+    /// </summary>
+    /// <param name="textEnd">该分句在回复文本中的结束位置（字符数）：读完这段语音，回复开头到此处的文本都已朗读</param>
+    Task OnAudioAsync(AudioData audio, int sequence, int textEnd, CancellationToken cancellationToken);
+}
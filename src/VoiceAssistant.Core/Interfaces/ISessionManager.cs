@@ -12,6 +12,12 @@ public interface ISessionManager
     /// </summary>
     ConversationSession CreateSession(string? systemPrompt = null);
 
+    /// <summary>
+    /// 用客户端保存的历史消息重建会话，使 LLM 延续之前的上下文。
+    /// 历史中只允许 "user" 和 "assistant" 角色，否则抛出 InvalidInputException
+    /// </summary>
+    ConversationSession RestoreSession(IEnumerable<ConversationMessage> history, string? systemPrompt = null);
+
     /// <summary>
     /// 获取会话，不存在返回 null
     /// </summary>
@@ -27,6 +33,27 @@ public interface ISessionManager
     /// </summary>
     void AddMessage(string sessionId, ConversationMessage message);
 
+    /// <summary>
+    /// 撤回最近加入的消息，将会话历史恢复为前 messageCount 条（用于回滚失败或被取消的轮次）
+    /// </summary>
+    void TruncateMessages(string sessionId, int messageCount);
+
+    /// <summary>
+    /// 设置会话的识别语言（BCP-47 或 "auto"），后续轮次生效
+    /// </summary>
+    void SetLanguage(string sessionId, string language);
+
+    /// <summary>
+    /// 设置会话的合成音色，后续轮次生效；传入 null 或空字符串恢复按语言选择默认音色
+    /// </summary>
+    void SetVoice(string sessionId, string? voiceName);
+
+    /// <summary>
+    /// 标记会话中最后一条助手回复在播放时被用户打断，并记录听到的比例
+    /// </summary>
+    /// <returns>会话历史的最后一条是助手消息时标记并返回 true，否则返回 false</returns>
+    bool MarkLastAssistantMessageInterrupted(string sessionId, double heardRatio);
+
     /// <summary>
     /// 删除会话
     /// </summary>
@@ -3,16 +3,22 @@ using VoiceAssistant.Core.Models;
 namespace VoiceAssistant.Core.Interfaces;
 
 /// <summary>
-/// 语音转文字服务接口
+/// 语音转文字服务接口。language 为 BCP-47 语言标记，
+/// 传入 "auto"（<see cref="SpeechLanguages.Auto"/>）时在候选语言中自动检测，
+/// 检测结果通过 <see cref="SpeechRecognitionResult.Language"/> 返回
 /// </summary>
 public interface ISpeechToTextService
 {
     /// <summary>
     /// 从音频流识别语音并返回文字
     /// </summary>
+    /// <param name="contentType">
+    /// 音频格式（<see cref="AudioFormats"/>）：PCM WAV，或 Ogg / WebM 封装的 Opus
+    /// </param>
     Task<SpeechRecognitionResult> RecognizeAsync(
         Stream audioStream,
         string language = "zh-CN",
+        string contentType = AudioFormats.Wav,
         CancellationToken cancellationToken = default);
 
     /// <summary>
@@ -21,5 +27,20 @@ public interface ISpeechToTextService
     Task<SpeechRecognitionResult> RecognizeAsync(
         byte[] audioData,
         string language = "zh-CN",
+        string contentType = AudioFormats.Wav,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// 从实时推送的 PCM 帧（16kHz 16bit 单声道，无 WAV 头）识别语音，
+    /// 识别在首帧到达时即开始，无需等待录音结束
+    /// </summary>
+    /// <param name="onInterimResult">
+    /// 可选，用户说话过程中每次识别假设更新时按顺序调用（只含 Text），全部调用完成后才返回最终结果；
+    /// 回调失败只记录日志，不影响识别
+    /// </param>
+    Task<SpeechRecognitionResult> RecognizeStreamAsync(
+        IAsyncEnumerable<byte[]> pcmFrames,
+        string language = "zh-CN",
+        Func<SpeechRecognitionResult, Task>? onInterimResult = null,
         CancellationToken cancellationToken = default);
 }
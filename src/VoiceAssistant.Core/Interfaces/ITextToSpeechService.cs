@@ -15,6 +15,19 @@ public interface ITextToSpeechService
         string? voiceName = null,
         CancellationToken cancellationToken = default);
 
+    /// <summary>
+    /// 获取与语言匹配的合成语音名称，没有配置时返回 null（使用默认语音）
+    /// </summary>
+    string? GetVoiceNameForLanguage(string language);
+
+    /// <summary>
+    /// 获取可用的合成音色。language 为 null 时返回全部，为 "auto" 时返回各自动检测候选语言的音色，
+    /// 否则返回该语言的音色（只给主语言如 "en" 时匹配所有地区）
+    /// </summary>
+    Task<IReadOnlyList<VoiceInfo>> GetVoicesAsync(
+        string? language = null,
+        CancellationToken cancellationToken = default);
+
     /// <summary>
     /// 将文本合成为语音并写入流（流式）
     /// </summary>
@@ -0,0 +1,42 @@
+namespace VoiceAssistant.Core.Models;
+
+/// <summary>
+/// 上传音频支持的容器格式（MIME 类型）
+/// </summary>
+public static class AudioFormats
+{
+    /// <summary>
+    /// PCM WAV（16kHz 16bit 单声道），未声明格式时的默认值
+    /// </summary>
+    public const string Wav = "audio/wav";
+
+    /// <summary>
+    /// Ogg 封装的 Opus
+    /// </summary>
+    public const string OggOpus = "audio/ogg";
+
+    /// <summary>
+    /// WebM 封装的 Opus
+    /// </summary>
+    public const string WebmOpus = "audio/webm";
+
+    /// <summary>
+    /// 规范化客户端声明的格式：忽略大小写和 codecs 等参数，未声明时视为 WAV，不支持时返回 null
+    /// </summary>
+    public static string? Normalize(string? contentType)
+    {
+        if (string.IsNullOrWhiteSpace(contentType))
+        {
+            return Wav;
+        }
+
+        var mediaType = contentType.Split(';')[0].Trim().ToLowerInvariant();
+        return mediaType switch
+        {
+            "audio/wav" or "audio/wave" or "audio/x-wav" => Wav,
+            "audio/ogg" or "audio/opus" => OggOpus,
+            "audio/webm" => WebmOpus,
+            _ => null
+        };
+    }
+}
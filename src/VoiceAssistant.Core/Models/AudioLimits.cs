@@ -0,0 +1,12 @@
+namespace VoiceAssistant.Core.Models;
+
+/// <summary>
+/// 上传音频的限制。服务端据此校验，并在会话开始时告知客户端，使两端的录音上限一致
+/// </summary>
+public static class AudioLimits
+{
+    /// <summary>
+    /// 单次录音的最大时长（秒），超过时抛出 AudioTooLongException
+    /// </summary>
+    public const double MaxDurationSeconds = 60;
+}
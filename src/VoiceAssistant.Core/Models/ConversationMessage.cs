@@ -16,4 +16,14 @@ public class ConversationMessage
     /// 消息时间戳
     /// </summary>
     public DateTimeOffset Timestamp { get; set; } = DateTimeOffset.UtcNow;
+
+    /// <summary>
+    /// 助手回复播放时是否被用户打断（仅 assistant 消息有效）
+    /// </summary>
+    public bool IsInterrupted { get; set; }
+
+    /// <summary>
+    /// 被打断时用户实际听到的比例 (0.0 - 1.0)，未被打断时为 null
+    /// </summary>
+    public double? HeardRatio { get; set; }
 }
@@ -4,6 +4,16 @@ public class ConversationSession
 {
     public required string SessionId { get; set; }
     public List<ConversationMessage> Messages { get; set; } = [];
+
+    /// <summary>
+    /// 识别语言（BCP-47，如 "zh-CN"），为 "auto" 时在候选语言中自动检测
+    /// </summary>
+    public string Language { get; set; } = SpeechLanguages.Default;
+
+    /// <summary>
+    /// 用户选择的合成音色，为 null 时按回复语言使用配置的默认音色
+    /// </summary>
+    public string? VoiceName { get; set; }
     public DateTimeOffset CreatedAt { get; set; } = DateTimeOffset.UtcNow;
     public DateTimeOffset LastActiveAt { get; set; } = DateTimeOffset.UtcNow;
 }
@@ -3,17 +3,22 @@ namespace VoiceAssistant.Core.Models;
 public class ConversationTurnResult
 {
     /// <summary>
-    /// 用户语音识别后的文本
+    /// 用户语音识别后的文本（文字输入时为用户输入的文本）
     /// </summary>
     public required string UserText { get; set; }
 
+    /// <summary>
+    /// 用户所说的语言（自动检测时为检测结果），文字输入时为 null
+    /// </summary>
+    public string? UserLanguage { get; set; }
+
     /// <summary>
     /// AI 回复的文本
     /// </summary>
     public required string AssistantText { get; set; }
 
     /// <summary>
-    /// AI 回复的语音音频
+    /// AI 回复的语音音频，仅需文字回复或流式处理（语音已按句推送给 observer）时为 null
     /// </summary>
-    public required AudioData Audio { get; set; }
+    public AudioData? Audio { get; set; }
 }
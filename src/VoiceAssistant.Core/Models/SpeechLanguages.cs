@@ -0,0 +1,20 @@
+namespace VoiceAssistant.Core.Models;
+
+/// <summary>
+/// 会话语言相关常量
+/// </summary>
+public static class SpeechLanguages
+{
+    /// <summary>
+    /// 默认识别语言
+    /// </summary>
+    public const string Default = "zh-CN";
+
+    /// <summary>
+    /// 自动检测：在配置的候选语言中识别用户所说的语言
+    /// </summary>
+    public const string Auto = "auto";
+
+    public static bool IsAuto(string? language) =>
+        string.Equals(language, Auto, StringComparison.OrdinalIgnoreCase);
+}
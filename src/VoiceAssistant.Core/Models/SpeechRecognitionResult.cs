@@ -17,6 +17,11 @@ public class SpeechRecognitionResult
     /// </summary>
     public double Confidence { get; set; }
 
+    /// <summary>
+    /// 识别所用的语言；自动检测时为检测到的语言（如 "en-US"）
+    /// </summary>
+    public string? Language { get; set; }
+
     /// <summary>
     /// 识别失败原因（如有）
     /// </summary>
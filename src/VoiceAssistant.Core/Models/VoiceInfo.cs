@@ -0,0 +1,27 @@
+namespace VoiceAssistant.Core.Models;
+
+/// <summary>
+/// 可用的语音合成音色
+/// </summary>
+public class VoiceInfo
+{
+    /// <summary>
+    /// 音色名称，用于合成时指定，如 "zh-CN-XiaoxiaoNeural"
+    /// </summary>
+    public required string Name { get; set; }
+
+    /// <summary>
+    /// 显示名称（本地化名称），如 "晓晓"
+    /// </summary>
+    public required string DisplayName { get; set; }
+
+    /// <summary>
+    /// 音色的语言（BCP-47），如 "zh-CN"
+    /// </summary>
+    public required string Locale { get; set; }
+
+    /// <summary>
+    /// 性别："Female"、"Male" 或 "Neutral"，未知时为 null
+    /// </summary>
+    public string? Gender { get; set; }
+}
@@ -9,5 +9,5 @@ public class AzureOpenAIOptions
     public required string DeploymentName { get; set; }
     public int MaxTokens { get; set; } = 800;
     public double Temperature { get; set; } = 0.7;
-    public string SystemPrompt { get; set; } = "你是一个友好的 AI 语音助手，请用简洁的中文回答问题。";
+    public string SystemPrompt { get; set; } = "你是一个友好的 AI 语音助手，请简洁地回答问题，并使用与用户相同的语言（用户说中文就用中文，说英文就用英文）。";
 }
@@ -9,4 +9,18 @@ public class AzureSpeechOptions
     public string RecognitionLanguage { get; set; } = "zh-CN";
     public string SynthesisVoiceName { get; set; } = "zh-CN-XiaoxiaoNeural";
     public string SynthesisOutputFormat { get; set; } = "Audio16Khz32KBitRateMonoMp3";
+
+    /// <summary>
+    /// 语言为 "auto" 时的候选语言，逗号分隔（单次识别最多 4 种）
+    /// </summary>
+    public string AutoDetectLanguages { get; set; } = "zh-CN,en-US";
+
+    /// <summary>
+    /// 各语言对应的合成语音，未配置的语言使用 SynthesisVoiceName
+    /// </summary>
+    public Dictionary<string, string> SynthesisVoices { get; set; } = new(StringComparer.OrdinalIgnoreCase)
+    {
+        ["zh-CN"] = "zh-CN-XiaoxiaoNeural",
+        ["en-US"] = "en-US-JennyNeural"
+    };
 }
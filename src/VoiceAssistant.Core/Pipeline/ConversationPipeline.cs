@@ -1,3 +1,5 @@
+using System.Runtime.CompilerServices;
+using System.Text;
 using Microsoft.Extensions.Logging;
 using Microsoft.Extensions.Options;
 using VoiceAssistant.Core.Exceptions;
@@ -23,16 +25,76 @@ public class ConversationPipeline(
     public async Task<ConversationTurnResult> ProcessAsync(
         string sessionId,
         Stream audioInput,
+        string contentType = AudioFormats.Wav,
+        IConversationTurnObserver? observer = null,
         CancellationToken cancellationToken = default)
     {
         var session = sessionManager.GetSessionOrThrow(sessionId);
 
         // Step 1: STT - 语音转文字
-        logger.LogInformation("Pipeline STT started for session {SessionId}", sessionId);
+        logger.LogInformation("Pipeline STT started for session {SessionId} ({ContentType})", sessionId, contentType);
+        var sttResult = await RecognizeAsync(
+            () => sttService.RecognizeAsync(audioInput, session.Language, contentType, cancellationToken));
+
+        logger.LogInformation("Pipeline STT completed for session {SessionId} ({Language}): {Text}",
+            sessionId, sttResult.Language, sttResult.Text);
+
+        return await CompleteTurnAsync(session, sttResult.Text, sttResult.Language, sttResult.Confidence, synthesizeSpeech: true, observer, cancellationToken);
+    }
+
+    public async Task<ConversationTurnResult> ProcessStreamAsync(
+        string sessionId,
+        IAsyncEnumerable<byte[]> audioFrames,
+        IConversationTurnObserver? observer = null,
+        CancellationToken cancellationToken = default)
+    {
+        var session = sessionManager.GetSessionOrThrow(sessionId);
+
+        // Step 1: STT - 边接收音频帧边识别
+        logger.LogInformation("Pipeline streaming STT started for session {SessionId}", sessionId);
+        var sttResult = await RecognizeAsync(
+            () => sttService.RecognizeStreamAsync(
+                audioFrames,
+                session.Language,
+                observer is null ? null : interim => observer.OnInterimUserTextAsync(interim.Text, cancellationToken),
+                cancellationToken));
+
+        logger.LogInformation("Pipeline streaming STT completed for session {SessionId} ({Language}): {Text}",
+            sessionId, sttResult.Language, sttResult.Text);
+
+        return await CompleteTurnAsync(session, sttResult.Text, sttResult.Language, sttResult.Confidence, synthesizeSpeech: true, observer, cancellationToken);
+    }
+
+    public async Task<ConversationTurnResult> ProcessTextAsync(
+        string sessionId,
+        string text,
+        bool synthesizeSpeech = true,
+        IConversationTurnObserver? observer = null,
+        CancellationToken cancellationToken = default)
+    {
+        var session = sessionManager.GetSessionOrThrow(sessionId);
+
+        if (string.IsNullOrWhiteSpace(text))
+        {
+            throw new InvalidInputException("输入的文字不能为空");
+        }
+
+        // 文字输入无需 STT，直接进入 LLM
+        logger.LogInformation("Pipeline text input for session {SessionId}: {Text}", sessionId, text);
+
+        return await CompleteTurnAsync(session, text.Trim(), userLanguage: null, userConfidence: 1.0, synthesizeSpeech, observer, cancellationToken);
+    }
+
+    /// <summary>
+    /// 调用 STT 并统一包装异常与失败结果
+    /// </summary>
+    private static async Task<SpeechRecognitionResult> RecognizeAsync(
+        Func<Task<SpeechRecognitionResult>> recognize)
+    {
         SpeechRecognitionResult sttResult;
         try
         {
-            sttResult = await sttService.RecognizeAsync(audioInput, cancellationToken: cancellationToken);
+            sttResult = await recognize();
         }
         catch (Exception ex) when (ex is not VoiceAssistantException)
         {
@@ -44,15 +106,87 @@ public class ConversationPipeline(
             throw new SpeechRecognitionException(sttResult.ErrorMessage ?? "语音识别失败，未返回有效文本");
         }
 
-        logger.LogInformation("Pipeline STT completed for session {SessionId}: {Text}", sessionId, sttResult.Text);
+        return sttResult;
+    }
+
+    /// <summary>
+    /// 拿到用户文本后的后半程：LLM → TTS（可选），并维护会话历史。
+    /// 提供 observer 时流式处理：逐段推送 LLM 输出，并按句合成、推送语音。
+    /// 本轮失败或被取消时撤回本轮写入的消息，历史中不会留下没有回复的用户消息，重试也不会重复
+    /// </summary>
+    /// <param name="userLanguage">识别出的用户语言，用于选择匹配的合成语音；文字输入时为 null</param>
+    /// <param name="userConfidence">识别置信度，文字输入时为 1.0</param>
+    private async Task<ConversationTurnResult> CompleteTurnAsync(
+        ConversationSession session,
+        string userText,
+        string? userLanguage,
+        double userConfidence,
+        bool synthesizeSpeech,
+        IConversationTurnObserver? observer,
+        CancellationToken cancellationToken)
+    {
+        var sessionId = session.SessionId;
+        var historyCount = session.Messages.Count;
 
         // 将用户消息加入会话历史
         sessionManager.AddMessage(sessionId, new ConversationMessage
         {
             Role = "user",
-            Content = sttResult.Text
+            Content = userText
         });
 
+        try
+        {
+            return await ReplyAsync(session, userText, userLanguage, userConfidence, synthesizeSpeech, observer, cancellationToken);
+        }
+        catch
+        {
+            // 失败或取消可能发生在回复已写入历史之后（合成语音时），一并撤回
+            if (sessionManager.GetSession(sessionId) is not null)
+            {
+                sessionManager.TruncateMessages(sessionId, historyCount);
+            }
+
+            logger.LogInformation("Turn {Outcome} for session {SessionId}, history rolled back to {MessageCount} message(s)",
+                cancellationToken.IsCancellationRequested ? "cancelled" : "failed", sessionId, historyCount);
+            throw;
+        }
+    }
+
+    /// <summary>
+    /// 用户消息已加入历史后：生成回复并写入历史，需要时合成语音
+    /// </summary>
+    private async Task<ConversationTurnResult> ReplyAsync(
+        ConversationSession session,
+        string userText,
+        string? userLanguage,
+        double userConfidence,
+        bool synthesizeSpeech,
+        IConversationTurnObserver? observer,
+        CancellationToken cancellationToken)
+    {
+        var sessionId = session.SessionId;
+
+        if (observer is not null)
+        {
+            await observer.OnUserTextAsync(userText, userLanguage, userConfidence, cancellationToken);
+        }
+
+        var replyLanguage = ResolveReplyLanguage(session, userLanguage);
+        var voiceName = synthesizeSpeech ? ResolveVoiceName(session, replyLanguage) : null;
+
+        if (observer is not null)
+        {
+            var streamedText = await StreamReplyAsync(session, synthesizeSpeech, voiceName, replyLanguage, observer, cancellationToken);
+
+            return new ConversationTurnResult
+            {
+                UserText = userText,
+                UserLanguage = userLanguage,
+                AssistantText = streamedText
+            };
+        }
+
         // Step 2: LLM - AI 对话
         logger.LogInformation("Pipeline LLM started for session {SessionId}", sessionId);
         string assistantText;
@@ -79,25 +213,250 @@ public class ConversationPipeline(
             Content = assistantText
         });
 
-        // Step 3: TTS - 文字转语音
-        logger.LogInformation("Pipeline TTS started for session {SessionId}", sessionId);
-        AudioData audioData;
-        try
+        if (!synthesizeSpeech)
         {
-            audioData = await ttsService.SynthesizeAsync(assistantText, cancellationToken: cancellationToken);
-        }
-        catch (Exception ex) when (ex is not VoiceAssistantException)
-        {
-            throw new SpeechSynthesisException("语音合成服务调用失败", ex);
+            return new ConversationTurnResult
+            {
+                UserText = userText,
+                UserLanguage = userLanguage,
+                AssistantText = assistantText
+            };
         }
 
+        // Step 3: TTS - 文字转语音
+        logger.LogInformation("Pipeline TTS started for session {SessionId}, voice: {VoiceName}",
+            sessionId, voiceName ?? "(default)");
+        // 朗读去掉 Markdown 标记的版本；全是标记、没有可朗读的文字时仍按原文合成
+        var speechText = SpeechTextFormatter.Format(assistantText, replyLanguage);
+        var audioData = await SynthesizeAsync(
+            string.IsNullOrWhiteSpace(speechText) ? assistantText : speechText, voiceName, cancellationToken);
+
         logger.LogInformation("Pipeline TTS completed for session {SessionId}", sessionId);
 
         return new ConversationTurnResult
         {
-            UserText = sttResult.Text,
+            UserText = userText,
+            UserLanguage = userLanguage,
             AssistantText = assistantText,
             Audio = audioData
         };
     }
+
+    /// <summary>
+    /// 回复使用的语言：识别出的用户语言，否则为会话语言；自动检测且未识别出时为 null
+    /// </summary>
+    private static string? ResolveReplyLanguage(ConversationSession session, string? userLanguage) =>
+        userLanguage ?? (SpeechLanguages.IsAuto(session.Language) ? null : session.Language);
+
+    /// <summary>
+    /// 优先使用会话选择的音色，否则使用与回复语言匹配的语音
+    /// </summary>
+    private string? ResolveVoiceName(ConversationSession session, string? replyLanguage)
+    {
+        if (session.VoiceName is not null)
+            return session.VoiceName;
+
+        return replyLanguage is null ? null : ttsService.GetVoiceNameForLanguage(replyLanguage);
+    }
+
+    /// <summary>
+    /// 流式 LLM → 分句 TTS：每段回复文本到达即推送，每凑满一句就排队合成，
+    /// 首句语音不必等待整段回复生成完。用户打断播放时停在已生成的位置
+    /// </summary>
+    private async Task<string> StreamReplyAsync(
+        ConversationSession session,
+        bool synthesizeSpeech,
+        string? voiceName,
+        string? replyLanguage,
+        IConversationTurnObserver observer,
+        CancellationToken cancellationToken)
+    {
+        var sessionId = session.SessionId;
+        var reply = new StringBuilder();
+        var pendingText = new StringBuilder();
+        var sequence = 0;
+        var spokenLength = 0;
+        var audioTail = Task.CompletedTask;
+
+        // 用户打断播放时停止生成与合成；被取消的轮次仍照常按失败处理
+        using var replyCancellation = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken, observer.ReplyInterrupted);
+        using var synthesisCancellation = CancellationTokenSource.CreateLinkedTokenSource(replyCancellation.Token);
+        bool IsInterrupted() => observer.ReplyInterrupted.IsCancellationRequested && !cancellationToken.IsCancellationRequested;
+
+        void QueueSentence(string sentence)
+        {
+            // 分句是回复中去掉首尾空白的一段，按顺序找出它在回复中的结束位置
+            var start = reply.ToString().IndexOf(sentence, spokenLength, StringComparison.Ordinal);
+            spokenLength = start < 0 ? reply.Length - pendingText.Length : start + sentence.Length;
+
+            // 只有 Markdown 标记（如表格分隔行）的分句没有可朗读的内容，归入下一句的范围
+            var speechText = SpeechTextFormatter.Format(sentence, replyLanguage);
+            if (string.IsNullOrWhiteSpace(speechText))
+                return;
+
+            audioTail = SynthesizeSentenceAsync(
+                audioTail, speechText, sequence++, spokenLength, voiceName, observer, synthesisCancellation.Token);
+        }
+
+        logger.LogInformation("Pipeline streaming LLM started for session {SessionId}, voice: {VoiceName}",
+            sessionId, synthesizeSpeech ? voiceName ?? "(default)" : "(text only)");
+        try
+        {
+            await foreach (var textChunk in StreamChatAsync(session.Messages, replyCancellation.Token))
+            {
+                if (string.IsNullOrEmpty(textChunk))
+                    continue;
+
+                // 分句合成已失败时不必再等整段回复生成完
+                if (audioTail.IsFaulted)
+                {
+                    await audioTail;
+                }
+
+                reply.Append(textChunk);
+                await observer.OnAssistantTextAsync(textChunk, cancellationToken);
+
+                if (!synthesizeSpeech)
+                    continue;
+
+                pendingText.Append(textChunk);
+                foreach (var sentence in SentenceSplitter.TakeSentences(pendingText))
+                {
+                    QueueSentence(sentence);
+                }
+            }
+        }
+        catch (Exception) when (IsInterrupted())
+        {
+            // 已收到的部分就是本轮回复
+        }
+        catch
+        {
+            // LLM 中途失败时取消尚未推送的分句语音，避免错误之后客户端仍收到音频
+            await synthesisCancellation.CancelAsync();
+            await audioTail.ContinueWith(_ => { }, TaskScheduler.Default);
+            throw;
+        }
+
+        var assistantText = reply.ToString();
+        var interrupted = IsInterrupted();
+        if (!interrupted && string.IsNullOrWhiteSpace(assistantText))
+        {
+            throw new ChatServiceException("AI 返回了空回复");
+        }
+
+        // 将 AI 回复加入会话历史；回复尚未开始就被打断时只留下用户消息
+        if (!string.IsNullOrWhiteSpace(assistantText))
+        {
+            sessionManager.AddMessage(sessionId, new ConversationMessage
+            {
+                Role = "assistant",
+                Content = assistantText
+            });
+        }
+
+        if (interrupted)
+        {
+            await audioTail.ContinueWith(_ => { }, TaskScheduler.Default);
+            logger.LogInformation("Pipeline reply interrupted for session {SessionId}: {Text}", sessionId, assistantText);
+            return assistantText;
+        }
+
+        logger.LogInformation("Pipeline streaming LLM completed for session {SessionId}: {Text}", sessionId, assistantText);
+
+        if (synthesizeSpeech)
+        {
+            var remainder = SentenceSplitter.TakeRemainder(pendingText);
+            if (remainder is not null)
+            {
+                QueueSentence(remainder);
+            }
+
+            try
+            {
+                await audioTail;
+            }
+            catch (Exception) when (IsInterrupted())
+            {
+                logger.LogInformation("Pipeline TTS interrupted for session {SessionId}", sessionId);
+                return assistantText;
+            }
+            logger.LogInformation("Pipeline TTS completed for session {SessionId}, {Count} sentence(s)", sessionId, sequence);
+        }
+
+        return assistantText;
+    }
+
+    /// <summary>
+    /// 逐段读取 LLM 流式回复，并统一包装异常
+    /// </summary>
+    private async IAsyncEnumerable<string> StreamChatAsync(
+        IReadOnlyList<ConversationMessage> messages,
+        [EnumeratorCancellation] CancellationToken cancellationToken)
+    {
+        IAsyncEnumerator<string> enumerator;
+        try
+        {
+            enumerator = chatService.ChatStreamAsync(messages, cancellationToken).GetAsyncEnumerator(cancellationToken);
+        }
+        catch (Exception ex) when (ex is not VoiceAssistantException)
+        {
+            throw new ChatServiceException("AI 对话服务调用失败", ex);
+        }
+
+        await using (enumerator)
+        {
+            while (true)
+            {
+                bool hasNext;
+                try
+                {
+                    hasNext = await enumerator.MoveNextAsync();
+                }
+                catch (Exception ex) when (ex is not VoiceAssistantException)
+                {
+                    throw new ChatServiceException("AI 对话服务调用失败", ex);
+                }
+
+                if (!hasNext)
+                    yield break;
+
+                yield return enumerator.Current;
+            }
+        }
+    }
+
+    /// <summary>
+    /// 合成一个分句：等前一句合成并推送后再开始，保证分句按顺序到达客户端；
+    /// 前一句失败时本句不再合成，错误沿链传给最后的 await
+    /// </summary>
+    private async Task SynthesizeSentenceAsync(
+        Task previous,
+        string sentence,
+        int sequence,
+        int textEnd,
+        string? voiceName,
+        IConversationTurnObserver observer,
+        CancellationToken cancellationToken)
+    {
+        await previous;
+        cancellationToken.ThrowIfCancellationRequested();
+
+        var audio = await SynthesizeAsync(sentence, voiceName, cancellationToken);
+        cancellationToken.ThrowIfCancellationRequested();
+
+        await observer.OnAudioAsync(audio, sequence, textEnd, cancellationToken);
+    }
+
+    private async Task<AudioData> SynthesizeAsync(string text, string? voiceName, CancellationToken cancellationToken)
+    {
+        try
+        {
+            return await ttsService.SynthesizeAsync(text, voiceName, cancellationToken);
+        }
+        catch (Exception ex) when (ex is not VoiceAssistantException)
+        {
+            throw new SpeechSynthesisException("语音合成服务调用失败", ex);
+        }
+    }
 }
@@ -0,0 +1,168 @@
+using System.Text;
+
+namespace VoiceAssistant.Core.Pipeline;
+
+/// <summary>
+/// 把 LLM 流式输出的文本切分为可以单独合成的句子，使第一句生成完就能开始合成语音。
+/// Markdown 围栏代码块整体作为一段，由 <see cref="SpeechTextFormatter"/> 概括朗读
+/// </summary>
+public static class SentenceSplitter
+{
+    /// <summary>
+    /// 没有句末标点时，缓冲文本超过此长度就在最后一个停顿处断开
+    /// </summary>
+    public const int MaxSentenceLength = 200;
+
+    private const string Terminators = "。！？；!?;…\n";
+    private const string ClosingMarks = "\"'”’)）」』】";
+    private static readonly char[] SoftBreaks = ['，', '、', '：', ',', ':', ' '];
+
+    /// <summary>
+    /// 从缓冲区取出已经完整的句子，未结束的部分留在缓冲区中等待后续文本
+    /// </summary>
+    public static IReadOnlyList<string> TakeSentences(StringBuilder buffer)
+    {
+        var text = buffer.ToString();
+        var sentences = new List<string>();
+        var start = 0;
+        var inCodeBlock = false;
+
+        for (var i = 0; i < text.Length; i++)
+        {
+            if (IsFenceStart(text, i))
+            {
+                // 代码块未闭合时等待后续文本，不能按行拆开
+                var blockEnd = FindCodeBlockEnd(text, i);
+                if (blockEnd < 0)
+                {
+                    inCodeBlock = true;
+                    break;
+                }
+
+                AddSentence(sentences, text[start..i]);
+                AddSentence(sentences, text[i..blockEnd]);
+                start = blockEnd;
+                i = blockEnd - 1;
+                continue;
+            }
+
+            // 英文句号后面必须跟空白，避免把 "3.14"、"v1.2" 拆开；在缓冲区末尾时等下一段文本再判断。
+            // 有序列表的序号（行首的 "1. "）不是句末
+            var isEnd = Terminators.Contains(text[i]) ||
+                        (text[i] == '.' && i + 1 < text.Length && char.IsWhiteSpace(text[i + 1]) &&
+                         !IsListNumber(text, i));
+            if (!isEnd)
+                continue;
+
+            // 句末的引号、括号归入本句
+            var end = i + 1;
+            while (end < text.Length && ClosingMarks.Contains(text[end]))
+                end++;
+
+            AddSentence(sentences, text[start..end]);
+            start = end;
+            i = end - 1;
+        }
+
+        while (!inCodeBlock && text.Length - start > MaxSentenceLength)
+        {
+            var cut = text.LastIndexOfAny(SoftBreaks, start + MaxSentenceLength - 1, MaxSentenceLength);
+            var end = cut > start ? cut + 1 : start + MaxSentenceLength;
+
+            AddSentence(sentences, text[start..end]);
+            start = end;
+        }
+
+        buffer.Remove(0, start);
+        return sentences;
+    }
+
+    /// <summary>
+    /// 回复结束时取出缓冲区中剩余的文本，没有可朗读的内容时返回 null
+    /// </summary>
+    public static string? TakeRemainder(StringBuilder buffer)
+    {
+        var sentences = new List<string>();
+        AddSentence(sentences, buffer.ToString());
+        buffer.Clear();
+        return sentences.Count > 0 ? sentences[0] : null;
+    }
+
+    /// <summary>
+    /// 行首（最多缩进 3 个空格）的 ``` 或 ~~~ 开始一个围栏代码块
+    /// </summary>
+    private static bool IsFenceStart(string text, int index)
+    {
+        if (index > 0 && text[index - 1] != '\n')
+            return false;
+
+        var i = index;
+        while (i < text.Length && i - index < 3 && text[i] == ' ')
+            i++;
+
+        return FenceLength(text, i) >= 3;
+    }
+
+    /// <summary>
+    /// 返回代码块结束行之后的位置，尚未闭合时返回 -1
+    /// </summary>
+    private static int FindCodeBlockEnd(string text, int fenceStart)
+    {
+        var open = text.AsSpan(fenceStart).TrimStart(' ');
+        var fenceChar = open[0];
+        var fenceLength = FenceLength(text, text.Length - open.Length);
+
+        var lineStart = text.IndexOf('\n', fenceStart);
+        while (lineStart >= 0)
+        {
+            lineStart++;
+            var lineEnd = text.IndexOf('\n', lineStart);
+            var line = (lineEnd < 0 ? text[lineStart..] : text[lineStart..lineEnd]).Trim();
+
+            // 闭合行只能由不少于开始行数量的同一种围栏字符组成
+            if (line.Length >= fenceLength && line.All(c => c == fenceChar))
+                return lineEnd < 0 ? text.Length : lineEnd + 1;
+
+            lineStart = lineEnd;
+        }
+
+        return -1;
+    }
+
+    private static int FenceLength(string text, int index)
+    {
+        if (index >= text.Length || (text[index] != '`' && text[index] != '~'))
+            return 0;
+
+        var end = index;
+        while (end < text.Length && text[end] == text[index])
+            end++;
+        return end - index;
+    }
+
+    /// <summary>
+    /// 句号前从行首起只有空格和数字，说明是有序列表的序号
+    /// </summary>
+    private static bool IsListNumber(string text, int dotIndex)
+    {
+        var i = dotIndex - 1;
+        while (i >= 0 && char.IsAsciiDigit(text[i]))
+            i--;
+        if (i == dotIndex - 1)
+            return false;
+
+        while (i >= 0 && text[i] == ' ')
+            i--;
+        return i < 0 || text[i] == '\n';
+    }
+
+    /// <summary>
+    /// 只包含标点、空白的片段没有可朗读的内容，直接丢弃
+    /// </summary>
+    private static void AddSentence(List<string> sentences, string text)
+    {
+        var sentence = text.Trim();
+        if (sentence.Any(char.IsLetterOrDigit))
+            sentences.Add(sentence);
+    }
+}
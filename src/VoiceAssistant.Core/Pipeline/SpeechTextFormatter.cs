@@ -0,0 +1,133 @@
+using System.Text.RegularExpressions;
+using VoiceAssistant.Core.Models;
+
+namespace VoiceAssistant.Core.Pipeline;
+
+/// <summary>
+/// 把 LLM 返回的 Markdown 转成适合朗读的纯文本：去掉标记符号，链接只读文字，
+/// 代码块不逐字朗读而是概括为一句提示，表格按行读出单元格
+/// </summary>
+public static class SpeechTextFormatter
+{
+    private static readonly Regex FenceRegex = new(@"^ {0,3}(?<marker>`{3,}|~{3,})\s*(?<info>[^\s`]*)", RegexOptions.Compiled);
+    private static readonly Regex HorizontalRuleRegex = new(@"^ {0,3}([-*_])( *\1){2,} *$", RegexOptions.Compiled);
+    private static readonly Regex TableSeparatorRegex = new(@"^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)+\|?\s*$", RegexOptions.Compiled);
+    private static readonly Regex BlockPrefixRegex = new(@"^\s*(>\s?)*\s*(#{1,6}\s+|([-*+]|\d+[.)])\s+(\[[ xX]\]\s+)?)?", RegexOptions.Compiled);
+    private static readonly Regex HeadingSuffixRegex = new(@"\s+#+\s*$", RegexOptions.Compiled);
+    private static readonly Regex ImageRegex = new(@"!\[([^\]]*)\]\([^)]*\)", RegexOptions.Compiled);
+    private static readonly Regex LinkRegex = new(@"\[([^\]]+)\]\([^)]*\)", RegexOptions.Compiled);
+    private static readonly Regex UrlRegex = new(@"<?https?://[^\s>]+>?", RegexOptions.Compiled);
+    private static readonly Regex HtmlTagRegex = new(@"</?[A-Za-z][^>]*>", RegexOptions.Compiled);
+    private static readonly Regex InlineCodeRegex = new(@"(`+)(.+?)\1", RegexOptions.Compiled);
+    private static readonly Regex StrongRegex = new(@"(\*\*|__|~~)(?=\S)(.+?)(?<=\S)\1", RegexOptions.Compiled);
+    private static readonly Regex EmphasisRegex = new(@"(?<![*\\])\*(?=[^\s*])(.+?)(?<=[^\s*\\])\*(?!\*)", RegexOptions.Compiled);
+
+    // 下划线只在词边界处表示强调，避免破坏 snake_case 之类的标识符
+    private static readonly Regex UnderscoreEmphasisRegex = new(@"(?<![\w\\])_(?=[^\s_])(.+?)(?<=[^\s_\\])_(?!\w)", RegexOptions.Compiled);
+    private static readonly Regex EscapeRegex = new(@"\\([\\`*_{}\[\]()#+\-.!|~<>])", RegexOptions.Compiled);
+    private static readonly Regex SpacesRegex = new(@"[ \t]{2,}", RegexOptions.Compiled);
+
+    /// <summary>
+    /// 转换为朗读文本，没有可朗读的内容时返回空字符串
+    /// </summary>
+    /// <param name="language">回复语言，决定代码块提示和表格分隔符用中文还是英文；为 null 时按文本内容判断</param>
+    public static string Format(string markdown, string? language = null)
+    {
+        var chinese = IsChinese(markdown, language);
+        var lines = markdown.Replace("\r\n", "\n").Split('\n');
+        var spoken = new List<string>();
+
+        for (var i = 0; i < lines.Length; i++)
+        {
+            var fence = FenceRegex.Match(lines[i]);
+            if (fence.Success)
+            {
+                // 跳过整个代码块（流式分句时可能尚未闭合，直接读到末尾）
+                var marker = fence.Groups["marker"].Value;
+                while (i + 1 < lines.Length && !IsClosingFence(lines[i + 1], marker))
+                    i++;
+                i++;
+
+                spoken.Add(DescribeCode(fence.Groups["info"].Value, chinese));
+                continue;
+            }
+
+            var line = lines[i];
+            if (HorizontalRuleRegex.IsMatch(line) || TableSeparatorRegex.IsMatch(line))
+                continue;
+
+            line = BlockPrefixRegex.Replace(line, string.Empty, 1);
+            line = HeadingSuffixRegex.Replace(line, string.Empty);
+            line = StripInline(line);
+
+            if (IsTableRow(line))
+                line = ReadTableRow(line, chinese);
+
+            line = SpacesRegex.Replace(line, " ").Trim();
+            if (line.Length > 0)
+                spoken.Add(line);
+        }
+
+        return string.Join("\n", spoken);
+    }
+
+    private static string StripInline(string line)
+    {
+        line = ImageRegex.Replace(line, "$1");
+        line = LinkRegex.Replace(line, "$1");
+        line = UrlRegex.Replace(line, string.Empty);
+        line = HtmlTagRegex.Replace(line, string.Empty);
+        line = InlineCodeRegex.Replace(line, m => m.Groups[2].Value.Trim());
+        line = StrongRegex.Replace(line, "$2");
+        line = EmphasisRegex.Replace(line, "$1");
+        line = UnderscoreEmphasisRegex.Replace(line, "$1");
+        return EscapeRegex.Replace(line, "$1");
+    }
+
+    private static bool IsClosingFence(string line, string marker)
+    {
+        var trimmed = line.Trim();
+        return trimmed.Length >= marker.Length && trimmed.All(c => c == marker[0]);
+    }
+
+    private static bool IsTableRow(string line)
+    {
+        var trimmed = line.Trim();
+        return trimmed.Length > 1 && (trimmed[0] == '|' || trimmed[^1] == '|');
+    }
+
+    /// <summary>
+    /// 表格行按单元格顺序读出，用逗号停顿
+    /// </summary>
+    private static string ReadTableRow(string line, bool chinese)
+    {
+        var cells = line.Trim().Trim('|')
+            .Split('|', StringSplitOptions.TrimEntries | StringSplitOptions.RemoveEmptyEntries);
+        return string.Join(chinese ? "，" : ", ", cells);
+    }
+
+    private static string DescribeCode(string language, bool chinese)
+    {
+        if (chinese)
+        {
+            return string.IsNullOrEmpty(language)
+                ? "这里有一段代码，请在屏幕上查看。"
+                : $"这里有一段 {language} 代码，请在屏幕上查看。";
+        }
+
+        return string.IsNullOrEmpty(language)
+            ? "Here is some code, please see it on screen."
+            : $"Here is some {language} code, please see it on screen.";
+    }
+
+    /// <summary>
+    /// 指定了语言时按语言判断，否则看文本中是否有汉字
+    /// </summary>
+    private static bool IsChinese(string text, string? language)
+    {
+        if (!string.IsNullOrEmpty(language) && !SpeechLanguages.IsAuto(language))
+            return language.StartsWith("zh", StringComparison.OrdinalIgnoreCase);
+
+        return text.Any(c => c is >= '一' and <= '鿿');
+    }
+}
@@ -33,6 +33,20 @@ public class InMemorySessionManager : ISessionManager
         return session;
     }
 
+    public ConversationSession RestoreSession(IEnumerable<ConversationMessage> history, string? systemPrompt = null)
+    {
+        var messages = history.ToList();
+
+        // 客户端数据不可信：不允许通过历史注入 system 消息
+        var invalid = messages.FirstOrDefault(m => m.Role is not ("user" or "assistant"));
+        if (invalid is not null)
+            throw new InvalidInputException($"不支持的历史消息角色: {invalid.Role}");
+
+        var session = CreateSession(systemPrompt);
+        session.Messages.AddRange(messages);
+        return session;
+    }
+
     public ConversationSession? GetSession(string sessionId)
     {
         _sessions.TryGetValue(sessionId, out var session);
@@ -52,6 +66,50 @@ public class InMemorySessionManager : ISessionManager
         session.LastActiveAt = DateTimeOffset.UtcNow;
     }
 
+    public void TruncateMessages(string sessionId, int messageCount)
+    {
+        var session = GetSessionOrThrow(sessionId);
+        if (messageCount < 0)
+            throw new ArgumentOutOfRangeException(nameof(messageCount));
+
+        if (session.Messages.Count > messageCount)
+        {
+            session.Messages.RemoveRange(messageCount, session.Messages.Count - messageCount);
+        }
+        session.LastActiveAt = DateTimeOffset.UtcNow;
+    }
+
+    public void SetLanguage(string sessionId, string language)
+    {
+        if (string.IsNullOrWhiteSpace(language))
+            throw new InvalidInputException("语言不能为空");
+
+        var session = GetSessionOrThrow(sessionId);
+        session.Language = language.Trim();
+        session.LastActiveAt = DateTimeOffset.UtcNow;
+    }
+
+    public void SetVoice(string sessionId, string? voiceName)
+    {
+        var session = GetSessionOrThrow(sessionId);
+        session.VoiceName = string.IsNullOrWhiteSpace(voiceName) ? null : voiceName.Trim();
+        session.LastActiveAt = DateTimeOffset.UtcNow;
+    }
+
+    public bool MarkLastAssistantMessageInterrupted(string sessionId, double heardRatio)
+    {
+        var session = GetSessionOrThrow(sessionId);
+        // 最后一条是用户消息时，本轮回复尚未开始就被打断，更早的回复已完整播放过
+        var message = session.Messages.LastOrDefault();
+        if (message is not { Role: "assistant" })
+            return false;
+
+        message.IsInterrupted = true;
+        message.HeardRatio = Math.Clamp(heardRatio, 0.0, 1.0);
+        session.LastActiveAt = DateTimeOffset.UtcNow;
+        return true;
+    }
+
     public bool RemoveSession(string sessionId)
     {
         return _sessions.TryRemove(sessionId, out _);
@@ -162,7 +162,7 @@ public class AzureOpenAIChatService(
             {
                 "system" => new SystemChatMessage(msg.Content),
                 "user" => new UserChatMessage(msg.Content),
-                "assistant" => new AssistantChatMessage(msg.Content),
+                "assistant" => new AssistantChatMessage(FormatAssistantContent(msg)),
                 _ => LogAndCreateUserMessage(msg)
             };
             chatMessages.Add(chatMessage);
@@ -171,6 +171,18 @@ public class AzureOpenAIChatService(
         return chatMessages;
     }
 
+    /// <summary>
+    /// 被打断的回复只保留用户实际听到的部分，并注明被打断，让模型知道哪些内容用户没有听到
+    /// </summary>
+    internal static string FormatAssistantContent(ConversationMessage msg)
+    {
+        if (!msg.IsInterrupted)
+            return msg.Content;
+
+        var heardLength = (int)Math.Round(msg.Content.Length * (msg.HeardRatio ?? 0));
+        return $"{msg.Content[..heardLength]}……（回复在此处被用户打断，之后的内容用户没有听到）";
+    }
+
     private UserChatMessage LogAndCreateUserMessage(ConversationMessage msg)
     {
         logger.LogWarning("LLM: Unknown message role '{Role}', falling back to user role", msg.Role);
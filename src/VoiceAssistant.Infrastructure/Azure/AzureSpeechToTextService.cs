@@ -1,3 +1,4 @@
+using System.Buffers.Binary;
 using System.Text.Json;
 using Microsoft.CognitiveServices.Speech;
 using Microsoft.CognitiveServices.Speech.Audio;
@@ -5,6 +6,7 @@ using Microsoft.Extensions.Logging;
 using Microsoft.Extensions.Options;
 using VoiceAssistant.Core.Exceptions;
 using VoiceAssistant.Core.Interfaces;
+using VoiceAssistant.Core.Models;
 using VoiceAssistant.Core.Options;
 using SpeechRecognitionResult = VoiceAssistant.Core.Models.SpeechRecognitionResult;
 
@@ -20,92 +22,191 @@ public class AzureSpeechToTextService(
     private readonly AzureSpeechOptions _options = options.Value;
 
     /// <summary>
-    /// 最大音频时长（秒）
+    /// 最大音频时长（秒），与客户端录音上限共用
     /// </summary>
-    private const double MaxAudioDurationSeconds = 60;
+    private const double MaxAudioDurationSeconds = AudioLimits.MaxDurationSeconds;
 
     /// <summary>
-    /// 最大音频字节数: 60s * 16000Hz * 2 bytes (16-bit mono)
+    /// 流式上传的最大字节数: 60s * 16000Hz * 2 bytes (16-bit mono)
     /// </summary>
     private const int MaxAudioBytes = (int)(MaxAudioDurationSeconds * 16000 * 2);
 
+    /// <summary>
+    /// 本服务按固定 44 字节解析的 WAV header 长度
+    /// </summary>
+    private const int WavHeaderSize = 44;
+
+    /// <summary>
+    /// 流式上传约定的采样率（客户端已重采样为 16kHz）
+    /// </summary>
+    private const uint StreamSampleRate = 16000;
+
+    /// <summary>
+    /// 单次识别（at-start 语言识别）最多支持的候选语言数
+    /// </summary>
+    private const int MaxCandidateLanguages = 4;
+
     public async Task<SpeechRecognitionResult> RecognizeAsync(
         Stream audioStream,
         string language = "zh-CN",
+        string contentType = AudioFormats.Wav,
         CancellationToken cancellationToken = default)
     {
-        logger.LogInformation("STT: Recognizing speech with language {Language}", language);
+        var format = AudioFormats.Normalize(contentType)
+            ?? throw new InvalidInputException($"不支持的音频格式: {contentType}");
+
+        logger.LogInformation("STT: Recognizing speech with language {Language}, format {ContentType}", language, format);
 
         try
         {
             var speechConfig = SpeechConfig.FromSubscription(_options.SubscriptionKey, _options.Region);
-            speechConfig.SpeechRecognitionLanguage = language;
 
-            // 将音频流读入内存以便检查大小和创建 BinaryReader
+            // 将音频流读入内存以便检查时长和创建 BinaryReader
             using var memoryStream = new MemoryStream();
             await audioStream.CopyToAsync(memoryStream, cancellationToken);
 
-            if (memoryStream.Length > MaxAudioBytes + 44) // +44 for WAV header
+            // 各格式都按音频本身记录的时长检查上限，而不是按字节数推算
+            var durationSeconds = GetDurationSeconds(memoryStream.ToArray(), format)
+                ?? throw new InvalidInputException("无法读取音频时长，请检查音频文件是否完整");
+
+            logger.LogInformation("STT: Audio duration={Duration:F1}s, bytes={Bytes}", durationSeconds, memoryStream.Length);
+            if (durationSeconds > MaxAudioDurationSeconds)
             {
-                var durationSeconds = (double)(memoryStream.Length - 44) / (16000 * 2);
                 throw new AudioTooLongException(durationSeconds, MaxAudioDurationSeconds);
             }
 
             memoryStream.Position = 0;
 
-            // 使用 PullAudioInputStream + WAV 格式让 SDK 自动解析 WAV header
-            // 先从 WAV header 中读取实际采样率
-            var reader = new BinaryReader(memoryStream);
-            memoryStream.Position = 24; // WAV header offset for sample rate
-            var sampleRate = reader.ReadUInt32();
-            memoryStream.Position = 22; // channels
-            var channels = reader.ReadUInt16();
-            memoryStream.Position = 34; // bits per sample
-            var bitsPerSample = reader.ReadUInt16();
-            memoryStream.Position = 0;
+            using var pushStream = format == AudioFormats.Wav
+                ? CreateWavInputStream(memoryStream)
+                : CreateCompressedInputStream(memoryStream, format);
+
+            using var audioConfig = AudioConfig.FromStreamInput(pushStream);
+            using var recognizer = CreateRecognizer(speechConfig, audioConfig, language);
+
+            var result = await recognizer.RecognizeOnceAsync();
+
+            return MapResult(result, language);
+        }
+        catch (AudioTooLongException)
+        {
+            throw;
+        }
+        catch (InvalidInputException)
+        {
+            throw;
+        }
+        catch (SpeechRecognitionException)
+        {
+            throw;
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "STT: Unexpected error during speech recognition");
+            throw new SpeechRecognitionException("语音识别过程中发生意外错误", ex);
+        }
+    }
 
-            logger.LogInformation("STT: WAV format - sampleRate={SampleRate}, channels={Channels}, bitsPerSample={BitsPerSample}",
-                sampleRate, channels, bitsPerSample);
+    public async Task<SpeechRecognitionResult> RecognizeAsync(
+        byte[] audioData,
+        string language = "zh-CN",
+        string contentType = AudioFormats.Wav,
+        CancellationToken cancellationToken = default)
+    {
+        using var stream = new MemoryStream(audioData);
+        return await RecognizeAsync(stream, language, contentType, cancellationToken);
+    }
 
-            // 使用 PushAudioInputStream 并跳过 WAV header (44 bytes)
+    public async Task<SpeechRecognitionResult> RecognizeStreamAsync(
+        IAsyncEnumerable<byte[]> pcmFrames,
+        string language = "zh-CN",
+        Func<SpeechRecognitionResult, Task>? onInterimResult = null,
+        CancellationToken cancellationToken = default)
+    {
+        logger.LogInformation("STT: Recognizing streamed speech with language {Language}", language);
+
+        try
+        {
+            var speechConfig = SpeechConfig.FromSubscription(_options.SubscriptionKey, _options.Region);
+
+            // 客户端按固定大小推送裸 PCM 帧（16kHz 16bit 单声道，无 WAV header）
             using var pushStream = AudioInputStream.CreatePushStream(
-                AudioStreamFormat.GetWaveFormatPCM(sampleRate, (byte)bitsPerSample, (byte)channels));
+                AudioStreamFormat.GetWaveFormatPCM(StreamSampleRate, 16, 1));
+            using var audioConfig = AudioConfig.FromStreamInput(pushStream);
+            using var recognizer = CreateRecognizer(speechConfig, audioConfig, language);
 
-            // 跳过 WAV header
-            memoryStream.Position = 44;
-            var buffer = new byte[4096];
-            int bytesRead;
-            while ((bytesRead = memoryStream.Read(buffer, 0, buffer.Length)) > 0)
+            // Recognizing 事件在 SDK 线程上触发，串成一条链保证中间结果按顺序送达
+            var interimDelivery = Task.CompletedTask;
+            var interimLock = new object();
+            if (onInterimResult is not null)
             {
-                pushStream.Write(buffer, bytesRead);
-            }
-            pushStream.Close();
+                recognizer.Recognizing += (_, e) =>
+                {
+                    if (string.IsNullOrWhiteSpace(e.Result.Text))
+                    {
+                        return;
+                    }
 
-            using var audioConfig = AudioConfig.FromStreamInput(pushStream);
-            using var recognizer = new SpeechRecognizer(speechConfig, audioConfig);
+                    var interim = new SpeechRecognitionResult { IsSuccess = true, Text = e.Result.Text };
+                    lock (interimLock)
+                    {
+                        interimDelivery = DeliverInterimAsync(interimDelivery, interim, onInterimResult);
+                    }
+                };
+            }
 
-            var result = await recognizer.RecognizeOnceAsync();
+            // 先启动识别，再边接收边写入，识别与录音并行进行
+            var recognizeTask = recognizer.RecognizeOnceAsync();
 
-            return result.Reason switch
+            long totalBytes = 0;
+            var framesCompleted = false;
+            try
             {
-                ResultReason.RecognizedSpeech => new SpeechRecognitionResult
-                {
-                    IsSuccess = true,
-                    Text = result.Text,
-                    Confidence = ExtractConfidence(result)
-                },
-                ResultReason.NoMatch => new SpeechRecognitionResult
+                await foreach (var frame in pcmFrames.WithCancellation(cancellationToken))
                 {
-                    IsSuccess = false,
-                    ErrorMessage = "未能识别语音内容，请确保音频清晰并重试"
-                },
-                ResultReason.Canceled => HandleCancellation(result),
-                _ => new SpeechRecognitionResult
+                    totalBytes += frame.Length;
+                    if (totalBytes > MaxAudioBytes)
+                    {
+                        var durationSeconds = (double)totalBytes / (StreamSampleRate * 2);
+                        throw new AudioTooLongException(durationSeconds, MaxAudioDurationSeconds);
+                    }
+
+                    pushStream.Write(frame, frame.Length);
+                }
+                framesCompleted = true;
+            }
+            finally
+            {
+                // 关闭输入流，识别随之结束
+                pushStream.Close();
+
+                // 帧读取失败、被取消或超长时，识别器和输入流释放前先等识别结束；其结果已无用，异常只记录
+                if (!framesCompleted)
                 {
-                    IsSuccess = false,
-                    ErrorMessage = $"未知识别结果: {result.Reason}"
+                    try
+                    {
+                        await recognizeTask;
+                    }
+                    catch (Exception ex)
+                    {
+                        logger.LogDebug(ex, "STT: Recognition failed after the audio stream was aborted");
+                    }
                 }
-            };
+            }
+
+            logger.LogInformation("STT: Audio stream completed, received {Bytes} bytes", totalBytes);
+
+            var result = await recognizeTask;
+
+            // 中间结果先于最终结果送达
+            Task pendingInterim;
+            lock (interimLock)
+            {
+                pendingInterim = interimDelivery;
+            }
+            await pendingInterim;
+
+            return MapResult(result, language);
         }
         catch (AudioTooLongException)
         {
@@ -117,25 +218,352 @@ public class AzureSpeechToTextService(
         }
         catch (Exception ex)
         {
-            logger.LogError(ex, "STT: Unexpected error during speech recognition");
-            throw new SpeechRecognitionException("语音识别过程中发生意外错误", ex);
+            logger.LogError(ex, "STT: Unexpected error during streamed speech recognition");
+            throw new SpeechRecognitionException("流式语音识别过程中发生意外错误", ex);
         }
     }
 
-    public async Task<SpeechRecognitionResult> RecognizeAsync(
-        byte[] audioData,
-        string language = "zh-CN",
-        CancellationToken cancellationToken = default)
+    /// <summary>
+    /// 等上一条中间结果送达后再送出这一条；中间结果只用于展示，送达失败不影响识别
+    /// </summary>
+    private async Task DeliverInterimAsync(
+        Task previous,
+        SpeechRecognitionResult interim,
+        Func<SpeechRecognitionResult, Task> onInterimResult)
     {
-        // 在创建流之前先验证音频长度
-        if (audioData.Length > MaxAudioBytes)
+        await previous;
+
+        try
         {
-            var durationSeconds = (double)audioData.Length / (16000 * 2);
-            throw new AudioTooLongException(durationSeconds, MaxAudioDurationSeconds);
+            await onInterimResult(interim);
         }
+        catch (Exception ex)
+        {
+            logger.LogWarning(ex, "STT: Failed to deliver interim recognition result");
+        }
+    }
 
-        using var stream = new MemoryStream(audioData);
-        return await RecognizeAsync(stream, language, cancellationToken);
+    /// <summary>
+    /// 从 WAV header 读取采样格式，跳过 header 后把 PCM 数据写入推送流
+    /// </summary>
+    private PushAudioInputStream CreateWavInputStream(MemoryStream memoryStream)
+    {
+        var reader = new BinaryReader(memoryStream);
+        memoryStream.Position = 24; // WAV header offset for sample rate
+        var sampleRate = reader.ReadUInt32();
+        memoryStream.Position = 22; // channels
+        var channels = reader.ReadUInt16();
+        memoryStream.Position = 34; // bits per sample
+        var bitsPerSample = reader.ReadUInt16();
+
+        logger.LogInformation("STT: WAV format - sampleRate={SampleRate}, channels={Channels}, bitsPerSample={BitsPerSample}",
+            sampleRate, channels, bitsPerSample);
+
+        var pushStream = AudioInputStream.CreatePushStream(
+            AudioStreamFormat.GetWaveFormatPCM(sampleRate, (byte)bitsPerSample, (byte)channels));
+
+        // 跳过 WAV header
+        memoryStream.Position = WavHeaderSize;
+        var buffer = new byte[4096];
+        int bytesRead;
+        while ((bytesRead = memoryStream.Read(buffer, 0, buffer.Length)) > 0)
+        {
+            pushStream.Write(buffer, bytesRead);
+        }
+        pushStream.Close();
+
+        return pushStream;
+    }
+
+    /// <summary>
+    /// 把 Opus 压缩音频原样写入推送流，由 SDK（GStreamer）解码；
+    /// Ogg 直接按 OGG_OPUS 解析，WebM 交给 ANY 自动识别容器
+    /// </summary>
+    private static PushAudioInputStream CreateCompressedInputStream(MemoryStream memoryStream, string format)
+    {
+        var data = memoryStream.ToArray();
+
+        var container = format == AudioFormats.OggOpus
+            ? AudioStreamContainerFormat.OGG_OPUS
+            : AudioStreamContainerFormat.ANY;
+
+        var pushStream = AudioInputStream.CreatePushStream(AudioStreamFormat.GetCompressedFormat(container));
+        pushStream.Write(data, data.Length);
+        pushStream.Close();
+
+        return pushStream;
+    }
+
+    /// <summary>
+    /// 按格式读取音频时长（秒），无法解析时返回 null
+    /// </summary>
+    internal static double? GetDurationSeconds(byte[] data, string format) => format switch
+    {
+        AudioFormats.Wav => GetWavDurationSeconds(data),
+        AudioFormats.OggOpus => GetOggDurationSeconds(data),
+        AudioFormats.WebmOpus => GetWebMDurationSeconds(data),
+        _ => null
+    };
+
+    /// <summary>
+    /// 按 WAV header 中的字节率计算时长；header 无法识别时按 16kHz 16bit 单声道计算全部字节
+    /// </summary>
+    internal static double GetWavDurationSeconds(byte[] data)
+    {
+        const int ByteRateOffset = 28;
+
+        var isWav = data.Length >= WavHeaderSize &&
+            data.AsSpan(0, 4).SequenceEqual("RIFF"u8) &&
+            data.AsSpan(8, 4).SequenceEqual("WAVE"u8);
+        var byteRate = isWav ? BinaryPrimitives.ReadUInt32LittleEndian(data.AsSpan(ByteRateOffset)) : 0;
+
+        return byteRate > 0
+            ? (double)(data.Length - WavHeaderSize) / byteRate
+            : (double)data.Length / (StreamSampleRate * 2);
+    }
+
+    /// <summary>
+    /// 从最后一个 Ogg 页的 granule position 计算时长（Opus 固定按 48kHz 计数），无法解析时返回 null
+    /// </summary>
+    internal static double? GetOggDurationSeconds(byte[] data)
+    {
+        const int GranuleOffset = 6;
+        const double OpusGranuleRate = 48000;
+
+        for (var i = data.Length - 27; i >= 0; i--)
+        {
+            if (data[i] != 'O' || data[i + 1] != 'g' || data[i + 2] != 'g' || data[i + 3] != 'S')
+            {
+                continue;
+            }
+
+            var granule = BinaryPrimitives.ReadInt64LittleEndian(data.AsSpan(i + GranuleOffset));
+            return granule >= 0 ? granule / OpusGranuleRate : null;
+        }
+
+        return null;
+    }
+
+    /// <summary>
+    /// 从 WebM（Matroska）读取时长：取 Info 中的 Duration 与最后一个音频块时间戳中较大的一个，
+    /// 浏览器录制的 WebM 通常不写 Duration。无法解析时返回 null
+    /// </summary>
+    internal static double? GetWebMDurationSeconds(byte[] data)
+    {
+        const uint SegmentId = 0x18538067;
+        const uint InfoId = 0x1549A966;
+        const uint ClusterId = 0x1F43B675;
+        const uint BlockGroupId = 0xA0;
+        const uint TimecodeScaleId = 0x2AD7B1;
+        const uint DurationId = 0x4489;
+        const uint ClusterTimecodeId = 0xE7;
+        const uint SimpleBlockId = 0xA3;
+        const uint BlockId = 0xA1;
+
+        long timecodeScale = 1_000_000; // 默认以毫秒为单位（纳秒数）
+        double? infoDuration = null;
+        long clusterTimecode = 0;
+        long? lastBlockTimecode = null;
+
+        // 容器元素直接进入其内容，其余元素按大小跳过；这样录制时写出的未知大小的 Segment/Cluster 也能解析
+        var position = 0;
+        while (position < data.Length)
+        {
+            if (!TryReadEbmlVint(data, ref position, keepMarker: true, out var id, out _) ||
+                !TryReadEbmlVint(data, ref position, keepMarker: false, out var size, out var unknownSize))
+            {
+                break;
+            }
+
+            if (id is SegmentId or InfoId or ClusterId or BlockGroupId)
+            {
+                continue;
+            }
+
+            if (unknownSize || size > (ulong)(data.Length - position))
+            {
+                break;
+            }
+
+            var body = data.AsSpan(position, (int)size);
+            switch (id)
+            {
+                case TimecodeScaleId:
+                    timecodeScale = (long)ReadEbmlUnsigned(body);
+                    break;
+                case DurationId when size is 4 or 8:
+                    infoDuration = size == 4
+                        ? BinaryPrimitives.ReadSingleBigEndian(body)
+                        : BinaryPrimitives.ReadDoubleBigEndian(body);
+                    break;
+                case ClusterTimecodeId:
+                    clusterTimecode = (long)ReadEbmlUnsigned(body);
+                    break;
+                case SimpleBlockId or BlockId:
+                    // 块头：轨道号（vint），随后是相对 Cluster 的 16 位有符号时间戳
+                    var blockPosition = position;
+                    if (TryReadEbmlVint(data, ref blockPosition, keepMarker: false, out _, out _) &&
+                        blockPosition + 2 <= position + (int)size)
+                    {
+                        var timecode = clusterTimecode + BinaryPrimitives.ReadInt16BigEndian(data.AsSpan(blockPosition));
+                        lastBlockTimecode = Math.Max(lastBlockTimecode ?? timecode, timecode);
+                    }
+                    break;
+            }
+
+            position += (int)size;
+        }
+
+        if (infoDuration is null && lastBlockTimecode is null)
+        {
+            return null;
+        }
+
+        var scaleSeconds = timecodeScale / 1e9;
+        return Math.Max(infoDuration ?? 0, lastBlockTimecode ?? 0) * scaleSeconds;
+    }
+
+    /// <summary>
+    /// 读取 EBML 可变长度整数：元素 ID 保留长度标记位，元素大小去掉标记位（全 1 表示未知大小）
+    /// </summary>
+    private static bool TryReadEbmlVint(byte[] data, ref int position, bool keepMarker, out ulong value, out bool unknown)
+    {
+        value = 0;
+        unknown = false;
+        if (position >= data.Length || data[position] == 0)
+        {
+            return false;
+        }
+
+        var length = System.Numerics.BitOperations.LeadingZeroCount((uint)data[position]) - 23;
+        if (position + length > data.Length)
+        {
+            return false;
+        }
+
+        var allOnes = true;
+        for (var i = 0; i < length; i++)
+        {
+            var b = data[position + i];
+            if (i == 0 && !keepMarker)
+            {
+                b &= (byte)(0xFF >> length);
+                allOnes = b == (byte)(0xFF >> length);
+            }
+            else if (b != 0xFF)
+            {
+                allOnes = false;
+            }
+            value = (value << 8) | b;
+        }
+
+        unknown = !keepMarker && allOnes;
+        position += length;
+        return true;
+    }
+
+    private static ulong ReadEbmlUnsigned(ReadOnlySpan<byte> body)
+    {
+        ulong value = 0;
+        foreach (var b in body)
+        {
+            value = (value << 8) | b;
+        }
+        return value;
+    }
+
+    /// <summary>
+    /// 创建识别器：指定语言时直接识别，"auto" 时在候选语言中自动检测
+    /// </summary>
+    private SpeechRecognizer CreateRecognizer(SpeechConfig speechConfig, AudioConfig audioConfig, string language)
+    {
+        // 详细输出才带有 NBest 置信度，简单输出时只能回退到 1.0
+        speechConfig.OutputFormat = OutputFormat.Detailed;
+
+        if (!SpeechLanguages.IsAuto(language))
+        {
+            speechConfig.SpeechRecognitionLanguage = language;
+            return new SpeechRecognizer(speechConfig, audioConfig);
+        }
+
+        var candidates = GetCandidateLanguages();
+        logger.LogInformation("STT: Auto-detecting language among {Candidates}", string.Join(", ", candidates));
+
+        var autoDetectConfig = AutoDetectSourceLanguageConfig.FromLanguages(candidates);
+        return new SpeechRecognizer(speechConfig, autoDetectConfig, audioConfig);
+    }
+
+    /// <summary>
+    /// 解析配置的候选语言，未配置时回退到 RecognitionLanguage
+    /// </summary>
+    internal string[] GetCandidateLanguages()
+    {
+        var candidates = _options.AutoDetectLanguages
+            .Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
+            .Distinct(StringComparer.OrdinalIgnoreCase)
+            .ToArray();
+
+        if (candidates.Length == 0)
+        {
+            return [_options.RecognitionLanguage];
+        }
+
+        if (candidates.Length > MaxCandidateLanguages)
+        {
+            logger.LogWarning("STT: {Count} candidate languages configured, only the first {Max} are used",
+                candidates.Length, MaxCandidateLanguages);
+            return candidates[..MaxCandidateLanguages];
+        }
+
+        return candidates;
+    }
+
+    private SpeechRecognitionResult MapResult(
+        Microsoft.CognitiveServices.Speech.SpeechRecognitionResult result,
+        string language)
+    {
+        return result.Reason switch
+        {
+            ResultReason.RecognizedSpeech => new SpeechRecognitionResult
+            {
+                IsSuccess = true,
+                Text = result.Text,
+                Confidence = ExtractConfidence(result),
+                Language = ResolveLanguage(result, language)
+            },
+            ResultReason.NoMatch => new SpeechRecognitionResult
+            {
+                IsSuccess = false,
+                ErrorMessage = "未能识别语音内容，请确保音频清晰并重试"
+            },
+            ResultReason.Canceled => HandleCancellation(result),
+            _ => new SpeechRecognitionResult
+            {
+                IsSuccess = false,
+                ErrorMessage = $"未知识别结果: {result.Reason}"
+            }
+        };
+    }
+
+    /// <summary>
+    /// 自动检测时返回 SDK 检测到的语言，否则返回请求的语言
+    /// </summary>
+    private string? ResolveLanguage(
+        Microsoft.CognitiveServices.Speech.SpeechRecognitionResult result,
+        string language)
+    {
+        if (!SpeechLanguages.IsAuto(language))
+        {
+            return language;
+        }
+
+        var detected = AutoDetectSourceLanguageResult.FromResult(result).Language;
+        logger.LogInformation("STT: Detected language {Language}", detected);
+
+        // 无法判定时 SDK 返回 "Unknown"
+        return string.IsNullOrEmpty(detected) || detected.Equals("Unknown", StringComparison.OrdinalIgnoreCase)
+            ? null
+            : detected;
     }
 
     /// <summary>
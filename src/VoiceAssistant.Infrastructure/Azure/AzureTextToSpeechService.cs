@@ -1,3 +1,4 @@
+using System.Collections.Concurrent;
 using Microsoft.CognitiveServices.Speech;
 using Microsoft.Extensions.Logging;
 using Microsoft.Extensions.Options;
@@ -5,6 +6,7 @@ using VoiceAssistant.Core.Exceptions;
 using VoiceAssistant.Core.Interfaces;
 using VoiceAssistant.Core.Models;
 using VoiceAssistant.Core.Options;
+using VoiceInfo = VoiceAssistant.Core.Models.VoiceInfo;
 
 namespace VoiceAssistant.Infrastructure.Azure;
 
@@ -15,6 +17,13 @@ public class AzureTextToSpeechService(
     IOptions<AzureSpeechOptions> options,
     ILogger<AzureTextToSpeechService> logger) : ITextToSpeechService
 {
+    /// <summary>
+    /// 按区域缓存的音色列表，列表很少变化，避免每次打开设置面板都请求 Azure
+    /// </summary>
+    private static readonly ConcurrentDictionary<string, (DateTimeOffset FetchedAt, IReadOnlyList<VoiceInfo> Voices)> VoiceListCache = new();
+
+    private static readonly TimeSpan VoiceListCacheDuration = TimeSpan.FromHours(1);
+
     private readonly AzureSpeechOptions _options = options.Value;
 
     public async Task<AudioData> SynthesizeAsync(
@@ -78,6 +87,104 @@ public class AzureTextToSpeechService(
         }
     }
 
+    public string? GetVoiceNameForLanguage(string language)
+    {
+        if (string.IsNullOrWhiteSpace(language))
+            return null;
+
+        if (_options.SynthesisVoices.TryGetValue(language, out var voice))
+            return voice;
+
+        // 只按主语言匹配，如 "en-GB" 使用 "en-US" 的语音
+        var primary = language.Split('-')[0];
+        return _options.SynthesisVoices
+            .FirstOrDefault(kv => kv.Key.Split('-')[0].Equals(primary, StringComparison.OrdinalIgnoreCase))
+            .Value;
+    }
+
+    public async Task<IReadOnlyList<VoiceInfo>> GetVoicesAsync(
+        string? language = null,
+        CancellationToken cancellationToken = default)
+    {
+        var voices = await GetAllVoicesAsync(cancellationToken);
+
+        if (language is null)
+            return voices;
+
+        // 自动检测时列出所有候选语言的音色
+        var languages = SpeechLanguages.IsAuto(language)
+            ? _options.AutoDetectLanguages.Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
+            : new[] { language.Trim() };
+
+        if (languages.Length == 0)
+            languages = [_options.RecognitionLanguage];
+
+        return FilterVoices(voices, languages);
+    }
+
+    /// <summary>
+    /// 筛选指定语言的音色：带地区的语言精确匹配，只有主语言时匹配所有地区
+    /// </summary>
+    internal static IReadOnlyList<VoiceInfo> FilterVoices(IEnumerable<VoiceInfo> voices, IReadOnlyCollection<string> languages)
+    {
+        return voices
+            .Where(v => languages.Any(language => language.Contains('-')
+                ? v.Locale.Equals(language, StringComparison.OrdinalIgnoreCase)
+                : v.Locale.Split('-')[0].Equals(language, StringComparison.OrdinalIgnoreCase)))
+            .ToList();
+    }
+
+    private async Task<IReadOnlyList<VoiceInfo>> GetAllVoicesAsync(CancellationToken cancellationToken)
+    {
+        if (VoiceListCache.TryGetValue(_options.Region, out var cached) &&
+            DateTimeOffset.UtcNow - cached.FetchedAt < VoiceListCacheDuration)
+        {
+            return cached.Voices;
+        }
+
+        logger.LogInformation("TTS: Fetching voice list for region {Region}", _options.Region);
+
+        try
+        {
+            var speechConfig = SpeechConfig.FromSubscription(_options.SubscriptionKey, _options.Region);
+            using var synthesizer = new SpeechSynthesizer(speechConfig, null);
+
+            var result = await synthesizer.GetVoicesAsync(string.Empty);
+
+            if (result.Reason != ResultReason.VoicesListRetrieved)
+            {
+                logger.LogError("TTS: Failed to fetch voice list: {Reason}, Details: {Details}",
+                    result.Reason, result.ErrorDetails);
+                throw new SpeechSynthesisException($"获取语音列表失败: {result.ErrorDetails}");
+            }
+
+            var voices = result.Voices
+                .Select(v => new VoiceInfo
+                {
+                    Name = v.ShortName,
+                    DisplayName = string.IsNullOrEmpty(v.LocalName) ? v.ShortName : v.LocalName,
+                    Locale = v.Locale,
+                    Gender = v.Gender == SynthesisVoiceGender.Unknown ? null : v.Gender.ToString()
+                })
+                .OrderBy(v => v.Locale, StringComparer.OrdinalIgnoreCase)
+                .ThenBy(v => v.DisplayName, StringComparer.Ordinal)
+                .ToList();
+
+            logger.LogInformation("TTS: Retrieved {Count} voices", voices.Count);
+            VoiceListCache[_options.Region] = (DateTimeOffset.UtcNow, voices);
+            return voices;
+        }
+        catch (SpeechSynthesisException)
+        {
+            throw;
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "TTS: Unexpected error while fetching voice list");
+            throw new SpeechSynthesisException("获取语音列表过程中发生意外错误", ex);
+        }
+    }
+
     public async Task SynthesizeToStreamAsync(
         string text,
         Stream outputStream,
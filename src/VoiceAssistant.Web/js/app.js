@@ -3,6 +3,7 @@
     const State = {
         IDLE: 'idle',
         CONNECTING: 'connecting',
+        LISTENING: 'listening',
         RECORDING: 'recording',
         RECOGNIZING: 'recognizing',
         THINKING: 'thinking',
@@ -10,38 +11,526 @@
         ERROR: 'error'
     };
 
-    // Status text in Chinese
-    const StatusText = {
-        idle: '就绪',
-        connecting: '连接中...',
-        recording: '录音中...',
-        recognizing: '识别中...',
-        thinking: '思考中...',
-        playing: '播放中...',
-        error: '发生错误'
+    // localStorage keys
+    const ACTIVE_CONVERSATION_KEY = 'voiceAssistant.activeConversationId';
+    const SAVE_AUDIO_KEY = 'voiceAssistant.saveAudio';
+    const LANGUAGE_KEY = 'voiceAssistant.language';
+    const VOICE_KEY = 'voiceAssistant.voice';
+    const PLAYBACK_RATE_KEY = 'voiceAssistant.playbackRate';
+    const VOLUME_KEY = 'voiceAssistant.volume';
+    const OUTPUT_DEVICE_KEY = 'voiceAssistant.outputDevice';
+    const INPUT_DEVICE_KEY = 'voiceAssistant.inputDevice';
+    const CAPTURE_OPTIONS_KEY = 'voiceAssistant.captureOptions';
+    const COMPRESS_UPLOAD_KEY = 'voiceAssistant.compressUpload';
+    const TALK_MODE_KEY = 'voiceAssistant.talkMode';
+    const TALK_KEY_KEY = 'voiceAssistant.talkKey';
+
+    // Talk shortcuts offered in settings (KeyboardEvent.code -> aria-keyshortcuts name)
+    const TalkKeys = {
+        Space: 'Space',
+        ControlRight: 'Control',
+        AltRight: 'Alt',
+        F2: 'F2'
+    };
+
+    // Input meter range: levels at or below MIN_DB show an empty bar
+    const METER_MIN_DB = -60;
+
+    // Final recognition results below this confidence are flagged as unsure
+    const LOW_CONFIDENCE_THRESHOLD = 0.6;
+
+    // How the app recovers from a turn's error, by code; other codes are only
+    // reported. 'newSession': the server no longer knows the session, so open
+    // a new one and send the turn again. 'retry': the failure may be
+    // transient, so offer to send the turn again.
+    const Recovery = {
+        SESSION_NOT_FOUND: 'newSession',
+        STT_FAILED: 'retry',
+        LLM_FAILED: 'retry',
+        TTS_FAILED: 'retry',
+        INTERNAL_ERROR: 'retry',
+        SEND_AUDIO_FAILED: 'retry',
+        SEND_TEXT_FAILED: 'retry'
+    };
+
+    // Sample sentences for voice preview, by primary language of the voice
+    const PreviewSamples = {
+        zh: '你好，我是你的语音助手，很高兴为你服务。',
+        en: 'Hi, I\'m your voice assistant. Nice to meet you.'
     };
 
+    const t = I18n.t.bind(I18n);
+
     let state = State.IDLE;
     let wsClient, recorder, player;
+    let store = null;               // ConversationStore, null if IndexedDB is unavailable
+    let conversationId = localStorage.getItem(ACTIVE_CONVERSATION_KEY);
+    let restoring = false;          // waiting for the server to rehydrate a saved conversation
+    let assistantMessageId = null;  // Promise of the stored id of the current reply
+    let replyAudioChunks = [];      // audio of the current reply, kept if "save audio" is on
+    let replyContentType = null;    // content type of the current reply's audio chunks
+    let turnRecording = null;       // WAV bytes of the user's recording, kept if "save audio" is on
     let currentAssistantText = '';  // accumulates streamed assistant text
+    let replySpeech = [];           // per audio chunk of the current reply: { textEnd, seconds }
+    let audioStream = null;         // live upload of the current recording, if any
+    let audioStreamFailed = false;  // streaming unavailable for this recording
+    let handsFree = false;          // hands-free mode: VAD starts and ends each turn
+    let talkMode = 'hold';          // 'hold' records while pressed, 'toggle' starts and stops on each press
+    let talkKey = 'Space';          // KeyboardEvent.code of the talk shortcut, '' for none
+    let bargeIn = true;             // monitor the mic during playback so speech interrupts it
+    let replyInterrupted = false;   // drop late chunks of a reply the user talked over
+    let turnRunning = false;        // the server is still working on the current turn
+    let userBubble = null;          // the current turn's user bubble, removed if the turn is cancelled
+    let userMessageId = null;       // Promise of the stored id of the current turn's user message
+    let cancelledTurn = null;       // turn the user cancelled, until the server says whether it rolled it back
+    let lastTurn = null;            // what the latest turn sent: { wav, audio, contentType } or { text, textOnly }
+    let pendingTurn = null;         // turn to send again once a replacement session has started
+    let micGuidance = null;         // bubble explaining how to allow the mic again
+    let watchingMicPermission = false;
+    let monitoringPlayback = false; // recorder was started by the player for barge-in
+    let expectAudio = true;         // false for typed turns that asked for a text-only reply
+    let connectionState = 'disconnected';
+    let voices = [];                // voices offered for the session language
+    let sidePlayback = null;        // replay button or 'preview' while the player plays something other than the live reply
+    const replyAudio = new WeakMap(); // assistant bubble -> { buffers: Promise<AudioBuffer>[] } or { chunks, contentType }
 
     // DOM elements
     const chatHistory = document.getElementById('chat-history');
     const statusEl = document.getElementById('status');
+    const announcer = document.getElementById('announcer');
+    const alertAnnouncer = document.getElementById('alert-announcer');
     const btnRecord = document.getElementById('btn-record');
+    const btnHandsFree = document.getElementById('btn-handsfree');
+    const textForm = document.getElementById('text-form');
+    const textInput = document.getElementById('text-input');
+    const chkTextOnly = document.getElementById('chk-text-only');
+    const btnSend = document.getElementById('btn-send');
+    const sidebar = document.getElementById('sidebar');
+    const btnSidebar = document.getElementById('btn-sidebar');
+    const btnNewConversation = document.getElementById('btn-new-conversation');
+    const conversationList = document.getElementById('conversation-list');
+    const chkSaveAudio = document.getElementById('chk-save-audio');
+    const exportFormatSelect = document.getElementById('export-format');
+    const btnExport = document.getElementById('btn-export');
+    const languageSelect = document.getElementById('language-select');
+    const uiLocaleSelect = document.getElementById('ui-locale-select');
+    const connectionStatus = document.getElementById('connection-status');
+    const settingsPanel = document.getElementById('settings');
+    const btnSettings = document.getElementById('btn-settings');
+    const voiceSelect = document.getElementById('voice-select');
+    const btnPreviewVoice = document.getElementById('btn-preview-voice');
+    const btnPause = document.getElementById('btn-pause');
+    const btnCancel = document.getElementById('btn-cancel');
+    const playbackRateInput = document.getElementById('playback-rate');
+    const playbackRateValue = document.getElementById('playback-rate-value');
+    const volumeInput = document.getElementById('volume-control');
+    const outputDeviceRow = document.getElementById('output-device-row');
+    const outputDeviceSelect = document.getElementById('output-device-select');
+    const volumeBar = document.getElementById('volume-bar');
+    const volumeLevel = document.getElementById('volume-level');
+    const inputDeviceSelect = document.getElementById('input-device-select');
+    const talkModeSelect = document.getElementById('talk-mode-select');
+    const talkKeySelect = document.getElementById('talk-key-select');
+    const captureCheckboxes = {
+        echoCancellation: document.getElementById('chk-echo-cancellation'),
+        noiseSuppression: document.getElementById('chk-noise-suppression'),
+        autoGainControl: document.getElementById('chk-auto-gain')
+    };
+    const compressUploadOption = document.getElementById('compress-upload-option');
+    const chkCompressUpload = document.getElementById('chk-compress-upload');
+    const placeholderHtml = chatHistory.innerHTML;
 
     function setState(newState) {
         state = newState;
-        statusEl.textContent = StatusText[state] || state;
+        statusEl.textContent = statusText(state);
         statusEl.className = 'status ' + state;  // for CSS styling
 
         // Toggle recording class on button
         btnRecord.classList.toggle('recording', state === State.RECORDING);
-        btnRecord.disabled = (state === State.CONNECTING || state === State.RECOGNIZING || state === State.THINKING);
+        btnRecord.classList.toggle('listening', state === State.LISTENING);
+        // aria-disabled keeps the button focusable while the turn is processed
+        btnRecord.setAttribute('aria-disabled', String(state === State.CONNECTING ||
+            state === State.RECOGNIZING || state === State.THINKING));
+        updateRecordButton();
+        btnSend.disabled = (state === State.CONNECTING || state === State.RECORDING ||
+            state === State.RECOGNIZING || state === State.THINKING);
+        updateCancelButton();
+
+        // Live input meter while the mic is capturing for a turn
+        const metering = state === State.RECORDING || state === State.LISTENING;
+        volumeBar.classList.toggle('active', metering);
+        if (!metering) volumeLevel.style.width = '0%';
+
+        // In hands-free mode every return to IDLE re-arms listening
+        if (state === State.IDLE && handsFree) {
+            setTimeout(() => {
+                if (state === State.IDLE && handsFree) startListening();
+            }, 0);
+        }
+    }
+
+    // A turn can be cancelled until the server is done with it, even while
+    // the first sentences of the reply are already playing
+    function updateCancelButton() {
+        btnCancel.hidden = !(turnRunning &&
+            (state === State.RECOGNIZING || state === State.THINKING || state === State.PLAYING));
+    }
+
+    function setTurnRunning(running) {
+        turnRunning = running;
+        updateCancelButton();
+    }
+
+    function statusText(s) {
+        return I18n.has('status.' + s) ? t('status.' + s) : s;
+    }
+
+    function setConnectionState(newState) {
+        connectionState = newState;
+        connectionStatus.className = 'connection-status ' + newState;
+        // Make it obvious that nothing the page shows comes from the server
+        const loopback = newState === 'connected' && wsClient && wsClient.transport === 'loopback';
+        connectionStatus.querySelector('.text').textContent = t(loopback ? 'connection.loopback' : 'connection.' + newState);
+    }
+
+    // Short label for the language tag on user bubbles
+    function languageLabel(language) {
+        const key = 'language.tag.' + language;
+        return I18n.has(key) ? t(key) : language;
+    }
+
+    // Localized text for an error event: server and client errors carry a
+    // stable code, their message is only meant for logs
+    function errorMessage(code) {
+        const key = 'errors.' + code;
+        return I18n.has(key) ? t(key) : t('errors.unknown', { code });
+    }
+
+    function addErrorMessage(text) {
+        const bubble = addMessage('assistant', '\u26A0\uFE0F ' + text);
+        bubble.classList.add('error');
+        announce(text, alertAnnouncer);
+        return bubble;
+    }
+
+    // Read a finished message to screen readers once; the chat log itself
+    // stays quiet so streamed replies aren't read chunk by chunk
+    function announce(text, region = announcer) {
+        // Cleared first so the same text is read again
+        region.textContent = '';
+        setTimeout(() => { region.textContent = text; }, 100);
+    }
+
+    // === Talk controls ===
+
+    // The mic button's label says what pressing it does and names the shortcut
+    function updateRecordButton() {
+        const recording = state === State.RECORDING;
+        let action = t('record.hint');
+        if (talkMode === 'toggle') action = t(recording ? 'record.toggleStop' : 'record.toggleStart');
+        const label = talkKey ? t('record.withShortcut', { action, key: t('key.' + talkKey) }) : action;
+
+        btnRecord.title = label;
+        btnRecord.setAttribute('aria-label', label);
+        btnRecord.setAttribute('aria-pressed', String(recording));
+        if (talkKey) {
+            btnRecord.setAttribute('aria-keyshortcuts', TalkKeys[talkKey]);
+        } else {
+            btnRecord.removeAttribute('aria-keyshortcuts');
+        }
+    }
+
+    function loadTalkSettings() {
+        talkMode = localStorage.getItem(TALK_MODE_KEY) === 'toggle' ? 'toggle' : 'hold';
+        const savedKey = localStorage.getItem(TALK_KEY_KEY);
+        talkKey = savedKey === null || (savedKey && !TalkKeys[savedKey]) ? 'Space' : savedKey;
+        talkModeSelect.value = talkMode;
+        talkKeySelect.value = talkKey;
+        updateRecordButton();
+    }
+
+    // Re-render text that was built in script rather than from markup
+    function applyLocale() {
+        statusEl.textContent = statusText(state);
+        updateRecordButton();
+        setConnectionState(connectionState);
+        chatHistory.querySelectorAll('.lang-tag').forEach(tag => {
+            tag.textContent = languageLabel(tag.title);
+        });
+        chatHistory.querySelectorAll('.confidence-tag').forEach(tag => {
+            tag.textContent = t('recognition.lowConfidence');
+            tag.title = t('recognition.lowConfidenceHint', { percent: tag.dataset.percent });
+        });
+        renderConversationList();
+        renderVoiceOptions();
+        renderOutputDevices();
+        renderInputDevices();
+        updatePauseButton();
+        chatHistory.querySelectorAll('.btn-replay').forEach(updateReplayButton);
+        chatHistory.querySelectorAll('.btn-retry').forEach(updateRetryButton);
+    }
+
+    // === Voice picker ===
+
+    function voiceLabel(voice) {
+        const genderKey = 'voice.gender.' + voice.gender;
+        const details = [voice.locale];
+        if (voice.gender && I18n.has(genderKey)) details.unshift(t(genderKey));
+        return voice.displayName + ' (' + details.join(', ') + ')';
+    }
+
+    function renderVoiceOptions() {
+        const selected = voiceSelect.value;
+        voiceSelect.innerHTML = '';
+
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = t('settings.voiceDefault');
+        voiceSelect.appendChild(defaultOption);
+
+        voices.forEach(voice => {
+            const option = document.createElement('option');
+            option.value = voice.name;
+            option.textContent = voiceLabel(voice);
+            voiceSelect.appendChild(option);
+        });
+
+        voiceSelect.value = voices.some(v => v.name === selected) ? selected : '';
+        btnPreviewVoice.disabled = !voiceSelect.value;
+    }
+
+    // The server keeps the voice per session; a new session starts with the
+    // default, so the saved preference is applied again whenever it is
+    // offered for the session language.
+    function applyVoices(data) {
+        voices = data.voices || [];
+        const offered = name => voices.some(v => v.name === name);
+        const preferred = localStorage.getItem(VOICE_KEY);
+
+        let voice = '';
+        if (data.selectedVoice && offered(data.selectedVoice)) {
+            voice = data.selectedVoice;
+        } else if (preferred && offered(preferred)) {
+            voice = preferred;
+        }
+
+        renderVoiceOptions();
+        voiceSelect.value = voice;
+        btnPreviewVoice.disabled = !voice;
+
+        if (voice !== (data.selectedVoice || '')) {
+            wsClient.setVoice(voice || null).catch(() => {});
+        }
+    }
+
+    function previewVoice() {
+        const voice = voices.find(v => v.name === voiceSelect.value);
+        if (!voice || !wsClient.sessionId) return;
+        if (state !== State.IDLE && state !== State.ERROR) return;
+
+        player.init(); // ensure AudioContext is created on user gesture
+        const sample = PreviewSamples[voice.locale.split('-')[0]] || PreviewSamples.en;
+        wsClient.previewVoice(voice.name, sample).catch(() => {});
+    }
+
+    // === Playback controls ===
+
+    function updatePauseButton() {
+        btnPause.hidden = !player.isPlaying;
+        const key = player.isPaused ? 'playback.resume' : 'playback.pause';
+        btnPause.textContent = player.isPaused ? '\u25B6' : '\u23F8';
+        btnPause.title = t(key);
+        btnPause.setAttribute('aria-label', t(key));
+        if (player.isPaused) statusEl.textContent = t('playback.paused');
+    }
+
+    function togglePause() {
+        if (player.isPaused) {
+            player.resume();
+        } else {
+            player.pause();
+        }
+    }
+
+    function setPlaybackRate(rate) {
+        player.setPlaybackRate(rate);
+        playbackRateInput.value = player.playbackRate;
+        playbackRateValue.textContent = player.playbackRate + 'x';
+    }
+
+    async function renderOutputDevices() {
+        if (!AudioPlayer.canSelectOutputDevice() || !navigator.mediaDevices) return;
+        outputDeviceRow.hidden = false;
+
+        const devices = (await navigator.mediaDevices.enumerateDevices())
+            .filter(d => d.kind === 'audiooutput' && d.deviceId !== 'default');
+        const selected = localStorage.getItem(OUTPUT_DEVICE_KEY) || '';
+
+        outputDeviceSelect.innerHTML = '';
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = t('settings.outputDefault');
+        outputDeviceSelect.appendChild(defaultOption);
+
+        // Labels stay empty until the page has been granted microphone access
+        devices.forEach((device, i) => {
+            const option = document.createElement('option');
+            option.value = device.deviceId;
+            option.textContent = device.label || t('settings.outputUnnamed', { n: i + 1 });
+            outputDeviceSelect.appendChild(option);
+        });
+
+        outputDeviceSelect.value = devices.some(d => d.deviceId === selected) ? selected : '';
+    }
+
+    async function setOutputDevice(deviceId) {
+        try {
+            await player.setOutputDevice(deviceId);
+            if (deviceId) {
+                localStorage.setItem(OUTPUT_DEVICE_KEY, deviceId);
+            } else {
+                localStorage.removeItem(OUTPUT_DEVICE_KEY);
+            }
+        } catch (err) {
+            console.warn('Failed to switch output device:', err);
+            localStorage.removeItem(OUTPUT_DEVICE_KEY);
+            outputDeviceSelect.value = '';
+        }
+    }
+
+    // === Microphone settings ===
+
+    // Map an RMS level (0-1) to a bar width on a dB scale, so quiet speech
+    // still moves the meter visibly
+    function meterPercent(level) {
+        if (level <= 0) return 0;
+        const db = 20 * Math.log10(level);
+        return Math.max(0, Math.min(100, (db - METER_MIN_DB) / -METER_MIN_DB * 100));
+    }
+
+    async function renderInputDevices() {
+        const devices = await AudioRecorder.listInputDevices();
+        const preferred = localStorage.getItem(INPUT_DEVICE_KEY) || '';
+
+        inputDeviceSelect.innerHTML = '';
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = t('settings.inputDefault');
+        inputDeviceSelect.appendChild(defaultOption);
+
+        devices.forEach((device, i) => {
+            const option = document.createElement('option');
+            option.value = device.deviceId;
+            option.textContent = device.label || t('settings.inputUnnamed', { n: i + 1 });
+            inputDeviceSelect.appendChild(option);
+        });
+
+        // An unplugged headset falls back to the default until it comes back;
+        // the saved choice is kept for that
+        const available = devices.some(d => d.deviceId === preferred);
+        inputDeviceSelect.value = available ? preferred : '';
+        recorder.setInputDevice(available ? preferred : '');
+    }
+
+    function loadCaptureOptions() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(CAPTURE_OPTIONS_KEY)) || {};
+        } catch (_ignored) {
+            // Corrupt value: keep the defaults
+        }
+        Object.keys(captureCheckboxes).forEach(name => {
+            if (typeof saved[name] === 'boolean') captureCheckboxes[name].checked = saved[name];
+        });
+        applyCaptureOptions();
+    }
+
+    function applyCaptureOptions() {
+        const options = {};
+        Object.keys(captureCheckboxes).forEach(name => {
+            options[name] = captureCheckboxes[name].checked;
+        });
+        recorder.setCaptureOptions(options);
+        return options;
     }
 
-    // Add message bubble to chat history
-    function addMessage(role, text) {
+    // Mic settings apply when the mic is next opened; a hands-free listener
+    // that hasn't heard anything yet is reopened right away
+    function reopenListeningMic() {
+        if (state !== State.LISTENING) return;
+        recorder.stop();
+        startListening();
+    }
+
+    // Keep a reply's audio with its bubble so it can be replayed locally.
+    // source is { buffers } for a live reply or { chunks, contentType } for
+    // one loaded from the conversation store.
+    function attachReplay(bubble, source) {
+        replyAudio.set(bubble, source);
+        if (bubble.parentElement.querySelector('.btn-replay')) return;
+
+        const button = document.createElement('button');
+        button.className = 'btn-replay';
+        button.textContent = '\u21BB';
+        button.addEventListener('click', () => replay(bubble, button));
+        updateReplayButton(button);
+        bubble.after(button);
+    }
+
+    function updateReplayButton(button) {
+        const key = button.classList.contains('playing') ? 'playback.stopReplay' : 'playback.replay';
+        button.title = t(key);
+        button.setAttribute('aria-label', t(key));
+    }
+
+    async function replay(bubble, button) {
+        if (sidePlayback === button) {
+            player.stop();
+            return;
+        }
+        if (state !== State.IDLE && state !== State.ERROR) return;
+
+        const source = replyAudio.get(bubble);
+        player.init(); // ensure AudioContext is created on user gesture
+        if (!source.buffers) {
+            source.buffers = source.chunks.map(chunk => player.decode(chunk).catch(() => null));
+        }
+        const buffers = (await Promise.all(source.buffers)).filter(Boolean);
+        if (buffers.length === 0 || (state !== State.IDLE && state !== State.ERROR)) return;
+
+        player.stop();  // ends any other preview or replay first
+        sidePlayback = button;
+        button.classList.add('playing');
+        updateReplayButton(button);
+        player.playBuffers(buffers);
+    }
+
+    function endSidePlayback() {
+        if (sidePlayback && sidePlayback !== 'preview') {
+            sidePlayback.classList.remove('playing');
+            updateReplayButton(sidePlayback);
+        }
+        sidePlayback = null;
+    }
+
+    function setHandsFree(enabled) {
+        handsFree = enabled;
+        btnHandsFree.classList.toggle('active', handsFree);
+        btnHandsFree.setAttribute('aria-pressed', String(handsFree));
+
+        if (handsFree && state === State.IDLE) {
+            startListening();
+        } else if (!handsFree && state === State.LISTENING) {
+            recorder.stop();  // nothing captured yet, just close the mic
+            setState(State.IDLE);
+        }
+    }
+
+    // Add message bubble to chat history.
+    // options.language tags a user bubble with the recognized language;
+    // options.confidence flags it when recognition was unsure;
+    // options.markdown renders the text as (sanitized) Markdown.
+    function addMessage(role, text, options) {
         // Remove placeholder if present
         const placeholder = chatHistory.querySelector('.placeholder');
         if (placeholder) placeholder.remove();
@@ -50,106 +539,653 @@
         div.className = `message ${role}`;
         const bubble = document.createElement('div');
         bubble.className = 'bubble';
-        bubble.textContent = text;
+        setBubbleContent(bubble, text, options);
         div.appendChild(bubble);
         chatHistory.appendChild(div);
         chatHistory.scrollTop = chatHistory.scrollHeight;
         return bubble; // return bubble for streaming updates
     }
 
+    function setBubbleContent(bubble, text, options) {
+        bubble.classList.remove('low-confidence');
+        if (options && options.markdown) {
+            bubble.classList.add('markdown');
+            bubble.replaceChildren(Markdown.render(text));
+            return;
+        }
+        bubble.textContent = text;
+        if (!options) return;
+        if (options.language) {
+            const tag = document.createElement('span');
+            tag.className = 'lang-tag';
+            tag.textContent = languageLabel(options.language);
+            tag.title = options.language;
+            bubble.appendChild(tag);
+        }
+        if (options.confidence != null && options.confidence < LOW_CONFIDENCE_THRESHOLD) {
+            const percent = Math.round(options.confidence * 100);
+            const tag = document.createElement('span');
+            tag.className = 'confidence-tag';
+            tag.dataset.percent = percent;
+            tag.textContent = t('recognition.lowConfidence');
+            tag.title = t('recognition.lowConfidenceHint', { percent });
+            bubble.appendChild(tag);
+            bubble.classList.add('low-confidence');
+        }
+    }
+
+    // Provisional user bubble showing the recognizer's current hypothesis
+    // while the user speaks; it becomes the final bubble once the result settles
+    let interimBubble = null;
+
+    function showInterimText(text) {
+        if (!text) return;
+        if (!interimBubble) {
+            interimBubble = addMessage('user', text);
+            interimBubble.classList.add('interim');
+        } else {
+            interimBubble.textContent = text;
+            chatHistory.scrollTop = chatHistory.scrollHeight;
+        }
+    }
+
+    // Turn the provisional bubble (if any) into the final user message
+    function showFinalUserText(text, options) {
+        if (!interimBubble) return addMessage('user', text, options);
+        const bubble = interimBubble;
+        interimBubble = null;
+        bubble.classList.remove('interim');
+        setBubbleContent(bubble, text, options);
+        return bubble;
+    }
+
+    function discardInterimBubble() {
+        if (interimBubble) interimBubble.parentElement.remove();
+        interimBubble = null;
+    }
+
+    // === Conversation persistence ===
+
+    // Save a message to the active conversation, creating it on first use.
+    // Resolves with the stored message id (or null when persistence is off).
+    async function persistMessage(role, text, extra) {
+        if (!store) return null;
+        try {
+            if (!conversationId) {
+                const conversation = await store.createConversation();
+                setActiveConversation(conversation.id);
+            }
+            const id = await store.addMessage(conversationId, Object.assign({ role, text }, extra));
+            renderConversationList();
+            return id;
+        } catch (err) {
+            console.warn('Failed to save message:', err);
+            return null;
+        }
+    }
+
+    // Save a recognized (or typed) user message with what the RecognitionResult
+    // says about it, and the recording if "save audio" is on
+    function persistUserMessage(result, recording) {
+        const extra = {};
+        if (result.language) extra.language = result.language;
+        if (result.confidence != null && result.confidence < 1) extra.confidence = result.confidence;
+        if (recording && chkSaveAudio.checked) {
+            extra.audio = { chunks: [recording], contentType: 'audio/wav' };
+        }
+        return persistMessage('user', result.text, extra);
+    }
+
+    function updateAssistantMessage(changes) {
+        if (!store || !assistantMessageId) return;
+        assistantMessageId
+            .then(id => id && store.updateMessage(id, changes))
+            .catch(err => console.warn('Failed to update message:', err));
+    }
+
+    function setActiveConversation(id) {
+        conversationId = id;
+        if (id) {
+            localStorage.setItem(ACTIVE_CONVERSATION_KEY, id);
+        } else {
+            localStorage.removeItem(ACTIVE_CONVERSATION_KEY);
+        }
+    }
+
+    // Start a server session for the active conversation: a saved
+    // conversation is rehydrated so the assistant keeps its context.
+    async function openSession() {
+        setState(State.CONNECTING);
+        const messages = (store && conversationId) ? await store.getMessages(conversationId) : [];
+
+        if (messages.length === 0) {
+            restoring = false;
+            wsClient.startSession(languageSelect.value);
+            return;
+        }
+
+        restoring = true;
+        wsClient.restoreSession(messages.map(m => ({
+            role: m.role,
+            content: m.text,
+            timestamp: new Date(m.timestamp).toISOString(),
+            isInterrupted: !!m.isInterrupted,
+            heardRatio: m.heardRatio == null ? null : m.heardRatio
+        })), languageSelect.value).catch(() => {});
+    }
+
+    // Replace the chat with the stored bubbles of the active conversation
+    async function renderConversation() {
+        chatHistory.innerHTML = placeholderHtml;
+        I18n.apply(chatHistory);
+        resetTurn();
+        if (!store || !conversationId) return;
+
+        const messages = await store.getMessages(conversationId);
+        if (messages.length === 0) {
+            setActiveConversation(null);  // stale id, e.g. deleted in another tab
+            return;
+        }
+        messages.forEach(m => {
+            const bubble = addMessage(m.role, m.text, {
+                language: m.language,
+                confidence: m.confidence,
+                markdown: m.role === 'assistant'
+            });
+            // User recordings are kept for export only, replay is for replies
+            if (m.audio && m.role === 'assistant') {
+                attachReplay(bubble, { chunks: m.audio.chunks, contentType: m.audio.contentType });
+            }
+        });
+    }
+
+    async function renderConversationList() {
+        if (!store) return;
+        const conversations = await store.listConversations();
+        btnExport.disabled = !conversationId;
+
+        conversationList.innerHTML = '';
+        conversations.forEach(c => {
+            const item = document.createElement('li');
+            item.className = 'conversation-item' + (c.id === conversationId ? ' active' : '');
+
+            const open = document.createElement('button');
+            open.className = 'conversation-open';
+            const title = document.createElement('span');
+            title.className = 'conversation-title';
+            title.textContent = c.title || t('conversation.untitled');
+            const time = document.createElement('span');
+            time.className = 'conversation-time';
+            time.textContent = new Date(c.updatedAt).toLocaleString();
+            open.append(title, time);
+            open.addEventListener('click', () => switchConversation(c.id));
+
+            const remove = document.createElement('button');
+            remove.className = 'conversation-delete';
+            remove.title = t('conversation.delete');
+            remove.setAttribute('aria-label', t('conversation.delete'));
+            remove.textContent = '\u2715';
+            remove.addEventListener('click', () => deleteConversation(c.id));
+
+            item.append(open, remove);
+            conversationList.appendChild(item);
+        });
+    }
+
+    // Events of a session we've since left (e.g. a reply still in flight
+    // when the user switched conversations) must not leak into the new one
+    function isCurrentSession(data) {
+        return !data.sessionId || data.sessionId === wsClient.sessionId;
+    }
+
+    // Abandon whatever the current turn is doing so another conversation can load
+    function abortTurn() {
+        if (recorder.isRecording) recorder.stop();
+        monitoringPlayback = false;
+        audioStream = null;
+        pendingTurn = null;
+        player.stop();
+        replyInterrupted = true;  // ignore late chunks of the old conversation's reply
+        setTurnRunning(false);
+    }
+
+    async function switchConversation(id) {
+        sidebar.classList.remove('open');
+        if (id === conversationId && wsClient.sessionId) return;
+
+        abortTurn();
+        setActiveConversation(id);
+        await renderConversation();
+        renderConversationList();
+
+        if (wsClient.sessionId) {
+            await wsClient.endSession().catch(() => {});
+        }
+        await openSession();
+    }
+
+    // Download the active conversation in the format picked in the sidebar
+    async function exportConversation() {
+        if (!store || !conversationId) return;
+        try {
+            const conversation = await store.getConversation(conversationId);
+            const messages = await store.getMessages(conversationId);
+            if (!conversation) return;
+
+            let blob, extension;
+            switch (exportFormatSelect.value) {
+                case 'json':
+                    blob = new Blob([ConversationExport.toJson(conversation, messages)], { type: 'application/json' });
+                    extension = 'json';
+                    break;
+                case 'zip':
+                    blob = ConversationExport.toZip(conversation, messages);
+                    extension = 'zip';
+                    break;
+                default:
+                    blob = new Blob([ConversationExport.toMarkdown(conversation, messages)], { type: 'text/markdown' });
+                    extension = 'md';
+            }
+            ConversationExport.download(blob, ConversationExport.fileName(conversation, extension));
+        } catch (err) {
+            console.error('Failed to export conversation:', err);
+            addErrorMessage(t('export.failed'));
+        }
+    }
+
+    async function deleteConversation(id) {
+        if (!store || !confirm(t('conversation.confirmDelete'))) return;
+        await store.deleteConversation(id);
+        if (id === conversationId) {
+            await switchConversation(null);
+        } else {
+            renderConversationList();
+        }
+    }
+
     // Update the last assistant message bubble (for streaming text)
     let currentAssistantBubble = null;
 
     function appendAssistantText(textChunk) {
         currentAssistantText += textChunk;
         if (!currentAssistantBubble) {
-            currentAssistantBubble = addMessage('assistant', currentAssistantText);
+            currentAssistantBubble = addMessage('assistant', currentAssistantText, { markdown: true });
         } else {
-            currentAssistantBubble.textContent = currentAssistantText;
+            setBubbleContent(currentAssistantBubble, currentAssistantText, { markdown: true });
         }
         chatHistory.scrollTop = chatHistory.scrollHeight;
     }
 
+    // ?loopback (see LoopbackTransport.optionsFromQuery), or
+    // `window.voiceAssistantConfig = { loopback: { ... } }` set before app.js,
+    // runs the page against the in-browser LoopbackTransport instead of the server
+    function clientOptions() {
+        const config = window.voiceAssistantConfig || {};
+        const loopback = LoopbackTransport.optionsFromQuery(window.location.search) || config.loopback;
+        return loopback ? { transports: ['loopback'], loopback } : {};
+    }
+
     // === Initialize modules ===
     async function init() {
-        wsClient = new WebSocketClient();
+        I18n.init();
+        uiLocaleSelect.value = I18n.getOverride() || '';
+        I18n.onChange(applyLocale);
+
+        wsClient = new WebSocketClient(clientOptions());
         recorder = new AudioRecorder();
         player = new AudioPlayer();
 
+        // --- Conversation store ---
+        try {
+            store = new ConversationStore();
+            await store.open();
+        } catch (err) {
+            console.warn('Conversation history unavailable, it will not be saved:', err);
+            store = null;
+            sidebar.hidden = true;
+            btnSidebar.hidden = true;
+        }
+        chkSaveAudio.checked = localStorage.getItem(SAVE_AUDIO_KEY) === 'true';
+        languageSelect.value = localStorage.getItem(LANGUAGE_KEY) || 'zh-CN';
+        if (!languageSelect.value) languageSelect.value = 'zh-CN';  // stored option no longer offered
+        setPlaybackRate(localStorage.getItem(PLAYBACK_RATE_KEY) || 1);
+        player.setVolume(localStorage.getItem(VOLUME_KEY) || 1);
+        volumeInput.value = player.volume;
+        const outputDevice = localStorage.getItem(OUTPUT_DEVICE_KEY);
+        if (outputDevice && AudioPlayer.canSelectOutputDevice()) setOutputDevice(outputDevice);
+        renderOutputDevices();
+        loadCaptureOptions();
+        loadTalkSettings();
+        if (AudioRecorder.canCompress()) {
+            compressUploadOption.hidden = false;
+            chkCompressUpload.checked = localStorage.getItem(COMPRESS_UPLOAD_KEY) === 'true';
+            recorder.setCompression(chkCompressUpload.checked);
+        }
+        renderInputDevices();
+        await renderConversation();
+        renderConversationList();
+
         // --- WebSocket events ---
-        wsClient.on('connected', () => {
-            console.log('Connected to server');
-            wsClient.startSession();
-            setState(State.CONNECTING);
+        wsClient.on('connected', (data) => {
+            console.log('Connected to server over', data.transport);
+            setConnectionState('connected');
+            openSession();
         });
 
         wsClient.on('sessionStarted', (data) => {
-            console.log('Session started:', data.sessionId);
+            console.log('Session started:', data.sessionId,
+                data.restoredMessageCount ? '(restored ' + data.restoredMessageCount + ' messages)' : '');
+            restoring = false;
+            // Stop recordings where the server's limit would reject them
+            if (data.maxAudioSeconds) recorder.maxDuration = data.maxAudioSeconds;
             setState(State.IDLE);
+            wsClient.getVoices().catch(() => {});
+            if (pendingTurn) {
+                const turn = pendingTurn;
+                pendingTurn = null;
+                resendTurn(turn);
+            }
+        });
+
+        wsClient.on('voices', (data) => {
+            if (!isCurrentSession(data)) return;
+            applyVoices(data);
+        });
+
+        wsClient.on('voicePreview', (data) => {
+            if (!isCurrentSession(data)) return;
+            if (state !== State.IDLE && state !== State.ERROR) return;  // a turn started meanwhile
+            player.play(data.audioChunk, data.contentType);
+            sidePlayback = 'preview';
         });
 
         wsClient.on('recognitionResult', (data) => {
-            if (data.isFinal && data.text) {
-                addMessage('user', data.text);
-                setState(State.THINKING);
+            if (!isCurrentSession(data)) return;
+            if (cancelledTurn) {
+                // Held back in case the turn turns out to have finished
+                if (data.isFinal && data.text && !cancelledTurn.userBubble) cancelledTurn.userResult = data;
+                return;
+            }
+            if (!data.isFinal) {
+                showInterimText(data.text);
+                return;
             }
+            if (!data.text) {
+                discardInterimBubble();
+                return;
+            }
+            userBubble = showFinalUserText(data.text, { language: data.language, confidence: data.confidence });
+            // A typed message is already known to the user; a recognized one may differ from what was said
+            if (state === State.RECOGNIZING) announce(t('a11y.userSaid', { text: data.text }));
+            userMessageId = persistUserMessage(data, turnRecording);
+            setState(State.THINKING);
         });
 
         wsClient.on('assistantTextChunk', (data) => {
-            if (state !== State.PLAYING) setState(State.PLAYING);
+            if (!isCurrentSession(data)) return;
+            if (cancelledTurn) {
+                cancelledTurn.assistantText += data.textChunk;
+                if (data.isComplete) cancelledTurn.assistantComplete = true;
+                return;
+            }
+            if (replyInterrupted) return;
             appendAssistantText(data.textChunk);
+            if (data.isComplete) {
+                assistantMessageId = persistMessage('assistant', currentAssistantText);
+            }
+            if (!expectAudio) {
+                // Text-only reply: nothing to play, the turn ends with the text.
+                // A spoken reply is not announced: the screen reader would talk over it.
+                if (data.isComplete) {
+                    setTurnRunning(false);
+                    if (currentAssistantBubble) announce(t('a11y.assistantSaid', { text: currentAssistantBubble.textContent }));
+                    setState(State.IDLE);
+                }
+                return;
+            }
+            if (state !== State.PLAYING) setState(State.PLAYING);
         });
 
         wsClient.on('audioChunk', (data) => {
+            if (!isCurrentSession(data)) return;
+            if (cancelledTurn || replyInterrupted) return;  // the user no longer wants to hear it
+            if (data.isComplete) setTurnRunning(false);
             if (state !== State.PLAYING) setState(State.PLAYING);
-            player.addChunk(data.audioChunk, data.contentType, data.isComplete);
+            // One chunk per sentence; the final chunk only marks the end and has no audio
+            const buffer = player.addChunk(data.audioChunk, data.contentType, data.isComplete, data.sequence);
+            if (data.audioChunk) {
+                const speech = { textEnd: data.textEnd, seconds: null };
+                replySpeech.push(speech);
+                buffer.then(decoded => { speech.seconds = decoded ? decoded.duration : 0; });
+                replyContentType = data.contentType;
+                if (currentAssistantBubble) {
+                    const source = replyAudio.get(currentAssistantBubble);
+                    if (source) {
+                        source.buffers.push(buffer);
+                    } else {
+                        attachReplay(currentAssistantBubble, { buffers: [buffer] });
+                    }
+                }
+                if (chkSaveAudio.checked) {
+                    // MessagePack bytes may be a view into the whole message; store just the chunk
+                    const chunk = data.audioChunk;
+                    replyAudioChunks.push(typeof chunk === 'string' ? chunk : chunk.slice());
+                }
+            }
+
+            if (data.isComplete && chkSaveAudio.checked && replyAudioChunks.length > 0) {
+                updateAssistantMessage({ audio: { chunks: replyAudioChunks, contentType: replyContentType } });
+            }
+        });
+
+        wsClient.on('turnCancelled', (data) => {
+            console.log(data.cancelled ? 'Turn cancelled' : 'Turn had already finished when it was cancelled');
+            const turn = cancelledTurn;
+            if (!turn) return;
+            cancelledTurn = null;
+            if (data.cancelled) {
+                // The server rolled the turn back, so it leaves the chat and the saved conversation too
+                discardTurn([turn.userBubble, turn.assistantBubble], [turn.userMessageId, turn.assistantMessageId]);
+            } else {
+                // Too late: the turn is in the server's history, and stays here as well
+                keepCancelledTurn(turn);
+                announce(t('turn.cancelTooLate'));
+            }
         });
 
         wsClient.on('error', (data) => {
             console.error('Server error:', data.code, data.message);
-            addMessage('assistant', '\u26A0\uFE0F ' + data.message);
+            if (data.code === 'CONNECTION_FAILED') setConnectionState('disconnected');
+            if (restoring) {
+                // The saved history was rejected; keep the bubbles but start a fresh session
+                restoring = false;
+                wsClient.startSession(languageSelect.value).catch(() => {});
+            }
+            const recovery = Recovery[data.code];
+            if (cancelledTurn && data.sessionId && recovery !== 'newSession') {
+                // The cancelled turn failed before the cancel reached the server;
+                // it is rolled back all the same, and 'turnCancelled' has nothing left to settle
+                discardTurn([cancelledTurn.userBubble, cancelledTurn.assistantBubble],
+                    [cancelledTurn.userMessageId, cancelledTurn.assistantMessageId]);
+                cancelledTurn = null;
+                return;
+            }
+            discardInterimBubble();  // the utterance never became a turn
+            setTurnRunning(false);
+
+            const turn = isTurnInFlight() ? lastTurn : null;
+            // Once per turn: if the replacement session is lost as well, report it
+            if (recovery === 'newSession' && !(turn && turn.sessionReplaced)) {
+                console.warn('Session expired on the server, opening a new one');
+                if (turn) turn.sessionReplaced = true;
+                pendingTurn = turn;
+                openSession();
+                return;
+            }
+
+            const bubble = addErrorMessage(errorMessage(data.code));
+            if (recovery === 'retry' && turn) offerRetry(bubble, turn);
             setState(State.ERROR);
-            setTimeout(() => setState(State.IDLE), 3000);
+            setTimeout(() => {
+                if (state === State.ERROR) setState(State.IDLE);
+            }, 3000);
         });
 
         wsClient.on('disconnected', () => {
+            setConnectionState('disconnected');
             setState(State.ERROR);
         });
 
-        wsClient.on('reconnected', () => {
-            wsClient.startSession();
+        wsClient.on('reconnecting', () => {
+            setConnectionState('reconnecting');
+        });
+
+        wsClient.on('reconnected', (data) => {
+            setConnectionState('connected');
+            // With a live session the client resumes it by itself
+            if (!data.resuming) openSession();
+        });
+
+        wsClient.on('sessionResumed', (data) => {
+            console.log('Session resumed:', data.sessionId);
+            if (state === State.ERROR || state === State.CONNECTING) setState(State.IDLE);
+        });
+
+        wsClient.on('sessionLost', () => {
+            // The server forgot our session; rehydrate it from the saved history
+            console.warn('Session lost on the server, restoring from local history');
+            openSession();
         });
 
         // --- Recorder events ---
-        recorder.on('volume', (level) => {
-            // Can add volume indicator here in the future
+        recorder.on('volume', (data) => {
+            if (volumeBar.classList.contains('active')) {
+                volumeLevel.style.width = meterPercent(data.level) + '%';
+            }
+        });
+
+        recorder.on('started', () => {
+            // Device labels become readable once mic access has been granted
+            renderInputDevices();
+            renderOutputDevices();
+        });
+
+        recorder.on('deviceUnavailable', () => {
+            addErrorMessage(t('recorder.deviceUnavailable'));
+        });
+
+        recorder.on('frame', (frame) => {
+            // Stream frames while recording; open the stream lazily on the first frame.
+            // Compressed recordings are uploaded in one piece instead of as raw PCM.
+            if (audioStreamFailed || recorder.compression) return;
+            try {
+                if (!audioStream) audioStream = wsClient.startAudioStream();
+                audioStream.write(frame.audio);
+            } catch (err) {
+                console.warn('Audio streaming unavailable, will upload after recording:', err);
+                audioStream = null;
+                audioStreamFailed = true;
+            }
+        });
+
+        recorder.on('speechStart', () => {
+            if (state === State.PLAYING) {
+                // Barge-in: the user started talking over the assistant
+                interruptAssistant();
+                resetTurn();
+                setState(State.RECORDING);
+            } else if (state === State.LISTENING) {
+                setState(State.RECORDING);
+            }
+        });
+
+        recorder.on('speechEnd', () => {
+            if (state === State.RECORDING) stopRecording();
         });
 
         recorder.on('maxDurationReached', () => {
             stopRecording();
         });
 
+        // Too short or too quiet to be worth a round trip; stopRecording() drops the turn
+        recorder.on('rejected', (data) => {
+            console.log('Recording rejected:', data.reason, data.durationSeconds.toFixed(2) + 's');
+            discardInterimBubble();
+            // Hands-free listening just goes on after a cough or a click
+            if (!data.vad) addErrorMessage(t('recorder.' + data.reason));
+        });
+
         recorder.on('error', (err) => {
             console.error('Recorder error:', err);
+            if (err.type === 'permission_denied') {
+                // Don't keep re-arming a microphone we aren't allowed to open
+                if (handsFree) setHandsFree(false);
+                showMicGuidance();
+            } else {
+                addErrorMessage(I18n.has('recorder.' + err.type) ? t('recorder.' + err.type) : err.message);
+            }
             setState(State.ERROR);
-            setTimeout(() => setState(State.IDLE), 3000);
+            setTimeout(() => {
+                if (state === State.ERROR) setState(State.IDLE);
+            }, 3000);
         });
 
         // --- Player events ---
+        // Barge-in: compare mic input against what we are playing, so the
+        // loudspeaker echo of the assistant's own voice doesn't trigger it
+        recorder.setEchoReference(() => player.getOutputLevel());
+
         player.on('started', () => {
+            updatePauseButton();
+            if (sidePlayback) return;  // a preview or replay is not a reply: no barge-in, state unchanged
             setState(State.PLAYING);
+            if (bargeIn && !recorder.isRecording) {
+                monitoringPlayback = true;
+                recorder.start({ vad: true });
+            }
         });
 
         player.on('ended', () => {
+            updatePauseButton();
+            if (sidePlayback) {
+                endSidePlayback();
+                return;
+            }
+            if (monitoringPlayback && state === State.PLAYING) {
+                monitoringPlayback = false;
+                if (handsFree) {
+                    // Keep the barge-in monitor running as the next turn's listener
+                    resetTurn();
+                    setState(State.LISTENING);
+                    return;
+                }
+                recorder.stop(); // also cancels a start that hasn't finished yet
+            }
             setState(State.IDLE);
         });
 
         player.on('stopped', () => {
             // Stopped by interruption
+            updatePauseButton();
+            endSidePlayback();
+        });
+
+        // Synthesis fell behind playback: audible as a pause between sentences
+        player.on('underrun', (data) => {
+            console.warn('Reply audio underrun, waiting for chunk', data.sequence);
+        });
+        player.on('late', (data) => {
+            console.warn('Reply audio chunk', data.sequence, 'arrived', data.lateSeconds.toFixed(2) + 's late');
+        });
+
+        player.on('paused', updatePauseButton);
+        player.on('resumed', () => {
+            statusEl.textContent = statusText(state);
+            updatePauseButton();
         });
 
         // --- Button events ---
-        // Support both click-to-toggle and press-and-hold
+        // Press-and-hold or press-to-toggle (talkMode), by pointer, touch or keyboard
         let isHolding = false;
 
         btnRecord.addEventListener('mousedown', (e) => { handlePressStart(e); });
@@ -158,13 +1194,135 @@
         btnRecord.addEventListener('touchstart', (e) => { e.preventDefault(); handlePressStart(e); });
         btnRecord.addEventListener('touchend', (e) => { e.preventDefault(); handlePressEnd(); });
 
+        // Space or Enter on the focused mic button, or the talk shortcut anywhere
+        document.addEventListener('keydown', (e) => {
+            if (e.code === 'Escape' && !btnCancel.hidden) {
+                cancelTurn();
+                return;
+            }
+            if (!isTalkKey(e)) return;
+            e.preventDefault();
+            if (!e.repeat) handlePressStart(e);
+        });
+        document.addEventListener('keyup', (e) => {
+            if (!isTalkKey(e)) return;
+            e.preventDefault();
+            handlePressEnd();
+        });
+        // The key release is never seen once the window loses focus
+        window.addEventListener('blur', () => { if (isHolding) handlePressEnd(); });
+
+        btnHandsFree.addEventListener('click', () => { setHandsFree(!handsFree); });
+
+        btnSidebar.addEventListener('click', () => {
+            btnSidebar.setAttribute('aria-expanded', String(sidebar.classList.toggle('open')));
+        });
+        btnSettings.addEventListener('click', () => {
+            btnSettings.setAttribute('aria-expanded', String(settingsPanel.classList.toggle('open')));
+        });
+        voiceSelect.addEventListener('change', () => {
+            if (voiceSelect.value) {
+                localStorage.setItem(VOICE_KEY, voiceSelect.value);
+            } else {
+                localStorage.removeItem(VOICE_KEY);
+            }
+            btnPreviewVoice.disabled = !voiceSelect.value;
+            if (wsClient.sessionId) wsClient.setVoice(voiceSelect.value || null).catch(() => {});
+        });
+        btnPreviewVoice.addEventListener('click', previewVoice);
+        btnPause.addEventListener('click', togglePause);
+        btnCancel.addEventListener('click', cancelTurn);
+        playbackRateInput.addEventListener('input', () => {
+            setPlaybackRate(playbackRateInput.value);
+            localStorage.setItem(PLAYBACK_RATE_KEY, String(player.playbackRate));
+        });
+        volumeInput.addEventListener('input', () => {
+            player.setVolume(volumeInput.value);
+            localStorage.setItem(VOLUME_KEY, String(player.volume));
+        });
+        outputDeviceSelect.addEventListener('change', () => { setOutputDevice(outputDeviceSelect.value); });
+        if (navigator.mediaDevices) {
+            navigator.mediaDevices.addEventListener('devicechange', () => {
+                renderInputDevices();
+                renderOutputDevices();
+            });
+        }
+        inputDeviceSelect.addEventListener('change', () => {
+            if (inputDeviceSelect.value) {
+                localStorage.setItem(INPUT_DEVICE_KEY, inputDeviceSelect.value);
+            } else {
+                localStorage.removeItem(INPUT_DEVICE_KEY);
+            }
+            recorder.setInputDevice(inputDeviceSelect.value);
+            reopenListeningMic();
+        });
+        Object.keys(captureCheckboxes).forEach(name => {
+            captureCheckboxes[name].addEventListener('change', () => {
+                localStorage.setItem(CAPTURE_OPTIONS_KEY, JSON.stringify(applyCaptureOptions()));
+                reopenListeningMic();
+            });
+        });
+        talkModeSelect.addEventListener('change', () => {
+            talkMode = talkModeSelect.value;
+            localStorage.setItem(TALK_MODE_KEY, talkMode);
+            updateRecordButton();
+        });
+        talkKeySelect.addEventListener('change', () => {
+            talkKey = talkKeySelect.value;
+            localStorage.setItem(TALK_KEY_KEY, talkKey);
+            updateRecordButton();
+        });
+        chkCompressUpload.addEventListener('change', () => {
+            localStorage.setItem(COMPRESS_UPLOAD_KEY, String(chkCompressUpload.checked));
+            recorder.setCompression(chkCompressUpload.checked);
+            reopenListeningMic();
+        });
+        btnNewConversation.addEventListener('click', () => { switchConversation(null); });
+        languageSelect.addEventListener('change', () => {
+            localStorage.setItem(LANGUAGE_KEY, languageSelect.value);
+            if (wsClient.sessionId) {
+                // The voice list depends on the language
+                wsClient.setLanguage(languageSelect.value)
+                    .then(() => wsClient.getVoices())
+                    .catch(() => {});
+            }
+        });
+        uiLocaleSelect.addEventListener('change', () => {
+            I18n.setLocale(uiLocaleSelect.value || null);
+        });
+        btnExport.addEventListener('click', exportConversation);
+
+        chkSaveAudio.addEventListener('change', () => {
+            localStorage.setItem(SAVE_AUDIO_KEY, String(chkSaveAudio.checked));
+        });
+
+        textForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            sendText();
+        });
+
+        function isTalkKey(e) {
+            if (e.target === btnRecord) return e.code === 'Space' || e.code === 'Enter' || e.code === talkKey;
+            if (!talkKey || e.code !== talkKey) return false;
+            // Space still types in text fields and presses the focused control
+            return talkKey !== 'Space' ||
+                !e.target.closest('input, textarea, select, button, a[href], [contenteditable]');
+        }
+
         function handlePressStart(e) {
+            if (talkMode === 'toggle' && state === State.RECORDING) {
+                stopRecording();
+                return;
+            }
             if (state === State.PLAYING) {
                 // Interrupt playback
-                player.stop();
+                interruptAssistant();
+            } else if (state !== State.IDLE && state !== State.ERROR && state !== State.LISTENING) {
+                return;
             }
-            if (state !== State.IDLE && state !== State.ERROR && state !== State.PLAYING) return;
-            isHolding = true;
+            // Manual press overrides VAD listening / barge-in monitoring for this turn
+            if (recorder.isRecording) recorder.stop();
+            isHolding = talkMode === 'hold';
             startRecording();
         }
 
@@ -177,25 +1335,343 @@
         }
 
         // Connect
+        setConnectionState('connecting');
         await wsClient.connect();
     }
 
+    // Stop the assistant's reply and tell the server how much of it was heard.
+    // A reply still streaming ends where it is: the server keeps the part it
+    // generated, so the saved conversation keeps the part shown.
+    function interruptAssistant() {
+        monitoringPlayback = false;
+        const heardRatio = heardTextRatio(player.stop());
+        replyInterrupted = true;
+        setTurnRunning(false);  // the server stops the turn where it is
+        wsClient.interruptPlayback(heardRatio).catch(() => {});
+        if (!assistantMessageId && currentAssistantText) {
+            assistantMessageId = persistMessage('assistant', currentAssistantText, { isInterrupted: true, heardRatio });
+        } else {
+            updateAssistantMessage({ isInterrupted: true, heardRatio });
+        }
+    }
+
+    // The share of the reply text the user heard. Each audio chunk speaks the
+    // reply up to its textEnd; the chunk cut off counts by how much of it played.
+    function heardTextRatio(progress) {
+        const textLength = currentAssistantText.length;
+        if (!textLength) return 0;
+
+        let textStart = 0;
+        let remaining = progress.playedSeconds;
+        for (const speech of replySpeech) {
+            if (speech.seconds == null || remaining < speech.seconds) {
+                // Still decoding means not played yet
+                const played = speech.seconds ? remaining / speech.seconds : 0;
+                return Math.min(1, (textStart + (speech.textEnd - textStart) * played) / textLength);
+            }
+            remaining -= speech.seconds;
+            textStart = speech.textEnd;
+        }
+        return Math.min(1, textStart / textLength);
+    }
+
+    // Give up on the turn in flight and go idle right away. The server rolls
+    // its history back and confirms with 'turnCancelled'; only then does the
+    // turn leave the chat and the saved conversation (see there).
+    function cancelTurn() {
+        if (btnCancel.hidden) return;
+        if (monitoringPlayback) {
+            monitoringPlayback = false;
+            recorder.stop();
+        }
+        player.stop();
+        abandonTurn();
+        setState(State.IDLE);
+    }
+
+    // Set the current turn aside and ask the server to cancel it. Until it
+    // answers, the turn's late events are held back in cancelledTurn instead
+    // of reaching the chat; the next turn is only sent after that answer.
+    function abandonTurn() {
+        const turn = {
+            userBubble, userMessageId, userResult: null,
+            assistantBubble: currentAssistantBubble, assistantMessageId,
+            assistantText: currentAssistantText, assistantComplete: !!assistantMessageId,
+            recording: turnRecording, conversationId
+        };
+        [userBubble, currentAssistantBubble].forEach(bubble => {
+            if (bubble) bubble.parentElement.classList.add('cancelling');
+        });
+        cancelledTurn = turn;
+        resetTurn();
+        setTurnRunning(false);
+        return wsClient.cancelTurn().catch(() => {
+            // No answer: leave the turn as it is
+            if (cancelledTurn !== turn) return;
+            cancelledTurn = null;
+            keepCancelledTurn(turn);
+        });
+    }
+
+    // The turn had finished before the cancel reached the server: show and
+    // save what was held back, as if it had arrived normally
+    function keepCancelledTurn(turn) {
+        [turn.userBubble, turn.assistantBubble].forEach(bubble => {
+            if (bubble) bubble.parentElement.classList.remove('cancelling');
+        });
+        if (turn.conversationId !== conversationId) return;  // another conversation is open now
+        const result = turn.userResult;
+        if (result) {
+            addMessage('user', result.text, { language: result.language, confidence: result.confidence });
+            persistUserMessage(result, turn.recording);
+        }
+        if (!turn.assistantText) return;
+        if (turn.assistantBubble) {
+            setBubbleContent(turn.assistantBubble, turn.assistantText, { markdown: true });
+        } else {
+            addMessage('assistant', turn.assistantText, { markdown: true });
+        }
+        if (turn.assistantComplete && !turn.assistantMessageId) {
+            persistMessage('assistant', turn.assistantText);
+        }
+    }
+
+    // Take a turn that didn't happen out of the chat and the saved conversation.
+    // messageIds are promises of stored ids, as persistMessage() returns them.
+    function discardTurn(bubbles, messageIds) {
+        bubbles.forEach(bubble => {
+            if (bubble && bubble.isConnected) bubble.parentElement.remove();
+        });
+        if (!chatHistory.querySelector('.message')) {
+            chatHistory.innerHTML = placeholderHtml;
+            I18n.apply(chatHistory);
+        }
+        if (store) {
+            Promise.all(messageIds)
+                .then(ids => Promise.all(ids.filter(Boolean).map(id => store.deleteMessage(id))))
+                .then(() => renderConversationList())
+                .catch(err => console.warn('Failed to delete discarded messages:', err));
+        }
+    }
+
+    function isTurnInFlight() {
+        return state === State.RECOGNIZING || state === State.THINKING || state === State.PLAYING;
+    }
+
+    // Keep what a turn sends so it can be sent again; an older failed turn
+    // can no longer be retried
+    function rememberTurn(turn) {
+        lastTurn = turn;
+        chatHistory.querySelectorAll('.btn-retry').forEach(button => button.remove());
+    }
+
+    // The server rolls a failed turn out of its history, so it leaves the
+    // saved conversation right away; its bubbles stay, with a "retry" button
+    // under the error. Retrying removes them and sends the same recording or
+    // text again.
+    function offerRetry(errorBubble, turn) {
+        const bubbles = [userBubble, currentAssistantBubble, errorBubble];
+        discardTurn([], [userMessageId, assistantMessageId]);
+
+        const button = document.createElement('button');
+        button.className = 'btn-retry';
+        button.addEventListener('click', () => {
+            if (!wsClient.sessionId) return;
+            if (state !== State.IDLE && state !== State.ERROR && state !== State.LISTENING) return;
+            // Hands-free listening gives way to the retried turn, as does
+            // whatever of the failed reply is still playing
+            if (recorder.isRecording) recorder.stop();
+            monitoringPlayback = false;
+            player.stop();
+            discardTurn(bubbles, []);
+            resendTurn(turn);
+        });
+        updateRetryButton(button);
+        errorBubble.after(button);
+    }
+
+    function updateRetryButton(button) {
+        button.textContent = t('turn.retry');
+        button.title = t('turn.retryHint');
+    }
+
+    // Send a remembered turn again, as if it had just been recorded or typed
+    async function resendTurn(turn) {
+        rememberTurn(turn);
+        resetTurn();
+        replyInterrupted = false;
+        expectAudio = !turn.textOnly;
+        if (expectAudio) player.init();
+
+        setTurnRunning(true);
+
+        try {
+            if (turn.text != null) {
+                setState(State.THINKING);
+                await wsClient.sendText(turn.text, turn.textOnly);
+            } else {
+                turnRecording = turn.wav;
+                setState(State.RECOGNIZING);
+                await wsClient.sendAudio(turn.audio, turn.contentType);
+            }
+        } catch (err) {
+            // The client already emitted an 'error' event for the UI
+        }
+    }
+
+    // Mic access was refused. Browsers don't ask again once the user has
+    // blocked the site, so explain where to allow it.
+    function showMicGuidance() {
+        if (micGuidance && micGuidance.isConnected) micGuidance.parentElement.remove();
+
+        if (!window.isSecureContext) {
+            // Not a permission at all: getUserMedia needs HTTPS
+            micGuidance = addErrorMessage(t('recorder.insecureContext'));
+            return;
+        }
+
+        micGuidance = addErrorMessage(t('recorder.permission_denied'));
+        const steps = document.createElement('ol');
+        steps.className = 'guidance';
+        ['siteSettings', 'allow', 'system', 'tryAgain'].forEach(step => {
+            const item = document.createElement('li');
+            item.textContent = t('recorder.permissionStep.' + step);
+            steps.appendChild(item);
+        });
+        micGuidance.appendChild(steps);
+        watchMicPermission();
+    }
+
+    // Tell the user as soon as the mic is allowed in the site settings
+    async function watchMicPermission() {
+        if (watchingMicPermission || !navigator.permissions) return;
+        watchingMicPermission = true;
+        try {
+            const permission = await navigator.permissions.query({ name: 'microphone' });
+            permission.addEventListener('change', () => {
+                if (permission.state !== 'granted' || !micGuidance) return;
+                micGuidance.classList.remove('error');
+                micGuidance.textContent = t('recorder.permissionGranted');
+                announce(t('recorder.permissionGranted'));
+                micGuidance = null;
+            });
+        } catch (err) {
+            // Some browsers can't query the microphone permission; the guidance stays
+            console.warn('Cannot watch the microphone permission:', err);
+        }
+    }
+
+    function resetTurn() {
+        if (sidePlayback) player.stop();  // a new turn cuts off a preview or replay
+        currentAssistantText = '';
+        currentAssistantBubble = null;
+        userBubble = null;
+        userMessageId = null;
+        discardInterimBubble();
+        assistantMessageId = null;
+        replyAudioChunks = [];
+        replyContentType = null;
+        replySpeech = [];
+        turnRecording = null;
+        audioStream = null;
+        audioStreamFailed = false;
+    }
+
     async function startRecording() {
         player.init(); // ensure AudioContext is created on user gesture
         setState(State.RECORDING);
-        currentAssistantText = '';
-        currentAssistantBubble = null;
+        resetTurn();
         await recorder.start();
     }
 
+    // Hands-free: open the mic and let VAD decide when the turn starts and ends
+    async function startListening() {
+        if (!wsClient.sessionId) return;
+        player.init();
+        setState(State.LISTENING);
+        resetTurn();
+        await recorder.start({ vad: true });
+    }
+
+    async function sendText() {
+        const text = textInput.value.trim();
+        if (!text || !wsClient.sessionId) return;
+
+        if (state === State.PLAYING) {
+            interruptAssistant();
+        } else if (state !== State.IDLE && state !== State.ERROR && state !== State.LISTENING) {
+            return;
+        }
+        // Typing replaces this turn's voice input
+        if (recorder.isRecording) recorder.stop();
+        monitoringPlayback = false;
+
+        textInput.value = '';
+        resetTurn();
+        replyInterrupted = false;
+        expectAudio = !chkTextOnly.checked;
+        rememberTurn({ text, textOnly: !expectAudio });
+        if (expectAudio) player.init(); // ensure AudioContext is created on user gesture
+        setTurnRunning(true);
+        setState(State.THINKING);
+
+        try {
+            await wsClient.sendText(text, !expectAudio);
+        } catch (err) {
+            // The client already emitted an 'error' event for the UI
+            textInput.value = text;
+        }
+    }
+
     async function stopRecording() {
-        const audioBase64 = recorder.stop();
-        if (!audioBase64) {
+        const wav = recorder.stop();  // flushes the final frame into audioStream
+        const compressed = recorder.compressedAudio;
+        const stream = audioStream;
+        audioStream = null;
+
+        if (!wav) {
+            // A rejected recording may already have been streamed: cancel that
+            // turn before ending the stream, so it is never recognized
+            if (stream) {
+                abandonTurn()
+                    .then(() => stream.complete())
+                    .catch(() => {});
+            }
             setState(State.IDLE);
             return;
         }
         setState(State.RECOGNIZING);
-        await wsClient.sendAudio(audioBase64);
+        replyInterrupted = false;
+        expectAudio = true;
+        turnRecording = wav;
+        const turn = { wav, audio: wav, contentType: 'audio/wav' };
+        rememberTurn(turn);
+
+        if (stream) {
+            setTurnRunning(true);
+            try {
+                await stream.complete();
+                return;
+            } catch (err) {
+                // Once the server may have taken the audio, sending it again could
+                // answer it twice: the client reported the error, and "retry" resends it
+                if (err.accepted || turnRecording !== wav) return;
+                console.warn('Audio stream failed, falling back to single-shot upload:', err);
+            }
+        }
+
+        if (compressed) {
+            try {
+                // A retry sends the compressed recording again
+                Object.assign(turn, await compressed);
+            } catch (err) {
+                console.warn('Opus encoding failed, uploading WAV instead:', err);
+            }
+            if (turnRecording !== wav) return;  // the conversation was left while encoding
+        }
+        // Only a turn on its way to the server can be cancelled
+        setTurnRunning(true);
+        await wsClient.sendAudio(turn.audio, turn.contentType);
     }
 
     // Start the app
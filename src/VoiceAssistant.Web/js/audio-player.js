@@ -1,15 +1,42 @@
 /**
  * AudioPlayer - Browser audio playback module for TTS responses.
  *
- * Plays base64-encoded audio chunks (MP3 or WAV) received from the server.
- * Supports streaming (queued chunks) and single-shot playback, with
+ * Plays audio chunks (MP3 or WAV) received from the server, given as raw
+ * bytes (MessagePack hub protocol) or base64 strings (JSON hub protocol).
+ * Supports streaming (queued chunks, e.g. one per synthesized sentence) and
+ * single-shot playback, with
  * immediate interruption so the user can start a new recording at any time.
+ * Playback can be paused and resumed, sped up or slowed down (0.75x-2x),
+ * its volume changed and, where the browser supports
+ * AudioContext.setSinkId(), routed to a chosen output device.
+ *
+ * Streamed chunks are scheduled back to back on the AudioContext clock
+ * rather than started from the previous chunk's 'ended' callback, so there
+ * is no gap between them.  Chunks are played in sequence-number order
+ * whatever order they finish decoding in; playback (re)starts once a small
+ * jitter buffer of audio is ready, and every boundary gets a short
+ * crossfade so joins don't click.
  *
  * Events emitted via on()/off():
- *   'started'  - playback has begun
- *   'ended'    - playback finished naturally (queue drained)
+ *   'started'  - playback has begun (once per stream, not after an underrun)
+ *   'ended'    - playback finished naturally (queue drained after the
+ *                final chunk)
  *   'stopped'  - playback was interrupted by stop()
+ *                (data: { playedSeconds, totalSeconds })
+ *   'paused'   - playback was paused by pause()
+ *   'resumed'  - playback continued after resume()
+ *   'underrun' - the queued audio ran out before the stream was complete
+ *                (data: { sequence } - the chunk being waited for)
+ *   'late'     - the chunk that ends an underrun became ready
+ *                (data: { sequence, lateSeconds } - how long output was silent)
  *   'error'    - a decode or playback error occurred (data: Error)
+ *
+ * All sources play through a GainNode (volume) and then an AnalyserNode so
+ * callers can read the current output level (e.g. as an echo reference for
+ * barge-in detection).
+ *
+ * Decoded AudioBuffers are returned by addChunk()/decode() so callers can
+ * keep them and play a reply again later with playBuffers().
  */
 class AudioPlayer {
     constructor() {
@@ -19,27 +46,67 @@ class AudioPlayer {
         /** Whether audio is currently being output. */
         this.isPlaying = false;
 
-        /** The AudioBufferSourceNode that is currently playing. */
-        this.currentSource = null;
+        /** Whether playback is paused (the AudioContext is suspended). */
+        this.isPaused = false;
+
+        /** Playback speed applied to every source (1 = normal). */
+        this.playbackRate = 1;
+
+        /** Output volume (0-1). */
+        this.volume = 1;
 
         /** Registered event callbacks keyed by event name. */
         this._callbacks = {};
 
-        /** Queue of decoded AudioBuffer objects waiting to be played. */
-        this._audioQueue = [];
+        /** Decoded chunks waiting for an earlier sequence number: seq -> {buffer, isComplete}. */
+        this._pending = new Map();
+
+        /** Next sequence number to hand to the scheduler. */
+        this._nextSequence = 0;
 
-        /** True while we are actively decoding / playing through the queue. */
-        this._isProcessing = false;
+        /** Sequence number given to chunks added without one. */
+        this._nextAutoSequence = 0;
 
-        /** Set to true once the final chunk has been enqueued. */
+        /** In-order chunks not yet scheduled ({buffer, offset}); held back by the jitter buffer. */
+        this._ready = [];
+
+        /** Sources scheduled on the AudioContext clock that have not ended yet, in play order. */
+        this._scheduled = [];
+
+        /** AudioContext time at which the last scheduled source ends. */
+        this._nextStartTime = 0;
+
+        /** Set once the final chunk of the stream has been handed to the scheduler. */
         this._streamComplete = false;
+
+        /** AudioContext time at which the queued audio ran out, or null. */
+        this._underrunAt = null;
+
+        /** Bumped by stop() so chunks still decoding for an old stream are dropped. */
+        this._streamId = 0;
+
+        /** Analyser all sources connect through; used for output level metering. */
+        this._analyser = null;
+
+        /** Volume stage between the sources and the analyser. */
+        this._gain = null;
+
+        /** Output device id to apply once the AudioContext exists ('' = default). */
+        this._sinkId = '';
+
+        /** Seconds of audio fully played in the current response. */
+        this._playedSeconds = 0;
+
+        /** Seconds of audio received (decoded) for the current response. */
+        this._totalSeconds = 0;
     }
 
     // ------------------------------------------------------------------ events
 
     /**
      * Register a callback for an event.
-     * @param {string} event  One of 'started', 'ended', 'stopped', 'error'.
+     * @param {string} event  One of 'started', 'ended', 'stopped', 'paused',
+     *     'resumed', 'underrun', 'late', 'error'.
      * @param {Function} callback
      */
     on(event, callback) {
@@ -94,110 +161,238 @@ class AudioPlayer {
                 return;
             }
             this.audioContext = new AudioContextClass();
+
+            this._gain = this.audioContext.createGain();
+            this._gain.gain.value = this.volume;
+
+            this._analyser = this.audioContext.createAnalyser();
+            this._analyser.fftSize = 1024;
+            this._gain.connect(this._analyser);
+            this._analyser.connect(this.audioContext.destination);
+
+            if (this._sinkId) {
+                this._applySinkId();
+            }
         }
 
-        // If the context was suspended (e.g. backgrounded tab), resume it.
-        if (this.audioContext.state === 'suspended') {
+        // If the context was suspended (e.g. backgrounded tab), resume it,
+        // unless the user paused playback on purpose.
+        if (this.audioContext.state === 'suspended' && !this.isPaused) {
             this.audioContext.resume();
         }
     }
 
+    // ------------------------------------------------------- playback settings
+
+    /**
+     * Set the playback speed of current and future audio. Like a tape, a
+     * faster speed also raises the pitch.
+     * @param {number} rate  Clamped to 0.75-2.
+     */
+    setPlaybackRate(rate) {
+        var clamped = Math.min(AudioPlayer.MAX_PLAYBACK_RATE,
+            Math.max(AudioPlayer.MIN_PLAYBACK_RATE, Number(rate) || 1));
+
+        if (clamped === this.playbackRate) return;
+
+        this.playbackRate = clamped;
+        // Sources already on the clock were timed for the old speed.
+        if (this._scheduled.length > 0) {
+            this._reschedule();
+        }
+    }
+
+    /**
+     * Set the output volume.
+     * @param {number} volume  Clamped to 0-1.
+     */
+    setVolume(volume) {
+        this.volume = Math.min(1, Math.max(0, Number(volume)));
+        if (this._gain) {
+            this._gain.gain.value = this.volume;
+        }
+    }
+
+    /**
+     * Whether the browser can route Web Audio output to a chosen device.
+     * @returns {boolean}
+     */
+    static canSelectOutputDevice() {
+        var AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        return !!AudioContextClass && typeof AudioContextClass.prototype.setSinkId === 'function';
+    }
+
+    /**
+     * Route playback to an audio output device.
+     * @param {string} deviceId  A deviceId from enumerateDevices() ('' = system default).
+     * @returns {Promise<void>}
+     */
+    async setOutputDevice(deviceId) {
+        if (!AudioPlayer.canSelectOutputDevice()) {
+            throw new Error('Selecting an audio output device is not supported in this browser');
+        }
+        this._sinkId = deviceId || '';
+        if (this.audioContext) {
+            await this._applySinkId();
+        }
+    }
+
+    /** @private */
+    async _applySinkId() {
+        try {
+            await this.audioContext.setSinkId(this._sinkId);
+        } catch (err) {
+            console.warn('[AudioPlayer] Failed to set output device, using the default:', err);
+            this._sinkId = '';
+            throw err;
+        }
+    }
+
+    // --------------------------------------------------------- pause / resume
+
+    /**
+     * Pause playback, keeping the queue and position. Chunks that arrive
+     * meanwhile are queued and play after resume().
+     */
+    pause() {
+        if (!this.isPlaying || this.isPaused) return;
+
+        this.isPaused = true;
+        this.audioContext.suspend();
+        this._emit('paused');
+    }
+
+    /** Continue playback paused by pause(). */
+    resume() {
+        if (!this.isPaused) return;
+
+        this.isPaused = false;
+        this.audioContext.resume();
+        this._emit('resumed');
+    }
+
     // --------------------------------------------------- streaming (chunked) API
 
     /**
-     * Add a base64-encoded audio chunk to the play queue.
+     * Add an audio chunk to the play queue.
      *
-     * The chunk is decoded asynchronously; once ready it is appended to an
-     * internal queue.  If nothing is currently playing, playback starts
-     * automatically.
+     * Chunks are decoded as soon as they arrive and played in sequence order,
+     * so a short sentence that decodes quickly cannot overtake the one before
+     * it.  If nothing is playing yet, playback starts once the jitter buffer
+     * is filled (or the stream is complete).
      *
-     * @param {string}  audioBase64   Base64-encoded audio data (MP3 or WAV).
+     * @param {Uint8Array|string|null} audio  Audio data (MP3 or WAV) as bytes
+     *     or base64, or null for an end-of-stream marker that carries no audio.
      * @param {string}  contentType   MIME type, e.g. "audio/mp3" or "audio/wav".
      * @param {boolean} isComplete    If true, this is the last chunk in the stream.
+     * @param {number}  [sequence]    Position of the chunk in the stream, from 0.
+     *     Defaults to the order in which addChunk() is called.
+     * @returns {Promise<AudioBuffer|null>} The decoded chunk, or null if it
+     *     carried no audio or could not be decoded.
      */
-    async addChunk(audioBase64, contentType, isComplete) {
+    addChunk(audio, contentType, isComplete, sequence) {
         this.init();
 
-        if (isComplete) {
-            this._streamComplete = true;
+        if (typeof sequence !== 'number') {
+            sequence = this._nextAutoSequence;
+        }
+        if (sequence < this._nextSequence || this._pending.has(sequence)) {
+            console.warn('[AudioPlayer] Ignoring duplicate audio chunk', sequence);
+            return Promise.resolve(null);
         }
+        this._nextAutoSequence = Math.max(this._nextAutoSequence, sequence + 1);
 
-        try {
-            var arrayBuffer = this._base64ToArrayBuffer(audioBase64);
-            var audioBuffer = await this._decodeAudioData(arrayBuffer);
+        var self = this;
+        var streamId = this._streamId;
+        var decoding = audio ? this.decode(audio) : Promise.resolve(null);
 
-            if (!audioBuffer) {
-                // Decoding failed (warning already logged inside helper).
-                // If this was the last chunk and nothing is playing, signal end.
-                if (this._streamComplete && this._audioQueue.length === 0 && !this._isProcessing) {
-                    this.isPlaying = false;
-                    this._emit('ended');
-                }
-                return;
+        return decoding.catch(function (err) {
+            console.warn('[AudioPlayer] Failed to process audio chunk:', err);
+            self._emit('error', err);
+            return null;
+        }).then(function (audioBuffer) {
+            if (streamId !== self._streamId) {
+                return null;  // stop() was called while this chunk was decoding
             }
-
-            this._audioQueue.push(audioBuffer);
-
-            // Kick off playback if we are not already processing the queue.
-            if (!this._isProcessing) {
-                this._isProcessing = true;
-                this._emit('started');
-                this._playNext();
+            if (audioBuffer) {
+                self._totalSeconds += audioBuffer.duration;
             }
-        } catch (err) {
-            console.warn('[AudioPlayer] Failed to process audio chunk:', err);
-            this._emit('error', err);
-        }
+            // A chunk that failed to decode still takes its slot, so later ones aren't held up
+            self._pending.set(sequence, { buffer: audioBuffer, isComplete: !!isComplete });
+            self._drain();
+            return audioBuffer;
+        });
     }
 
     // ------------------------------------------------ single-shot playback API
 
     /**
-     * Play a complete base64-encoded audio clip (non-streaming).
+     * Play a complete audio clip (non-streaming).
      *
      * Any currently playing audio is stopped first.
      *
-     * @param {string} audioBase64  Base64-encoded audio data.
+     * @param {Uint8Array|string} audio  Audio data as bytes or base64.
      * @param {string} contentType  MIME type, e.g. "audio/mp3" or "audio/wav".
+     * @returns {Promise<AudioBuffer|null>} The decoded clip, or null if it
+     *     could not be decoded.
      */
-    async play(audioBase64, contentType) {
+    async play(audio, contentType) {
         this.init();
 
         // Stop whatever is currently playing / queued.
         this.stop();
 
         try {
-            var arrayBuffer = this._base64ToArrayBuffer(audioBase64);
-            var audioBuffer = await this._decodeAudioData(arrayBuffer);
+            var audioBuffer = await this.decode(audio);
 
             if (!audioBuffer) {
-                return;
+                return null;
             }
 
-            var source = this.audioContext.createBufferSource();
-            source.buffer = audioBuffer;
-            source.connect(this.audioContext.destination);
-
-            this.currentSource = source;
-            this.isPlaying = true;
-            this._emit('started');
-
-            var self = this;
-            source.onended = function () {
-                // Only emit 'ended' if we were not already stopped externally.
-                if (self.currentSource === source) {
-                    self.currentSource = null;
-                    self.isPlaying = false;
-                    self._emit('ended');
-                }
-            };
-
-            source.start(0);
+            this.playBuffers([audioBuffer]);
+            return audioBuffer;
         } catch (err) {
             console.error('[AudioPlayer] Playback error:', err);
             this.isPlaying = false;
             this._emit('error', err);
+            return null;
+        }
+    }
+
+    /**
+     * Play already decoded audio again (e.g. replaying an earlier reply)
+     * without going back to the server. Any current playback is stopped.
+     *
+     * @param {AudioBuffer[]} buffers  Buffers to play back to back.
+     */
+    playBuffers(buffers) {
+        this.init();
+        this.stop();
+
+        if (!buffers || buffers.length === 0) {
+            return;
         }
+
+        this._ready = buffers.map(function (buffer) {
+            return { buffer: buffer, offset: 0 };
+        });
+        this._totalSeconds = buffers.reduce(function (sum, buffer) {
+            return sum + buffer.duration;
+        }, 0);
+        this._streamComplete = true;
+        this._pump();
+    }
+
+    /**
+     * Decode a clip without playing it.
+     *
+     * @param {Uint8Array|string} audio  Audio data as bytes or base64.
+     * @returns {Promise<AudioBuffer|null>} null if decoding fails.
+     */
+    async decode(audio) {
+        this.init();
+        var arrayBuffer = this._toArrayBuffer(audio);
+        return this._decodeAudioData(arrayBuffer);
     }
 
     // ----------------------------------------------------------- stop / interrupt
@@ -207,74 +402,269 @@ class AudioPlayer {
      *
      * This is the method to call when the user starts a new recording and
      * the current TTS response must be silenced right away.
+     *
+     * @returns {{playedSeconds: number, totalSeconds: number}} How much of the
+     *     current response had been played when it was stopped.
      */
     stop() {
         var wasPlaying = this.isPlaying;
+        var progress = this.getProgress();
 
-        // Stop the currently playing source node.
-        if (this.currentSource) {
-            try {
-                this.currentSource.onended = null; // prevent the 'ended' cascade
-                this.currentSource.stop();
-            } catch (_ignored) {
-                // source.stop() throws if the node has already been stopped.
-            }
-            this.currentSource = null;
-        }
+        this._stopSources();
+
+        // Drop everything queued or still decoding for this stream.
+        this._pending.clear();
+        this._ready = [];
+        this._nextSequence = 0;
+        this._nextAutoSequence = 0;
+        this._streamId++;
 
-        // Drain the queue.
-        this._audioQueue.length = 0;
+        // A paused context must run again for the next playback.
+        if (this.isPaused) {
+            this.isPaused = false;
+            this.audioContext.resume();
+        }
 
         // Reset state.
         this.isPlaying = false;
-        this._isProcessing = false;
         this._streamComplete = false;
+        this._underrunAt = null;
+        this._resetProgress();
 
         if (wasPlaying) {
-            this._emit('stopped');
+            this._emit('stopped', progress);
         }
+        return progress;
     }
 
-    // ---------------------------------------------------- internal queue player
+    // ------------------------------------------------------ level and progress
 
     /**
-     * Play the next AudioBuffer in the queue.
-     *
-     * When the buffer finishes, this method calls itself recursively to
-     * continue through the queue until it is empty.
+     * Current output level as an RMS value (0-1), or 0 when nothing plays.
+     * @returns {number}
      */
-    async _playNext() {
-        if (this._audioQueue.length === 0) {
-            // If the stream is complete (no more chunks coming), we are done.
-            // Otherwise, keep _isProcessing true and wait for the next addChunk.
+    getOutputLevel() {
+        if (!this._analyser || !this.isPlaying || this.isPaused) {
+            return 0;
+        }
+
+        var samples = new Float32Array(this._analyser.fftSize);
+        this._analyser.getFloatTimeDomainData(samples);
+
+        var sum = 0;
+        for (var i = 0; i < samples.length; i++) {
+            sum += samples[i] * samples[i];
+        }
+        return Math.sqrt(sum / samples.length);
+    }
+
+    /**
+     * How much of the current response has been played so far.
+     * @returns {{playedSeconds: number, totalSeconds: number}}
+     */
+    getProgress() {
+        var played = this._playedSeconds;
+        if (this.audioContext) {
+            var now = this.audioContext.currentTime;
+            this._scheduled.forEach(function (entry) {
+                var elapsed = Math.max(0, (now - entry.startAt) * entry.rate);
+                played += Math.min(entry.offset + elapsed, entry.buffer.duration);
+            });
+        }
+        return { playedSeconds: played, totalSeconds: this._totalSeconds };
+    }
+
+    _resetProgress() {
+        this._playedSeconds = 0;
+        this._totalSeconds = 0;
+    }
+
+    // ------------------------------------------------ internal clock scheduler
+
+    /**
+     * Move decoded chunks to the ready list in sequence order, stopping at
+     * the first gap, then schedule what can be scheduled.
+     */
+    _drain() {
+        while (this._pending.has(this._nextSequence)) {
+            var chunk = this._pending.get(this._nextSequence);
+            this._pending.delete(this._nextSequence);
+
+            if (chunk.buffer) {
+                if (this._underrunAt !== null) {
+                    this._emit('late', {
+                        sequence: this._nextSequence,
+                        lateSeconds: this.audioContext.currentTime - this._underrunAt
+                    });
+                    this._underrunAt = null;
+                }
+                this._ready.push({ buffer: chunk.buffer, offset: 0 });
+            }
+            if (chunk.isComplete) {
+                this._streamComplete = true;
+            }
+            this._nextSequence++;
+        }
+        this._pump();
+    }
+
+    /**
+     * Schedule every ready chunk. While nothing is on the clock (stream
+     * start or after an underrun) wait until the jitter buffer is filled,
+     * unless the stream is complete or force is set.
+     * @param {boolean} [force]
+     */
+    _pump(force) {
+        var idle = this._scheduled.length === 0;
+
+        if (idle && this._ready.length === 0) {
             if (this._streamComplete) {
-                this._isProcessing = false;
-                this.isPlaying = false;
-                this._emit('ended');
-            } else {
-                // Temporarily idle; addChunk will re-trigger _playNext.
-                this._isProcessing = false;
+                this._finish();
             }
             return;
         }
+        if (idle && !force && !this._streamComplete &&
+            this._readySeconds() < AudioPlayer.JITTER_BUFFER_SECONDS) {
+            return;
+        }
 
-        var buffer = this._audioQueue.shift();
-        var source = this.audioContext.createBufferSource();
-        source.buffer = buffer;
-        source.connect(this.audioContext.destination);
+        if (!this.isPlaying) {
+            this.isPlaying = true;
+            this._emit('started');
+        }
+        while (this._ready.length > 0) {
+            this._schedule(this._ready.shift());
+        }
+    }
+
+    /** Seconds of audio in the ready list. */
+    _readySeconds() {
+        return this._ready.reduce(function (sum, item) {
+            return sum + item.buffer.duration - item.offset;
+        }, 0);
+    }
 
-        this.currentSource = source;
-        this.isPlaying = true;
+    /**
+     * Start a buffer on the AudioContext clock right where the previous one
+     * ends, overlapping by a short crossfade.
+     * @param {{buffer: AudioBuffer, offset: number}} item  offset = seconds
+     *     of the buffer already played (when rescheduling).
+     */
+    _schedule(item) {
+        var ctx = this.audioContext;
+        var now = ctx.currentTime;
+        var rate = this.playbackRate;
+        var length = (item.buffer.duration - item.offset) / rate;
+        var fade = Math.min(AudioPlayer.CROSSFADE_SECONDS, length / 2);
+
+        var startAt = this._scheduled.length > 0
+            ? this._nextStartTime - fade
+            : now + AudioPlayer.SCHEDULE_LEAD_SECONDS;
+        // Ready too late to join seamlessly: start as soon as possible.
+        startAt = Math.max(startAt, now);
+        var endAt = startAt + length;
+
+        var source = ctx.createBufferSource();
+        source.buffer = item.buffer;
+        source.playbackRate.value = rate;
+
+        // Fade each source in and out; where sources overlap this is the crossfade.
+        var envelope = ctx.createGain();
+        envelope.gain.setValueAtTime(0, startAt);
+        envelope.gain.linearRampToValueAtTime(1, startAt + fade);
+        envelope.gain.setValueAtTime(1, endAt - fade);
+        envelope.gain.linearRampToValueAtTime(0, endAt);
+        source.connect(envelope);
+        envelope.connect(this._gain);
+
+        var entry = {
+            source: source,
+            envelope: envelope,
+            buffer: item.buffer,
+            offset: item.offset,
+            startAt: startAt,
+            rate: rate
+        };
+        this._scheduled.push(entry);
+        this._nextStartTime = endAt;
 
         var self = this;
         source.onended = function () {
-            if (self.currentSource === source) {
-                self.currentSource = null;
-                self._playNext();
-            }
+            self._onSourceEnded(entry);
         };
+        source.start(startAt, item.offset);
+    }
+
+    /** @param {Object} entry  The _scheduled entry whose source ended. */
+    _onSourceEnded(entry) {
+        var index = this._scheduled.indexOf(entry);
+        if (index === -1) {
+            return;  // stopped or rescheduled
+        }
+        this._scheduled.splice(index, 1);
+        entry.envelope.disconnect();
+        this._playedSeconds += entry.buffer.duration;
+
+        if (this._scheduled.length > 0) {
+            return;
+        }
+        if (this._streamComplete) {
+            this._finish();
+            return;
+        }
+
+        // Nothing left on the clock but more chunks are coming.
+        this._underrunAt = this.audioContext.currentTime;
+        this._emit('underrun', { sequence: this._nextSequence });
+        this._pump();
+    }
+
+    /**
+     * Re-time everything on the clock from the current position, e.g. after
+     * the playback rate changed.
+     */
+    _reschedule() {
+        var now = this.audioContext.currentTime;
+        var self = this;
+        var remaining = [];
+
+        this._scheduled.forEach(function (entry) {
+            var offset = entry.offset + Math.max(0, (now - entry.startAt) * entry.rate);
+            if (offset < entry.buffer.duration) {
+                remaining.push({ buffer: entry.buffer, offset: offset });
+            } else {
+                self._playedSeconds += entry.buffer.duration;
+            }
+        });
 
-        source.start(0);
+        this._stopSources();
+        this._ready = remaining.concat(this._ready);
+        this._pump(true);
+    }
+
+    /** Stop and forget every source on the clock without firing their 'ended'. */
+    _stopSources() {
+        this._scheduled.forEach(function (entry) {
+            entry.source.onended = null;
+            try {
+                entry.source.stop();
+            } catch (_ignored) {
+                // source.stop() throws if the node has already been stopped.
+            }
+            entry.envelope.disconnect();
+        });
+        this._scheduled = [];
+    }
+
+    /** End the current stream after its last chunk has played. */
+    _finish() {
+        this._streamComplete = false;
+        this._underrunAt = null;
+        this._nextSequence = 0;
+        this._nextAutoSequence = 0;
+        this.isPlaying = false;
+        this._resetProgress();
+        this._emit('ended');
     }
 
     // --------------------------------------------------------- helper utilities
@@ -298,13 +688,19 @@ class AudioPlayer {
     }
 
     /**
-     * Convert a base64 string to an ArrayBuffer.
+     * Copy audio data into an ArrayBuffer of its own: decodeAudioData()
+     * detaches the buffer it is given, and the caller may keep the bytes
+     * (e.g. to save them with the conversation).
      *
-     * @param {string} base64
+     * @param {Uint8Array|string} audio  Bytes, or base64 from the JSON protocol.
      * @returns {ArrayBuffer}
      */
-    _base64ToArrayBuffer(base64) {
-        var binaryString = atob(base64);
+    _toArrayBuffer(audio) {
+        if (typeof audio !== 'string') {
+            return audio.slice().buffer;
+        }
+
+        var binaryString = atob(audio);
         var length = binaryString.length;
         var bytes = new Uint8Array(length);
         for (var i = 0; i < length; i++) {
@@ -330,11 +726,26 @@ class AudioPlayer {
                 // close() can throw if the context is already closed.
             }
             this.audioContext = null;
+            this._analyser = null;
+            this._gain = null;
         }
 
         this._callbacks = {};
     }
 }
 
+/** Playback speed range. */
+AudioPlayer.MIN_PLAYBACK_RATE = 0.75;
+AudioPlayer.MAX_PLAYBACK_RATE = 2;
+
+/** Seconds of audio that must be ready before playback starts or resumes after an underrun. */
+AudioPlayer.JITTER_BUFFER_SECONDS = 0.2;
+
+/** How far ahead of the clock the first chunk is scheduled, so it starts cleanly. */
+AudioPlayer.SCHEDULE_LEAD_SECONDS = 0.05;
+
+/** Length of the fade at every chunk boundary. */
+AudioPlayer.CROSSFADE_SECONDS = 0.01;
+
 // Export as a global so other plain-JS modules can use it.
 window.AudioPlayer = AudioPlayer;
@@ -2,25 +2,166 @@
  * AudioRecorder - Browser audio recording module using Web Audio API.
  * Captures microphone audio in PCM 16kHz 16-bit mono format (WAV).
  * Designed for Azure Speech Service integration via WebSocket.
+ *
+ * Capture runs in an AudioWorklet (pcm-capture-worklet.js) at the device's
+ * native sample rate and is downsampled to 16 kHz there, so the WAV header
+ * and streamed frames always match the actual samples regardless of which
+ * rates the browser honours.
+ *
+ * The input device and the browser's capture processing (echo
+ * cancellation, noise suppression, automatic gain control) are
+ * configurable and apply from the next start().
+ *
+ * The WAV returned by stop() is trimmed of leading and trailing silence and
+ * normalized in gain; recordings that are too quiet or too short are
+ * rejected instead (see `quality`). Streamed frames and the compressed copy
+ * are produced while recording, so they are trimmed as they go: leading
+ * silence is dropped live, silence after the last voiced block is held
+ * back until speech resumes and cut at stop(). Their gain is left as
+ * captured, since the peak is only known at the end. Capture stops at
+ * `maxDuration`, which the app takes from the server so both enforce the
+ * same limit.
+ *
+ * With setCompression(true) the same samples are also encoded to Ogg Opus
+ * (ogg-opus-encoder.js, WebCodecs) while recording; after stop() the result
+ * is available from `compressedAudio`. The WAV returned by stop() is always
+ * produced as the fallback.
+ *
+ * All audio is handed out as Uint8Array bytes; WebSocketClient sends them
+ * as binary or base64 depending on the negotiated hub protocol.
  */
 class AudioRecorder {
     constructor() {
         this.mediaStream = null;
         this.audioContext = null;
         this.sourceNode = null;
-        this.processor = null;
+        this.workletNode = null;
         this.isRecording = false;
         this.audioChunks = [];
         this.startTime = null;
+        /** Output sample rate of the captured PCM (what Azure Speech expects). */
+        this.sampleRate = 16000;
+        /** URL of the AudioWorklet module, relative to the page. */
+        this.workletUrl = 'js/pcm-capture-worklet.js';
+        this._recordedSamples = 0;
+        this._starting = false;
+        this._cancelStart = false;
+
+        /** deviceId of the microphone to open ('' = system default). */
+        this.deviceId = '';
+
+        /** Browser capture processing requested from getUserMedia. */
+        this.captureOptions = {
+            echoCancellation: true,
+            noiseSuppression: true,
+            autoGainControl: true
+        };
+
+        /**
+         * Energy-based voice activity detection, used by start({ vad: true }).
+         * Levels are block RMS values (0-1); times are in milliseconds.
+         *   startThreshold - level that counts as speech for onset
+         *   stopThreshold  - level below which audio counts as silence
+         *   minSpeechMs    - sustained speech needed before a turn starts
+         *   hangoverMs     - trailing silence that ends the turn
+         *   preRollMs      - audio kept from before onset so words aren't clipped
+         *   echoMargin     - while an echo reference is active, the mic level
+         *                    must exceed the estimated echo by this factor
+         *   echoMinSpeechMs - minSpeechMs used while the reference is active
+         */
+        this.vad = {
+            startThreshold: 0.02,
+            stopThreshold: 0.012,
+            minSpeechMs: 120,
+            hangoverMs: 900,
+            preRollMs: 300,
+            echoMargin: 2.5,
+            echoMinSpeechMs: 250
+        };
+        this._vadEnabled = false;
+        this._speechActive = false;
+        this._speechMs = 0;
+        this._silenceMs = 0;
+        this._preRoll = [];
+        this._preRollSamples = 0;
+
+        /** Returns the level (0-1) of audio we are playing, for echo rejection. */
+        this._echoReference = null;
+        /**
+         * Estimated mic level per unit of reference level (speaker → mic
+         * coupling). Starts from a conservative prior and adapts while playing;
+         * kept across recordings since it depends on the device, not the turn.
+         */
+        this._echoCoupling = 0.5;
+        /**
+         * Longest recording in seconds; capture stops there. The app sets it
+         * from the server's limit (SessionStarted.maxAudioSeconds).
+         */
         this.maxDuration = 60;
+
+        /**
+         * Checks and clean-up stop() applies to a recording. Levels are RMS
+         * values (0-1) of 20 ms blocks.
+         *   silenceThreshold - blocks below this level count as silence when trimming
+         *   paddingMs        - silence kept before the first and after the last voiced block
+         *   minLevel         - a recording whose loudest block stays below this is
+         *                      rejected as 'too_quiet' (keep it >= silenceThreshold)
+         *   minSpeechMs      - a shorter span from first to last voiced block is
+         *                      rejected as 'too_short'
+         *   targetPeak       - peak the trimmed audio is amplified to
+         *   maxGain          - upper bound on that amplification, so noise isn't blown up
+         */
+        this.quality = {
+            silenceThreshold: 0.01,
+            paddingMs: 200,
+            minLevel: 0.02,
+            minSpeechMs: 250,
+            targetPeak: 0.9,
+            maxGain: 8
+        };
+        /** Samples per streamed frame: 1600 samples = 100 ms at 16 kHz. */
+        this.frameSize = 1600;
+        this._frameBuffer = null;
+        this._frameOffset = 0;
+        this._frameSequence = 0;
+        this._live = null;
         this._callbacks = {};
         this._volumeTimer = null;
         this._currentVolume = 0;
+
+        /** Encode each recording to Ogg Opus as well (see setCompression). */
+        this.compression = false;
+        /**
+         * Compressed copy of the last recording, set by stop():
+         * Promise<{ audio: Uint8Array, contentType }>, or null when compression is
+         * off or unavailable. Rejects if encoding failed.
+         */
+        this.compressedAudio = null;
+        this._encoder = null;
     }
 
     /**
      * Register an event callback.
-     * Supported events: 'started', 'stopped', 'volume', 'maxDurationReached', 'error'
+     * Supported events: 'started', 'stopped', 'frame', 'volume', 'speechStart',
+     * 'speechEnd', 'maxDurationReached', 'rejected', 'deviceUnavailable', 'error'
+     *
+     * 'volume' fires every ~100 ms with `{ level }`, the RMS (0-1) of the
+     * latest captured block.
+     *
+     * 'deviceUnavailable' fires with `{ deviceId }` when the chosen microphone
+     * could not be opened and the system default was used instead.
+     *
+     * 'speechStart' / 'speechEnd' are only emitted when recording was started
+     * with `{ vad: true }`.
+     *
+     * 'rejected' fires from stop() with `{ reason, durationSeconds, vad }` when
+     * the recording was 'too_quiet' or 'too_short' to upload; stop() then
+     * returns null. Frames already emitted for it should be discarded.
+     *
+     * 'frame' fires for every `frameSize` samples of trimmed audio, with
+     * `{ audio, sequence }` where audio is a Uint8Array of raw 16-bit PCM
+     * (no WAV header), so audio can be streamed to the server while the user
+     * is still speaking. stop() emits the last, possibly shorter, frame.
      * @param {string} event
      * @param {Function} callback
      */
@@ -39,26 +180,130 @@ class AudioRecorder {
         }
     }
 
+    /**
+     * Override voice activity detection settings (see `this.vad`).
+     * @param {Object} options  Any subset of the `vad` fields.
+     */
+    setVadOptions(options) {
+        Object.assign(this.vad, options);
+    }
+
+    /**
+     * Provide the level of audio currently being played back (e.g.
+     * `() => player.getOutputLevel()`), so loudspeaker echo of that audio
+     * does not count as speech onset. Pass null to disable.
+     * @param {Function|null} getLevel
+     */
+    setEchoReference(getLevel) {
+        this._echoReference = getLevel;
+    }
+
+    /**
+     * Choose the microphone to record from. Takes effect from the next start().
+     * @param {string} deviceId  A deviceId from listInputDevices() ('' = system default).
+     */
+    setInputDevice(deviceId) {
+        this.deviceId = deviceId || '';
+    }
+
+    /**
+     * Override the browser's capture processing. Takes effect from the next
+     * start().
+     * @param {{echoCancellation: boolean, noiseSuppression: boolean, autoGainControl: boolean}} options
+     *     Any subset of the `captureOptions` fields.
+     */
+    setCaptureOptions(options) {
+        Object.assign(this.captureOptions, options);
+    }
+
+    /**
+     * Also encode recordings to Ogg Opus. Takes effect from the next start();
+     * ignored where the browser lacks WebCodecs (see canCompress()).
+     * @param {boolean} enabled
+     */
+    setCompression(enabled) {
+        this.compression = !!enabled;
+    }
+
+    /**
+     * Whether this browser can produce compressed recordings.
+     * @returns {boolean}
+     */
+    static canCompress() {
+        return typeof OggOpusEncoder !== 'undefined' && OggOpusEncoder.isAvailable();
+    }
+
+    /**
+     * List the available microphones. Labels are empty until the page has
+     * been granted microphone access.
+     * @returns {Promise<MediaDeviceInfo[]>}
+     */
+    static async listInputDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+            return [];
+        }
+        var devices = await navigator.mediaDevices.enumerateDevices();
+        return devices.filter(function (device) {
+            return device.kind === 'audioinput' && device.deviceId !== 'default';
+        });
+    }
+
+    /**
+     * Audio constraints for getUserMedia.
+     * @param {boolean} useDevice  Whether to request the chosen device.
+     * @returns {MediaTrackConstraints}
+     */
+    _audioConstraints(useDevice) {
+        var constraints = {
+            channelCount: 1,
+            echoCancellation: this.captureOptions.echoCancellation,
+            noiseSuppression: this.captureOptions.noiseSuppression,
+            autoGainControl: this.captureOptions.autoGainControl
+        };
+        if (useDevice && this.deviceId) {
+            constraints.deviceId = { exact: this.deviceId };
+        }
+        return constraints;
+    }
+
     /**
      * Start recording from the microphone.
-     * Requests mic permission, creates an AudioContext at 16kHz,
-     * and begins capturing PCM samples via ScriptProcessorNode.
+     * Requests mic permission, creates an AudioContext at the device's native
+     * rate, and begins capturing 16 kHz PCM samples via an AudioWorklet.
+     *
+     * With `{ vad: true }` the microphone is opened in listening mode: nothing
+     * is captured until speech onset ('speechStart'), and trailing silence
+     * emits 'speechEnd' so the caller can stop the turn.
+     * @param {{vad: boolean}} [options]
      */
-    async start() {
-        if (this.isRecording) {
+    async start(options) {
+        if (this.isRecording || this._starting) {
             return;
         }
 
+        this._starting = true;
+        this._cancelStart = false;
+        this._vadEnabled = !!(options && options.vad);
+        this._resetVad();
+
         try {
-            this.mediaStream = await navigator.mediaDevices.getUserMedia({
-                audio: {
-                    channelCount: 1,
-                    sampleRate: 16000,
-                    echoCancellation: true,
-                    noiseSuppression: true
+            try {
+                this.mediaStream = await navigator.mediaDevices.getUserMedia({
+                    audio: this._audioConstraints(true)
+                });
+            } catch (err) {
+                // The chosen microphone was unplugged: fall back to the default
+                if (!this.deviceId || (err.name !== 'OverconstrainedError' && err.name !== 'NotFoundError')) {
+                    throw err;
                 }
-            });
+                console.warn('[AudioRecorder] Input device unavailable, using the default:', this.deviceId);
+                this._emit('deviceUnavailable', { deviceId: this.deviceId });
+                this.mediaStream = await navigator.mediaDevices.getUserMedia({
+                    audio: this._audioConstraints(false)
+                });
+            }
         } catch (err) {
+            this._starting = false;
             this._emit('error', {
                 type: 'permission_denied',
                 message: 'Microphone access denied: ' + err.message
@@ -67,46 +312,49 @@ class AudioRecorder {
         }
 
         try {
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)({
-                sampleRate: 16000
-            });
+            // No sampleRate option: the context must run at the mic's native
+            // rate, otherwise some browsers refuse to connect the stream.
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
 
-            this.sourceNode = this.audioContext.createMediaStreamSource(this.mediaStream);
+            if (!this.audioContext.audioWorklet) {
+                throw new Error('AudioWorklet is not supported in this browser');
+            }
+            await this.audioContext.audioWorklet.addModule(this.workletUrl);
 
-            // ScriptProcessorNode: deprecated but widely supported and simpler than AudioWorklet
-            this.processor = this.audioContext.createScriptProcessor(4096, 1, 1);
+            if (this._cancelStart) {
+                // stop() was called while we were still setting up
+                this._starting = false;
+                this._cleanup();
+                return;
+            }
+
+            this.sourceNode = this.audioContext.createMediaStreamSource(this.mediaStream);
+            this.workletNode = new AudioWorkletNode(this.audioContext, 'pcm-capture-processor', {
+                numberOfInputs: 1,
+                numberOfOutputs: 0, // sink node: always processed, never audible
+                processorOptions: { targetSampleRate: this.sampleRate }
+            });
 
             this.audioChunks = [];
+            this._recordedSamples = 0;
+            this.compressedAudio = null;
+            this._encoder = this._createEncoder();
+            this._frameBuffer = new Int16Array(this.frameSize);
+            this._frameOffset = 0;
+            this._frameSequence = 0;
+            this._live = this._createLiveTrim();
             this.isRecording = true;
+            this._starting = false;
             this.startTime = Date.now();
 
-            this.processor.onaudioprocess = function (event) {
+            this.workletNode.port.onmessage = function (event) {
                 if (!this.isRecording) {
                     return;
                 }
-
-                var inputData = event.inputBuffer.getChannelData(0);
-                var samples = new Float32Array(inputData.length);
-                samples.set(inputData);
-                this.audioChunks.push(samples);
-
-                // Calculate RMS volume level (0-1)
-                var sum = 0;
-                for (var i = 0; i < inputData.length; i++) {
-                    sum += inputData[i] * inputData[i];
-                }
-                this._currentVolume = Math.sqrt(sum / inputData.length);
-
-                // Check max duration
-                var elapsed = (Date.now() - this.startTime) / 1000;
-                if (elapsed >= this.maxDuration) {
-                    this._emit('maxDurationReached', { durationSeconds: elapsed });
-                    this.stop();
-                }
+                this._handleSamples(event.data);
             }.bind(this);
 
-            this.sourceNode.connect(this.processor);
-            this.processor.connect(this.audioContext.destination);
+            this.sourceNode.connect(this.workletNode);
 
             // Emit volume events periodically (~100ms)
             this._volumeTimer = setInterval(function () {
@@ -115,8 +363,14 @@ class AudioRecorder {
                 }
             }.bind(this), 100);
 
-            this._emit('started', { sampleRate: 16000 });
+            var track = this.mediaStream.getAudioTracks()[0];
+            this._emit('started', {
+                sampleRate: this.sampleRate,
+                inputSampleRate: this.audioContext.sampleRate,
+                deviceId: track && track.getSettings ? track.getSettings().deviceId : undefined
+            });
         } catch (err) {
+            this._starting = false;
             this._cleanup();
             this._emit('error', {
                 type: 'initialization_failed',
@@ -126,46 +380,438 @@ class AudioRecorder {
     }
 
     /**
-     * Stop recording. Converts collected Float32 chunks into a 16-bit PCM WAV file
-     * encoded as base64.
-     * @returns {string|null} Base64-encoded WAV data, or null if not recording.
+     * Handle a block of 16 kHz mono Float32 samples posted by the worklet.
+     * @param {Float32Array} samples
+     */
+    _handleSamples(samples) {
+        // Calculate RMS volume level (0-1)
+        var sum = 0;
+        for (var i = 0; i < samples.length; i++) {
+            sum += samples[i] * samples[i];
+        }
+        var level = Math.sqrt(sum / samples.length);
+        var blockMs = samples.length / this.sampleRate * 1000;
+        this._currentVolume = level;
+
+        if (this._vadEnabled && !this._speechActive) {
+            this._bufferPreRoll(samples);
+            if (!this._detectOnset(level, blockMs)) {
+                return;
+            }
+
+            this._speechActive = true;
+            var preRoll = this._preRoll;
+            this._preRoll = [];
+            this._preRollSamples = 0;
+            this._emit('speechStart', { level: level });
+
+            for (var j = 0; j < preRoll.length; j++) {
+                this._captureSamples(preRoll[j]);
+            }
+            return;
+        }
+
+        this._captureSamples(samples);
+
+        if (this._vadEnabled && this._detectEnd(level, blockMs)) {
+            this._emit('speechEnd', { durationSeconds: this._recordedSamples / this.sampleRate });
+            return;
+        }
+
+        // Check max duration against captured audio, not wall-clock time
+        var elapsed = this._recordedSamples / this.sampleRate;
+        if (elapsed >= this.maxDuration) {
+            this._emit('maxDurationReached', { durationSeconds: elapsed });
+            this.stop();
+        }
+    }
+
+    /**
+     * Add samples to the current turn (WAV buffer, and through the live trim
+     * to the streamed frames and the encoder).
+     * @param {Float32Array} samples
+     */
+    _captureSamples(samples) {
+        // Never capture past maxDuration: the server rejects anything longer
+        var room = Math.round(this.maxDuration * this.sampleRate) - this._recordedSamples;
+        if (samples.length > room) {
+            samples = samples.subarray(0, Math.max(0, room));
+        }
+        if (samples.length === 0) {
+            return;
+        }
+
+        this.audioChunks.push(samples);
+        this._recordedSamples += samples.length;
+        this._trimLive(samples);
+    }
+
+    /**
+     * Opus encoder for a new recording, or null if compression is off or
+     * the encoder cannot be created (the WAV is still produced).
+     * @returns {OggOpusEncoder|null}
+     */
+    _createEncoder() {
+        if (!this.compression || !AudioRecorder.canCompress()) {
+            return null;
+        }
+        try {
+            return new OggOpusEncoder(this.sampleRate);
+        } catch (err) {
+            console.warn('[AudioRecorder] Opus encoder unavailable, recording WAV only:', err);
+            return null;
+        }
+    }
+
+    // ------------------------------------------------------- live trimming
+
+    /**
+     * State of the live trim for a new recording. Audio is judged in the
+     * same 20 ms blocks as _prepareRecording(), counted from the first
+     * captured sample, so the live output covers exactly the span the WAV
+     * keeps.
+     *   block    - the 20 ms block being filled, and how full it is
+     *   lead     - audio before the first voiced block (only the last
+     *              `paddingMs` of it is ever sent)
+     *   voiced   - whether a voiced block has been seen
+     *   silence  - samples since the last voiced block; the first
+     *              `paddingMs` are sent right away, the rest held in `held`
+     */
+    _createLiveTrim() {
+        return {
+            block: new Float32Array(Math.round(this.sampleRate / 50)),
+            fill: 0,
+            lead: [],
+            leadSamples: 0,
+            voiced: false,
+            silence: 0,
+            held: []
+        };
+    }
+
+    /**
+     * Feed captured samples through the live trim, block by block.
+     * @param {Float32Array} samples
+     */
+    _trimLive(samples) {
+        var live = this._live;
+        var read = 0;
+        while (read < samples.length) {
+            var count = Math.min(live.block.length - live.fill, samples.length - read);
+            live.block.set(samples.subarray(read, read + count), live.fill);
+            live.fill += count;
+            read += count;
+
+            if (live.fill === live.block.length) {
+                this._trimBlock(live.block.slice());
+                live.fill = 0;
+            }
+        }
+    }
+
+    /**
+     * Pass one block on, hold it back or drop it, depending on whether it
+     * is voiced and where it lies relative to the voiced audio.
+     * @param {Float32Array} block
+     */
+    _trimBlock(block) {
+        var live = this._live;
+        var padding = Math.round(this.quality.paddingMs / 1000 * this.sampleRate);
+
+        var sum = 0;
+        for (var i = 0; i < block.length; i++) {
+            sum += block[i] * block[i];
+        }
+        var voiced = Math.sqrt(sum / block.length) >= this.quality.silenceThreshold;
+
+        if (voiced) {
+            if (!live.voiced) {
+                // Speech begins: send the padding just before it
+                live.voiced = true;
+                var lead = this._concat(live.lead);
+                this._emitLive(lead.subarray(Math.max(0, lead.length - padding)));
+                live.lead = [];
+                live.leadSamples = 0;
+            } else {
+                // Speech resumes: the pause was part of the utterance after all
+                for (var j = 0; j < live.held.length; j++) {
+                    this._emitLive(live.held[j]);
+                }
+            }
+            live.held = [];
+            live.silence = 0;
+            this._emitLive(block);
+            return;
+        }
+
+        if (!live.voiced) {
+            live.lead.push(block);
+            live.leadSamples += block.length;
+            while (live.lead.length > 0 && live.leadSamples - live.lead[0].length >= padding) {
+                live.leadSamples -= live.lead.shift().length;
+            }
+            return;
+        }
+
+        var sent = Math.max(0, Math.min(block.length, padding - live.silence));
+        live.silence += block.length;
+        this._emitLive(block.subarray(0, sent));
+        if (sent < block.length) {
+            live.held.push(block.subarray(sent));
+        }
+    }
+
+    /**
+     * Send trimmed samples to the encoder and the streamed frames.
+     * @param {Float32Array} samples
+     */
+    _emitLive(samples) {
+        if (samples.length === 0) {
+            return;
+        }
+        if (this._encoder) {
+            this._encoder.encode(samples);
+        }
+        this._appendToFrame(samples);
+    }
+
+    // ------------------------------------------------- voice activity detection
+
+    /**
+     * Reset all VAD state for a new listening session.
+     */
+    _resetVad() {
+        this._speechActive = false;
+        this._speechMs = 0;
+        this._silenceMs = 0;
+        this._preRoll = [];
+        this._preRollSamples = 0;
+    }
+
+    /**
+     * Keep the most recent `preRollMs` of audio while waiting for speech.
+     * @param {Float32Array} samples
+     */
+    _bufferPreRoll(samples) {
+        var maxSamples = this.vad.preRollMs / 1000 * this.sampleRate;
+        this._preRoll.push(samples);
+        this._preRollSamples += samples.length;
+        while (this._preRoll.length > 1 && this._preRollSamples - this._preRoll[0].length >= maxSamples) {
+            this._preRollSamples -= this._preRoll.shift().length;
+        }
+    }
+
+    /**
+     * Speech onset: level above startThreshold for at least minSpeechMs.
+     * @param {number} level
+     * @param {number} blockMs
+     * @returns {boolean}
+     */
+    _detectOnset(level, blockMs) {
+        var threshold = this.vad.startThreshold;
+        var minSpeechMs = this.vad.minSpeechMs;
+
+        var reference = this._echoReference ? this._echoReference() : 0;
+        if (reference > 0.001) {
+            // Learn the speaker → mic coupling from blocks that aren't speech
+            // candidates, then require speech to clearly exceed the expected echo.
+            var expectedEcho = this._echoCoupling * reference;
+            if (level < Math.max(threshold, expectedEcho * this.vad.echoMargin)) {
+                this._echoCoupling = this._echoCoupling * 0.9 + (level / reference) * 0.1;
+            }
+            threshold = Math.max(threshold, this._echoCoupling * reference * this.vad.echoMargin);
+            minSpeechMs = this.vad.echoMinSpeechMs;
+        }
+
+        this._speechMs = level >= threshold ? this._speechMs + blockMs : 0;
+        return this._speechMs >= minSpeechMs;
+    }
+
+    /**
+     * End of speech: level below stopThreshold for at least hangoverMs.
+     * @param {number} level
+     * @param {number} blockMs
+     * @returns {boolean}
+     */
+    _detectEnd(level, blockMs) {
+        this._silenceMs = level < this.vad.stopThreshold ? this._silenceMs + blockMs : 0;
+        return this._silenceMs >= this.vad.hangoverMs;
+    }
+
+    /**
+     * Stop recording. Converts collected Float32 chunks into a trimmed,
+     * normalized 16-bit PCM WAV file.
+     * @returns {Uint8Array|null} WAV file bytes, or null if not recording or
+     *     the recording was rejected (see the 'rejected' event).
      */
     stop() {
+        if (this._starting) {
+            this._cancelStart = true;
+            return null;
+        }
+
         if (!this.isRecording) {
             return null;
         }
 
         this.isRecording = false;
-        var durationSeconds = (Date.now() - this.startTime) / 1000;
+
+        // Still waiting for speech in VAD mode: nothing to return
+        if (this._vadEnabled && !this._speechActive) {
+            this._cleanup();
+            return null;
+        }
+
+        var durationSeconds = this._recordedSamples / this.sampleRate;
 
         // Merge all Float32 chunks into a single array
-        var totalLength = 0;
-        for (var i = 0; i < this.audioChunks.length; i++) {
-            totalLength += this.audioChunks[i].length;
+        var mergedFloat32 = this._concat(this.audioChunks);
+
+        var prepared = this._prepareRecording(mergedFloat32);
+        if (prepared.rejected) {
+            var vad = this._vadEnabled;
+            this._cleanup();
+            this._emit('rejected', { reason: prepared.rejected, durationSeconds: durationSeconds, vad: vad });
+            return null;
         }
 
-        var mergedFloat32 = new Float32Array(totalLength);
-        var offset = 0;
-        for (var i = 0; i < this.audioChunks.length; i++) {
-            mergedFloat32.set(this.audioChunks[i], offset);
-            offset += this.audioChunks[i].length;
+        // The last, partial block may be voiced too; trailing silence past
+        // the padding stays held back and is dropped with the live state
+        if (this._live.fill > 0) {
+            this._trimBlock(this._live.block.slice(0, this._live.fill));
         }
+        // Flush the trailing partial frame so streamed audio is complete
+        this._flushFrame();
 
         // Convert to 16-bit PCM
-        var pcmData = this._floatTo16BitPCM(mergedFloat32);
+        var pcmData = this._floatTo16BitPCM(prepared.samples);
+
+        var wav = new Uint8Array(this._createWavBuffer(pcmData));
 
-        // Create WAV buffer and convert to base64
-        var wavBuffer = this._createWavBuffer(pcmData);
-        var audioBase64 = this._arrayBufferToBase64(wavBuffer);
+        if (this._encoder) {
+            this.compressedAudio = this._encoder.finish().then(function (bytes) {
+                return { audio: bytes, contentType: OggOpusEncoder.contentType };
+            });
+            this._encoder = null;
+        }
 
         this._cleanup();
 
         this._emit('stopped', {
-            audioBase64: audioBase64,
+            audio: wav,
             durationSeconds: durationSeconds
         });
 
-        return audioBase64;
+        return wav;
+    }
+
+    /**
+     * Trim silence from both ends of a recording and normalize its gain, or
+     * reject it as too quiet or too short (see `quality`).
+     * @param {Float32Array} samples
+     * @returns {{samples: Float32Array}|{rejected: string}}
+     */
+    _prepareRecording(samples) {
+        var quality = this.quality;
+        var blockSize = Math.round(this.sampleRate / 50); // 20 ms
+        var first = -1;
+        var last = -1;
+        var loudest = 0;
+
+        for (var start = 0; start < samples.length; start += blockSize) {
+            var end = Math.min(start + blockSize, samples.length);
+            var sum = 0;
+            for (var i = start; i < end; i++) {
+                sum += samples[i] * samples[i];
+            }
+            var level = Math.sqrt(sum / (end - start));
+            loudest = Math.max(loudest, level);
+            if (level >= quality.silenceThreshold) {
+                if (first < 0) {
+                    first = start;
+                }
+                last = end;
+            }
+        }
+
+        if (first < 0 || loudest < quality.minLevel) {
+            return { rejected: 'too_quiet' };
+        }
+        if ((last - first) / this.sampleRate * 1000 < quality.minSpeechMs) {
+            return { rejected: 'too_short' };
+        }
+
+        var padding = Math.round(quality.paddingMs / 1000 * this.sampleRate);
+        var trimmed = samples.slice(Math.max(0, first - padding), Math.min(samples.length, last + padding));
+
+        var peak = 0;
+        for (var j = 0; j < trimmed.length; j++) {
+            peak = Math.max(peak, Math.abs(trimmed[j]));
+        }
+        var gain = Math.min(quality.maxGain, quality.targetPeak / peak);
+        if (gain > 1) {
+            for (var k = 0; k < trimmed.length; k++) {
+                trimmed[k] *= gain;
+            }
+        }
+
+        return { samples: trimmed };
+    }
+
+    /**
+     * Append trimmed samples to the current streaming frame, emitting a
+     * 'frame' event each time the frame fills up.
+     * @param {Float32Array} samples
+     */
+    _appendToFrame(samples) {
+        var pcm = this._floatTo16BitPCM(samples);
+        var read = 0;
+        while (read < pcm.length) {
+            var count = Math.min(this.frameSize - this._frameOffset, pcm.length - read);
+            this._frameBuffer.set(pcm.subarray(read, read + count), this._frameOffset);
+            this._frameOffset += count;
+            read += count;
+
+            if (this._frameOffset === this.frameSize) {
+                this._flushFrame();
+            }
+        }
+    }
+
+    /**
+     * Emit whatever is buffered in the current frame (may be a short final frame).
+     */
+    _flushFrame() {
+        if (!this._frameBuffer || this._frameOffset === 0) {
+            return;
+        }
+
+        var frame = this._frameBuffer.slice(0, this._frameOffset);
+        this._frameOffset = 0;
+
+        this._emit('frame', {
+            audio: new Uint8Array(frame.buffer),
+            sequence: this._frameSequence++
+        });
+    }
+
+    /**
+     * Join Float32 chunks into one array.
+     * @param {Float32Array[]} chunks
+     * @returns {Float32Array}
+     */
+    _concat(chunks) {
+        var length = 0;
+        for (var i = 0; i < chunks.length; i++) {
+            length += chunks[i].length;
+        }
+        var merged = new Float32Array(length);
+        var offset = 0;
+        for (var j = 0; j < chunks.length; j++) {
+            merged.set(chunks[j], offset);
+            offset += chunks[j].length;
+        }
+        return merged;
     }
 
     /**
@@ -194,12 +840,12 @@ class AudioRecorder {
     /**
      * Create a complete WAV file buffer from 16-bit PCM data.
      * WAV header: 44 bytes (RIFF + fmt + data chunks).
-     * Format: 1 channel, 16000 Hz sample rate, 16 bits per sample.
+     * Format: 1 channel, `this.sampleRate` (16000 Hz), 16 bits per sample.
      * @param {Int16Array} pcmData
      * @returns {ArrayBuffer}
      */
     _createWavBuffer(pcmData) {
-        var sampleRate = 16000;
+        var sampleRate = this.sampleRate;
         var numChannels = 1;
         var bitsPerSample = 16;
         var bytesPerSample = bitsPerSample / 8;
@@ -253,27 +899,6 @@ class AudioRecorder {
         }
     }
 
-    /**
-     * Convert an ArrayBuffer to a base64-encoded string.
-     * Processes in chunks to avoid call stack overflow on large buffers.
-     * @param {ArrayBuffer} buffer
-     * @returns {string}
-     */
-    _arrayBufferToBase64(buffer) {
-        var bytes = new Uint8Array(buffer);
-        var binary = '';
-        var chunkSize = 8192;
-        for (var i = 0; i < bytes.length; i += chunkSize) {
-            var end = i + chunkSize;
-            if (end > bytes.length) {
-                end = bytes.length;
-            }
-            var slice = bytes.subarray(i, end);
-            binary += String.fromCharCode.apply(null, slice);
-        }
-        return btoa(binary);
-    }
-
     /**
      * Clean up all audio resources (stream tracks, processor, context, timers).
      */
@@ -283,14 +908,14 @@ class AudioRecorder {
             this._volumeTimer = null;
         }
 
-        if (this.processor) {
-            this.processor.onaudioprocess = null;
+        if (this.workletNode) {
+            this.workletNode.port.onmessage = null;
             try {
-                this.processor.disconnect();
+                this.workletNode.disconnect();
             } catch (e) {
                 // Ignore disconnect errors on already-disconnected nodes
             }
-            this.processor = null;
+            this.workletNode = null;
         }
 
         if (this.sourceNode) {
@@ -319,8 +944,19 @@ class AudioRecorder {
             this.audioContext = null;
         }
 
+        if (this._encoder) {
+            // Recording ended without a result (cancelled, rejected, or no speech in VAD mode)
+            this._encoder.close();
+            this._encoder = null;
+        }
+
         this.audioChunks = [];
+        this._recordedSamples = 0;
+        this._frameBuffer = null;
+        this._frameOffset = 0;
+        this._live = null;
         this._currentVolume = 0;
+        this._resetVad();
     }
 
     /**
@@ -329,6 +965,7 @@ class AudioRecorder {
      */
     dispose() {
         this.isRecording = false;
+        this._cancelStart = this._starting;
         this._cleanup();
         this._callbacks = {};
     }
@@ -0,0 +1,302 @@
+/**
+ * ConversationExport - turns a stored conversation into downloadable files.
+ *
+ * Works on the records kept by ConversationStore:
+ *   toMarkdown()  readable transcript, labels in the current UI language
+ *   toJson()      every message with its timestamp and metadata
+ *   toZip()       transcript.md + conversation.json + the saved audio:
+ *                 each user recording (WAV) and each assistant AudioChunk
+ *                 as its own file under audio/
+ *
+ * Audio is only present when "save audio" was on while talking. The zip is
+ * written uncompressed (the audio is already compressed or small PCM), which
+ * keeps the writer tiny and dependency free.
+ *
+ * Usage:
+ *   var blob = ConversationExport.toZip(conversation, messages);
+ *   ConversationExport.download(blob, ConversationExport.fileName(conversation, 'zip'));
+ */
+(function () {
+    'use strict';
+
+    var FORMAT_NAME = 'voice-assistant-conversation';
+    var FORMAT_VERSION = 1;
+
+    var AUDIO_EXTENSIONS = {
+        'audio/mpeg': 'mp3',
+        'audio/mp3': 'mp3',
+        'audio/wav': 'wav',
+        'audio/wave': 'wav',
+        'audio/x-wav': 'wav',
+        'audio/ogg': 'ogg',
+        'audio/webm': 'webm'
+    };
+
+    var ConversationExport = {
+        /**
+         * Markdown transcript of the conversation.
+         * @param {Object} conversation  ConversationStore conversation record.
+         * @param {Object[]} messages
+         * @returns {string}
+         */
+        toMarkdown: function (conversation, messages) {
+            var t = I18n.t.bind(I18n);
+            var lines = [
+                '# ' + (conversation.title || t('export.untitled')),
+                '',
+                '- ' + t('export.createdAt') + ': ' + formatDate(conversation.createdAt),
+                '- ' + t('export.messageCount') + ': ' + messages.length,
+                ''
+            ];
+
+            messages.forEach(function (message) {
+                var speaker = t(message.role === 'user' ? 'export.user' : 'export.assistant');
+                var details = [formatDate(message.timestamp)];
+                if (message.language) details.push(message.language);
+                if (message.confidence != null) {
+                    details.push(t('export.confidence', { percent: Math.round(message.confidence * 100) }));
+                }
+
+                lines.push('## ' + speaker + ' · ' + details.join(' · '), '', message.text.trim(), '');
+                if (message.isInterrupted) {
+                    lines.push('> ' + (message.heardRatio != null
+                        ? t('export.interruptedHeard', { percent: Math.round(message.heardRatio * 100) })
+                        : t('export.interrupted')), '');
+                }
+            });
+
+            return lines.join('\n');
+        },
+
+        /**
+         * JSON export with per-message timestamps and metadata.
+         * @param {Object} conversation
+         * @param {Object[]} messages
+         * @param {Object.<number, string[]>} [audioFiles]  Message index -> file names in the zip.
+         * @returns {string}
+         */
+        toJson: function (conversation, messages, audioFiles) {
+            var data = {
+                format: FORMAT_NAME,
+                version: FORMAT_VERSION,
+                exportedAt: new Date().toISOString(),
+                conversation: {
+                    id: conversation.id,
+                    title: conversation.title,
+                    createdAt: new Date(conversation.createdAt).toISOString(),
+                    updatedAt: new Date(conversation.updatedAt).toISOString()
+                },
+                messages: messages.map(function (message, index) {
+                    var entry = {
+                        index: index,
+                        role: message.role,
+                        text: message.text,
+                        timestamp: new Date(message.timestamp).toISOString(),
+                        language: message.language || null,
+                        confidence: message.confidence != null ? message.confidence : null,
+                        isInterrupted: !!message.isInterrupted,
+                        heardRatio: message.heardRatio != null ? message.heardRatio : null,
+                        audio: null
+                    };
+                    if (message.audio) {
+                        entry.audio = {
+                            contentType: message.audio.contentType,
+                            chunkCount: message.audio.chunks.length
+                        };
+                        if (audioFiles && audioFiles[index]) entry.audio.files = audioFiles[index];
+                    }
+                    return entry;
+                })
+            };
+            return JSON.stringify(data, null, 2);
+        },
+
+        /**
+         * Zip archive with the transcript, the JSON export and all saved audio.
+         * @param {Object} conversation
+         * @param {Object[]} messages
+         * @returns {Blob}
+         */
+        toZip: function (conversation, messages) {
+            var files = [];
+            var audioFiles = {};
+
+            messages.forEach(function (message, index) {
+                if (!message.audio || message.audio.chunks.length === 0) return;
+
+                var prefix = 'audio/' + pad(index + 1, 3) + '-' + message.role;
+                var extension = AUDIO_EXTENSIONS[message.audio.contentType] || 'bin';
+                var single = message.audio.chunks.length === 1;
+
+                audioFiles[index] = message.audio.chunks.map(function (chunk, chunkIndex) {
+                    var name = prefix + (single ? '' : '-' + pad(chunkIndex + 1, 2)) + '.' + extension;
+                    files.push({ name: name, data: toBytes(chunk) });
+                    return name;
+                });
+            });
+
+            var encoder = new TextEncoder();
+            files.unshift(
+                { name: 'transcript.md', data: encoder.encode(this.toMarkdown(conversation, messages)) },
+                { name: 'conversation.json', data: encoder.encode(this.toJson(conversation, messages, audioFiles)) }
+            );
+
+            return new Blob([buildZip(files)], { type: 'application/zip' });
+        },
+
+        /**
+         * Download file name: the conversation title (or date) plus extension.
+         * @param {Object} conversation
+         * @param {string} extension  'md', 'json' or 'zip'.
+         * @returns {string}
+         */
+        fileName: function (conversation, extension) {
+            var base = (conversation.title || '').replace(/[\\/:*?"<>|\s]+/g, '_').replace(/^_+|_+$/g, '') ||
+                'conversation';
+            var date = new Date(conversation.createdAt).toISOString().slice(0, 10);
+            return base + '-' + date + '.' + extension;
+        },
+
+        /**
+         * Save a blob through a temporary download link.
+         * @param {Blob} blob
+         * @param {string} fileName
+         */
+        download: function (blob, fileName) {
+            var url = URL.createObjectURL(blob);
+            var link = document.createElement('a');
+            link.href = url;
+            link.download = fileName;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            // Let the download start before releasing the object URL
+            setTimeout(function () { URL.revokeObjectURL(url); }, 0);
+        }
+    };
+
+    // ------------------------------------------------------------------ helpers
+
+    function formatDate(timestamp) {
+        return new Date(timestamp).toLocaleString(I18n.getLocale());
+    }
+
+    function pad(value, width) {
+        return String(value).padStart(width, '0');
+    }
+
+    /** Stored chunks are bytes, or base64 if they came over the JSON protocol. */
+    function toBytes(chunk) {
+        if (typeof chunk !== 'string') {
+            return chunk;
+        }
+        var binary = atob(chunk);
+        var bytes = new Uint8Array(binary.length);
+        for (var i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    // --------------------------------------------------------------- zip writer
+
+    var CRC_TABLE = (function () {
+        var table = new Uint32Array(256);
+        for (var n = 0; n < 256; n++) {
+            var c = n;
+            for (var k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    function crc32(bytes) {
+        var crc = 0xFFFFFFFF;
+        for (var i = 0; i < bytes.length; i++) {
+            crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /** MS-DOS date and time fields used by zip headers. */
+    function dosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+            date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    /**
+     * Build a zip (stored, no compression) from [{ name, data: Uint8Array }].
+     * File names are UTF-8 (general purpose flag bit 11).
+     * @returns {Uint8Array}
+     */
+    function buildZip(files) {
+        var encoder = new TextEncoder();
+        var stamp = dosDateTime(new Date());
+        var localParts = [];
+        var centralParts = [];
+        var offset = 0;
+
+        files.forEach(function (file) {
+            var name = encoder.encode(file.name);
+            var crc = crc32(file.data);
+
+            var local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);    // local file header signature
+            local.setUint16(4, 20, true);            // version needed to extract
+            local.setUint16(6, 0x0800, true);        // flags: UTF-8 names
+            local.setUint16(8, 0, true);             // method: stored
+            local.setUint16(10, stamp.time, true);
+            local.setUint16(12, stamp.date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, file.data.length, true);
+            local.setUint32(22, file.data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);            // extra field length
+            localParts.push(new Uint8Array(local.buffer), name, file.data);
+
+            var central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014B50, true);  // central directory signature
+            central.setUint16(4, 20, true);          // version made by
+            central.setUint16(6, 20, true);          // version needed to extract
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, stamp.time, true);
+            central.setUint16(14, stamp.date, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, file.data.length, true);
+            central.setUint32(24, file.data.length, true);
+            central.setUint16(28, name.length, true);
+            // extra length, comment length, disk number, attributes: all zero
+            central.setUint32(42, offset, true);     // local header offset
+            centralParts.push(new Uint8Array(central.buffer), name);
+
+            offset += 30 + name.length + file.data.length;
+        });
+
+        var centralSize = centralParts.reduce(function (sum, part) { return sum + part.length; }, 0);
+        var end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);          // end of central directory signature
+        end.setUint16(8, files.length, true);        // entries on this disk
+        end.setUint16(10, files.length, true);       // total entries
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);             // central directory offset
+
+        var parts = localParts.concat(centralParts, [new Uint8Array(end.buffer)]);
+        var total = parts.reduce(function (sum, part) { return sum + part.length; }, 0);
+        var zip = new Uint8Array(total);
+        var position = 0;
+        parts.forEach(function (part) {
+            zip.set(part, position);
+            position += part.length;
+        });
+        return zip;
+    }
+
+    // Expose globally
+    window.ConversationExport = ConversationExport;
+
+})();
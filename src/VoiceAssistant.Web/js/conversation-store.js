@@ -0,0 +1,298 @@
+/**
+ * ConversationStore - IndexedDB persistence for conversations.
+ *
+ * Keeps every conversation and its messages in the browser so they survive
+ * page reloads. Two object stores are used:
+ *
+ *   conversations  { id, title, createdAt, updatedAt, messageCount }
+ *   messages       { id, conversationId, role, text, timestamp, language?,
+ *                    confidence?, isInterrupted?, heardRatio?,
+ *                    audio?: { chunks, contentType } }
+ *
+ * Timestamps are milliseconds since the epoch. Audio is optional: assistant
+ * messages keep the chunks received from the server, user messages keep
+ * their recording as a single WAV chunk. Chunks are Uint8Array bytes, or
+ * base64 strings when they arrived over the JSON hub protocol (and in
+ * records saved before binary audio).
+ *
+ * Usage:
+ *   const store = new ConversationStore();
+ *   await store.open();
+ *   const conversation = await store.createConversation();
+ *   const messageId = await store.addMessage(conversation.id, { role: 'user', text: '你好' });
+ *   const messages = await store.getMessages(conversation.id);
+ */
+class ConversationStore {
+    /**
+     * @param {string} [dbName='voice-assistant']
+     */
+    constructor(dbName) {
+        this.dbName = dbName || 'voice-assistant';
+
+        /** @type {IDBDatabase|null} */
+        this.db = null;
+    }
+
+    /**
+     * Open (and on first use create) the database.
+     * @returns {Promise<void>}
+     */
+    open() {
+        if (this.db) {
+            return Promise.resolve();
+        }
+
+        return new Promise(function (resolve, reject) {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not supported in this browser'));
+                return;
+            }
+
+            var request = indexedDB.open(this.dbName, ConversationStore.VERSION);
+
+            request.onupgradeneeded = function () {
+                var db = request.result;
+
+                if (!db.objectStoreNames.contains('conversations')) {
+                    var conversations = db.createObjectStore('conversations', { keyPath: 'id' });
+                    conversations.createIndex('updatedAt', 'updatedAt');
+                }
+
+                if (!db.objectStoreNames.contains('messages')) {
+                    var messages = db.createObjectStore('messages', { keyPath: 'id', autoIncrement: true });
+                    messages.createIndex('conversationId', 'conversationId');
+                }
+            };
+
+            request.onsuccess = function () {
+                this.db = request.result;
+                // Another tab upgraded the schema; let it proceed.
+                this.db.onversionchange = function () {
+                    this.db.close();
+                    this.db = null;
+                }.bind(this);
+                resolve();
+            }.bind(this);
+
+            request.onerror = function () {
+                console.error('[ConversationStore] Failed to open database:', request.error);
+                reject(request.error);
+            };
+        }.bind(this));
+    }
+
+    // ----------------------------------------------------------- conversations
+
+    /**
+     * Create an empty conversation.
+     * @returns {Promise<Object>} The stored conversation record.
+     */
+    async createConversation() {
+        var now = Date.now();
+        var conversation = {
+            id: ConversationStore._newId(),
+            title: '',
+            createdAt: now,
+            updatedAt: now,
+            messageCount: 0
+        };
+
+        await this._request('conversations', 'readwrite', function (store) {
+            return store.add(conversation);
+        });
+        return conversation;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<Object|undefined>}
+     */
+    getConversation(id) {
+        return this._request('conversations', 'readonly', function (store) {
+            return store.get(id);
+        });
+    }
+
+    /**
+     * List all conversations, most recently updated first.
+     * @returns {Promise<Object[]>}
+     */
+    async listConversations() {
+        var conversations = await this._request('conversations', 'readonly', function (store) {
+            return store.index('updatedAt').getAll();
+        });
+        return conversations.reverse();
+    }
+
+    /**
+     * Delete a conversation and all of its messages.
+     * @param {string} id
+     * @returns {Promise<void>}
+     */
+    deleteConversation(id) {
+        return this._transaction(['conversations', 'messages'], 'readwrite', function (tx) {
+            tx.objectStore('conversations').delete(id);
+
+            var cursorRequest = tx.objectStore('messages')
+                .index('conversationId')
+                .openKeyCursor(IDBKeyRange.only(id));
+            cursorRequest.onsuccess = function () {
+                var cursor = cursorRequest.result;
+                if (cursor) {
+                    tx.objectStore('messages').delete(cursor.primaryKey);
+                    cursor.continue();
+                }
+            };
+        });
+    }
+
+    // ---------------------------------------------------------------- messages
+
+    /**
+     * Append a message to a conversation. The first user message becomes the
+     * conversation title.
+     * @param {string} conversationId
+     * @param {Object} message  { role, text, timestamp?, audio? }
+     * @returns {Promise<number>} The new message id.
+     */
+    addMessage(conversationId, message) {
+        var record = Object.assign({ timestamp: Date.now() }, message, { conversationId: conversationId });
+        var messageId;
+
+        return this._transaction(['conversations', 'messages'], 'readwrite', function (tx) {
+            var addRequest = tx.objectStore('messages').add(record);
+            addRequest.onsuccess = function () {
+                messageId = addRequest.result;
+            };
+
+            var conversations = tx.objectStore('conversations');
+            var getRequest = conversations.get(conversationId);
+            getRequest.onsuccess = function () {
+                var conversation = getRequest.result;
+                if (!conversation) return;
+
+                conversation.updatedAt = record.timestamp;
+                conversation.messageCount += 1;
+                if (!conversation.title && record.role === 'user') {
+                    conversation.title = record.text.slice(0, ConversationStore.TITLE_LENGTH);
+                }
+                conversations.put(conversation);
+            };
+        }).then(function () {
+            return messageId;
+        });
+    }
+
+    /**
+     * Merge changes into a stored message (e.g. attach audio, mark interrupted).
+     * @param {number} messageId
+     * @param {Object} changes
+     * @returns {Promise<void>}
+     */
+    updateMessage(messageId, changes) {
+        return this._transaction(['messages'], 'readwrite', function (tx) {
+            var messages = tx.objectStore('messages');
+            var getRequest = messages.get(messageId);
+            getRequest.onsuccess = function () {
+                if (getRequest.result) {
+                    messages.put(Object.assign(getRequest.result, changes));
+                }
+            };
+        });
+    }
+
+    /**
+     * Delete a single message (e.g. one of a cancelled turn). A conversation
+     * left without messages loses its title again.
+     * @param {number} messageId
+     * @returns {Promise<void>}
+     */
+    deleteMessage(messageId) {
+        return this._transaction(['conversations', 'messages'], 'readwrite', function (tx) {
+            var messages = tx.objectStore('messages');
+            var getRequest = messages.get(messageId);
+            getRequest.onsuccess = function () {
+                var message = getRequest.result;
+                if (!message) return;
+                messages.delete(messageId);
+
+                var conversations = tx.objectStore('conversations');
+                var conversationRequest = conversations.get(message.conversationId);
+                conversationRequest.onsuccess = function () {
+                    var conversation = conversationRequest.result;
+                    if (!conversation) return;
+
+                    conversation.messageCount = Math.max(0, conversation.messageCount - 1);
+                    if (conversation.messageCount === 0) {
+                        conversation.title = '';
+                    }
+                    conversations.put(conversation);
+                };
+            };
+        });
+    }
+
+    /**
+     * All messages of a conversation in the order they were added.
+     * @param {string} conversationId
+     * @returns {Promise<Object[]>}
+     */
+    getMessages(conversationId) {
+        return this._request('messages', 'readonly', function (store) {
+            return store.index('conversationId').getAll(IDBKeyRange.only(conversationId));
+        });
+    }
+
+    // ---------------------------------------------------------------- internal
+
+    /**
+     * Run a single request in its own transaction and resolve with its result.
+     * @private
+     */
+    _request(storeName, mode, createRequest) {
+        var result;
+        return this._transaction([storeName], mode, function (tx) {
+            var request = createRequest(tx.objectStore(storeName));
+            request.onsuccess = function () {
+                result = request.result;
+            };
+        }).then(function () {
+            return result;
+        });
+    }
+
+    /**
+     * Run work inside a transaction; resolves when the transaction commits.
+     * @private
+     */
+    _transaction(storeNames, mode, work) {
+        if (!this.db) {
+            return Promise.reject(new Error('ConversationStore is not open. Call open() first.'));
+        }
+
+        var tx = this.db.transaction(storeNames, mode);
+        return new Promise(function (resolve, reject) {
+            tx.oncomplete = function () { resolve(); };
+            tx.onerror = function () { reject(tx.error); };
+            tx.onabort = function () { reject(tx.error || new Error('Transaction aborted')); };
+            work(tx);
+        });
+    }
+
+    /** @private */
+    static _newId() {
+        if (window.crypto && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return Date.now().toString(36) + Math.random().toString(36).slice(2);
+    }
+}
+
+/** Database schema version. */
+ConversationStore.VERSION = 1;
+
+/** Maximum title length taken from the first user message. */
+ConversationStore.TITLE_LENGTH = 40;
+
+// Export as a global so other plain-JS modules can use it.
+window.ConversationStore = ConversationStore;
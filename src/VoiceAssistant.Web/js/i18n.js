@@ -0,0 +1,241 @@
+/**
+ * I18n - minimal localization layer for the web client.
+ *
+ * Message bundles live in js/i18n/<locale>.js and register themselves with
+ * I18n.register(). Keys are flat dotted strings ("status.idle"); values may
+ * contain {name} placeholders filled from the params object.
+ *
+ * The active locale is, in order of preference: the manual override saved in
+ * localStorage, the first of navigator.languages with a bundle (exact tag or
+ * same primary language), then the fallback locale.
+ *
+ * Static markup is translated through data attributes:
+ *   data-i18n="key"              -> textContent
+ *   data-i18n-title="key"        -> title
+ *   data-i18n-placeholder="key"  -> placeholder
+ *   data-i18n-aria-label="key"   -> aria-label
+ *
+ * Usage:
+ *   I18n.init();
+ *   I18n.t('status.idle');
+ *   I18n.t('errors.AUDIO_TOO_LONG');
+ *   I18n.onChange(function (locale) { ... });
+ *   I18n.setLocale('en');   // manual override, persisted
+ *   I18n.setLocale(null);   // back to browser detection
+ */
+(function () {
+    'use strict';
+
+    var STORAGE_KEY = 'voiceAssistant.uiLocale';
+    var FALLBACK_LOCALE = 'zh-CN';
+
+    /** @type {Object.<string, Object.<string, string>>} */
+    var bundles = {};
+
+    /** @type {string} */
+    var currentLocale = FALLBACK_LOCALE;
+
+    /** @type {Function[]} */
+    var listeners = [];
+
+    var ATTRIBUTE_BINDINGS = [
+        { data: 'i18nTitle', attribute: 'title' },
+        { data: 'i18nPlaceholder', attribute: 'placeholder' },
+        { data: 'i18nAriaLabel', attribute: 'aria-label' }
+    ];
+
+    var I18n = {
+        /**
+         * Add (or extend) the message bundle of a locale.
+         * @param {string} locale  BCP-47 tag, e.g. 'zh-CN' or 'en'.
+         * @param {Object.<string, string>} messages
+         */
+        register: function (locale, messages) {
+            bundles[locale] = Object.assign(bundles[locale] || {}, messages);
+        },
+
+        /**
+         * Pick the initial locale and translate the document.
+         * @returns {string} The active locale.
+         */
+        init: function () {
+            currentLocale = this._resolve(this.getOverride()) || this.detectLocale();
+            this.apply(document);
+            return currentLocale;
+        },
+
+        /** @returns {string} The active locale. */
+        getLocale: function () {
+            return currentLocale;
+        },
+
+        /** @returns {string[]} Locales that have a registered bundle. */
+        getAvailableLocales: function () {
+            return Object.keys(bundles);
+        },
+
+        /**
+         * The manually chosen locale, or null when following the browser.
+         * @returns {string|null}
+         */
+        getOverride: function () {
+            try {
+                return localStorage.getItem(STORAGE_KEY);
+            } catch (_ignored) {
+                return null;
+            }
+        },
+
+        /**
+         * Best bundle for the browser's preferred languages.
+         * @returns {string}
+         */
+        detectLocale: function () {
+            var preferred = navigator.languages && navigator.languages.length
+                ? navigator.languages
+                : [navigator.language];
+
+            for (var i = 0; i < preferred.length; i++) {
+                var locale = this._resolve(preferred[i]);
+                if (locale) {
+                    return locale;
+                }
+            }
+            return FALLBACK_LOCALE;
+        },
+
+        /**
+         * Manually override the locale (persisted), or pass null to go back
+         * to browser detection. Re-translates the document and notifies
+         * onChange listeners.
+         * @param {string|null} locale
+         */
+        setLocale: function (locale) {
+            try {
+                if (locale) {
+                    localStorage.setItem(STORAGE_KEY, locale);
+                } else {
+                    localStorage.removeItem(STORAGE_KEY);
+                }
+            } catch (_ignored) {
+                // Storage may be unavailable (private mode); the choice just won't persist.
+            }
+
+            currentLocale = this._resolve(locale) || this.detectLocale();
+            this.apply(document);
+
+            listeners.forEach(function (listener) {
+                try {
+                    listener(currentLocale);
+                } catch (err) {
+                    console.error('[I18n] Error in locale change listener:', err);
+                }
+            });
+        },
+
+        /**
+         * Register a callback fired after the locale changes, so dynamic
+         * text can be re-rendered.
+         * @param {Function} listener  Receives the new locale.
+         */
+        onChange: function (listener) {
+            listeners.push(listener);
+        },
+
+        /**
+         * Translate a key. Falls back to the fallback locale, then to the key
+         * itself so a missing message is visible rather than blank.
+         * @param {string} key
+         * @param {Object} [params]  Values for {name} placeholders.
+         * @returns {string}
+         */
+        t: function (key, params) {
+            var message = (bundles[currentLocale] || {})[key];
+            if (message === undefined) {
+                message = (bundles[FALLBACK_LOCALE] || {})[key];
+            }
+            if (message === undefined) {
+                console.warn('[I18n] Missing message:', key);
+                return key;
+            }
+            return this._format(message, params);
+        },
+
+        /**
+         * Whether a key exists in the active or fallback bundle.
+         * @param {string} key
+         * @returns {boolean}
+         */
+        has: function (key) {
+            return (bundles[currentLocale] || {})[key] !== undefined ||
+                (bundles[FALLBACK_LOCALE] || {})[key] !== undefined;
+        },
+
+        /**
+         * Translate all elements under root that carry data-i18n* attributes.
+         * @param {Document|Element} root
+         */
+        apply: function (root) {
+            if (root === document) {
+                document.documentElement.lang = currentLocale;
+            }
+
+            var self = this;
+            root.querySelectorAll('[data-i18n]').forEach(function (el) {
+                el.textContent = self.t(el.dataset.i18n);
+            });
+
+            ATTRIBUTE_BINDINGS.forEach(function (binding) {
+                var selector = '[data-' + binding.data.replace(/[A-Z]/g, function (c) {
+                    return '-' + c.toLowerCase();
+                }) + ']';
+                root.querySelectorAll(selector).forEach(function (el) {
+                    el.setAttribute(binding.attribute, self.t(el.dataset[binding.data]));
+                });
+            });
+        },
+
+        /**
+         * Map a language tag to a registered locale: exact match first, then
+         * any bundle with the same primary language ('en-GB' -> 'en').
+         * @param {string|null} tag
+         * @returns {string|null}
+         * @private
+         */
+        _resolve: function (tag) {
+            if (!tag) {
+                return null;
+            }
+
+            var lower = tag.toLowerCase();
+            var primary = lower.split('-')[0];
+            var locales = Object.keys(bundles);
+
+            for (var i = 0; i < locales.length; i++) {
+                if (locales[i].toLowerCase() === lower) {
+                    return locales[i];
+                }
+            }
+            for (var j = 0; j < locales.length; j++) {
+                if (locales[j].toLowerCase().split('-')[0] === primary) {
+                    return locales[j];
+                }
+            }
+            return null;
+        },
+
+        /** @private */
+        _format: function (message, params) {
+            if (!params) {
+                return message;
+            }
+            return message.replace(/\{(\w+)\}/g, function (match, name) {
+                return params[name] !== undefined ? String(params[name]) : match;
+            });
+        }
+    };
+
+    // Expose globally
+    window.I18n = I18n;
+
+})();
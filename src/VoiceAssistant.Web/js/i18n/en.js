@@ -0,0 +1,157 @@
+/**
+ * English message bundle
+ */
+I18n.register('en', {
+    'app.title': 'Azure Voice Assistant',
+    'app.subtitle': 'Voice conversation assistant',
+
+    'connection.disconnected': 'Disconnected',
+    'connection.connecting': 'Connecting',
+    'connection.connected': 'Connected',
+    'connection.reconnecting': 'Reconnecting',
+    'connection.loopback': 'Loopback mode (no server)',
+
+    'status.idle': 'Ready',
+    'status.connecting': 'Connecting...',
+    'status.listening': 'Listening, go ahead...',
+    'status.recording': 'Recording...',
+    'status.recognizing': 'Recognizing...',
+    'status.thinking': 'Thinking...',
+    'status.playing': 'Speaking...',
+    'status.error': 'Something went wrong',
+
+    'chat.placeholder': 'Press the microphone button or type a message to start...',
+    'chat.label': 'Conversation',
+    'a11y.userSaid': 'You said: {text}',
+    'a11y.assistantSaid': 'Assistant: {text}',
+
+    'sidebar.toggle': 'Conversations',
+    'sidebar.title': 'Conversations',
+    'sidebar.newConversation': '+ New',
+    'sidebar.saveAudio': 'Save conversation audio',
+    'sidebar.saveAudioHint': 'Also keep your recordings and the audio of assistant replies in the browser (uses more storage, included in exports)',
+    'sidebar.uiLocale': 'Interface language',
+    'sidebar.uiLocaleAuto': 'Browser default',
+
+    'conversation.untitled': 'New conversation',
+    'conversation.delete': 'Delete conversation',
+    'conversation.confirmDelete': 'Delete this conversation?',
+
+    'export.label': 'Export conversation',
+    'export.button': 'Export',
+    'export.markdown': 'Markdown transcript',
+    'export.json': 'JSON (timestamps and metadata)',
+    'export.zip': 'Audio archive (ZIP)',
+    'export.failed': 'Export failed, please try again',
+    'export.untitled': 'Conversation',
+    'export.createdAt': 'Created',
+    'export.messageCount': 'Messages',
+    'export.user': 'User',
+    'export.assistant': 'Assistant',
+    'export.confidence': 'confidence {percent}%',
+    'export.interrupted': 'Interrupted during playback',
+    'export.interruptedHeard': 'Interrupted during playback, the user heard about {percent}%',
+
+    'language.label': 'Speech language',
+    'language.auto': 'Auto-detect',
+    'language.zh-CN': '中文',
+    'language.en-US': 'English',
+    'language.tag.zh-CN': 'ZH',
+    'language.tag.en-US': 'EN',
+
+    'recognition.lowConfidence': 'Unsure',
+    'recognition.lowConfidenceHint': 'Low recognition confidence ({percent}%), this may not be what you said',
+
+    'text.placeholder': 'Type a message...',
+    'text.label': 'Message',
+    'text.textOnly': 'Text only',
+    'text.textOnlyHint': 'Show the reply as text without playing audio',
+    'text.send': 'Send',
+
+    'record.hint': 'Hold to talk',
+    'record.toggleStart': 'Press to start talking',
+    'record.toggleStop': 'Press again to stop talking',
+    'record.withShortcut': '{action} (shortcut: {key})',
+    'handsFree.label': 'Hands-free',
+    'handsFree.hint': 'Hands-free mode: detect when you start and stop talking',
+    'turn.cancel': 'Cancel',
+    'turn.cancelHint': 'Cancel this turn: stop waiting for the reply and leave it out of the conversation',
+    'turn.cancelTooLate': 'The reply had already finished, so it stays in the conversation.',
+    'turn.retry': 'Retry',
+    'turn.retryHint': 'Send this turn again: the same recording or message, without the failed attempt',
+
+    'settings.toggle': 'Settings',
+    'settings.title': 'Settings',
+    'settings.voice': 'Voice',
+    'settings.voiceDefault': 'Default',
+    'settings.preview': 'Preview',
+    'settings.previewHint': 'Play a short sample with the selected voice',
+    'settings.playbackRate': 'Speed',
+    'settings.volume': 'Volume',
+    'settings.outputDevice': 'Output device',
+    'settings.outputDefault': 'System default',
+    'settings.outputUnnamed': 'Speaker {n}',
+    'settings.talkMode': 'Talk mode',
+    'settings.talkModeHold': 'Hold to talk',
+    'settings.talkModeToggle': 'Press to start, press again to stop',
+    'settings.talkKey': 'Talk shortcut',
+    'settings.talkKeyNone': 'None',
+    'key.Space': 'Space',
+    'key.ControlRight': 'Right Ctrl',
+    'key.AltRight': 'Right Alt',
+    'key.F2': 'F2',
+    'settings.inputDevice': 'Microphone',
+    'settings.inputDefault': 'System default',
+    'settings.inputUnnamed': 'Microphone {n}',
+    'settings.echoCancellation': 'Echo cancellation',
+    'settings.echoCancellationHint': 'Keep the speaker output from being picked up by the microphone',
+    'settings.noiseSuppression': 'Noise suppression',
+    'settings.noiseSuppressionHint': 'Reduce background noise such as keyboards and fans',
+    'settings.autoGainControl': 'Auto gain',
+    'settings.autoGainControlHint': 'Adjust the microphone volume automatically',
+    'settings.compressUpload': 'Compressed upload',
+    'settings.compressUploadHint': 'Compress recordings with Opus before uploading (about a tenth of the data, good for mobile networks); recognition starts once you stop talking',
+    'playback.pause': 'Pause',
+    'playback.resume': 'Resume',
+    'playback.paused': 'Paused',
+    'playback.replay': 'Replay',
+    'playback.stopReplay': 'Stop',
+    'voice.gender.Female': 'female',
+    'voice.gender.Male': 'male',
+    'voice.gender.Neutral': 'neutral',
+
+    'recorder.permission_denied': 'Microphone access is blocked. Allow this site to use the microphone in your browser settings.',
+    'recorder.initialization_failed': 'Could not start the microphone. Check your recording device.',
+    'recorder.deviceUnavailable': 'The selected microphone is unavailable, using the system default.',
+    'recorder.too_short': 'That recording was too short. Keep talking until you have finished your sentence.',
+    'recorder.too_quiet': 'Nothing was heard. Move closer to the microphone or check its settings.',
+    'recorder.insecureContext': 'The microphone only works on pages served over HTTPS (or from localhost). Open this page over HTTPS.',
+    'recorder.permissionStep.siteSettings': 'Click the lock or site settings icon at the left of the address bar.',
+    'recorder.permissionStep.allow': 'Set Microphone to Allow.',
+    'recorder.permissionStep.system': 'If it is already allowed, check that your system\'s privacy settings let the browser use the microphone.',
+    'recorder.permissionStep.tryAgain': 'Press the microphone button again. Some browsers need the page reloaded first.',
+    'recorder.permissionGranted': 'Microphone access allowed. You can talk now.',
+
+    'errors.STT_FAILED': 'Sorry, I couldn\'t understand that. Please try again.',
+    'errors.LLM_FAILED': 'The AI service is unavailable right now. Please try again later.',
+    'errors.TTS_FAILED': 'Couldn\'t generate the spoken reply. Please try again later.',
+    'errors.SESSION_NOT_FOUND': 'This session has expired. Please start a new conversation.',
+    'errors.AUDIO_TOO_LONG': 'That recording is too long. Please keep it shorter.',
+    'errors.TURN_IN_PROGRESS': 'The previous message is still being answered. Please wait for it or cancel it first.',
+    'errors.INVALID_INPUT': 'Invalid input. Please check and try again.',
+    'errors.INTERNAL_ERROR': 'Server error. Please try again later.',
+    'errors.CONNECTION_FAILED': 'Can\'t reach the server. Check your network connection.',
+    'errors.START_SESSION_FAILED': 'Couldn\'t start a session. Reload the page to try again.',
+    'errors.RESUME_SESSION_FAILED': 'Couldn\'t resume the session after reconnecting.',
+    'errors.RESTORE_SESSION_FAILED': 'Couldn\'t restore the saved conversation.',
+    'errors.SET_LANGUAGE_FAILED': 'Couldn\'t change the speech language.',
+    'errors.GET_VOICES_FAILED': 'Couldn\'t load the list of voices.',
+    'errors.SET_VOICE_FAILED': 'Couldn\'t change the voice.',
+    'errors.PREVIEW_VOICE_FAILED': 'Couldn\'t play the voice preview. Please try again later.',
+    'errors.SEND_AUDIO_FAILED': 'Couldn\'t send the recording. Check your network connection.',
+    'errors.SEND_TEXT_FAILED': 'Couldn\'t send the message. Check your network connection.',
+    'errors.INTERRUPT_FAILED': 'Couldn\'t tell the server playback was interrupted.',
+    'errors.CANCEL_TURN_FAILED': 'Couldn\'t tell the server to cancel this turn.',
+    'errors.END_SESSION_FAILED': 'Couldn\'t end the session.',
+    'errors.unknown': 'An unexpected error occurred ({code}).'
+});
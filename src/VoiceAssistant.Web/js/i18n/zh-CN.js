@@ -0,0 +1,157 @@
+/**
+ * 简体中文消息包
+ */
+I18n.register('zh-CN', {
+    'app.title': 'Azure Voice Assistant',
+    'app.subtitle': '语音对话助手',
+
+    'connection.disconnected': '未连接',
+    'connection.connecting': '连接中',
+    'connection.connected': '已连接',
+    'connection.reconnecting': '重新连接中',
+    'connection.loopback': '回环模式（未连接服务器）',
+
+    'status.idle': '就绪',
+    'status.connecting': '连接中...',
+    'status.listening': '聆听中，请说话...',
+    'status.recording': '录音中...',
+    'status.recognizing': '识别中...',
+    'status.thinking': '思考中...',
+    'status.playing': '播放中...',
+    'status.error': '发生错误',
+
+    'chat.placeholder': '按下麦克风按钮或输入文字开始对话...',
+    'chat.label': '对话',
+    'a11y.userSaid': '你说：{text}',
+    'a11y.assistantSaid': '助手：{text}',
+
+    'sidebar.toggle': '历史对话',
+    'sidebar.title': '历史对话',
+    'sidebar.newConversation': '＋ 新对话',
+    'sidebar.saveAudio': '保存对话语音',
+    'sidebar.saveAudioHint': '在浏览器中同时保存你的录音和助手回复的语音，占用更多存储空间，可随对话一起导出',
+    'sidebar.uiLocale': '界面语言',
+    'sidebar.uiLocaleAuto': '跟随浏览器',
+
+    'conversation.untitled': '新对话',
+    'conversation.delete': '删除对话',
+    'conversation.confirmDelete': '确定删除这个对话吗？',
+
+    'export.label': '导出对话',
+    'export.button': '导出',
+    'export.markdown': 'Markdown 文字记录',
+    'export.json': 'JSON（含时间与元数据）',
+    'export.zip': '语音压缩包（ZIP）',
+    'export.failed': '导出失败，请重试',
+    'export.untitled': '对话记录',
+    'export.createdAt': '创建时间',
+    'export.messageCount': '消息数',
+    'export.user': '用户',
+    'export.assistant': '助手',
+    'export.confidence': '置信度 {percent}%',
+    'export.interrupted': '播放时被打断',
+    'export.interruptedHeard': '播放时被打断，用户听到约 {percent}%',
+
+    'language.label': '识别语言',
+    'language.auto': '自动检测',
+    'language.zh-CN': '中文',
+    'language.en-US': 'English',
+    'language.tag.zh-CN': '中文',
+    'language.tag.en-US': 'EN',
+
+    'recognition.lowConfidence': '可能不准确',
+    'recognition.lowConfidenceHint': '识别置信度较低（{percent}%），内容可能与您说的不一致',
+
+    'text.placeholder': '输入文字消息...',
+    'text.label': '文字消息',
+    'text.textOnly': '仅文字',
+    'text.textOnlyHint': '回复只显示文字，不播放语音',
+    'text.send': '发送',
+
+    'record.hint': '按住录音',
+    'record.toggleStart': '按一下开始录音',
+    'record.toggleStop': '再按一下结束录音',
+    'record.withShortcut': '{action}（快捷键：{key}）',
+    'handsFree.label': '免提',
+    'handsFree.hint': '免提模式：自动检测说话的开始和结束',
+    'turn.cancel': '取消',
+    'turn.cancelHint': '取消这一轮：不再等待回复，也不计入对话记录',
+    'turn.cancelTooLate': '回复已经完成，这一轮保留在对话记录中。',
+    'turn.retry': '重试',
+    'turn.retryHint': '重新发送这一轮的录音或文字，失败的这次不计入对话记录',
+
+    'settings.toggle': '设置',
+    'settings.title': '设置',
+    'settings.voice': '音色',
+    'settings.voiceDefault': '默认',
+    'settings.preview': '试听',
+    'settings.previewHint': '用所选音色播放一段示例语音',
+    'settings.playbackRate': '语速',
+    'settings.volume': '音量',
+    'settings.outputDevice': '输出设备',
+    'settings.outputDefault': '系统默认',
+    'settings.outputUnnamed': '扬声器 {n}',
+    'settings.talkMode': '说话方式',
+    'settings.talkModeHold': '按住说话',
+    'settings.talkModeToggle': '按一下开始，再按一下结束',
+    'settings.talkKey': '说话快捷键',
+    'settings.talkKeyNone': '不使用',
+    'key.Space': '空格',
+    'key.ControlRight': '右 Ctrl',
+    'key.AltRight': '右 Alt',
+    'key.F2': 'F2',
+    'settings.inputDevice': '麦克风',
+    'settings.inputDefault': '系统默认',
+    'settings.inputUnnamed': '麦克风 {n}',
+    'settings.echoCancellation': '回声消除',
+    'settings.echoCancellationHint': '消除扬声器播放的声音被麦克风录入的回声',
+    'settings.noiseSuppression': '降噪',
+    'settings.noiseSuppressionHint': '抑制键盘、风扇等背景噪音',
+    'settings.autoGainControl': '自动增益',
+    'settings.autoGainControlHint': '自动调整麦克风音量',
+    'settings.compressUpload': '压缩上传',
+    'settings.compressUploadHint': '录音用 Opus 压缩后再上传，流量约为原来的十分之一，适合移动网络；录完才开始识别',
+    'playback.pause': '暂停',
+    'playback.resume': '继续',
+    'playback.paused': '已暂停',
+    'playback.replay': '重播',
+    'playback.stopReplay': '停止播放',
+    'voice.gender.Female': '女声',
+    'voice.gender.Male': '男声',
+    'voice.gender.Neutral': '中性',
+
+    'recorder.permission_denied': '无法使用麦克风，请在浏览器设置中允许本网站访问麦克风',
+    'recorder.initialization_failed': '麦克风初始化失败，请检查录音设备',
+    'recorder.deviceUnavailable': '所选麦克风不可用，已改用系统默认麦克风',
+    'recorder.too_short': '录音太短了，请按住按钮说完一句话再松开',
+    'recorder.too_quiet': '没有听到声音，请靠近麦克风或检查麦克风设置',
+    'recorder.insecureContext': '麦克风只能在 HTTPS（或 localhost）页面上使用，请通过 HTTPS 打开本页面',
+    'recorder.permissionStep.siteSettings': '点击地址栏左侧的锁形（网站设置）图标',
+    'recorder.permissionStep.allow': '将“麦克风”设为“允许”',
+    'recorder.permissionStep.system': '如果已经允许，请检查系统的隐私设置是否允许浏览器使用麦克风',
+    'recorder.permissionStep.tryAgain': '再次按下麦克风按钮，部分浏览器需要先刷新页面',
+    'recorder.permissionGranted': '已允许使用麦克风，现在可以说话了',
+
+    'errors.STT_FAILED': '语音识别失败，请说清楚一些再试一次',
+    'errors.LLM_FAILED': 'AI 服务暂时不可用，请稍后再试',
+    'errors.TTS_FAILED': '语音合成失败，请稍后再试',
+    'errors.SESSION_NOT_FOUND': '会话已失效，请开始新的对话',
+    'errors.AUDIO_TOO_LONG': '录音太长了，请缩短后再试',
+    'errors.TURN_IN_PROGRESS': '上一条消息还在回复中，请等待或先取消',
+    'errors.INVALID_INPUT': '输入无效，请检查后重试',
+    'errors.INTERNAL_ERROR': '服务器内部错误，请稍后再试',
+    'errors.CONNECTION_FAILED': '无法连接到服务器，请检查网络',
+    'errors.START_SESSION_FAILED': '无法开始会话，请刷新页面重试',
+    'errors.RESUME_SESSION_FAILED': '重新连接后无法恢复会话',
+    'errors.RESTORE_SESSION_FAILED': '无法恢复历史对话',
+    'errors.SET_LANGUAGE_FAILED': '切换识别语言失败',
+    'errors.GET_VOICES_FAILED': '无法获取音色列表',
+    'errors.SET_VOICE_FAILED': '切换音色失败',
+    'errors.PREVIEW_VOICE_FAILED': '试听失败，请稍后再试',
+    'errors.SEND_AUDIO_FAILED': '发送录音失败，请检查网络',
+    'errors.SEND_TEXT_FAILED': '发送消息失败，请检查网络',
+    'errors.INTERRUPT_FAILED': '无法通知服务器打断播放',
+    'errors.CANCEL_TURN_FAILED': '无法通知服务器取消本轮对话',
+    'errors.END_SESSION_FAILED': '结束会话失败',
+    'errors.unknown': '发生未知错误（{code}）'
+});
@@ -0,0 +1,469 @@
+/**
+ * LoopbackTransport - WebSocketClient transport that imitates VoiceHub
+ * entirely in the browser.
+ *
+ * For demos and front-end work without Azure Speech / Azure OpenAI (or a
+ * server at all). It offers the same part of signalR.HubConnection as
+ * RestTransport and answers every hub method with the events the real hub
+ * would push, in the same order:
+ *
+ *   StartSession / RestoreSession  -> SessionStarted
+ *   ResumeSession                  -> SessionResumed
+ *   SendAudio / SendText           -> RecognitionResult, AssistantTextChunk
+ *                                     per sentence interleaved with
+ *                                     AudioChunk per sentence, end markers
+ *   StreamAudio                    -> interim RecognitionResults while
+ *                                     frames arrive, then the same turn
+ *   GetVoices / PreviewVoice       -> Voices / VoicePreview
+ *   CancelTurn                     -> TurnCancelled (the turn goes quiet)
+ *   InterruptPlayback              -> nothing (a turn still running goes quiet)
+ *   EndSession                     -> SessionEnded
+ *
+ * Recognition is scripted (`recognition`, used in turn) or, by default,
+ * echoes the input: typed text as is, recordings as their length. Replies
+ * are canned (`replies`, used in turn). Reply audio is a locally generated
+ * WAV tone per sentence, as long as the sentence would take to read.
+ *
+ * Options:
+ *   delayMs     pause before each pushed event (default 300)
+ *   recognition scripted recognized texts; empty = echo
+ *   replies     canned replies (split into sentences on 。！？.!?)
+ *   errorCode   hub error code to inject, e.g. 'STT_FAILED'
+ *   errorEvery  inject it on every n-th turn (default 1 = every turn)
+ *
+ * The injected error ends the turn where the hub would fail: LLM_FAILED
+ * after the recognition, TTS_FAILED after the reply text (voiced turns
+ * only), any other code instead of the recognition.
+ *
+ * Turned on from the page URL, e.g.
+ *   /?loopback&loopbackDelay=800&loopbackError=TTS_FAILED&loopbackErrorEvery=3
+ *     &loopbackText=你好&loopbackText=讲个笑话
+ * (see optionsFromQuery) or with
+ *   new WebSocketClient({ transports: ['loopback'], loopback: { ... } }).
+ */
+(function () {
+    'use strict';
+
+    /** Same values as signalR.HubConnectionState. */
+    var STATE_CONNECTED = 'Connected';
+    var STATE_DISCONNECTED = 'Disconnected';
+
+    /** Tone WAV format: 16kHz 16bit mono, like the recordings. */
+    var SAMPLE_RATE = 16000;
+
+    /** Recording limit announced in SessionStarted, as the server's AudioLimits. */
+    var MAX_AUDIO_SECONDS = 60;
+
+    /** Reading speed the tone lengths imitate, in characters per second. */
+    var CHARS_PER_SECOND = 6;
+
+    var DEFAULT_REPLIES = [
+        '这是回环模式的回复。音频是本地生成的提示音，没有连接服务器。',
+        '收到！回环模式会按句推送文字和音频。每一句都可以单独播放。',
+        'Loopback mode is on. Nothing left this browser.'
+    ];
+
+    /** Error codes the hub raises after the RecognitionResult; all others come first. */
+    var LATE_ERRORS = ['LLM_FAILED', 'TTS_FAILED'];
+
+    class LoopbackTransport {
+        /**
+         * @param {Object} [options]  See the module comment.
+         */
+        constructor(options) {
+            options = options || {};
+
+            this.delayMs = options.delayMs != null ? options.delayMs : 300;
+            this.recognition = options.recognition || [];
+            this.replies = options.replies && options.replies.length ? options.replies : DEFAULT_REPLIES;
+            this.errorCode = options.errorCode || null;
+            this.errorEvery = options.errorEvery || 1;
+            this.state = STATE_DISCONNECTED;
+
+            /** @type {Object.<string, Function[]>} hub event name -> handlers */
+            this._handlers = {};
+            /** @type {Function[]} */
+            this._closeCallbacks = [];
+
+            /**
+             * Sessions "on the server": sessionId -> { language, voiceName, messageCount }.
+             * @type {Object.<string, Object>}
+             */
+            this._sessions = {};
+
+            /** Turns taken so far, for cycling scripts and errorEvery. */
+            this._turns = 0;
+
+            /** Bumped by stop(), CancelTurn and InterruptPlayback so turns still being played out go quiet. */
+            this._generation = 0;
+
+            /** Whether a turn is being played out. */
+            this._turnRunning = false;
+        }
+
+        /**
+         * Read loopback options from a query string. Returns null unless
+         * `loopback` is present (and not "0" / "false").
+         * @param {string} search  e.g. window.location.search
+         * @returns {Object|null}
+         */
+        static optionsFromQuery(search) {
+            var params = new URLSearchParams(search);
+            var flag = params.get('loopback');
+            if (flag === null || flag === '0' || flag === 'false') {
+                return null;
+            }
+
+            var options = { recognition: params.getAll('loopbackText') };
+            if (params.has('loopbackDelay')) options.delayMs = Number(params.get('loopbackDelay')) || 0;
+            if (params.has('loopbackError')) options.errorCode = params.get('loopbackError');
+            if (params.has('loopbackErrorEvery')) options.errorEvery = Number(params.get('loopbackErrorEvery')) || 1;
+            return options;
+        }
+
+        /** @returns {Promise<void>} */
+        async start() {
+            this.state = STATE_CONNECTED;
+        }
+
+        /** @returns {Promise<void>} */
+        async stop() {
+            if (this.state === STATE_DISCONNECTED) {
+                return;
+            }
+            this.state = STATE_DISCONNECTED;
+            this._generation++;
+            this._closeCallbacks.forEach(function (callback) {
+                callback();
+            });
+        }
+
+        /**
+         * Register a handler for a hub event, e.g. 'AudioChunk'.
+         * @param {string} method
+         * @param {Function} handler
+         */
+        on(method, handler) {
+            (this._handlers[method] = this._handlers[method] || []).push(handler);
+        }
+
+        /** @param {Function} callback */
+        onclose(callback) {
+            this._closeCallbacks.push(callback);
+        }
+
+        // Nothing to lose, so nothing to re-establish
+        onreconnecting() {}
+        onreconnected() {}
+
+        /**
+         * Answer a hub method locally.
+         * @param {string} method  Hub method name.
+         * @param {...*} args      Hub method arguments.
+         * @returns {Promise<void>}  Resolves once all events of the call are pushed.
+         */
+        async invoke(method) {
+            var args = Array.prototype.slice.call(arguments, 1);
+
+            if (this.state !== STATE_CONNECTED) {
+                throw new Error('LoopbackTransport is not started.');
+            }
+
+            switch (method) {
+                case 'StartSession':
+                    return this._startSession(args[0], {});
+                case 'RestoreSession':
+                    return this._startSession(args[0], { restoredMessageCount: (args[1] || []).length }, (args[1] || []).length);
+                case 'EndSession':
+                    delete this._sessions[args[0]];
+                    return this._push('SessionEnded', { sessionId: args[0] });
+            }
+
+            var sessionId = args[0];
+            var session = this._session(sessionId);
+            if (!session) {
+                return this._push('Error', { sessionId: sessionId, code: 'SESSION_NOT_FOUND', message: '会话 ' + sessionId + ' 不存在' });
+            }
+
+            switch (method) {
+                case 'ResumeSession':
+                    return this._push('SessionResumed', { sessionId: sessionId, messageCount: session.messageCount });
+                case 'InterruptPlayback':
+                    // Like the hub, a reply still being played out stops where
+                    // it is and stays in the history with its question
+                    if (this._turnRunning) {
+                        this._generation++;
+                        this._turnRunning = false;
+                        session.messageCount += 2;
+                    }
+                    return;
+                case 'CancelTurn':
+                    var cancelled = this._turnRunning;
+                    this._generation++;
+                    this._turnRunning = false;
+                    return this._push('TurnCancelled', { sessionId: sessionId, cancelled: cancelled });
+                case 'SetLanguage':
+                    session.language = args[1];
+                    return;
+                case 'SetVoice':
+                    session.voiceName = args[1];
+                    return;
+                case 'GetVoices':
+                    return this._push('Voices', {
+                        sessionId: sessionId,
+                        language: session.language,
+                        selectedVoice: session.voiceName,
+                        voices: voicesFor(session.language)
+                    });
+                case 'PreviewVoice':
+                    return this._push('VoicePreview', {
+                        sessionId: sessionId,
+                        voiceName: args[1],
+                        audioChunk: toneWav(args[2], 0),
+                        contentType: 'audio/wav'
+                    });
+                case 'SendAudio':
+                    return this._turn(sessionId, session, echoRecording(args[1]), true);
+                case 'SendText':
+                    return this._turn(sessionId, session, String(args[1] || '').trim(), !args[2], true);
+                case 'StreamAudio':
+                    return this._streamTurn(sessionId, session, args[1]);
+            }
+
+            throw new Error(method + ' is not available over the loopback transport.');
+        }
+
+        // ------------------------------------------------------------ methods
+
+        async _startSession(language, extra, messageCount) {
+            var sessionId = 'loopback-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8);
+            this._sessions[sessionId] = { language: language || 'zh-CN', voiceName: null, messageCount: messageCount || 0 };
+            await this._push('SessionStarted', Object.assign({ sessionId: sessionId, maxAudioSeconds: MAX_AUDIO_SECONDS }, extra));
+        }
+
+        /**
+         * Collect streamed frames, pushing interim results as they arrive,
+         * then answer like SendAudio.
+         */
+        async _streamTurn(sessionId, session, frames) {
+            var self = this;
+            var script = this._script();
+            var bytes = 0;
+            var count = 0;
+            var generation = this._generation;
+
+            this._turnRunning = true;
+
+            await new Promise(function (resolve, reject) {
+                frames.subscribe({
+                    next: function (frame) {
+                        bytes += frame.length;
+                        // An interim hypothesis every 500ms of speech (5 frames)
+                        if (++count % 5 === 0 && generation === self._generation) {
+                            var seconds = bytes / (SAMPLE_RATE * 2);
+                            self._dispatch('RecognitionResult', {
+                                sessionId: sessionId,
+                                text: script != null
+                                    ? script.slice(0, Math.max(1, Math.min(script.length - 1, Math.round(seconds * CHARS_PER_SECOND))))
+                                    : echoText(seconds),
+                                language: null,
+                                confidence: null,
+                                isFinal: false
+                            });
+                        }
+                    },
+                    complete: resolve,
+                    error: reject
+                });
+            });
+
+            if (generation !== this._generation) return;
+            await this._turn(sessionId, session, echoText(bytes / (SAMPLE_RATE * 2)), true, false, script);
+        }
+
+        /**
+         * Push one turn's events.
+         * @param {string} sessionId
+         * @param {Object} session
+         * @param {string} echo             What echo recognition "heard".
+         * @param {boolean} synthesizeSpeech
+         * @param {boolean} [typed]         A SendText turn: recognition is the text itself.
+         * @param {?string} [script]        Scripted text already taken for this turn.
+         */
+        async _turn(sessionId, session, echo, synthesizeSpeech, typed, script) {
+            var generation = this._generation;
+            var text = typed ? echo : (script !== undefined ? script : this._script()) || echo;
+            var turn = ++this._turns;
+            this._turnRunning = true;
+
+            try {
+                await this._playTurn(sessionId, session, text, turn, synthesizeSpeech, typed);
+            } finally {
+                if (generation === this._generation) this._turnRunning = false;
+            }
+        }
+
+        /** The events of one turn, stopping once it is cancelled. */
+        async _playTurn(sessionId, session, text, turn, synthesizeSpeech, typed) {
+            var generation = this._generation;
+            var errorCode = this.errorCode && turn % this.errorEvery === 0 ? this.errorCode : null;
+
+            if (typed && !text) {
+                return this._push('Error', { sessionId: sessionId, code: 'INVALID_INPUT', message: '消息内容不能为空' });
+            }
+            if (errorCode && LATE_ERRORS.indexOf(errorCode) < 0) {
+                return this._injectError(sessionId, errorCode);
+            }
+
+            await this._push('RecognitionResult', {
+                sessionId: sessionId,
+                text: text,
+                language: typed ? null : (session.language === 'auto' ? 'zh-CN' : session.language),
+                confidence: typed ? 1.0 : 0.95,
+                isFinal: true
+            });
+            if (errorCode === 'LLM_FAILED') {
+                return this._injectError(sessionId, errorCode);
+            }
+
+            var sentences = splitSentences(this.replies[(turn - 1) % this.replies.length]);
+            var textEnd = 0;
+
+            for (var i = 0; i < sentences.length; i++) {
+                if (generation !== this._generation) return;
+                await this._push('AssistantTextChunk', { sessionId: sessionId, textChunk: sentences[i], isComplete: false });
+                textEnd += sentences[i].length;
+                if (!synthesizeSpeech || errorCode === 'TTS_FAILED') continue;
+                await this._push('AudioChunk', {
+                    sessionId: sessionId,
+                    audioChunk: toneWav(sentences[i], i),
+                    contentType: 'audio/wav',
+                    sequence: i,
+                    textEnd: textEnd,
+                    isComplete: false
+                });
+            }
+
+            if (generation !== this._generation) return;
+            if (errorCode === 'TTS_FAILED' && synthesizeSpeech) {
+                return this._injectError(sessionId, errorCode);
+            }
+
+            session.messageCount += 2;
+            await this._push('AssistantTextChunk', { sessionId: sessionId, textChunk: '', isComplete: true });
+            if (synthesizeSpeech) {
+                await this._push('AudioChunk', {
+                    sessionId: sessionId,
+                    audioChunk: null,
+                    contentType: null,
+                    sequence: sentences.length,
+                    isComplete: true
+                });
+            }
+        }
+
+        // ------------------------------------------------------------ helpers
+
+        _injectError(sessionId, code) {
+            return this._push('Error', { sessionId: sessionId, code: code, message: '回环模式注入的错误：' + code });
+        }
+
+        /** Next scripted recognition, or null to echo. */
+        _script() {
+            if (!this.recognition.length) {
+                return null;
+            }
+            return this.recognition[this._turns % this.recognition.length];
+        }
+
+        _session(sessionId) {
+            return this._sessions[sessionId] || null;
+        }
+
+        /** Wait delayMs, then dispatch - unless stop() came in between. */
+        async _push(method, data) {
+            var generation = this._generation;
+            if (this.delayMs > 0) {
+                await new Promise(function (resolve) { setTimeout(resolve, this.delayMs); }.bind(this));
+            }
+            if (generation === this._generation) {
+                this._dispatch(method, data);
+            }
+        }
+
+        _dispatch(method, data) {
+            (this._handlers[method] || []).forEach(function (handler) {
+                handler(data);
+            });
+        }
+    }
+
+    function echoText(seconds) {
+        return '（回环）' + seconds.toFixed(1) + ' 秒录音';
+    }
+
+    /** Echo of a whole recording: its length for WAV, its size otherwise. */
+    function echoRecording(audio) {
+        var bytes = audio ? audio.length : 0;
+        var isWav = bytes > 12 && String.fromCharCode(audio[8], audio[9], audio[10], audio[11]) === 'WAVE';
+        return isWav ? echoText((bytes - 44) / (SAMPLE_RATE * 2)) : '（回环）' + Math.round(bytes / 1024) + ' KB 录音';
+    }
+
+    function splitSentences(reply) {
+        return String(reply).match(/[^。！？.!?]+[。！？.!?]*\s*/g) || [String(reply)];
+    }
+
+    function voicesFor(language) {
+        var locale = !language || language === 'auto' ? 'zh-CN' : language;
+        return [
+            { name: locale + '-LoopbackFemaleNeural', displayName: 'Loopback Female', locale: locale, gender: 'Female' },
+            { name: locale + '-LoopbackMaleNeural', displayName: 'Loopback Male', locale: locale, gender: 'Male' }
+        ];
+    }
+
+    /**
+     * A WAV sine tone as long as reading `text` would take (0.3s-3s); the
+     * pitch steps up with `index` so consecutive sentences are told apart.
+     * @returns {Uint8Array}
+     */
+    function toneWav(text, index) {
+        var seconds = Math.min(3, Math.max(0.3, String(text || '').trim().length / CHARS_PER_SECOND));
+        var samples = Math.round(seconds * SAMPLE_RATE);
+        var frequency = 440 * Math.pow(2, (index % 6) / 12);
+        var fade = Math.round(SAMPLE_RATE * 0.02);
+
+        var buffer = new ArrayBuffer(44 + samples * 2);
+        var view = new DataView(buffer);
+        writeAscii(view, 0, 'RIFF');
+        view.setUint32(4, 36 + samples * 2, true);
+        writeAscii(view, 8, 'WAVE');
+        writeAscii(view, 12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true);                // PCM
+        view.setUint16(22, 1, true);                // mono
+        view.setUint32(24, SAMPLE_RATE, true);
+        view.setUint32(28, SAMPLE_RATE * 2, true);  // byte rate
+        view.setUint16(32, 2, true);                // block align
+        view.setUint16(34, 16, true);               // bits per sample
+        writeAscii(view, 36, 'data');
+        view.setUint32(40, samples * 2, true);
+
+        for (var i = 0; i < samples; i++) {
+            // Short fade in/out so the tones don't click
+            var envelope = Math.min(1, i / fade, (samples - i) / fade);
+            var value = Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE) * 0.3 * envelope;
+            view.setInt16(44 + i * 2, Math.round(value * 32767), true);
+        }
+        return new Uint8Array(buffer);
+    }
+
+    function writeAscii(view, offset, text) {
+        for (var i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    }
+
+    // Expose globally
+    window.LoopbackTransport = LoopbackTransport;
+
+})();
@@ -0,0 +1,399 @@
+/**
+ * Markdown - renders assistant replies as a safe subset of Markdown.
+ *
+ * Supported: paragraphs (single newlines become line breaks), ATX headings,
+ * fenced code blocks, inline code, bold / italic / strikethrough, ordered and
+ * unordered lists (nested by indentation, task list boxes), blockquotes,
+ * horizontal rules, GFM pipe tables, links and autolinked URLs.
+ *
+ * The output is built with DOM APIs only (createElement + textContent), never
+ * innerHTML, so raw HTML in the source is shown as text rather than parsed.
+ * Links are kept only for http(s) and mailto URLs and open in a new tab with
+ * rel="noopener noreferrer"; images are rendered as links to avoid loading
+ * third-party content. An unclosed code fence (common while a reply is still
+ * streaming) runs to the end of the text.
+ *
+ * Usage:
+ *   bubble.replaceChildren(Markdown.render(text));
+ */
+(function () {
+    'use strict';
+
+    var FENCE = /^ {0,3}(`{3,}|~{3,})\s*([^\s`]*)/;
+    var HEADING = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+    var HORIZONTAL_RULE = /^ {0,3}([-*_])( *\1){2,} *$/;
+    var BLOCKQUOTE = /^ {0,3}> ?/;
+    var LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+    var TASK_BOX = /^\[([ xX])\]\s+/;
+    var TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+    // Earliest match wins; each alternative's groups are read in _inline.
+    var INLINE = new RegExp([
+        '\\\\([\\\\`*_{}\\[\\]()#+\\-.!|~<>])',                      // 1: escape
+        '(`+)([\\s\\S]*?[^`])\\2(?!`)',                              // 2,3: code span
+        '(!?)\\[([^\\]]*)\\]\\(\\s*<?([^\\s)>]*)>?(?:\\s+"([^"]*)")?\\s*\\)', // 4-7: link / image
+        '<(https?:\\/\\/[^\\s>]+|mailto:[^\\s>]+)>',                 // 8: autolink
+        '(https?:\\/\\/[^\\s<]*[^\\s<.,;:!?)\\]\'"，。！？）])',       // 9: bare URL
+        '(\\*\\*|__)(?=\\S)([\\s\\S]*?\\S)\\10',                      // 10,11: strong
+        '~~(?=\\S)([\\s\\S]*?\\S)~~',                                // 12: strikethrough
+        '\\*(?=[^\\s*])([\\s\\S]*?[^\\s*])\\*(?!\\*)',               // 13: emphasis
+        '(?<![\\w\\\\])_(?=[^\\s_])([\\s\\S]*?[^\\s_])_(?!\\w)'      // 14: emphasis (word boundary only)
+    ].join('|'), 'g');
+
+    var SAFE_URL = /^(https?:|mailto:)/i;
+
+    var Markdown = {
+        /**
+         * Render Markdown source into DOM nodes.
+         * @param {string} text
+         * @returns {DocumentFragment}
+         */
+        render: function (text) {
+            var fragment = document.createDocumentFragment();
+            var lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+            this._blocks(lines, fragment);
+            return fragment;
+        },
+
+        /**
+         * Append the block elements for lines to parent.
+         * @private
+         */
+        _blocks: function (lines, parent) {
+            var i = 0;
+            var paragraph = [];
+            var self = this;
+
+            function flushParagraph() {
+                if (paragraph.length === 0) return;
+                var p = document.createElement('p');
+                paragraph.forEach(function (line, index) {
+                    if (index > 0) p.appendChild(document.createElement('br'));
+                    self._inline(line.trim(), p);
+                });
+                parent.appendChild(p);
+                paragraph = [];
+            }
+
+            while (i < lines.length) {
+                var line = lines[i];
+                var match;
+
+                if (!line.trim()) {
+                    flushParagraph();
+                    i++;
+                    continue;
+                }
+
+                if ((match = FENCE.exec(line))) {
+                    flushParagraph();
+                    i = this._codeBlock(lines, i, match, parent);
+                    continue;
+                }
+
+                if ((match = HEADING.exec(line))) {
+                    flushParagraph();
+                    var heading = document.createElement('h' + match[1].length);
+                    this._inline(match[2], heading);
+                    parent.appendChild(heading);
+                    i++;
+                    continue;
+                }
+
+                if (HORIZONTAL_RULE.test(line)) {
+                    flushParagraph();
+                    parent.appendChild(document.createElement('hr'));
+                    i++;
+                    continue;
+                }
+
+                if (BLOCKQUOTE.test(line)) {
+                    flushParagraph();
+                    var quoted = [];
+                    while (i < lines.length && BLOCKQUOTE.test(lines[i])) {
+                        quoted.push(lines[i].replace(BLOCKQUOTE, ''));
+                        i++;
+                    }
+                    var blockquote = document.createElement('blockquote');
+                    this._blocks(quoted, blockquote);
+                    parent.appendChild(blockquote);
+                    continue;
+                }
+
+                if (line.indexOf('|') !== -1 && i + 1 < lines.length &&
+                    lines[i + 1].indexOf('-') !== -1 && TABLE_SEPARATOR.test(lines[i + 1])) {
+                    flushParagraph();
+                    i = this._table(lines, i, parent);
+                    continue;
+                }
+
+                if (LIST_ITEM.test(line)) {
+                    flushParagraph();
+                    i = this._list(lines, i, parent);
+                    continue;
+                }
+
+                paragraph.push(line);
+                i++;
+            }
+            flushParagraph();
+        },
+
+        /**
+         * Fenced code block; returns the index after its closing fence.
+         * @private
+         */
+        _codeBlock: function (lines, start, match, parent) {
+            var marker = match[1];
+            var code = [];
+            var i = start + 1;
+            while (i < lines.length) {
+                var trimmed = lines[i].trim();
+                if (trimmed.length >= marker.length && trimmed.split('').every(function (c) { return c === marker[0]; })) {
+                    i++;
+                    break;
+                }
+                code.push(lines[i]);
+                i++;
+            }
+
+            var pre = document.createElement('pre');
+            var codeEl = document.createElement('code');
+            if (match[2]) {
+                codeEl.className = 'language-' + match[2].replace(/[^\w+#-]/g, '');
+            }
+            codeEl.textContent = code.join('\n');
+            pre.appendChild(codeEl);
+            parent.appendChild(pre);
+            return i;
+        },
+
+        /**
+         * GFM pipe table; returns the index after its last row.
+         * @private
+         */
+        _table: function (lines, start, parent) {
+            var self = this;
+            var alignments = this._cells(lines[start + 1]).map(function (cell) {
+                var left = cell.charAt(0) === ':';
+                var right = cell.charAt(cell.length - 1) === ':';
+                return left && right ? 'center' : right ? 'right' : left ? 'left' : '';
+            });
+
+            function row(line, cellTag) {
+                var tr = document.createElement('tr');
+                self._cells(line).forEach(function (cell, index) {
+                    var td = document.createElement(cellTag);
+                    if (alignments[index]) td.style.textAlign = alignments[index];
+                    self._inline(cell, td);
+                    tr.appendChild(td);
+                });
+                return tr;
+            }
+
+            var table = document.createElement('table');
+            var thead = document.createElement('thead');
+            thead.appendChild(row(lines[start], 'th'));
+            table.appendChild(thead);
+
+            var tbody = document.createElement('tbody');
+            var i = start + 2;
+            while (i < lines.length && lines[i].trim() && lines[i].indexOf('|') !== -1) {
+                tbody.appendChild(row(lines[i], 'td'));
+                i++;
+            }
+            table.appendChild(tbody);
+
+            // Wide tables scroll inside the bubble instead of stretching it
+            var wrapper = document.createElement('div');
+            wrapper.className = 'table-wrapper';
+            wrapper.appendChild(table);
+            parent.appendChild(wrapper);
+            return i;
+        },
+
+        /** @private */
+        _cells: function (line) {
+            var trimmed = line.trim().replace(/^\|/, '').replace(/\|$/, '');
+            // Split on pipes that are not escaped
+            return trimmed.split(/(?<!\\)\|/).map(function (cell) {
+                return cell.trim();
+            });
+        },
+
+        /**
+         * List starting at lines[start]; items continue while lines are list
+         * items at the same indentation, indented continuations or blank
+         * lines followed by either. Returns the index after the list.
+         * @private
+         */
+        _list: function (lines, start, parent) {
+            var first = LIST_ITEM.exec(lines[start]);
+            var indent = first[1].length;
+            var ordered = /\d/.test(first[2]);
+            var list = document.createElement(ordered ? 'ol' : 'ul');
+            if (ordered && parseInt(first[2], 10) !== 1) list.start = parseInt(first[2], 10);
+
+            var i = start;
+            var item = null;
+            var body = [];
+            var loose = false;
+            var self = this;
+
+            function flushItem() {
+                if (!item) return;
+                self._blocks(body, item);
+                list.appendChild(item);
+            }
+
+            while (i < lines.length) {
+                var line = lines[i];
+                var match = LIST_ITEM.exec(line);
+
+                if (match && match[1].length === indent && /\d/.test(match[2]) === ordered) {
+                    flushItem();
+                    item = document.createElement('li');
+                    var content = match[3];
+                    var task = TASK_BOX.exec(content);
+                    if (task) {
+                        var checkbox = document.createElement('input');
+                        checkbox.type = 'checkbox';
+                        checkbox.disabled = true;
+                        checkbox.checked = task[1] !== ' ';
+                        item.appendChild(checkbox);
+                        item.classList.add('task');
+                        content = content.slice(task[0].length);
+                    }
+                    body = [content];
+                    i++;
+                    continue;
+                }
+
+                if (!line.trim()) {
+                    // A blank line ends the list unless the next line belongs to it
+                    var next = lines[i + 1];
+                    if (next === undefined || !(/^\s/.test(next) || LIST_ITEM.test(next))) break;
+                    var nextMatch = LIST_ITEM.exec(next);
+                    if (nextMatch && (nextMatch[1].length < indent ||
+                        (nextMatch[1].length === indent && /\d/.test(nextMatch[2]) !== ordered))) break;
+                    loose = true;
+                    body.push('');
+                    i++;
+                    continue;
+                }
+
+                var leading = line.length - line.replace(/^ +/, '').length;
+                if (leading > indent) {
+                    // Continuation or nested list: strip this item's indentation
+                    body.push(line.slice(Math.min(leading, indent + 2)));
+                    i++;
+                    continue;
+                }
+
+                if (match) break;  // a sibling of another kind or an outer item
+
+                // Lazy continuation of the item's paragraph
+                body.push(line.trim());
+                i++;
+            }
+            flushItem();
+
+            if (!loose) list.classList.add('tight');
+            parent.appendChild(list);
+            return i;
+        },
+
+        /**
+         * Append inline content of text to parent.
+         * @private
+         */
+        _inline: function (text, parent) {
+            var last = 0;
+            var match;
+            INLINE.lastIndex = 0;
+
+            // Nested calls reuse the shared regex, so collect matches first
+            var matches = [];
+            while ((match = INLINE.exec(text)) !== null) {
+                matches.push(match);
+                if (match[0].length === 0) INLINE.lastIndex++;
+            }
+
+            for (var m = 0; m < matches.length; m++) {
+                match = matches[m];
+                if (match.index > last) {
+                    parent.appendChild(document.createTextNode(text.slice(last, match.index)));
+                }
+                parent.appendChild(this._inlineNode(match));
+                last = match.index + match[0].length;
+            }
+            if (last < text.length) {
+                parent.appendChild(document.createTextNode(text.slice(last)));
+            }
+        },
+
+        /** @private */
+        _inlineNode: function (match) {
+            var el;
+            if (match[1] !== undefined) {
+                return document.createTextNode(match[1]);
+            }
+            if (match[2] !== undefined) {
+                el = document.createElement('code');
+                el.textContent = match[3].replace(/^ (.+) $/, '$1');
+                return el;
+            }
+            if (match[5] !== undefined) {
+                // Images become links to the image, labelled with their alt text
+                var label = match[5] || match[6];
+                return this._link(match[6], match[7], function (a) {
+                    if (match[4]) {
+                        a.textContent = label;
+                    } else {
+                        Markdown._inline(label, a);
+                    }
+                }, match[0]);
+            }
+            if (match[8] !== undefined || match[9] !== undefined) {
+                var url = match[8] || match[9];
+                return this._link(url, null, function (a) {
+                    a.textContent = url.replace(/^mailto:/i, '');
+                }, match[0]);
+            }
+            if (match[10] !== undefined) {
+                el = document.createElement('strong');
+                this._inline(match[11], el);
+                return el;
+            }
+            if (match[12] !== undefined) {
+                el = document.createElement('del');
+                this._inline(match[12], el);
+                return el;
+            }
+            el = document.createElement('em');
+            this._inline(match[13] !== undefined ? match[13] : match[14], el);
+            return el;
+        },
+
+        /**
+         * A link to a safe URL, or the original source text otherwise.
+         * @private
+         */
+        _link: function (url, title, fill, source) {
+            if (!SAFE_URL.test(url || '')) {
+                return document.createTextNode(source);
+            }
+            var a = document.createElement('a');
+            a.href = url;
+            a.target = '_blank';
+            a.rel = 'noopener noreferrer';
+            if (title) a.title = title;
+            fill(a);
+            return a;
+        }
+    };
+
+    // Expose globally
+    window.Markdown = Markdown;
+
+})();
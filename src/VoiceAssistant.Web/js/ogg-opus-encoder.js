@@ -0,0 +1,268 @@
+/**
+ * OggOpusEncoder - compresses recorded speech to Opus in an Ogg container.
+ *
+ * Uses the WebCodecs AudioEncoder and writes the Ogg pages itself
+ * (RFC 3533 / RFC 7845): an OpusHead page, an OpusTags page, then the audio
+ * packets. A 60 s utterance shrinks from ~1.9 MB of 16 kHz PCM WAV to
+ * roughly 180 KB at the default 24 kbps.
+ *
+ * Samples are fed as they are captured, so most of the encoding is done by
+ * the time recording stops and finish() only has to flush the last packets.
+ *
+ * Usage:
+ *   if (OggOpusEncoder.isAvailable()) {
+ *       var encoder = new OggOpusEncoder(16000);
+ *       encoder.encode(float32Samples);          // repeatedly while recording
+ *       var bytes = await encoder.finish();      // Uint8Array, 'audio/ogg'
+ *   }
+ */
+(function () {
+    'use strict';
+
+    /** Opus always counts granule positions at 48 kHz. */
+    var GRANULE_RATE = 48000;
+
+    /** Encoder delay signalled to decoders (libopus default lookahead). */
+    var PRE_SKIP = 312;
+
+    /** Packets per Ogg page: 50 × 20 ms = 1 s of audio (fewer if the lacing table fills up). */
+    var PACKETS_PER_PAGE = 50;
+
+    var FLAG_BEGIN = 0x02;
+    var FLAG_END = 0x04;
+
+    class OggOpusEncoder {
+        /**
+         * @param {number} sampleRate  Rate of the samples passed to encode() (8, 12, 16, 24 or 48 kHz).
+         * @param {number} [bitrate=24000]  Target bits per second.
+         */
+        constructor(sampleRate, bitrate) {
+            this.sampleRate = sampleRate;
+            this.bitrate = bitrate || 24000;
+
+            /** @type {Uint8Array[]} encoded Opus packets, in order */
+            this._packets = [];
+            /** @type {number[]} duration of each packet in 48 kHz samples */
+            this._durations = [];
+            this._timestamp = 0;
+            this._error = null;
+
+            this._encoder = new AudioEncoder({
+                output: function (chunk) {
+                    var packet = new Uint8Array(chunk.byteLength);
+                    chunk.copyTo(packet);
+                    this._packets.push(packet);
+                    this._durations.push(Math.round((chunk.duration || 20000) * GRANULE_RATE / 1e6));
+                }.bind(this),
+                error: function (err) {
+                    this._error = err;
+                }.bind(this)
+            });
+            this._encoder.configure({
+                codec: 'opus',
+                sampleRate: sampleRate,
+                numberOfChannels: 1,
+                bitrate: this.bitrate
+            });
+        }
+
+        /**
+         * Whether this browser can encode Opus with WebCodecs.
+         * @returns {boolean}
+         */
+        static isAvailable() {
+            return typeof AudioEncoder === 'function' && typeof AudioData === 'function';
+        }
+
+        /** MIME type of the bytes returned by finish(). */
+        static get contentType() {
+            return 'audio/ogg';
+        }
+
+        /**
+         * Queue mono Float32 samples for encoding.
+         * @param {Float32Array} samples
+         */
+        encode(samples) {
+            if (this._error || this._encoder.state !== 'configured' || samples.length === 0) {
+                return;
+            }
+            var data = new AudioData({
+                format: 'f32',
+                sampleRate: this.sampleRate,
+                numberOfFrames: samples.length,
+                numberOfChannels: 1,
+                timestamp: this._timestamp,
+                data: samples
+            });
+            this._timestamp += samples.length / this.sampleRate * 1e6;
+            this._encoder.encode(data);
+            data.close();
+        }
+
+        /**
+         * Flush the encoder and build the Ogg file.
+         * @returns {Promise<Uint8Array>}  Rejects if encoding failed.
+         */
+        async finish() {
+            if (!this._error) {
+                try {
+                    await this._encoder.flush();
+                } catch (err) {
+                    this._error = this._error || err;
+                }
+            }
+            this.close();
+
+            if (this._error) {
+                throw this._error;
+            }
+            return this._buildOgg();
+        }
+
+        /**
+         * Release the encoder without producing output.
+         */
+        close() {
+            if (this._encoder.state !== 'closed') {
+                this._encoder.close();
+            }
+        }
+
+        /**
+         * @returns {Uint8Array}
+         * @private
+         */
+        _buildOgg() {
+            var serial = Math.floor(Math.random() * 0xFFFFFFFF) >>> 0;
+            var pages = [
+                oggPage([opusHead(this.sampleRate)], 0, serial, 0, FLAG_BEGIN),
+                oggPage([opusTags()], 0, serial, 1, 0)
+            ];
+
+            var granule = PRE_SKIP;
+            var sequence = 2;
+            var packets = [];
+            var lacingCount = 0;
+            for (var i = 0; i < this._packets.length; i++) {
+                var packet = this._packets[i];
+                var lacing = Math.floor(packet.length / 255) + 1;
+                if (packets.length === PACKETS_PER_PAGE || lacingCount + lacing > 255) {
+                    pages.push(oggPage(packets, granule, serial, sequence++, 0));
+                    packets = [];
+                    lacingCount = 0;
+                }
+                packets.push(packet);
+                lacingCount += lacing;
+                granule += this._durations[i];
+            }
+            pages.push(oggPage(packets, granule, serial, sequence, FLAG_END));
+
+            var total = pages.reduce(function (sum, page) { return sum + page.length; }, 0);
+            var ogg = new Uint8Array(total);
+            var offset = 0;
+            pages.forEach(function (page) {
+                ogg.set(page, offset);
+                offset += page.length;
+            });
+            return ogg;
+        }
+    }
+
+    // ------------------------------------------------------------- ogg framing
+
+    /** OpusHead identification header (RFC 7845 section 5.1). */
+    function opusHead(inputSampleRate) {
+        var head = new Uint8Array(19);
+        var view = new DataView(head.buffer);
+        writeAscii(head, 0, 'OpusHead');
+        head[8] = 1;                                  // version
+        head[9] = 1;                                  // channel count
+        view.setUint16(10, PRE_SKIP, true);
+        view.setUint32(12, inputSampleRate, true);    // original rate, informational
+        view.setInt16(16, 0, true);                   // output gain
+        head[18] = 0;                                 // channel mapping family
+        return head;
+    }
+
+    /** OpusTags comment header with no user comments (RFC 7845 section 5.2). */
+    function opusTags() {
+        var vendor = 'voice-assistant';
+        var tags = new Uint8Array(8 + 4 + vendor.length + 4);
+        var view = new DataView(tags.buffer);
+        writeAscii(tags, 0, 'OpusTags');
+        view.setUint32(8, vendor.length, true);
+        writeAscii(tags, 12, vendor);
+        view.setUint32(12 + vendor.length, 0, true);  // user comment count
+        return tags;
+    }
+
+    /**
+     * One Ogg page holding whole packets (at most 255 lacing values).
+     * @param {Uint8Array[]} packets
+     * @param {number} granule  Granule position after the last packet.
+     */
+    function oggPage(packets, granule, serial, sequence, flags) {
+        var lacing = [];
+        packets.forEach(function (packet) {
+            for (var size = packet.length; size >= 255; size -= 255) {
+                lacing.push(255);
+            }
+            lacing.push(packet.length % 255);
+        });
+
+        var bodySize = packets.reduce(function (sum, packet) { return sum + packet.length; }, 0);
+        var page = new Uint8Array(27 + lacing.length + bodySize);
+        var view = new DataView(page.buffer);
+
+        writeAscii(page, 0, 'OggS');
+        page[4] = 0;                                  // stream structure version
+        page[5] = flags;
+        view.setBigInt64(6, BigInt(granule), true);
+        view.setUint32(14, serial, true);
+        view.setUint32(18, sequence, true);
+        // bytes 22-25: CRC, filled in below
+        page[26] = lacing.length;
+        page.set(lacing, 27);
+
+        var offset = 27 + lacing.length;
+        packets.forEach(function (packet) {
+            page.set(packet, offset);
+            offset += packet.length;
+        });
+
+        view.setUint32(22, oggCrc(page), true);
+        return page;
+    }
+
+    function writeAscii(bytes, offset, text) {
+        for (var i = 0; i < text.length; i++) {
+            bytes[offset + i] = text.charCodeAt(i);
+        }
+    }
+
+    // Ogg uses CRC-32 with polynomial 0x04C11DB7, unreflected, zero initial value
+    var CRC_TABLE = (function () {
+        var table = new Uint32Array(256);
+        for (var n = 0; n < 256; n++) {
+            var c = n << 24;
+            for (var k = 0; k < 8; k++) {
+                c = c & 0x80000000 ? (c << 1) ^ 0x04C11DB7 : c << 1;
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    function oggCrc(bytes) {
+        var crc = 0;
+        for (var i = 0; i < bytes.length; i++) {
+            crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ bytes[i]) & 0xFF]) >>> 0;
+        }
+        return crc;
+    }
+
+    // Expose globally
+    window.OggOpusEncoder = OggOpusEncoder;
+
+})();
@@ -0,0 +1,156 @@
+/**
+ * PcmCaptureProcessor - AudioWorklet processor used by AudioRecorder.
+ *
+ * Runs on the audio rendering thread at the AudioContext's native sample
+ * rate (typically 44.1 or 48 kHz), mixes the input down to mono, applies a
+ * windowed-sinc low-pass filter and resamples to the target rate (16 kHz by
+ * default). Resampled Float32 blocks are posted to the main thread through
+ * the node's MessagePort.
+ *
+ * processorOptions:
+ *   targetSampleRate - output sample rate in Hz (default 16000)
+ *   blockSize        - output samples per posted block (default 320 = 20 ms)
+ */
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+
+        var processorOptions = (options && options.processorOptions) || {};
+
+        /** Output sample rate. `sampleRate` is the worklet-global input rate. */
+        this.targetSampleRate = processorOptions.targetSampleRate || 16000;
+        this.blockSize = processorOptions.blockSize || 320;
+
+        /** Input samples advanced per output sample. */
+        this._ratio = sampleRate / this.targetSampleRate;
+
+        // Anti-aliasing filter is only needed when downsampling.
+        this._kernel = this._ratio > 1 ? this._designLowPass(this._ratio) : null;
+        this._delayLine = this._kernel ? new Float32Array(this._kernel.length - 1) : null;
+
+        /** Fractional read position relative to the current filtered block. */
+        this._position = 0;
+        /** Last filtered sample of the previous block (position -1). */
+        this._previousSample = 0;
+
+        this._outputBlock = new Float32Array(this.blockSize);
+        this._outputOffset = 0;
+    }
+
+    /**
+     * Design a Hamming-windowed sinc low-pass filter with its cutoff just
+     * below the target Nyquist frequency.
+     * @param {number} ratio  Input rate / output rate.
+     * @returns {Float32Array} Normalized filter taps (odd length).
+     */
+    _designLowPass(ratio) {
+        var cutoff = 0.45 / ratio; // cycles per input sample, 90% of target Nyquist
+        var taps = Math.max(15, Math.ceil(ratio * 8) * 2 + 1);
+        var half = (taps - 1) / 2;
+        var kernel = new Float32Array(taps);
+        var sum = 0;
+
+        for (var i = 0; i < taps; i++) {
+            var n = i - half;
+            var sinc = n === 0
+                ? 2 * cutoff
+                : Math.sin(2 * Math.PI * cutoff * n) / (Math.PI * n);
+            var window = 0.54 - 0.46 * Math.cos(2 * Math.PI * i / (taps - 1));
+            kernel[i] = sinc * window;
+            sum += kernel[i];
+        }
+
+        // Unity gain at DC
+        for (var j = 0; j < taps; j++) {
+            kernel[j] /= sum;
+        }
+        return kernel;
+    }
+
+    /**
+     * Run the FIR filter over one input block, carrying state across calls.
+     * @param {Float32Array} input
+     * @returns {Float32Array}
+     */
+    _filter(input) {
+        if (!this._kernel) {
+            return input;
+        }
+
+        var kernel = this._kernel;
+        var history = this._delayLine.length;
+        var extended = new Float32Array(history + input.length);
+        extended.set(this._delayLine, 0);
+        extended.set(input, history);
+
+        var output = new Float32Array(input.length);
+        for (var i = 0; i < input.length; i++) {
+            var acc = 0;
+            for (var k = 0; k < kernel.length; k++) {
+                acc += kernel[k] * extended[i + k];
+            }
+            output[i] = acc;
+        }
+
+        this._delayLine.set(extended.subarray(extended.length - history));
+        return output;
+    }
+
+    /**
+     * Linearly interpolate the filtered signal at the output sample positions.
+     * @param {Float32Array} filtered
+     */
+    _resample(filtered) {
+        var length = filtered.length;
+
+        while (this._position <= length - 1) {
+            var index = Math.floor(this._position);
+            var fraction = this._position - index;
+            var a = index < 0 ? this._previousSample : filtered[index];
+            var b = index + 1 < length ? filtered[index + 1] : a;
+
+            this._push(a + (b - a) * fraction);
+            this._position += this._ratio;
+        }
+
+        this._position -= length;
+        this._previousSample = filtered[length - 1];
+    }
+
+    /**
+     * Append one output sample, posting the block once it is full.
+     * @param {number} sample
+     */
+    _push(sample) {
+        this._outputBlock[this._outputOffset++] = sample;
+
+        if (this._outputOffset === this.blockSize) {
+            var block = this._outputBlock;
+            this.port.postMessage(block, [block.buffer]);
+            this._outputBlock = new Float32Array(this.blockSize);
+            this._outputOffset = 0;
+        }
+    }
+
+    process(inputs) {
+        var input = inputs[0];
+        if (!input || input.length === 0 || input[0].length === 0) {
+            return true;
+        }
+
+        // Mix all channels down to mono
+        var frameCount = input[0].length;
+        var mono = new Float32Array(frameCount);
+        for (var channel = 0; channel < input.length; channel++) {
+            var data = input[channel];
+            for (var i = 0; i < frameCount; i++) {
+                mono[i] += data[i] / input.length;
+            }
+        }
+
+        this._resample(this._filter(mono));
+        return true;
+    }
+}
+
+registerProcessor('pcm-capture-processor', PcmCaptureProcessor);
@@ -0,0 +1,345 @@
+/**
+ * RestTransport - WebSocketClient transport over the REST API.
+ *
+ * Fallback for networks whose proxies block both WebSockets and long
+ * polling. It offers the part of signalR.HubConnection that WebSocketClient
+ * uses (start, stop, invoke, on, onclose, ...) and turns each REST response
+ * into the hub events the server would have pushed:
+ *
+ *   StartSession    POST   /api/conversations?language=  -> SessionStarted
+ *   RestoreSession  POST   /api/conversations/restore?language=
+ *                   (the history as the JSON body)        -> SessionStarted
+ *   ResumeSession   GET    /api/conversations/{id}        -> SessionResumed
+ *   SendAudio       POST   /api/conversations/{id}/speak  -> RecognitionResult,
+ *                   AssistantTextChunk, AudioChunk (the whole reply as one chunk)
+ *   SendText        POST   /api/conversations/{id}/messages  -> the same events,
+ *                   without AudioChunk for a text-only reply
+ *   SetLanguage     PUT    /api/conversations/{id}/language
+ *   GetVoices       GET    /api/conversations/{id}/voices -> Voices
+ *   SetVoice        PUT    /api/conversations/{id}/voice
+ *   PreviewVoice    POST   /api/conversations/{id}/voices/preview -> VoicePreview
+ *   EndSession      DELETE /api/conversations/{id}        -> SessionEnded
+ *   CancelTurn      aborts the speak or messages request (the server rolls
+ *                   the turn back)                        -> TurnCancelled
+ *   InterruptPlayback  accepted, nothing to send: the reply is complete by
+ *                   the time it plays
+ *
+ * Only StreamAudio rejects: WebSocketClient uploads the whole recording
+ * instead. A request the server refuses is answered with an 'Error' event
+ * carrying the server's error code, as the hub does; network failures
+ * reject the invoke() promise.
+ *
+ * Usage (normally only through WebSocketClient):
+ *   var transport = new RestTransport();
+ *   transport.on('SessionStarted', function (data) { ... });
+ *   await transport.start();
+ *   await transport.invoke('StartSession', 'zh-CN');
+ */
+(function () {
+    'use strict';
+
+    /** Same values as signalR.HubConnectionState. */
+    var STATE_CONNECTED = 'Connected';
+    var STATE_DISCONNECTED = 'Disconnected';
+
+    /** Probed by start(): any HTTP answer proves the server is reachable. */
+    var HEALTH_URL = '/health';
+
+    class RestTransport {
+        /**
+         * @param {string} [baseUrl='/api/conversations']
+         */
+        constructor(baseUrl) {
+            this.baseUrl = baseUrl || '/api/conversations';
+            this.state = STATE_DISCONNECTED;
+
+            /** @type {Object.<string, Function[]>} hub event name -> handlers */
+            this._handlers = {};
+            /** @type {Function[]} */
+            this._closeCallbacks = [];
+
+            /**
+             * The turn request in flight: { controller: AbortController, done: Promise }.
+             * @type {Object|null}
+             */
+            this._turn = null;
+        }
+
+        /**
+         * Check that the server can be reached over plain HTTP.
+         * @returns {Promise<void>}  Rejects on a network failure.
+         */
+        async start() {
+            await fetch(HEALTH_URL, { cache: 'no-store' });
+            this.state = STATE_CONNECTED;
+        }
+
+        /**
+         * @returns {Promise<void>}
+         */
+        async stop() {
+            if (this.state === STATE_DISCONNECTED) {
+                return;
+            }
+            this.state = STATE_DISCONNECTED;
+            this._closeCallbacks.forEach(function (callback) {
+                callback();
+            });
+        }
+
+        /**
+         * Register a handler for a hub event, e.g. 'AudioChunk'.
+         * @param {string} method
+         * @param {Function} handler
+         */
+        on(method, handler) {
+            (this._handlers[method] = this._handlers[method] || []).push(handler);
+        }
+
+        /** @param {Function} callback */
+        onclose(callback) {
+            this._closeCallbacks.push(callback);
+        }
+
+        // Every request stands alone, so there is never a connection to re-establish
+        onreconnecting() {}
+        onreconnected() {}
+
+        /**
+         * Call a hub method through its REST equivalent.
+         * @param {string} method  Hub method name.
+         * @param {...*} args      Hub method arguments.
+         * @returns {Promise<void>}
+         */
+        async invoke(method) {
+            var args = Array.prototype.slice.call(arguments, 1);
+
+            if (this.state !== STATE_CONNECTED) {
+                throw new Error('RestTransport is not started.');
+            }
+
+            switch (method) {
+                case 'StartSession':
+                    return this._createSession(this.baseUrl, args[0], null);
+                case 'RestoreSession':
+                    return this._createSession(this.baseUrl + '/restore', args[0], args[1]);
+                case 'ResumeSession':
+                    return this._resumeSession(args[0]);
+                case 'SendAudio':
+                    return this._speak(args[0], args[1], args[2]);
+                case 'SendText':
+                    return this._sendText(args[0], args[1], args[2]);
+                case 'SetLanguage':
+                    return this._request('PUT', this._sessionUrl(args[0]) + '/language', args[0], { language: args[1] });
+                case 'GetVoices':
+                    return this._getVoices(args[0]);
+                case 'SetVoice':
+                    return this._request('PUT', this._sessionUrl(args[0]) + '/voice', args[0], { voiceName: args[1] });
+                case 'PreviewVoice':
+                    return this._previewVoice(args[0], args[1], args[2]);
+                case 'CancelTurn':
+                    return this._cancelTurn(args[0]);
+                case 'EndSession':
+                    return this._endSession(args[0]);
+                case 'InterruptPlayback':
+                    return;
+            }
+
+            throw new Error(method + ' is not available over the REST transport.');
+        }
+
+        // ------------------------------------------------------------ methods
+
+        async _createSession(url, language, history) {
+            url += language ? '?language=' + encodeURIComponent(language) : '';
+            var session = await this._request('POST', url, null, history);
+            if (session) {
+                this._dispatch('SessionStarted', {
+                    sessionId: session.sessionId,
+                    restoredMessageCount: session.restoredMessageCount,
+                    maxAudioSeconds: session.maxAudioSeconds
+                });
+            }
+        }
+
+        async _resumeSession(sessionId) {
+            var session = await this._request('GET', this._sessionUrl(sessionId), sessionId);
+            if (session) {
+                this._dispatch('SessionResumed', { sessionId: session.sessionId, messageCount: session.messageCount });
+            }
+        }
+
+        async _speak(sessionId, audio, format) {
+            format = format || 'audio/wav';
+            var extension = format.split(';')[0].split('/')[1] || 'wav';
+
+            var form = new FormData();
+            form.append('audio', new Blob([toBytes(audio)], { type: format }), 'recording.' + extension);
+
+            return this._runTurn(sessionId, '/speak', form);
+        }
+
+        async _sendText(sessionId, text, textOnly) {
+            return this._runTurn(sessionId, '/messages', { text: text, textOnly: !!textOnly });
+        }
+
+        /**
+         * Post a turn and replay the server's answer as the hub's turn events.
+         * @private
+         */
+        async _runTurn(sessionId, path, body) {
+            var turn = { controller: new AbortController(), done: null };
+            var request = this._request('POST', this._sessionUrl(sessionId) + path, sessionId, body, turn.controller.signal);
+            turn.done = request.catch(function () {});
+            this._turn = turn;
+
+            var result;
+            try {
+                result = await request;
+            } catch (err) {
+                // Cancelled by CancelTurn, which reports it
+                if (turn.controller.signal.aborted) return;
+                throw err;
+            } finally {
+                if (this._turn === turn) this._turn = null;
+            }
+            if (!result) {
+                return;
+            }
+
+            this._dispatch('RecognitionResult', {
+                sessionId: sessionId,
+                text: result.userText,
+                language: result.userLanguage || null,
+                confidence: null,
+                isFinal: true
+            });
+            this._dispatch('AssistantTextChunk', { sessionId: sessionId, textChunk: result.assistantText, isComplete: false });
+            this._dispatch('AssistantTextChunk', { sessionId: sessionId, textChunk: '', isComplete: true });
+            if (result.audioBase64 == null) {
+                return;  // text-only reply
+            }
+            this._dispatch('AudioChunk', {
+                sessionId: sessionId,
+                audioChunk: result.audioBase64,
+                contentType: result.contentType,
+                sequence: 0,
+                textEnd: result.assistantText.length,
+                isComplete: false
+            });
+            this._dispatch('AudioChunk', {
+                sessionId: sessionId,
+                audioChunk: null,
+                contentType: null,
+                sequence: 1,
+                isComplete: true
+            });
+        }
+
+        async _getVoices(sessionId) {
+            var voices = await this._request('GET', this._sessionUrl(sessionId) + '/voices', sessionId);
+            if (voices) {
+                this._dispatch('Voices', {
+                    sessionId: sessionId,
+                    language: voices.language,
+                    selectedVoice: voices.selectedVoice,
+                    voices: voices.voices
+                });
+            }
+        }
+
+        async _previewVoice(sessionId, voiceName, text) {
+            var preview = await this._request('POST', this._sessionUrl(sessionId) + '/voices/preview', sessionId,
+                { voiceName: voiceName, text: text });
+            if (preview) {
+                this._dispatch('VoicePreview', {
+                    sessionId: sessionId,
+                    voiceName: preview.voiceName,
+                    audioChunk: preview.audioBase64,
+                    contentType: preview.contentType
+                });
+            }
+        }
+
+        async _cancelTurn(sessionId) {
+            var turn = this._turn;
+            if (turn) {
+                turn.controller.abort();
+                await turn.done;
+            }
+            this._dispatch('TurnCancelled', { sessionId: sessionId, cancelled: !!turn });
+        }
+
+        async _endSession(sessionId) {
+            // Like the hub, confirm even if the server had already forgotten the session
+            await fetch(this._sessionUrl(sessionId), { method: 'DELETE' });
+            this._dispatch('SessionEnded', { sessionId: sessionId });
+        }
+
+        // ------------------------------------------------------------ helpers
+
+        _sessionUrl(sessionId) {
+            return this.baseUrl + '/' + encodeURIComponent(sessionId);
+        }
+
+        /**
+         * Send a request and parse the JSON answer. An error status becomes an
+         * 'Error' event and resolves to null.
+         * @param {string} method
+         * @param {string} url
+         * @param {string|null} sessionId  For the 'Error' event.
+         * @param {FormData|Object|null} [body]  A plain object is sent as JSON.
+         * @param {AbortSignal} [signal]
+         * @returns {Promise<Object|null>}
+         * @private
+         */
+        async _request(method, url, sessionId, body, signal) {
+            var init = { method: method, body: body || null, signal: signal };
+            if (body && !(body instanceof FormData)) {
+                init.body = JSON.stringify(body);
+                init.headers = { 'Content-Type': 'application/json' };
+            }
+            var response = await fetch(url, init);
+            if (response.ok) {
+                return response.status === 204 ? {} : response.json();
+            }
+
+            // Turns answer { errorCode, message }, everything else { code, message }
+            var error = await response.json().catch(function () { return {}; });
+            this._dispatch('Error', {
+                sessionId: sessionId,
+                code: error.errorCode || error.code || codeForStatus(response.status),
+                message: error.message || error.title || response.statusText
+            });
+            return null;
+        }
+
+        _dispatch(method, data) {
+            (this._handlers[method] || []).forEach(function (handler) {
+                handler(data);
+            });
+        }
+    }
+
+    function codeForStatus(status) {
+        if (status === 404) return 'SESSION_NOT_FOUND';
+        if (status === 400) return 'INVALID_INPUT';
+        return 'INTERNAL_ERROR';
+    }
+
+    function toBytes(audio) {
+        if (typeof audio !== 'string') {
+            return audio;
+        }
+        var binary = atob(audio);
+        var bytes = new Uint8Array(binary.length);
+        for (var i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    // Expose globally
+    window.RestTransport = RestTransport;
+
+})();
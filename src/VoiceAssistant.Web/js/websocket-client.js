@@ -2,7 +2,16 @@
  * SignalR WebSocket client for Azure Voice Assistant.
  *
  * Depends on the Microsoft SignalR JavaScript client library being loaded
- * globally as `signalR` (typically via CDN).
+ * globally as `signalR` (typically via CDN), and on RestTransport for the
+ * REST fallback.
+ *
+ * When the SignalR MessagePack protocol script is loaded as well, the client
+ * negotiates it and audio travels as raw bytes in both directions; otherwise
+ * it falls back to JSON, where audio is base64. Audio passed in may be a
+ * Uint8Array or a base64 string either way, and `audioChunk` /
+ * `voicePreview` events carry a Uint8Array (MessagePack) or base64 string
+ * (JSON) - AudioPlayer accepts both. Event payloads have camelCase keys
+ * under both protocols.
  *
  * Usage:
  *   const client = new WebSocketClient();
@@ -10,29 +19,126 @@
  *   client.on('recognitionResult', (data) => { ... });
  *   await client.connect();
  *   await client.startSession('zh-CN');
- *   await client.sendAudio(base64String);
+ *   await client.restoreSession(savedMessages);  // or continue a saved conversation
+ *   await client.sendAudio(wavBytes);             // WAV, or pass the format:
+ *   await client.sendAudio(oggBytes, 'audio/ogg');  // compressed Opus upload
+ *   await client.sendText('你好', true);      // typed turn, text-only reply
+ *   await client.getVoices();                // -> 'voices' event
+ *   await client.setVoice('zh-CN-YunxiNeural');
+ *   var stream = client.startAudioStream();  // or stream PCM frames live
+ *   stream.write(frameBytes);
+ *   await stream.complete();
+ *   await client.cancelTurn();               // give up on the turn in flight
  *   await client.endSession();
+ *
+ * If the hub cannot be reached, connect() falls back to RestTransport
+ * (rest-transport.js), which drives the same events from the REST API;
+ * `transport` tells which one is in use. Over REST only streaming upload
+ * is unavailable, and each reply arrives whole instead of by sentence.
+ *
+ * With `transports: ['loopback']` the client never touches the network:
+ * LoopbackTransport (loopback-transport.js) imitates the hub in the browser
+ * for demos and front-end development.
+ *
+ * After an automatic reconnect the client calls ResumeSession for the
+ * current session by itself and emits 'sessionResumed', or 'sessionLost'
+ * if the server no longer knows the session. Turns started meanwhile
+ * (sendAudio(), sendText(), startAudioStream()) are queued and go out in
+ * order once the session is back. A SESSION_NOT_FOUND error at any other
+ * time is emitted as an 'error' and also clears `sessionId`.
  */
 (function () {
     'use strict';
 
     class WebSocketClient {
-        constructor() {
-            /** @type {signalR.HubConnection|null} */
+        /**
+         * @param {Object} [options]
+         * @param {string[]} [options.transports=['signalr', 'rest']]  Transports
+         *     connect() tries, in order.
+         * @param {Object} [options.loopback]  LoopbackTransport options.
+         */
+        constructor(options) {
+            /**
+             * Transports connect() tries, in order: 'signalr' (the VoiceHub)
+             * and 'rest' (RestTransport, for networks that block WebSockets
+             * and long polling). 'loopback' (LoopbackTransport, no server at
+             * all) is only used when asked for.
+             * @type {string[]}
+             */
+            this.transports = (options && options.transports) || ['signalr', 'rest'];
+
+            /** @type {Object} Options for LoopbackTransport. */
+            this.loopbackOptions = (options && options.loopback) || {};
+
+            /**
+             * Transport of the current connection: 'signalr', 'rest' or
+             * 'loopback'.
+             * @type {string|null}
+             */
+            this.transport = null;
+
+            /** @type {signalR.HubConnection|RestTransport|LoopbackTransport|null} */
             this.connection = null;
 
-            /** @type {string|null} */
+            /**
+             * Current session; null until SessionStarted and once the server
+             * no longer knows it.
+             * @type {string|null}
+             */
             this.sessionId = null;
 
             /** @type {boolean} */
             this.isConnected = false;
 
+            /**
+             * Hub protocol of the current SignalR connection: 'messagepack'
+             * or 'json' (null over the REST and loopback transports).
+             * @type {string|null}
+             */
+            this.protocol = null;
+
             /**
              * Registered event callbacks.
              * @type {Object.<string, Function>}
              * @private
              */
             this._callbacks = {};
+
+            /**
+             * Turns (sendAudio(), sendText(), startAudioStream()) started
+             * while reconnecting, waiting in order for the session to be
+             * bound to the new connection.
+             * @type {Array<{resolve: Function, reject: Function}>}
+             * @private
+             */
+            this._pendingTurns = [];
+
+            /**
+             * True between reconnecting and the server confirming (or
+             * rejecting) ResumeSession.
+             * @type {boolean}
+             * @private
+             */
+            this._resuming = false;
+
+            /**
+             * While InterruptPlayback is in flight: the server is still
+             * winding down the interrupted reply, so turn events arriving
+             * meanwhile belong to it, and the next turn is only sent once it
+             * settles (it never rejects).
+             * @type {?Promise<void>}
+             * @private
+             */
+            this._interrupting = null;
+
+            /**
+             * While CancelTurn is in flight: turn events arriving meanwhile
+             * belong to the cancelled turn, so the next turn is only sent
+             * once it settles (it never rejects).
+             * @type {?Promise<void>}
+             * @private
+             */
+            this._cancelling = null;
         }
 
         // ----------------------------------------------------------------
@@ -61,8 +167,17 @@
         // ----------------------------------------------------------------
 
         /**
-         * Build the SignalR connection, register all server-to-client handlers,
-         * and start the connection.
+         * Whether the SignalR MessagePack protocol script is loaded.
+         * @returns {boolean}
+         */
+        static isMessagePackAvailable() {
+            return !!(typeof signalR !== 'undefined' && signalR.protocols && signalR.protocols.msgpack &&
+                signalR.protocols.msgpack.MessagePackHubProtocol);
+        }
+
+        /**
+         * Connect over the first transport that works (see `transports`),
+         * register all server-to-client handlers, and start the connection.
          * @returns {Promise<void>}
          */
         async connect() {
@@ -71,51 +186,35 @@
                 await this.disconnect();
             }
 
-            console.log('[WebSocketClient] Building SignalR connection to /hubs/voice');
+            var lastError = null;
 
-            this.connection = new signalR.HubConnectionBuilder()
-                .withUrl('/hubs/voice')
-                .withAutomaticReconnect([0, 2000, 5000, 10000, 30000])
-                .build();
-
-            // --- Register server-to-client event handlers ----------------
-
-            this._registerServerEvents();
+            for (var i = 0; i < this.transports.length; i++) {
+                var name = this.transports[i];
 
-            // --- Connection lifecycle events ------------------------------
-
-            this.connection.onreconnecting(function (error) {
-                console.log('[WebSocketClient] Reconnecting...', error ? error.message : '');
-                this.isConnected = false;
-                this._emit('reconnecting', { error: error });
-            }.bind(this));
-
-            this.connection.onreconnected(function (connectionId) {
-                console.log('[WebSocketClient] Reconnected. Connection ID:', connectionId);
-                this.isConnected = true;
-                this._emit('reconnected', { connectionId: connectionId });
-            }.bind(this));
-
-            this.connection.onclose(function (error) {
-                console.log('[WebSocketClient] Connection closed.', error ? error.message : '');
-                this.isConnected = false;
-                this.sessionId = null;
-                this._emit('disconnected', { error: error });
-            }.bind(this));
+                try {
+                    this.connection = this._createConnection(name);
+                    this.transport = name;
 
-            // --- Start ---------------------------------------------------
+                    this._registerServerEvents();
+                    this._registerLifecycleEvents();
 
-            try {
-                await this.connection.start();
-                this.isConnected = true;
-                console.log('[WebSocketClient] Connected successfully.');
-                this._emit('connected', {});
-            } catch (err) {
-                console.error('[WebSocketClient] Failed to connect:', err);
-                this.isConnected = false;
-                this._emit('error', { code: 'CONNECTION_FAILED', message: err.message });
-                throw err;
+                    await this.connection.start();
+                    this.isConnected = true;
+                    console.log('[WebSocketClient] Connected successfully over', name);
+                    this._emit('connected', { transport: name });
+                    return;
+                } catch (err) {
+                    console.warn('[WebSocketClient] Transport "' + name + '" unavailable:', err);
+                    lastError = err;
+                    this.connection = null;
+                    this.transport = null;
+                }
             }
+
+            console.error('[WebSocketClient] Failed to connect:', lastError);
+            this.isConnected = false;
+            this._emit('error', { code: 'CONNECTION_FAILED', message: lastError ? lastError.message : 'No transport configured.' });
+            throw lastError || new Error('No transport configured.');
         }
 
         /**
@@ -136,6 +235,7 @@
                 this.isConnected = false;
                 this.sessionId = null;
                 this.connection = null;
+                this.transport = null;
             }
         }
 
@@ -145,7 +245,8 @@
 
         /**
          * Ask the server to start a new voice session.
-         * @param {string} [language='zh-CN']  BCP-47 language tag.
+         * @param {string} [language='zh-CN']  BCP-47 language tag, or 'auto'
+         *     to let the server identify the language of each utterance.
          * @returns {Promise<void>}
          */
         async startSession(language) {
@@ -164,13 +265,170 @@
             }
         }
 
+        /**
+         * Rebind an existing server session to the current connection. Called
+         * automatically after an automatic reconnect; the server replies with
+         * `SessionResumed`, or an `Error` (SESSION_NOT_FOUND) which is
+         * surfaced as a 'sessionLost' event.
+         * @param {string} sessionId
+         * @returns {Promise<void>}
+         */
+        async resumeSession(sessionId) {
+            this._ensureConnected();
+
+            console.log('[WebSocketClient] ResumeSession, sessionId:', sessionId);
+
+            this._resuming = true;
+            try {
+                await this.connection.invoke('ResumeSession', sessionId);
+            } catch (err) {
+                console.error('[WebSocketClient] ResumeSession failed:', err);
+                this._resuming = false;
+                this._emit('error', { code: 'RESUME_SESSION_FAILED', message: err.message });
+                throw err;
+            }
+        }
+
+        /**
+         * Ask the server to start a session seeded with a previously saved
+         * message history, so the assistant keeps its context. The server
+         * replies with `SessionStarted` (including `restoredMessageCount`).
+         * @param {Array<{role: string, content: string, timestamp?: string,
+         *     isInterrupted?: boolean, heardRatio?: number}>} history
+         *     Prior user/assistant messages, oldest first.
+         * @param {string} [language='zh-CN']  BCP-47 language tag.
+         * @returns {Promise<void>}
+         */
+        async restoreSession(history, language) {
+            language = language || 'zh-CN';
+
+            this._ensureConnected();
+
+            console.log('[WebSocketClient] RestoreSession, language:', language,
+                ', messages:', history.length);
+
+            try {
+                await this.connection.invoke('RestoreSession', language, history);
+            } catch (err) {
+                console.error('[WebSocketClient] RestoreSession failed:', err);
+                this._emit('error', { code: 'RESTORE_SESSION_FAILED', message: err.message });
+                throw err;
+            }
+        }
+
+        /**
+         * Change the recognition language of the current session from the
+         * next turn on. Use 'auto' to detect among the server's candidate
+         * languages.
+         * @param {string} language  BCP-47 language tag or 'auto'.
+         * @returns {Promise<void>}
+         */
+        async setLanguage(language) {
+            this._ensureConnected();
+
+            if (!this.sessionId) {
+                console.log('[WebSocketClient] No active session, language applies to the next session.');
+                return;
+            }
+
+            console.log('[WebSocketClient] SetLanguage, sessionId:', this.sessionId, ', language:', language);
+
+            try {
+                await this.connection.invoke('SetLanguage', this.sessionId, language);
+            } catch (err) {
+                console.error('[WebSocketClient] SetLanguage failed:', err);
+                this._emit('error', { code: 'SET_LANGUAGE_FAILED', message: err.message });
+                throw err;
+            }
+        }
+
+        /**
+         * Ask for the synthesis voices matching the session language. The
+         * list arrives as a 'voices' event.
+         * @returns {Promise<void>}
+         */
+        async getVoices() {
+            this._ensureConnected();
+
+            if (!this.sessionId) {
+                var msg = 'No active session. Call startSession() first.';
+                console.error('[WebSocketClient]', msg);
+                throw new Error(msg);
+            }
+
+            try {
+                await this.connection.invoke('GetVoices', this.sessionId);
+            } catch (err) {
+                console.error('[WebSocketClient] GetVoices failed:', err);
+                this._emit('error', { code: 'GET_VOICES_FAILED', message: err.message });
+                throw err;
+            }
+        }
+
+        /**
+         * Choose the voice used for every later reply of the session.
+         * @param {string|null} voiceName  Voice name, or null for the
+         *   server's default voice for the reply language.
+         * @returns {Promise<void>}
+         */
+        async setVoice(voiceName) {
+            this._ensureConnected();
+
+            if (!this.sessionId) {
+                var msg = 'No active session. Call startSession() first.';
+                console.error('[WebSocketClient]', msg);
+                throw new Error(msg);
+            }
+
+            console.log('[WebSocketClient] SetVoice, sessionId:', this.sessionId, ', voice:', voiceName);
+
+            try {
+                await this.connection.invoke('SetVoice', this.sessionId, voiceName || null);
+            } catch (err) {
+                console.error('[WebSocketClient] SetVoice failed:', err);
+                this._emit('error', { code: 'SET_VOICE_FAILED', message: err.message });
+                throw err;
+            }
+        }
+
+        /**
+         * Synthesize a short sample with a voice without touching the
+         * conversation. The audio arrives as a 'voicePreview' event.
+         * @param {string} voiceName
+         * @param {string} text  Sample text (at most 200 characters).
+         * @returns {Promise<void>}
+         */
+        async previewVoice(voiceName, text) {
+            this._ensureConnected();
+
+            if (!this.sessionId) {
+                var msg = 'No active session. Call startSession() first.';
+                console.error('[WebSocketClient]', msg);
+                throw new Error(msg);
+            }
+
+            try {
+                await this.connection.invoke('PreviewVoice', this.sessionId, voiceName, text);
+            } catch (err) {
+                console.error('[WebSocketClient] PreviewVoice failed:', err);
+                this._emit('error', { code: 'PREVIEW_VOICE_FAILED', message: err.message });
+                throw err;
+            }
+        }
+
         /**
          * Send a complete audio chunk (base64-encoded) to the server.
          * Uses the stored sessionId from the most recent SessionStarted event.
-         * @param {string} audioBase64  Base64-encoded audio data.
+         * While the connection is reconnecting the audio is queued and sent
+         * once the session is resumed; the returned promise settles then.
+         * @param {Uint8Array|string} audio  Audio bytes, or base64.
+         * @param {string} [format='audio/wav']  MIME type of the audio:
+         *     'audio/wav', or Opus in 'audio/ogg' / 'audio/webm'.
          * @returns {Promise<void>}
          */
-        async sendAudio(audioBase64) {
+        async sendAudio(audio, format) {
+            format = format || 'audio/wav';
+            await this._readyForTurn();
             this._ensureConnected();
 
             if (!this.sessionId) {
@@ -179,11 +437,13 @@
                 throw new Error(msg);
             }
 
+            var payload = this._encodeAudio(audio);
             console.log('[WebSocketClient] SendAudio, sessionId:', this.sessionId,
-                ', size:', audioBase64.length, 'chars');
+                ', format:', format, ', size:', payload.length,
+                typeof payload === 'string' ? 'chars' : 'bytes');
 
             try {
-                await this.connection.invoke('SendAudio', this.sessionId, audioBase64);
+                await this.connection.invoke('SendAudio', this.sessionId, payload, format);
             } catch (err) {
                 console.error('[WebSocketClient] SendAudio failed:', err);
                 this._emit('error', { code: 'SEND_AUDIO_FAILED', message: err.message });
@@ -191,6 +451,208 @@
             }
         }
 
+        /**
+         * Send a typed message to the server. The hub skips speech
+         * recognition and replies with the same RecognitionResult /
+         * AssistantTextChunk / AudioChunk sequence as a spoken turn. Like
+         * sendAudio(), it is queued while the connection is reconnecting.
+         * @param {string} text  The user's message.
+         * @param {boolean} [textOnly=false]  Reply with text only, no AudioChunk.
+         * @returns {Promise<void>}
+         */
+        async sendText(text, textOnly) {
+            await this._readyForTurn();
+            this._ensureConnected();
+
+            if (!this.sessionId) {
+                var msg = 'No active session. Call startSession() first.';
+                console.error('[WebSocketClient]', msg);
+                throw new Error(msg);
+            }
+
+            console.log('[WebSocketClient] SendText, sessionId:', this.sessionId,
+                ', length:', text.length, ', textOnly:', !!textOnly);
+
+            try {
+                await this.connection.invoke('SendText', this.sessionId, text, !!textOnly);
+            } catch (err) {
+                console.error('[WebSocketClient] SendText failed:', err);
+                this._emit('error', { code: 'SEND_TEXT_FAILED', message: err.message });
+                throw err;
+            }
+        }
+
+        /**
+         * Open a client-to-server stream for the current session. Raw PCM
+         * frames (bytes or base64) written to the returned handle are forwarded to the
+         * hub's `StreamAudio` method as they are captured, so recognition can
+         * start before the user stops speaking.
+         *
+         * The promise returned by `complete()` resolves once the server has
+         * finished the turn (a failed turn is reported with an 'error' event),
+         * and rejects if the stream itself failed. The error's `accepted` is
+         * false when the server refused the stream outright (e.g. the hub does
+         * not support streaming), so the caller can fall back to sendAudio().
+         * It is true when the connection dropped during the turn: the server
+         * may already have taken the audio, so sending it again could answer
+         * it twice; an 'error' event (SEND_AUDIO_FAILED) reports it.
+         *
+         * Right after interruptPlayback() or cancelTurn() the stream only
+         * opens once the server has stopped the interrupted reply or the
+         * cancelled turn, and while the connection is reconnecting only once
+         * the session is resumed; frames written until then are held back.
+         * If the connection closes first, complete() rejects.
+         *
+         * @returns {{write: function((Uint8Array|string)): void, complete: function(): Promise<void>}}
+         */
+        startAudioStream() {
+            if (!this._isReconnecting()) {
+                this._ensureConnected();
+            }
+
+            if (!this.sessionId) {
+                var msg = 'No active session. Call startSession() first.';
+                console.error('[WebSocketClient]', msg);
+                throw new Error(msg);
+            }
+
+            // LoopbackTransport streams too, but the frames still travel in a signalR.Subject
+            if (this.transport === 'rest' || typeof signalR === 'undefined') {
+                throw new Error('Streaming upload needs the SignalR client and a transport that streams.');
+            }
+
+            var self = this;
+            var subject = new signalR.Subject();
+            var invocation = null;
+            var held = [];
+            var failed = false;
+
+            var opened = this._readyForTurn().then(function () {
+                // A lost session may have been replaced meanwhile
+                console.log('[WebSocketClient] StreamAudio, sessionId:', self.sessionId);
+                var sent = self.isConnected;
+                invocation = self.connection.invoke('StreamAudio', self.sessionId, subject);
+
+                // Failures are surfaced through complete(); avoid an unhandled
+                // rejection while the recording is still in progress. The hub
+                // ends a failed turn normally, so a call rejected on a live
+                // connection never started one.
+                invocation.catch(function (err) {
+                    failed = true;
+                    err.accepted = sent && !self.isConnected;
+                    console.error('[WebSocketClient] StreamAudio failed:', err);
+                    if (err.accepted) {
+                        self._emit('error', { code: 'SEND_AUDIO_FAILED', message: err.message });
+                    }
+                });
+
+                held.forEach(function (frame) {
+                    subject.next(frame);
+                });
+                held = null;
+            });
+
+            // The connection closed before the stream could open
+            opened.catch(function () {
+                failed = true;
+                held = null;
+            });
+
+            return {
+                write: function (frame) {
+                    if (failed) {
+                        return;
+                    }
+                    if (held) {
+                        held.push(self._encodeAudio(frame));
+                    } else {
+                        subject.next(self._encodeAudio(frame));
+                    }
+                },
+                complete: function () {
+                    return opened.then(function () {
+                        if (!failed) {
+                            subject.complete();
+                        }
+                        return invocation;
+                    });
+                }
+            };
+        }
+
+        /**
+         * Cancel the turn in flight (recognition, reply or synthesis). The
+         * server rolls the turn out of the session history and confirms with
+         * 'turnCancelled' ({ sessionId, cancelled }). Turn events that arrive
+         * before that are still delivered: with cancelled false the turn had
+         * already finished, and they are the rest of it. New turns wait until
+         * the server has answered, so their events can't be mistaken for the
+         * cancelled turn's.
+         * @returns {Promise<void>}
+         */
+        async cancelTurn() {
+            // Sent after a turn still waiting for an interrupted reply to wind down
+            await this._interrupting;
+            this._ensureConnected();
+
+            if (!this.sessionId) {
+                console.log('[WebSocketClient] No active session to cancel a turn of.');
+                return;
+            }
+
+            console.log('[WebSocketClient] CancelTurn, sessionId:', this.sessionId);
+
+            var self = this;
+            var invocation = this.connection.invoke('CancelTurn', this.sessionId);
+            var settled = invocation.catch(function () {}).then(function () {
+                if (self._cancelling === settled) self._cancelling = null;
+            });
+            this._cancelling = settled;
+
+            try {
+                await invocation;
+            } catch (err) {
+                console.error('[WebSocketClient] CancelTurn failed:', err);
+                this._emit('error', { code: 'CANCEL_TURN_FAILED', message: err.message });
+                throw err;
+            }
+        }
+
+        /**
+         * Tell the server the user interrupted playback of the last assistant
+         * reply, so the session history records how much of it was heard. A
+         * reply still being generated stops where it is; until the server
+         * confirms, turn events (of that reply) are dropped and new turns wait.
+         * @param {number} heardRatio  Fraction of the reply audio played (0-1).
+         * @returns {Promise<void>}
+         */
+        async interruptPlayback(heardRatio) {
+            this._ensureConnected();
+
+            if (!this.sessionId) {
+                console.log('[WebSocketClient] No active session to interrupt.');
+                return;
+            }
+
+            console.log('[WebSocketClient] InterruptPlayback, sessionId:', this.sessionId,
+                ', heardRatio:', heardRatio);
+
+            var self = this;
+            var invocation = this.connection.invoke('InterruptPlayback', this.sessionId, heardRatio);
+            var settled = invocation.catch(function () {}).then(function () {
+                if (self._interrupting === settled) self._interrupting = null;
+            });
+            this._interrupting = settled;
+
+            try {
+                await invocation;
+            } catch (err) {
+                console.error('[WebSocketClient] InterruptPlayback failed:', err);
+                this._emit('error', { code: 'INTERRUPT_FAILED', message: err.message });
+                throw err;
+            }
+        }
+
         /**
          * End the current session.
          * @returns {Promise<void>}
@@ -219,6 +681,82 @@
         // Private helpers
         // ----------------------------------------------------------------
 
+        /**
+         * Build an unstarted connection for the named transport.
+         * @param {string} name  'signalr', 'rest' or 'loopback'.
+         * @returns {signalR.HubConnection|RestTransport|LoopbackTransport}
+         * @private
+         */
+        _createConnection(name) {
+            if (name === 'rest') {
+                this.protocol = null;
+                return new RestTransport();
+            }
+            if (name === 'loopback') {
+                this.protocol = null;
+                return new LoopbackTransport(this.loopbackOptions);
+            }
+            if (name !== 'signalr') {
+                throw new Error('Unknown transport: ' + name);
+            }
+            if (typeof signalR === 'undefined') {
+                throw new Error('The SignalR client library is not loaded.');
+            }
+
+            console.log('[WebSocketClient] Building SignalR connection to /hubs/voice');
+
+            var builder = new signalR.HubConnectionBuilder()
+                .withUrl('/hubs/voice')
+                .withAutomaticReconnect([0, 2000, 5000, 10000, 30000]);
+
+            // Binary audio frames when the MessagePack protocol is loaded
+            if (WebSocketClient.isMessagePackAvailable()) {
+                builder = builder.withHubProtocol(new signalR.protocols.msgpack.MessagePackHubProtocol());
+                this.protocol = 'messagepack';
+            } else {
+                this.protocol = 'json';
+            }
+            console.log('[WebSocketClient] Hub protocol:', this.protocol);
+
+            return builder.build();
+        }
+
+        /**
+         * Register reconnect / close handlers on the current connection.
+         * @private
+         */
+        _registerLifecycleEvents() {
+            this.connection.onreconnecting(function (error) {
+                console.log('[WebSocketClient] Reconnecting...', error ? error.message : '');
+                this.isConnected = false;
+                this._emit('reconnecting', { error: error });
+            }.bind(this));
+
+            this.connection.onreconnected(function (connectionId) {
+                console.log('[WebSocketClient] Reconnected. Connection ID:', connectionId);
+                this.isConnected = true;
+
+                // Rebind the existing session to the new connection so the
+                // conversation context survives the network blip.
+                var resuming = !!this.sessionId;
+                this._emit('reconnected', { connectionId: connectionId, resuming: resuming });
+                if (resuming) {
+                    this.resumeSession(this.sessionId).catch(function () {});
+                }
+            }.bind(this));
+
+            this.connection.onclose(function (error) {
+                console.log('[WebSocketClient] Connection closed.', error ? error.message : '');
+                this.isConnected = false;
+                this.sessionId = null;
+                this._resuming = false;
+                this._interrupting = null;
+                this._cancelling = null;
+                this._rejectPendingTurns(new Error('Connection closed before the queued turn could be sent.'));
+                this._emit('disconnected', { error: error });
+            }.bind(this));
+        }
+
         /**
          * Fire a registered callback for the given event name.
          * @param {string} event  Event name.
@@ -236,6 +774,20 @@
             }
         }
 
+        /**
+         * Audio in the form the current connection carries: base64 for the
+         * JSON hub protocol, bytes for MessagePack and the REST transport.
+         * @param {Uint8Array|string} audio
+         * @returns {Uint8Array|string}
+         * @private
+         */
+        _encodeAudio(audio) {
+            if (this.protocol === 'json') {
+                return typeof audio === 'string' ? audio : bytesToBase64(audio);
+            }
+            return typeof audio === 'string' ? base64ToBytes(audio) : audio;
+        }
+
         /**
          * Guard that throws if the connection is not established.
          * @private
@@ -248,6 +800,68 @@
             }
         }
 
+        /**
+         * Resolves when the next turn may be sent: once an interrupted reply
+         * and a cancelled turn have been wound down by the server, and while
+         * reconnecting once the session is back. Called as a turn starts, so
+         * turns queued while reconnecting go out in the order they started;
+         * rejects if the connection closes first.
+         * @returns {Promise<void>}
+         * @private
+         */
+        _readyForTurn() {
+            var session = null;
+            if (this._isReconnecting()) {
+                console.log('[WebSocketClient] Reconnecting, turn queued until the session is back');
+                session = new Promise(function (resolve, reject) {
+                    this._pendingTurns.push({ resolve: resolve, reject: reject });
+                }.bind(this));
+            }
+            return Promise.all([this._interrupting, this._cancelling, session]).then(function () {});
+        }
+
+        /**
+         * Whether the connection dropped and is being re-established (or the
+         * session is not yet rebound to the new connection).
+         * @returns {boolean}
+         * @private
+         */
+        _isReconnecting() {
+            if (!this.connection) {
+                return false;
+            }
+            return this._resuming || (this.transport === 'signalr' &&
+                this.connection.state === signalR.HubConnectionState.Reconnecting);
+        }
+
+        /**
+         * Let the turns queued while reconnecting go ahead, in order.
+         * @private
+         */
+        _flushPendingTurns() {
+            var pending = this._pendingTurns;
+            this._pendingTurns = [];
+
+            pending.forEach(function (item) {
+                console.log('[WebSocketClient] Replaying queued turn.');
+                item.resolve();
+            });
+        }
+
+        /**
+         * Fail all queued turns.
+         * @param {Error} err
+         * @private
+         */
+        _rejectPendingTurns(err) {
+            var pending = this._pendingTurns;
+            this._pendingTurns = [];
+
+            pending.forEach(function (item) {
+                item.reject(err);
+            });
+        }
+
         /**
          * Register all server-to-client SignalR event handlers on the current
          * connection instance.
@@ -256,51 +870,155 @@
         _registerServerEvents() {
             var self = this;
 
+            // MessagePack keeps the server's PascalCase property names; JSON
+            // camelCases them. Handlers always see camelCase.
+            var on = function (method, handler) {
+                self.connection.on(method, function (data) {
+                    handler(self.protocol === 'messagepack' ? camelCaseKeys(data) : data);
+                });
+            };
+
             // SessionStarted ------------------------------------------------
-            this.connection.on('SessionStarted', function (data) {
+            on('SessionStarted', function (data) {
                 console.log('[WebSocketClient] SessionStarted, sessionId:', data.sessionId);
                 self.sessionId = data.sessionId;
+                self._resuming = false;
                 self._emit('sessionStarted', data);
+                // Turns queued for a lost session go to its replacement
+                self._flushPendingTurns();
+            });
+
+            // SessionResumed -------------------------------------------------
+            on('SessionResumed', function (data) {
+                console.log('[WebSocketClient] SessionResumed, sessionId:', data.sessionId,
+                    ', messages:', data.messageCount);
+                self.sessionId = data.sessionId;
+                self._resuming = false;
+                self._emit('sessionResumed', data);
+                self._flushPendingTurns();
             });
 
             // RecognitionResult ----------------------------------------------
-            this.connection.on('RecognitionResult', function (data) {
+            on('RecognitionResult', function (data) {
                 console.log('[WebSocketClient] RecognitionResult, text:', data.text,
+                    ', language:', data.language,
                     ', confidence:', data.confidence,
                     ', isFinal:', data.isFinal);
+                if (self._interrupting) return;
                 self._emit('recognitionResult', data);
             });
 
             // AssistantTextChunk ---------------------------------------------
-            this.connection.on('AssistantTextChunk', function (data) {
+            on('AssistantTextChunk', function (data) {
                 console.log('[WebSocketClient] AssistantTextChunk, isComplete:', data.isComplete,
                     ', chunk:', data.textChunk);
+                if (self._interrupting) return;
                 self._emit('assistantTextChunk', data);
             });
 
             // AudioChunk -----------------------------------------------------
-            this.connection.on('AudioChunk', function (data) {
-                console.log('[WebSocketClient] AudioChunk, contentType:', data.contentType,
+            on('AudioChunk', function (data) {
+                console.log('[WebSocketClient] AudioChunk', data.sequence, 'contentType:', data.contentType,
                     ', isComplete:', data.isComplete);
+                if (self._interrupting) return;
                 self._emit('audioChunk', data);
             });
 
+            // TurnCancelled --------------------------------------------------
+            on('TurnCancelled', function (data) {
+                console.log('[WebSocketClient] TurnCancelled, sessionId:', data.sessionId,
+                    ', cancelled:', data.cancelled);
+                self._emit('turnCancelled', data);
+            });
+
+            // Voices ---------------------------------------------------------
+            on('Voices', function (data) {
+                console.log('[WebSocketClient] Voices, language:', data.language,
+                    ', count:', data.voices.length, ', selected:', data.selectedVoice);
+                self._emit('voices', data);
+            });
+
+            // VoicePreview ---------------------------------------------------
+            on('VoicePreview', function (data) {
+                console.log('[WebSocketClient] VoicePreview, voice:', data.voiceName,
+                    ', contentType:', data.contentType);
+                self._emit('voicePreview', data);
+            });
+
             // SessionEnded ---------------------------------------------------
-            this.connection.on('SessionEnded', function (data) {
+            on('SessionEnded', function (data) {
                 console.log('[WebSocketClient] SessionEnded, sessionId:', data.sessionId);
                 self.sessionId = null;
                 self._emit('sessionEnded', data);
             });
 
             // Error ----------------------------------------------------------
-            this.connection.on('Error', function (data) {
+            on('Error', function (data) {
                 console.error('[WebSocketClient] Server error, code:', data.code,
                     ', message:', data.message);
+
+                // The server no longer has our session (e.g. it restarted).
+                // Let the app start or restore a new one; queued turns stay
+                // queued until the next SessionStarted.
+                if (self._resuming && data.code === 'SESSION_NOT_FOUND') {
+                    self._resuming = false;
+                    self.sessionId = null;
+                    self._emit('sessionLost', data);
+                    return;
+                }
+
+                // Our session expired on the server; don't keep addressing it
+                if (data.code === 'SESSION_NOT_FOUND' && data.sessionId === self.sessionId) {
+                    self.sessionId = null;
+                }
+
                 self._emit('error', data);
             });
         }
     }
 
+    // ------------------------------------------------------------------
+    // Helpers
+    // ------------------------------------------------------------------
+
+    /**
+     * Recursively lower-case the first letter of every object key. Byte
+     * arrays are left as they are.
+     * @param {*} value
+     * @returns {*}
+     */
+    function camelCaseKeys(value) {
+        if (Array.isArray(value)) {
+            return value.map(camelCaseKeys);
+        }
+        if (!value || typeof value !== 'object' || ArrayBuffer.isView(value)) {
+            return value;
+        }
+        var result = {};
+        Object.keys(value).forEach(function (key) {
+            result[key.charAt(0).toLowerCase() + key.slice(1)] = camelCaseKeys(value[key]);
+        });
+        return result;
+    }
+
+    function base64ToBytes(base64) {
+        var binary = atob(base64);
+        var bytes = new Uint8Array(binary.length);
+        for (var i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    function bytesToBase64(bytes) {
+        var binary = '';
+        var chunkSize = 8192;  // keep apply() under the argument limit
+        for (var i = 0; i < bytes.length; i += chunkSize) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+        }
+        return btoa(binary);
+    }
+
     // Expose globally
     window.WebSocketClient = WebSocketClient;
 
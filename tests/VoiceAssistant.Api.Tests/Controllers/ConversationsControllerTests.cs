@@ -14,6 +14,7 @@ public class ConversationsControllerTests
 {
     private readonly Mock<IConversationPipeline> _pipelineMock;
     private readonly Mock<ISessionManager> _sessionManagerMock;
+    private readonly Mock<ITextToSpeechService> _ttsMock;
     private readonly Mock<ILogger<ConversationsController>> _loggerMock;
     private readonly ConversationsController _controller;
 
@@ -21,10 +22,12 @@ public class ConversationsControllerTests
     {
         _pipelineMock = new Mock<IConversationPipeline>();
         _sessionManagerMock = new Mock<ISessionManager>();
+        _ttsMock = new Mock<ITextToSpeechService>();
         _loggerMock = new Mock<ILogger<ConversationsController>>();
         _controller = new ConversationsController(
             _pipelineMock.Object,
             _sessionManagerMock.Object,
+            _ttsMock.Object,
             _loggerMock.Object);
     }
 
@@ -60,6 +63,39 @@ public class ConversationsControllerTests
         _sessionManagerMock.Verify(m => m.CreateSession(null), Times.Once);
     }
 
+    [Fact]
+    public void CreateSession_ReturnsServerAudioLimit()
+    {
+        // Arrange
+        _sessionManagerMock
+            .Setup(m => m.CreateSession(null))
+            .Returns(new ConversationSession { SessionId = "test-session-123" });
+
+        // Act
+        var result = _controller.CreateSession();
+
+        // Assert — the client caps its recordings with the same limit
+        var value = result.Should().BeOfType<OkObjectResult>().Subject.Value!;
+        value.GetType().GetProperty("MaxAudioSeconds")!.GetValue(value).Should().Be(AudioLimits.MaxDurationSeconds);
+    }
+
+    [Fact]
+    public void CreateSession_WithLanguage_SetsSessionLanguage()
+    {
+        // Arrange
+        var session = new ConversationSession { SessionId = "test-session-123" };
+        _sessionManagerMock
+            .Setup(m => m.CreateSession(null))
+            .Returns(session);
+
+        // Act
+        var result = _controller.CreateSession("en-US");
+
+        // Assert
+        result.Should().BeOfType<OkObjectResult>();
+        _sessionManagerMock.Verify(m => m.SetLanguage("test-session-123", "en-US"), Times.Once);
+    }
+
     [Fact]
     public void GetSession_ReturnsOk_WhenSessionExists()
     {
@@ -151,6 +187,55 @@ public class ConversationsControllerTests
         _sessionManagerMock.Verify(m => m.RemoveSession(sessionId), Times.Once);
     }
 
+    [Fact]
+    public void GetTranscript_Markdown_ReturnsFile_WithoutSystemPrompt()
+    {
+        // Arrange
+        var sessionId = "transcript-session";
+        var session = new ConversationSession
+        {
+            SessionId = sessionId,
+            Messages =
+            [
+                new ConversationMessage { Role = "system", Content = "系统提示" },
+                new ConversationMessage { Role = "user", Content = "你好" },
+                new ConversationMessage { Role = "assistant", Content = "**你好！**", IsInterrupted = true, HeardRatio = 0.4 }
+            ]
+        };
+        _sessionManagerMock
+            .Setup(m => m.GetSession(sessionId))
+            .Returns(session);
+
+        // Act
+        var result = _controller.GetTranscript(sessionId, "markdown");
+
+        // Assert
+        var file = result.Should().BeOfType<FileContentResult>().Subject;
+        file.ContentType.Should().StartWith("text/markdown");
+        file.FileDownloadName.Should().Be("transcript-transcript-session.md");
+
+        var markdown = System.Text.Encoding.UTF8.GetString(file.FileContents);
+        markdown.Should().NotContain("系统提示");
+        markdown.Should().Contain("## 用户").And.Contain("你好");
+        markdown.Should().Contain("**你好！**").And.Contain("用户听到约 40%");
+    }
+
+    [Fact]
+    public void GetTranscript_ReturnsBadRequest_WhenFormatIsUnknown()
+    {
+        // Arrange
+        var sessionId = "transcript-session";
+        _sessionManagerMock
+            .Setup(m => m.GetSession(sessionId))
+            .Returns(new ConversationSession { SessionId = sessionId });
+
+        // Act
+        var result = _controller.GetTranscript(sessionId, "pdf");
+
+        // Assert
+        result.Should().BeOfType<BadRequestObjectResult>();
+    }
+
     [Fact]
     public async Task Speak_ReturnsBadRequest_WhenNoAudioFile()
     {
@@ -164,4 +249,47 @@ public class ConversationsControllerTests
         var badRequestResult = result.Should().BeOfType<BadRequestObjectResult>().Subject;
         badRequestResult.StatusCode.Should().Be(400);
     }
+
+    [Fact]
+    public async Task SendText_ReturnsBadRequest_WhenTextIsEmpty()
+    {
+        // Act
+        var result = await _controller.SendText("test-session", new SendTextRequest("  "), CancellationToken.None);
+
+        // Assert
+        result.Should().BeOfType<BadRequestObjectResult>();
+        _pipelineMock.VerifyNoOtherCalls();
+    }
+
+    [Fact]
+    public async Task SendText_TextOnly_ReturnsReplyWithoutAudio()
+    {
+        // Arrange
+        _pipelineMock
+            .Setup(p => p.ProcessTextAsync("test-session", "你好", false, null, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new ConversationTurnResult { UserText = "你好", AssistantText = "你好！" });
+
+        // Act
+        var result = await _controller.SendText("test-session", new SendTextRequest("你好", TextOnly: true), CancellationToken.None);
+
+        // Assert
+        var value = result.Should().BeOfType<OkObjectResult>().Subject.Value!;
+        value.GetType().GetProperty("AssistantText")!.GetValue(value).Should().Be("你好！");
+        value.GetType().GetProperty("AudioBase64")!.GetValue(value).Should().BeNull();
+    }
+
+    [Fact]
+    public void SetLanguage_ReturnsNotFound_WhenSessionDoesNotExist()
+    {
+        // Arrange
+        _sessionManagerMock
+            .Setup(m => m.SetLanguage("missing", "en-US"))
+            .Throws(new SessionNotFoundException("missing"));
+
+        // Act
+        var result = _controller.SetLanguage("missing", new SetLanguageRequest("en-US"));
+
+        // Assert
+        result.Should().BeOfType<NotFoundObjectResult>();
+    }
 }
@@ -44,7 +44,7 @@ public class ConversationPipelineTests
         var session = _sessionManager.CreateSession("你是测试助手");
         using var audioStream = new MemoryStream([1, 2, 3]);
 
-        _sttMock.Setup(s => s.RecognizeAsync(It.IsAny<Stream>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
+        _sttMock.Setup(s => s.RecognizeAsync(It.IsAny<Stream>(), It.IsAny<string>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
             .ReturnsAsync(new SpeechRecognitionResult { IsSuccess = true, Text = "你好", Confidence = 0.95 });
 
         _chatMock.Setup(s => s.ChatAsync(It.IsAny<IReadOnlyList<ConversationMessage>>(), It.IsAny<CancellationToken>()))
@@ -59,6 +59,7 @@ public class ConversationPipelineTests
         // Assert
         Assert.Equal("你好", result.UserText);
         Assert.Equal("你好！有什么可以帮你的？", result.AssistantText);
+        Assert.NotNull(result.Audio);
         Assert.Equal("audio/mp3", result.Audio.ContentType);
 
         // 验证会话历史
@@ -75,7 +76,7 @@ public class ConversationPipelineTests
         var session = _sessionManager.CreateSession();
         using var audioStream = new MemoryStream([1, 2, 3]);
 
-        _sttMock.Setup(s => s.RecognizeAsync(It.IsAny<Stream>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
+        _sttMock.Setup(s => s.RecognizeAsync(It.IsAny<Stream>(), It.IsAny<string>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
             .ReturnsAsync(new SpeechRecognitionResult { IsSuccess = false, ErrorMessage = "无法识别语音" });
 
         var ex = await Assert.ThrowsAsync<SpeechRecognitionException>(
@@ -90,7 +91,7 @@ public class ConversationPipelineTests
         var session = _sessionManager.CreateSession();
         using var audioStream = new MemoryStream([1, 2, 3]);
 
-        _sttMock.Setup(s => s.RecognizeAsync(It.IsAny<Stream>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
+        _sttMock.Setup(s => s.RecognizeAsync(It.IsAny<Stream>(), It.IsAny<string>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
             .ThrowsAsync(new HttpRequestException("网络错误"));
 
         var ex = await Assert.ThrowsAsync<SpeechRecognitionException>(
@@ -106,7 +107,7 @@ public class ConversationPipelineTests
         var session = _sessionManager.CreateSession();
         using var audioStream = new MemoryStream([1, 2, 3]);
 
-        _sttMock.Setup(s => s.RecognizeAsync(It.IsAny<Stream>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
+        _sttMock.Setup(s => s.RecognizeAsync(It.IsAny<Stream>(), It.IsAny<string>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
             .ReturnsAsync(new SpeechRecognitionResult { IsSuccess = true, Text = "你好" });
 
         _chatMock.Setup(s => s.ChatAsync(It.IsAny<IReadOnlyList<ConversationMessage>>(), It.IsAny<CancellationToken>()))
@@ -124,7 +125,7 @@ public class ConversationPipelineTests
         var session = _sessionManager.CreateSession();
         using var audioStream = new MemoryStream([1, 2, 3]);
 
-        _sttMock.Setup(s => s.RecognizeAsync(It.IsAny<Stream>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
+        _sttMock.Setup(s => s.RecognizeAsync(It.IsAny<Stream>(), It.IsAny<string>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
             .ReturnsAsync(new SpeechRecognitionResult { IsSuccess = true, Text = "你好" });
 
         _chatMock.Setup(s => s.ChatAsync(It.IsAny<IReadOnlyList<ConversationMessage>>(), It.IsAny<CancellationToken>()))
@@ -142,7 +143,7 @@ public class ConversationPipelineTests
         var session = _sessionManager.CreateSession();
         using var audioStream = new MemoryStream([1, 2, 3]);
 
-        _sttMock.Setup(s => s.RecognizeAsync(It.IsAny<Stream>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
+        _sttMock.Setup(s => s.RecognizeAsync(It.IsAny<Stream>(), It.IsAny<string>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
             .ReturnsAsync(new SpeechRecognitionResult { IsSuccess = true, Text = "你好" });
 
         _chatMock.Setup(s => s.ChatAsync(It.IsAny<IReadOnlyList<ConversationMessage>>(), It.IsAny<CancellationToken>()))
@@ -157,6 +158,51 @@ public class ConversationPipelineTests
         Assert.Equal("TTS_FAILED", ex.ErrorCode);
     }
 
+    [Fact]
+    public async Task ProcessAsync_LlmThrows_RollsBackUserMessage()
+    {
+        var session = _sessionManager.CreateSession();
+        _sessionManager.AddMessage(session.SessionId, new ConversationMessage { Role = "user", Content = "上一轮" });
+        _sessionManager.AddMessage(session.SessionId, new ConversationMessage { Role = "assistant", Content = "上一轮回复" });
+        using var audioStream = new MemoryStream([1, 2, 3]);
+
+        _sttMock.Setup(s => s.RecognizeAsync(It.IsAny<Stream>(), It.IsAny<string>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new SpeechRecognitionResult { IsSuccess = true, Text = "你好" });
+
+        _chatMock.Setup(s => s.ChatAsync(It.IsAny<IReadOnlyList<ConversationMessage>>(), It.IsAny<CancellationToken>()))
+            .ThrowsAsync(new HttpRequestException("API 超时"));
+
+        await Assert.ThrowsAsync<ChatServiceException>(
+            () => _sut.ProcessAsync(session.SessionId, audioStream));
+
+        // 重试同一轮时历史中不会出现两条相同的用户消息
+        var messages = _sessionManager.GetSession(session.SessionId)!.Messages;
+        Assert.Equal(new[] { "上一轮", "上一轮回复" }, messages.Select(m => m.Content));
+    }
+
+    [Fact]
+    public async Task ProcessAsync_TtsThrows_RollsBackUserAndAssistantMessages()
+    {
+        var session = _sessionManager.CreateSession("你是测试助手");
+        using var audioStream = new MemoryStream([1, 2, 3]);
+
+        _sttMock.Setup(s => s.RecognizeAsync(It.IsAny<Stream>(), It.IsAny<string>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new SpeechRecognitionResult { IsSuccess = true, Text = "你好" });
+
+        _chatMock.Setup(s => s.ChatAsync(It.IsAny<IReadOnlyList<ConversationMessage>>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync("回复");
+
+        // 回复已写入历史后合成失败
+        _ttsMock.Setup(s => s.SynthesizeAsync(It.IsAny<string>(), It.IsAny<string?>(), It.IsAny<CancellationToken>()))
+            .ThrowsAsync(new InvalidOperationException("TTS 配额用尽"));
+
+        await Assert.ThrowsAsync<SpeechSynthesisException>(
+            () => _sut.ProcessAsync(session.SessionId, audioStream));
+
+        var messages = _sessionManager.GetSession(session.SessionId)!.Messages;
+        Assert.Equal("system", Assert.Single(messages).Role);
+    }
+
     [Fact]
     public async Task ProcessAsync_InvalidSession_ThrowsSessionNotFoundException()
     {
@@ -174,7 +220,7 @@ public class ConversationPipelineTests
         var session = _sessionManager.CreateSession("系统提示");
         using var audioStream = new MemoryStream([1, 2, 3]);
 
-        _sttMock.Setup(s => s.RecognizeAsync(It.IsAny<Stream>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
+        _sttMock.Setup(s => s.RecognizeAsync(It.IsAny<Stream>(), It.IsAny<string>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
             .ReturnsAsync(new SpeechRecognitionResult { IsSuccess = true, Text = "问题" });
 
         IReadOnlyList<ConversationMessage>? capturedMessages = null;
@@ -201,7 +247,7 @@ public class ConversationPipelineTests
     {
         var session = _sessionManager.CreateSession();
 
-        _sttMock.Setup(s => s.RecognizeAsync(It.IsAny<Stream>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
+        _sttMock.Setup(s => s.RecognizeAsync(It.IsAny<Stream>(), It.IsAny<string>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
             .ReturnsAsync(new SpeechRecognitionResult { IsSuccess = true, Text = "问题", Confidence = 0.9 });
 
         _chatMock.Setup(s => s.ChatAsync(It.IsAny<IReadOnlyList<ConversationMessage>>(), It.IsAny<CancellationToken>()))
@@ -222,4 +268,397 @@ public class ConversationPipelineTests
         // user + assistant + user + assistant = 4
         Assert.Equal(4, updated.Messages.Count);
     }
+
+    [Fact]
+    public async Task ProcessStreamAsync_FullPipeline_ReturnsResult()
+    {
+        var session = _sessionManager.CreateSession();
+
+        _sttMock.Setup(s => s.RecognizeStreamAsync(It.IsAny<IAsyncEnumerable<byte[]>>(), It.IsAny<string>(), It.IsAny<Func<SpeechRecognitionResult, Task>?>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new SpeechRecognitionResult { IsSuccess = true, Text = "流式问题" });
+
+        _chatMock.Setup(s => s.ChatAsync(It.IsAny<IReadOnlyList<ConversationMessage>>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync("回答");
+
+        _ttsMock.Setup(s => s.SynthesizeAsync(It.IsAny<string>(), It.IsAny<string?>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new AudioData { Data = [1], ContentType = "audio/mp3" });
+
+        var result = await _sut.ProcessStreamAsync(session.SessionId, Frames([1, 2], [3, 4]));
+
+        Assert.Equal("流式问题", result.UserText);
+        Assert.Equal("回答", result.AssistantText);
+        _sttMock.Verify(s => s.RecognizeAsync(It.IsAny<Stream>(), It.IsAny<string>(), It.IsAny<string>(), It.IsAny<CancellationToken>()), Times.Never);
+
+        var updated = _sessionManager.GetSession(session.SessionId)!;
+        Assert.Equal(2, updated.Messages.Count);
+    }
+
+    [Fact]
+    public async Task ProcessStreamAsync_WithObserver_ForwardsInterimResultsBeforeFinalText()
+    {
+        var session = _sessionManager.CreateSession();
+        var observer = new Mock<IConversationTurnObserver>();
+        var events = new List<string>();
+        observer.Setup(o => o.OnInterimUserTextAsync(It.IsAny<string>(), It.IsAny<CancellationToken>()))
+            .Callback<string, CancellationToken>((text, _) => events.Add("interim:" + text))
+            .Returns(Task.CompletedTask);
+        observer.Setup(o => o.OnUserTextAsync(It.IsAny<string>(), It.IsAny<string?>(), It.IsAny<double>(), It.IsAny<CancellationToken>()))
+            .Callback<string, string?, double, CancellationToken>((text, _, _, _) => events.Add("final:" + text))
+            .Returns(Task.CompletedTask);
+
+        _sttMock.Setup(s => s.RecognizeStreamAsync(It.IsAny<IAsyncEnumerable<byte[]>>(), It.IsAny<string>(), It.IsAny<Func<SpeechRecognitionResult, Task>?>(), It.IsAny<CancellationToken>()))
+            .Returns(async (IAsyncEnumerable<byte[]> _, string _, Func<SpeechRecognitionResult, Task>? onInterimResult, CancellationToken _) =>
+            {
+                await onInterimResult!(new SpeechRecognitionResult { IsSuccess = true, Text = "流式" });
+                await onInterimResult!(new SpeechRecognitionResult { IsSuccess = true, Text = "流式问" });
+                return new SpeechRecognitionResult { IsSuccess = true, Text = "流式问题", Confidence = 0.42 };
+            });
+
+        _chatMock.Setup(s => s.ChatStreamAsync(It.IsAny<IReadOnlyList<ConversationMessage>>(), It.IsAny<CancellationToken>()))
+            .Returns(Deltas("回答"));
+
+        _ttsMock.Setup(s => s.SynthesizeAsync(It.IsAny<string>(), It.IsAny<string?>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new AudioData { Data = [1], ContentType = "audio/mp3" });
+
+        await _sut.ProcessStreamAsync(session.SessionId, Frames([1]), observer: observer.Object);
+
+        Assert.Equal(new[] { "interim:流式", "interim:流式问", "final:流式问题" }, events);
+        observer.Verify(o => o.OnUserTextAsync("流式问题", It.IsAny<string?>(), 0.42, It.IsAny<CancellationToken>()), Times.Once);
+    }
+
+    [Fact]
+    public async Task ProcessStreamAsync_SttThrows_WrapsAsSpeechRecognitionException()
+    {
+        var session = _sessionManager.CreateSession();
+
+        _sttMock.Setup(s => s.RecognizeStreamAsync(It.IsAny<IAsyncEnumerable<byte[]>>(), It.IsAny<string>(), It.IsAny<Func<SpeechRecognitionResult, Task>?>(), It.IsAny<CancellationToken>()))
+            .ThrowsAsync(new HttpRequestException("网络错误"));
+
+        var ex = await Assert.ThrowsAsync<SpeechRecognitionException>(
+            () => _sut.ProcessStreamAsync(session.SessionId, Frames([1])));
+
+        Assert.Equal("STT_FAILED", ex.ErrorCode);
+        Assert.Empty(_sessionManager.GetSession(session.SessionId)!.Messages);
+    }
+
+    [Fact]
+    public async Task ProcessAsync_UsesSessionLanguage_AndVoiceForDetectedLanguage()
+    {
+        var session = _sessionManager.CreateSession();
+        _sessionManager.SetLanguage(session.SessionId, "auto");
+
+        _sttMock.Setup(s => s.RecognizeAsync(It.IsAny<Stream>(), "auto", It.IsAny<string>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new SpeechRecognitionResult { IsSuccess = true, Text = "Hello", Language = "en-US" });
+
+        _chatMock.Setup(s => s.ChatAsync(It.IsAny<IReadOnlyList<ConversationMessage>>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync("Hi there!");
+
+        _ttsMock.Setup(s => s.GetVoiceNameForLanguage("en-US")).Returns("en-US-JennyNeural");
+        _ttsMock.Setup(s => s.SynthesizeAsync(It.IsAny<string>(), It.IsAny<string?>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new AudioData { Data = [1], ContentType = "audio/mp3" });
+
+        using var audio = new MemoryStream([1, 2, 3]);
+        var result = await _sut.ProcessAsync(session.SessionId, audio);
+
+        Assert.Equal("en-US", result.UserLanguage);
+        _ttsMock.Verify(s => s.SynthesizeAsync("Hi there!", "en-US-JennyNeural", It.IsAny<CancellationToken>()), Times.Once);
+    }
+
+    [Fact]
+    public async Task ProcessAsync_UsesSessionVoice_OverLanguageDefault()
+    {
+        var session = _sessionManager.CreateSession();
+        _sessionManager.SetVoice(session.SessionId, "zh-CN-YunxiNeural");
+
+        _sttMock.Setup(s => s.RecognizeAsync(It.IsAny<Stream>(), It.IsAny<string>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new SpeechRecognitionResult { IsSuccess = true, Text = "你好" });
+
+        _chatMock.Setup(s => s.ChatAsync(It.IsAny<IReadOnlyList<ConversationMessage>>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync("你好！");
+
+        _ttsMock.Setup(s => s.GetVoiceNameForLanguage(It.IsAny<string>())).Returns("zh-CN-XiaoxiaoNeural");
+        _ttsMock.Setup(s => s.SynthesizeAsync(It.IsAny<string>(), It.IsAny<string?>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new AudioData { Data = [1], ContentType = "audio/mp3" });
+
+        using var audio = new MemoryStream([1, 2, 3]);
+        await _sut.ProcessAsync(session.SessionId, audio);
+
+        _ttsMock.Verify(s => s.SynthesizeAsync("你好！", "zh-CN-YunxiNeural", It.IsAny<CancellationToken>()), Times.Once);
+    }
+
+    [Fact]
+    public async Task ProcessTextAsync_SkipsStt_AndSynthesizesReply()
+    {
+        var session = _sessionManager.CreateSession();
+
+        _chatMock.Setup(s => s.ChatAsync(It.IsAny<IReadOnlyList<ConversationMessage>>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync("回答");
+
+        _ttsMock.Setup(s => s.SynthesizeAsync("回答", It.IsAny<string?>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new AudioData { Data = [1], ContentType = "audio/mp3" });
+
+        var result = await _sut.ProcessTextAsync(session.SessionId, "  打字提问 ");
+
+        Assert.Equal("打字提问", result.UserText);
+        Assert.Equal("回答", result.AssistantText);
+        Assert.NotNull(result.Audio);
+        _sttMock.VerifyNoOtherCalls();
+
+        var updated = _sessionManager.GetSession(session.SessionId)!;
+        Assert.Equal(2, updated.Messages.Count);
+        Assert.Equal("打字提问", updated.Messages[0].Content);
+    }
+
+    [Fact]
+    public async Task ProcessTextAsync_TextOnly_DoesNotCallTts()
+    {
+        var session = _sessionManager.CreateSession();
+
+        _chatMock.Setup(s => s.ChatAsync(It.IsAny<IReadOnlyList<ConversationMessage>>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync("回答");
+
+        var result = await _sut.ProcessTextAsync(session.SessionId, "打字提问", synthesizeSpeech: false);
+
+        Assert.Equal("回答", result.AssistantText);
+        Assert.Null(result.Audio);
+        _ttsMock.VerifyNoOtherCalls();
+        Assert.Equal(2, _sessionManager.GetSession(session.SessionId)!.Messages.Count);
+    }
+
+    [Fact]
+    public async Task ProcessTextAsync_EmptyText_ThrowsInvalidInputException()
+    {
+        var session = _sessionManager.CreateSession();
+
+        var ex = await Assert.ThrowsAsync<InvalidInputException>(
+            () => _sut.ProcessTextAsync(session.SessionId, "   "));
+
+        Assert.Equal("INVALID_INPUT", ex.ErrorCode);
+        _chatMock.VerifyNoOtherCalls();
+        Assert.Empty(_sessionManager.GetSession(session.SessionId)!.Messages);
+    }
+
+    [Fact]
+    public async Task ProcessTextAsync_WithObserver_StreamsTextAndSynthesizesEachSentence()
+    {
+        var session = _sessionManager.CreateSession();
+        var textChunks = new List<string>();
+        var audio = new List<(string Text, int Sequence, int TextEnd)>();
+        var observer = new Mock<IConversationTurnObserver>();
+        observer.Setup(o => o.OnAssistantTextAsync(It.IsAny<string>(), It.IsAny<CancellationToken>()))
+            .Callback<string, CancellationToken>((chunk, _) => textChunks.Add(chunk))
+            .Returns(Task.CompletedTask);
+        observer.Setup(o => o.OnAudioAsync(It.IsAny<AudioData>(), It.IsAny<int>(), It.IsAny<int>(), It.IsAny<CancellationToken>()))
+            .Callback<AudioData, int, int, CancellationToken>((data, sequence, textEnd, _) => audio.Add((data.ContentType, sequence, textEnd)))
+            .Returns(Task.CompletedTask);
+
+        _chatMock.Setup(s => s.ChatStreamAsync(It.IsAny<IReadOnlyList<ConversationMessage>>(), It.IsAny<CancellationToken>()))
+            .Returns(Deltas("你好", "！今天", "天气不错。有什么", "可以帮您"));
+
+        _ttsMock.Setup(s => s.SynthesizeAsync(It.IsAny<string>(), It.IsAny<string?>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync((string text, string? _, CancellationToken _) => new AudioData { Data = [1], ContentType = text });
+
+        var result = await _sut.ProcessTextAsync(session.SessionId, "问题", observer: observer.Object);
+
+        Assert.Equal("你好！今天天气不错。有什么可以帮您", result.AssistantText);
+        Assert.Null(result.Audio);
+        Assert.Equal(new[] { "你好", "！今天", "天气不错。有什么", "可以帮您" }, textChunks);
+        Assert.Equal(new[] { ("你好！", 0, 3), ("今天天气不错。", 1, 10), ("有什么可以帮您", 2, 17) }, audio);
+        observer.Verify(o => o.OnUserTextAsync("问题", null, 1.0, It.IsAny<CancellationToken>()), Times.Once);
+        _chatMock.Verify(s => s.ChatAsync(It.IsAny<IReadOnlyList<ConversationMessage>>(), It.IsAny<CancellationToken>()), Times.Never);
+
+        var updated = _sessionManager.GetSession(session.SessionId)!;
+        Assert.Equal(result.AssistantText, updated.Messages.Last().Content);
+    }
+
+    [Fact]
+    public async Task ProcessTextAsync_WithObserver_SynthesizesSpeechTextWithoutMarkdown()
+    {
+        var session = _sessionManager.CreateSession();
+        var observer = new Mock<IConversationTurnObserver>();
+        var textChunks = new List<string>();
+        var spoken = new List<string>();
+        observer.Setup(o => o.OnAssistantTextAsync(It.IsAny<string>(), It.IsAny<CancellationToken>()))
+            .Callback<string, CancellationToken>((chunk, _) => textChunks.Add(chunk))
+            .Returns(Task.CompletedTask);
+
+        _chatMock.Setup(s => s.ChatStreamAsync(It.IsAny<IReadOnlyList<ConversationMessage>>(), It.IsAny<CancellationToken>()))
+            .Returns(Deltas("示例：\n```js\nlet a", " = 1;\n```\n", "**完成**。"));
+
+        _ttsMock.Setup(s => s.SynthesizeAsync(It.IsAny<string>(), It.IsAny<string?>(), It.IsAny<CancellationToken>()))
+            .Callback<string, string?, CancellationToken>((text, _, _) => spoken.Add(text))
+            .ReturnsAsync(new AudioData { Data = [1], ContentType = "audio/mp3" });
+
+        var result = await _sut.ProcessTextAsync(session.SessionId, "问题", observer: observer.Object);
+
+        // 客户端收到原始 Markdown，TTS 只收到朗读文本
+        Assert.Equal("示例：\n```js\nlet a = 1;\n```\n**完成**。", string.Concat(textChunks));
+        Assert.Equal(result.AssistantText, string.Concat(textChunks));
+        Assert.Equal(new[] { "示例：", "这里有一段 js 代码，请在屏幕上查看。", "完成。" }, spoken);
+    }
+
+    [Fact]
+    public async Task ProcessTextAsync_WithObserver_TextOnly_DoesNotCallTts()
+    {
+        var session = _sessionManager.CreateSession();
+        var observer = new Mock<IConversationTurnObserver>();
+
+        _chatMock.Setup(s => s.ChatStreamAsync(It.IsAny<IReadOnlyList<ConversationMessage>>(), It.IsAny<CancellationToken>()))
+            .Returns(Deltas("第一句。", "第二句。"));
+
+        await _sut.ProcessTextAsync(session.SessionId, "问题", synthesizeSpeech: false, observer.Object);
+
+        observer.Verify(o => o.OnAssistantTextAsync(It.IsAny<string>(), It.IsAny<CancellationToken>()), Times.Exactly(2));
+        observer.Verify(o => o.OnAudioAsync(It.IsAny<AudioData>(), It.IsAny<int>(), It.IsAny<int>(), It.IsAny<CancellationToken>()), Times.Never);
+        _ttsMock.VerifyNoOtherCalls();
+    }
+
+    [Fact]
+    public async Task ProcessTextAsync_WithObserver_StreamThrows_WrapsAsChatServiceException()
+    {
+        var session = _sessionManager.CreateSession();
+        var observer = new Mock<IConversationTurnObserver>();
+
+        _chatMock.Setup(s => s.ChatStreamAsync(It.IsAny<IReadOnlyList<ConversationMessage>>(), It.IsAny<CancellationToken>()))
+            .Returns(FailingDeltas("说到一半"));
+
+        var ex = await Assert.ThrowsAsync<ChatServiceException>(
+            () => _sut.ProcessTextAsync(session.SessionId, "问题", observer: observer.Object));
+
+        Assert.Equal("LLM_FAILED", ex.ErrorCode);
+        // 失败的一轮与取消一样撤回，说到一半的回复也不写入
+        Assert.Empty(_sessionManager.GetSession(session.SessionId)!.Messages);
+    }
+
+    [Fact]
+    public async Task ProcessTextAsync_WithObserver_TtsFailsOnFirstSentence_StopsStreamingReply()
+    {
+        var session = _sessionManager.CreateSession();
+        var observer = new Mock<IConversationTurnObserver>();
+
+        _chatMock.Setup(s => s.ChatStreamAsync(It.IsAny<IReadOnlyList<ConversationMessage>>(), It.IsAny<CancellationToken>()))
+            .Returns(Deltas("第一句。", "第二句。", "第三句。"));
+
+        _ttsMock.Setup(s => s.SynthesizeAsync(It.IsAny<string>(), It.IsAny<string?>(), It.IsAny<CancellationToken>()))
+            .ThrowsAsync(new InvalidOperationException("TTS 配额用尽"));
+
+        var ex = await Assert.ThrowsAsync<SpeechSynthesisException>(
+            () => _sut.ProcessTextAsync(session.SessionId, "问题", observer: observer.Object));
+
+        // 首句合成失败即结束本轮，不再推送后续文本
+        Assert.Equal("TTS_FAILED", ex.ErrorCode);
+        observer.Verify(o => o.OnAssistantTextAsync(It.IsAny<string>(), It.IsAny<CancellationToken>()), Times.Once);
+        Assert.Empty(_sessionManager.GetSession(session.SessionId)!.Messages);
+    }
+
+    [Fact]
+    public async Task ProcessTextAsync_WithObserver_CancelledWhileStreaming_RollsBackHistory()
+    {
+        var session = _sessionManager.CreateSession();
+        _sessionManager.AddMessage(session.SessionId, new ConversationMessage { Role = "user", Content = "上一轮" });
+        _sessionManager.AddMessage(session.SessionId, new ConversationMessage { Role = "assistant", Content = "上一轮回复" });
+
+        using var cts = new CancellationTokenSource();
+        var observer = new Mock<IConversationTurnObserver>();
+        observer.Setup(o => o.OnAssistantTextAsync(It.IsAny<string>(), It.IsAny<CancellationToken>()))
+            .Callback(() => cts.Cancel())
+            .Returns(Task.CompletedTask);
+
+        _chatMock.Setup(s => s.ChatStreamAsync(It.IsAny<IReadOnlyList<ConversationMessage>>(), It.IsAny<CancellationToken>()))
+            .Returns<IReadOnlyList<ConversationMessage>, CancellationToken>((_, ct) => CancellableDeltas(ct, "第一段", "第二段"));
+
+        await Assert.ThrowsAsync<ChatServiceException>(
+            () => _sut.ProcessTextAsync(session.SessionId, "问题", observer: observer.Object, cancellationToken: cts.Token));
+
+        // 本轮的用户消息被撤回，之前的历史不受影响
+        var messages = _sessionManager.GetSession(session.SessionId)!.Messages;
+        Assert.Equal(new[] { "上一轮", "上一轮回复" }, messages.Select(m => m.Content));
+    }
+
+    [Fact]
+    public async Task ProcessTextAsync_WithObserver_ReplyInterrupted_KeepsPartialReply()
+    {
+        var session = _sessionManager.CreateSession();
+        using var interruption = new CancellationTokenSource();
+        var observer = new Mock<IConversationTurnObserver>();
+        observer.SetupGet(o => o.ReplyInterrupted).Returns(interruption.Token);
+        // 第一句开始播放时用户插话
+        observer.Setup(o => o.OnAudioAsync(It.IsAny<AudioData>(), It.IsAny<int>(), It.IsAny<int>(), It.IsAny<CancellationToken>()))
+            .Callback(() => interruption.Cancel())
+            .Returns(Task.CompletedTask);
+
+        _chatMock.Setup(s => s.ChatStreamAsync(It.IsAny<IReadOnlyList<ConversationMessage>>(), It.IsAny<CancellationToken>()))
+            .Returns<IReadOnlyList<ConversationMessage>, CancellationToken>((_, ct) => CancellableDeltas(ct, "第一句。", "第二句。", "第三句。"));
+
+        _ttsMock.Setup(s => s.SynthesizeAsync(It.IsAny<string>(), It.IsAny<string?>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new AudioData { Data = [1], ContentType = "audio/mp3" });
+
+        var result = await _sut.ProcessTextAsync(session.SessionId, "问题", observer: observer.Object);
+
+        // 不作为失败：生成停在打断处，已生成的部分留在历史中
+        Assert.Equal("第一句。", result.AssistantText);
+        observer.Verify(o => o.OnAudioAsync(It.IsAny<AudioData>(), It.IsAny<int>(), It.IsAny<int>(), It.IsAny<CancellationToken>()), Times.Once);
+        var messages = _sessionManager.GetSession(session.SessionId)!.Messages;
+        Assert.Equal(new[] { "问题", "第一句。" }, messages.Select(m => m.Content));
+    }
+
+    [Fact]
+    public async Task ProcessAsync_CancelledDuringTts_RollsBackUserAndAssistantMessages()
+    {
+        var session = _sessionManager.CreateSession("你是测试助手");
+        using var audioStream = new MemoryStream([1, 2, 3]);
+        using var cts = new CancellationTokenSource();
+
+        _sttMock.Setup(s => s.RecognizeAsync(It.IsAny<Stream>(), It.IsAny<string>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new SpeechRecognitionResult { IsSuccess = true, Text = "你好", Confidence = 0.95 });
+
+        _chatMock.Setup(s => s.ChatAsync(It.IsAny<IReadOnlyList<ConversationMessage>>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync("你好！");
+
+        // 回复已写入历史后才取消
+        _ttsMock.Setup(s => s.SynthesizeAsync(It.IsAny<string>(), It.IsAny<string?>(), It.IsAny<CancellationToken>()))
+            .Callback(() => cts.Cancel())
+            .ThrowsAsync(new OperationCanceledException());
+
+        await Assert.ThrowsAsync<SpeechSynthesisException>(
+            () => _sut.ProcessAsync(session.SessionId, audioStream, cancellationToken: cts.Token));
+
+        var messages = _sessionManager.GetSession(session.SessionId)!.Messages;
+        Assert.Equal("system", Assert.Single(messages).Role);
+    }
+
+    private static async IAsyncEnumerable<string> Deltas(params string[] deltas)
+    {
+        foreach (var delta in deltas)
+        {
+            await Task.Yield();
+            yield return delta;
+        }
+    }
+
+    private static async IAsyncEnumerable<string> FailingDeltas(string delta)
+    {
+        await Task.Yield();
+        yield return delta;
+        throw new HttpRequestException("连接中断");
+    }
+
+    private static async IAsyncEnumerable<string> CancellableDeltas(CancellationToken cancellationToken, params string[] deltas)
+    {
+        foreach (var delta in deltas)
+        {
+            await Task.Yield();
+            cancellationToken.ThrowIfCancellationRequested();
+            yield return delta;
+        }
+    }
+
+    private static async IAsyncEnumerable<byte[]> Frames(params byte[][] frames)
+    {
+        foreach (var frame in frames)
+        {
+            await Task.Yield();
+            yield return frame;
+        }
+    }
 }
@@ -0,0 +1,86 @@
+using System.Text;
+using VoiceAssistant.Core.Pipeline;
+
+namespace VoiceAssistant.Core.Tests;
+
+public class SentenceSplitterTests
+{
+    [Fact]
+    public void TakeSentences_SplitsOnTerminators_AndKeepsIncompleteTail()
+    {
+        var buffer = new StringBuilder("你好！今天天气不错。我们去");
+
+        var sentences = SentenceSplitter.TakeSentences(buffer);
+
+        Assert.Equal(new[] { "你好！", "今天天气不错。" }, sentences);
+        Assert.Equal("我们去", buffer.ToString());
+    }
+
+    [Fact]
+    public void TakeSentences_EnglishPeriod_SplitsOnlyBeforeWhitespace()
+    {
+        var buffer = new StringBuilder("Pi is 3.14. It never ends.");
+
+        var sentences = SentenceSplitter.TakeSentences(buffer);
+
+        // 末尾的句号后还没有文本，可能是 "ends.5" 之类，留待后续判断
+        Assert.Equal(new[] { "Pi is 3.14." }, sentences);
+        Assert.Equal(" It never ends.", buffer.ToString());
+    }
+
+    [Fact]
+    public void TakeSentences_KeepsClosingQuoteWithSentence()
+    {
+        var buffer = new StringBuilder("他说：“好的。”然后走了");
+
+        var sentences = SentenceSplitter.TakeSentences(buffer);
+
+        Assert.Equal(new[] { "他说：“好的。”" }, sentences);
+        Assert.Equal("然后走了", buffer.ToString());
+    }
+
+    [Fact]
+    public void TakeSentences_LongTextWithoutTerminator_BreaksAtLastPause()
+    {
+        var text = new string('字', 150) + "，" + new string('字', 100);
+        var buffer = new StringBuilder(text);
+
+        var sentences = SentenceSplitter.TakeSentences(buffer);
+
+        Assert.Single(sentences);
+        Assert.Equal(new string('字', 150) + "，", sentences[0]);
+        Assert.Equal(new string('字', 100), buffer.ToString());
+    }
+
+    [Fact]
+    public void TakeSentences_KeepsCodeBlockWhole_AndWaitsUntilItCloses()
+    {
+        var buffer = new StringBuilder("好的。\n```js\nlet a = 1;\nlet b = 2;");
+
+        Assert.Equal(new[] { "好的。" }, SentenceSplitter.TakeSentences(buffer));
+        Assert.Equal("```js\nlet a = 1;\nlet b = 2;", buffer.ToString());
+
+        buffer.Append("\n```\n结束。");
+
+        Assert.Equal(new[] { "```js\nlet a = 1;\nlet b = 2;\n```", "结束。" }, SentenceSplitter.TakeSentences(buffer));
+        Assert.Equal(string.Empty, buffer.ToString());
+    }
+
+    [Fact]
+    public void TakeSentences_OrderedListNumber_IsNotSentenceEnd()
+    {
+        var buffer = new StringBuilder("步骤：\n1. 安装依赖\n2. 运行");
+
+        var sentences = SentenceSplitter.TakeSentences(buffer);
+
+        Assert.Equal(new[] { "步骤：", "1. 安装依赖" }, sentences);
+        Assert.Equal("2. 运行", buffer.ToString());
+    }
+
+    [Fact]
+    public void TakeRemainder_ReturnsNull_WhenOnlyPunctuationLeft()
+    {
+        Assert.Equal("最后一句", SentenceSplitter.TakeRemainder(new StringBuilder(" 最后一句 ")));
+        Assert.Null(SentenceSplitter.TakeRemainder(new StringBuilder("……")));
+    }
+}
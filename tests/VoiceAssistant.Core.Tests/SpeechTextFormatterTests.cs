@@ -0,0 +1,54 @@
+using VoiceAssistant.Core.Pipeline;
+
+namespace VoiceAssistant.Core.Tests;
+
+public class SpeechTextFormatterTests
+{
+    [Theory]
+    [InlineData("## 标题", "标题")]
+    [InlineData("**粗体**和*斜体*，还有~~删除线~~", "粗体和斜体，还有删除线")]
+    [InlineData("运行 `npm install` 即可", "运行 npm install 即可")]
+    [InlineData("- [x] 已完成的任务", "已完成的任务")]
+    [InlineData("1. 第一步", "第一步")]
+    [InlineData("> 引用的内容", "引用的内容")]
+    [InlineData("参见[官方文档](https://learn.microsoft.com)。", "参见官方文档。")]
+    [InlineData("地址是 https://example.com/path 。", "地址是 。")]
+    [InlineData("变量 snake_case_name 保持不变", "变量 snake_case_name 保持不变")]
+    public void Format_StripsMarkup(string markdown, string expected)
+    {
+        Assert.Equal(expected, SpeechTextFormatter.Format(markdown, "zh-CN"));
+    }
+
+    [Fact]
+    public void Format_SummarizesCodeBlock_InReplyLanguage()
+    {
+        const string markdown = "Run this:\n```python\nprint('hi')\n```";
+
+        Assert.Equal("Run this:\nHere is some python code, please see it on screen.",
+            SpeechTextFormatter.Format(markdown, "en-US"));
+        Assert.Equal("Run this:\n这里有一段 python 代码，请在屏幕上查看。",
+            SpeechTextFormatter.Format(markdown, "zh-CN"));
+    }
+
+    [Fact]
+    public void Format_UnknownLanguage_DetectsChineseFromText()
+    {
+        Assert.Equal("代码：\n这里有一段代码，请在屏幕上查看。",
+            SpeechTextFormatter.Format("代码：\n```\nx = 1\n```", "auto"));
+    }
+
+    [Fact]
+    public void Format_ReadsTableCells_AndSkipsSeparatorRow()
+    {
+        const string markdown = "| 城市 | 气温 |\n|:---|---:|\n| 北京 | **20°C** |";
+
+        Assert.Equal("城市，气温\n北京，20°C", SpeechTextFormatter.Format(markdown, "zh-CN"));
+    }
+
+    [Fact]
+    public void Format_ReturnsEmpty_WhenOnlyMarkupRemains()
+    {
+        Assert.Equal(string.Empty, SpeechTextFormatter.Format("---", "zh-CN"));
+        Assert.Equal(string.Empty, SpeechTextFormatter.Format("|---|---|", "zh-CN"));
+    }
+}
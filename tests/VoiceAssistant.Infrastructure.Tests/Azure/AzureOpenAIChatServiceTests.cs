@@ -16,7 +16,7 @@ public class AzureOpenAIChatServiceTests
     private const string TestEndpoint = "https://test.openai.azure.com/";
     private const string TestApiKey = "test-key";
     private const string TestDeploymentName = "gpt-4o";
-    private const string DefaultSystemPrompt = "你是一个友好的 AI 语音助手，请用简洁的中文回答问题。";
+    private const string DefaultSystemPrompt = "你是一个友好的 AI 语音助手，请简洁地回答问题，并使用与用户相同的语言（用户说中文就用中文，说英文就用英文）。";
 
     private static AzureOpenAIChatService CreateService(
         AzureOpenAIOptions? optionsOverride = null)
@@ -738,6 +738,63 @@ public class AzureOpenAIChatServiceTests
 
     #endregion
 
+    #region ConvertMessages - Interrupted Replies
+
+    [Fact]
+    public void FormatAssistantContent_NotInterrupted_ReturnsContentUnchanged()
+    {
+        // Arrange
+        var message = new ConversationMessage { Role = "assistant", Content = "完整的回复" };
+
+        // Act
+        var result = AzureOpenAIChatService.FormatAssistantContent(message);
+
+        // Assert
+        result.Should().Be("完整的回复");
+    }
+
+    [Fact]
+    public void FormatAssistantContent_Interrupted_KeepsHeardPrefixAndAddsMarker()
+    {
+        // Arrange
+        var message = new ConversationMessage
+        {
+            Role = "assistant",
+            Content = "一二三四五六七八九十",
+            IsInterrupted = true,
+            HeardRatio = 0.3
+        };
+
+        // Act
+        var result = AzureOpenAIChatService.FormatAssistantContent(message);
+
+        // Assert
+        result.Should().StartWith("一二三……");
+        result.Should().NotContain("四");
+        result.Should().Contain("打断");
+    }
+
+    [Fact]
+    public void ConvertMessages_InterruptedAssistantMessage_StillMapsToAssistantRole()
+    {
+        // Arrange
+        var service = CreateService();
+        var messages = new List<ConversationMessage>
+        {
+            new() { Role = "user", Content = "讲个故事" },
+            new() { Role = "assistant", Content = "从前有座山", IsInterrupted = true, HeardRatio = 0.5 },
+        };
+
+        // Act
+        var result = service.ConvertMessages(messages);
+
+        // Assert
+        result.Should().HaveCount(3);
+        result[2].Should().BeOfType<AssistantChatMessage>();
+    }
+
+    #endregion
+
     #region ChatAsync - Cancellation
 
     [Fact]
@@ -71,4 +71,259 @@ public class AzureSpeechToTextServiceTests
         // Assert
         await act.Should().NotThrowAsync<AudioTooLongException>();
     }
+
+    [Fact]
+    public async Task RecognizeStreamAsync_ThrowsAudioTooLongException_WhenFramesExceedMaxBytes()
+    {
+        // Arrange - 两帧合计超过上限
+        var frames = ToAsyncEnumerable(new byte[MaxAudioBytes], new byte[1]);
+
+        // Act
+        var act = () => _sut.RecognizeStreamAsync(frames);
+
+        // Assert
+        await act.Should().ThrowAsync<AudioTooLongException>();
+    }
+
+    [Fact]
+    public async Task RecognizeStreamAsync_ReportsFrameSourceFailure_NotRecognitionError()
+    {
+        // Arrange - 读到一帧后上传中断
+        var frames = FailingFrames(new IOException("upload aborted"));
+
+        // Act
+        var act = () => _sut.RecognizeStreamAsync(frames);
+
+        // Assert
+        var error = await act.Should().ThrowAsync<SpeechRecognitionException>();
+        error.WithInnerException<IOException>().WithMessage("upload aborted");
+    }
+
+    [Fact]
+    public async Task RecognizeAsync_ThrowsInvalidInputException_WhenFormatIsUnsupported()
+    {
+        // Arrange
+        using var stream = new MemoryStream([1, 2, 3]);
+
+        // Act
+        var act = () => _sut.RecognizeAsync(stream, contentType: "audio/flac");
+
+        // Assert
+        await act.Should().ThrowAsync<InvalidInputException>();
+    }
+
+    [Fact]
+    public async Task RecognizeAsync_WithOggOpus_ThrowsAudioTooLongException_WhenDurationExceedsLimit()
+    {
+        // Arrange - 体积很小，但最后一页的 granule position 对应 61 秒
+        var ogg = CreateOggPage(granulePosition: 61 * 48000);
+
+        // Act
+        var act = () => _sut.RecognizeAsync(ogg, contentType: "audio/ogg;codecs=opus");
+
+        // Assert
+        await act.Should().ThrowAsync<AudioTooLongException>();
+    }
+
+    [Fact]
+    public void GetOggDurationSeconds_ReadsGranulePositionOfLastPage()
+    {
+        // Arrange - 两页，时长以最后一页为准
+        var ogg = CreateOggPage(granulePosition: 48000).Concat(CreateOggPage(granulePosition: 3 * 48000 + 24000)).ToArray();
+
+        // Act
+        var duration = AzureSpeechToTextService.GetOggDurationSeconds(ogg);
+
+        // Assert
+        duration.Should().Be(3.5);
+    }
+
+    [Fact]
+    public void GetOggDurationSeconds_ReturnsNull_WhenDataIsNotOgg()
+    {
+        AzureSpeechToTextService.GetOggDurationSeconds(new byte[64]).Should().BeNull();
+    }
+
+    [Fact]
+    public async Task RecognizeAsync_WithWebM_ThrowsAudioTooLongException_WithContainerDuration()
+    {
+        // Arrange - 体积很小，但最后一个音频块在 61.5 秒处
+        var webm = CreateWebM(durationMs: null, (0, [0, 20]), (61_000, [0, 500]));
+
+        // Act
+        var act = () => _sut.RecognizeAsync(webm, contentType: "audio/webm;codecs=opus");
+
+        // Assert
+        await act.Should().ThrowAsync<AudioTooLongException>().WithMessage("*61.5s*");
+    }
+
+    [Fact]
+    public async Task RecognizeAsync_WithCompressedAudio_ThrowsInvalidInputException_WhenDurationIsUnreadable()
+    {
+        // Act
+        var act = () => _sut.RecognizeAsync(new byte[64], contentType: "audio/webm");
+
+        // Assert
+        await act.Should().ThrowAsync<InvalidInputException>();
+    }
+
+    [Fact]
+    public void GetWebMDurationSeconds_ReadsLastBlockTimestamp_WhenDurationIsMissing()
+    {
+        // Arrange - 浏览器录制的 WebM：Segment 与 Cluster 大小未知，Info 中没有 Duration
+        var webm = CreateWebM(durationMs: null, (0, [0, 20, 40]), (2_000, [0, 1_250]));
+
+        // Act
+        var duration = AzureSpeechToTextService.GetWebMDurationSeconds(webm);
+
+        // Assert
+        duration.Should().Be(3.25);
+    }
+
+    [Fact]
+    public void GetWebMDurationSeconds_UsesInfoDuration_WhenLongerThanBlocks()
+    {
+        AzureSpeechToTextService.GetWebMDurationSeconds(CreateWebM(durationMs: 90_000, (0, [0, 20])))
+            .Should().Be(90);
+    }
+
+    [Fact]
+    public void GetWavDurationSeconds_UsesHeaderByteRate()
+    {
+        // Arrange - 48kHz 16bit 单声道，2 秒
+        var wav = new byte[44 + 2 * 96_000];
+        "RIFF"u8.CopyTo(wav);
+        "WAVE"u8.CopyTo(wav.AsSpan(8));
+        BitConverter.GetBytes(96_000).CopyTo(wav, 28);
+
+        // Act & Assert
+        AzureSpeechToTextService.GetWavDurationSeconds(wav).Should().Be(2);
+    }
+
+    /// <summary>
+    /// 构造只含 27 字节页头的 Ogg 页（无分段数据），足够用于时长解析
+    /// </summary>
+    private static byte[] CreateOggPage(long granulePosition)
+    {
+        var page = new byte[27];
+        "OggS"u8.CopyTo(page);
+        BitConverter.GetBytes(granulePosition).CopyTo(page, 6);
+        return page;
+    }
+
+    /// <summary>
+    /// 构造最小的 WebM：EBML header、未知大小的 Segment（Info + 各 Cluster），每个块只有块头和一个字节的数据
+    /// </summary>
+    private static byte[] CreateWebM(double? durationMs, params (int Timecode, short[] Blocks)[] clusters)
+    {
+        var info = EbmlElement([0x2A, 0xD7, 0xB1], [0x0F, 0x42, 0x40]); // TimecodeScale = 1ms
+        if (durationMs is { } duration)
+        {
+            var bytes = BitConverter.GetBytes(duration);
+            Array.Reverse(bytes);
+            info = [.. info, .. EbmlElement([0x44, 0x89], bytes)];
+        }
+
+        var segment = EbmlElement([0x15, 0x49, 0xA9, 0x66], info);
+        foreach (var (timecode, blocks) in clusters)
+        {
+            var cluster = EbmlElement([0xE7], [(byte)(timecode >> 16), (byte)(timecode >> 8), (byte)timecode]);
+            foreach (var block in blocks)
+            {
+                cluster = [.. cluster, .. EbmlElement([0xA3], [0x81, (byte)(block >> 8), (byte)block, 0x80, 0x00])];
+            }
+            segment = [.. segment, .. EbmlElement([0x1F, 0x43, 0xB6, 0x75], cluster, unknownSize: true)];
+        }
+
+        return [.. EbmlElement([0x1A, 0x45, 0xDF, 0xA3], [0x42, 0x86, 0x81, 0x01]), .. EbmlElement([0x18, 0x53, 0x80, 0x67], segment, unknownSize: true)];
+    }
+
+    private static byte[] EbmlElement(byte[] id, byte[] body, bool unknownSize = false)
+    {
+        // 8 字节的大小字段：0x01 后跟 7 字节长度，全 1 表示未知大小
+        var size = new byte[8];
+        size[0] = 0x01;
+        for (var i = 1; i < 8; i++)
+        {
+            size[i] = unknownSize ? (byte)0xFF : (byte)((long)body.Length >> (8 * (7 - i)));
+        }
+        return [.. id, .. size, .. body];
+    }
+
+    private static async IAsyncEnumerable<byte[]> ToAsyncEnumerable(params byte[][] frames)
+    {
+        foreach (var frame in frames)
+        {
+            await Task.Yield();
+            yield return frame;
+        }
+    }
+
+    private static async IAsyncEnumerable<byte[]> FailingFrames(Exception error)
+    {
+        await Task.Yield();
+        yield return new byte[3200];
+        throw error;
+    }
+
+    [Fact]
+    public void GetCandidateLanguages_TrimsAndDeduplicatesConfiguredLanguages()
+    {
+        // Arrange
+        var sut = CreateService(new AzureSpeechOptions
+        {
+            SubscriptionKey = "test-key",
+            Region = "eastasia",
+            AutoDetectLanguages = " zh-CN , en-US,zh-cn,,"
+        });
+
+        // Act
+        var candidates = sut.GetCandidateLanguages();
+
+        // Assert
+        candidates.Should().Equal("zh-CN", "en-US");
+    }
+
+    [Fact]
+    public void GetCandidateLanguages_KeepsAtMostFourLanguages()
+    {
+        // Arrange
+        var sut = CreateService(new AzureSpeechOptions
+        {
+            SubscriptionKey = "test-key",
+            Region = "eastasia",
+            AutoDetectLanguages = "zh-CN,en-US,ja-JP,ko-KR,fr-FR"
+        });
+
+        // Act
+        var candidates = sut.GetCandidateLanguages();
+
+        // Assert
+        candidates.Should().Equal("zh-CN", "en-US", "ja-JP", "ko-KR");
+    }
+
+    [Fact]
+    public void GetCandidateLanguages_FallsBackToRecognitionLanguage_WhenNoneConfigured()
+    {
+        // Arrange
+        var sut = CreateService(new AzureSpeechOptions
+        {
+            SubscriptionKey = "test-key",
+            Region = "eastasia",
+            RecognitionLanguage = "en-US",
+            AutoDetectLanguages = ""
+        });
+
+        // Act
+        var candidates = sut.GetCandidateLanguages();
+
+        // Assert
+        candidates.Should().Equal("en-US");
+    }
+
+    private static AzureSpeechToTextService CreateService(AzureSpeechOptions options)
+    {
+        return new AzureSpeechToTextService(
+            Options.Create(options), new Mock<ILogger<AzureSpeechToTextService>>().Object);
+    }
 }
@@ -2,6 +2,7 @@ using FluentAssertions;
 using Microsoft.Extensions.Logging;
 using Microsoft.Extensions.Options;
 using Moq;
+using VoiceAssistant.Core.Models;
 using VoiceAssistant.Core.Options;
 using VoiceAssistant.Infrastructure.Azure;
 
@@ -90,4 +91,65 @@ public class AzureTextToSpeechServiceTests
             .WithParameterName("text")
             .WithMessage("*5000*");
     }
+
+    [Theory]
+    [InlineData("zh-CN", "zh-CN-XiaoxiaoNeural")]
+    [InlineData("en-us", "en-US-JennyNeural")]
+    [InlineData("en-GB", "en-US-JennyNeural")]
+    public void GetVoiceNameForLanguage_ReturnsConfiguredVoice(string language, string expectedVoice)
+    {
+        // Act
+        var voice = _sut.GetVoiceNameForLanguage(language);
+
+        // Assert
+        voice.Should().Be(expectedVoice);
+    }
+
+    [Fact]
+    public void GetVoiceNameForLanguage_ReturnsNull_WhenLanguageIsNotConfigured()
+    {
+        // Act
+        var voice = _sut.GetVoiceNameForLanguage("ja-JP");
+
+        // Assert
+        voice.Should().BeNull();
+    }
+
+    private static readonly VoiceInfo[] Voices =
+    [
+        new() { Name = "zh-CN-XiaoxiaoNeural", DisplayName = "晓晓", Locale = "zh-CN", Gender = "Female" },
+        new() { Name = "zh-HK-HiuMaanNeural", DisplayName = "曉曼", Locale = "zh-HK", Gender = "Female" },
+        new() { Name = "en-US-JennyNeural", DisplayName = "Jenny", Locale = "en-US", Gender = "Female" },
+        new() { Name = "en-GB-RyanNeural", DisplayName = "Ryan", Locale = "en-GB", Gender = "Male" }
+    ];
+
+    [Fact]
+    public void FilterVoices_WithRegion_MatchesLocaleExactly()
+    {
+        // Act
+        var voices = AzureTextToSpeechService.FilterVoices(Voices, ["zh-cn"]);
+
+        // Assert
+        voices.Select(v => v.Name).Should().Equal("zh-CN-XiaoxiaoNeural");
+    }
+
+    [Fact]
+    public void FilterVoices_WithPrimaryLanguageOnly_MatchesAllRegions()
+    {
+        // Act
+        var voices = AzureTextToSpeechService.FilterVoices(Voices, ["en"]);
+
+        // Assert
+        voices.Select(v => v.Name).Should().Equal("en-US-JennyNeural", "en-GB-RyanNeural");
+    }
+
+    [Fact]
+    public void FilterVoices_WithSeveralLanguages_ReturnsVoicesOfEach()
+    {
+        // Act
+        var voices = AzureTextToSpeechService.FilterVoices(Voices, ["zh-CN", "en-US"]);
+
+        // Assert
+        voices.Select(v => v.Name).Should().Equal("zh-CN-XiaoxiaoNeural", "en-US-JennyNeural");
+    }
 }
@@ -22,7 +22,7 @@ public static class MockServiceDefaults
     public static void SetupStt(Mock<ISpeechToTextService> sttMock)
     {
         sttMock.Setup(s => s.RecognizeAsync(
-                It.IsAny<Stream>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
+                It.IsAny<Stream>(), It.IsAny<string>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
             .ReturnsAsync(new SpeechRecognitionResult
             {
                 IsSuccess = true,
@@ -31,13 +31,43 @@ public static class MockServiceDefaults
             });
 
         sttMock.Setup(s => s.RecognizeAsync(
-                It.IsAny<byte[]>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
+                It.IsAny<byte[]>(), It.IsAny<string>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
             .ReturnsAsync(new SpeechRecognitionResult
             {
                 IsSuccess = true,
                 Text = "你好",
                 Confidence = 0.95
             });
+
+        // 流式识别：每收到一帧推送一条中间结果，读完所有帧再返回，模拟 SDK 等待音频流结束
+        sttMock.Setup(s => s.RecognizeStreamAsync(
+                It.IsAny<IAsyncEnumerable<byte[]>>(), It.IsAny<string>(),
+                It.IsAny<Func<SpeechRecognitionResult, Task>?>(), It.IsAny<CancellationToken>()))
+            .Returns<IAsyncEnumerable<byte[]>, string, Func<SpeechRecognitionResult, Task>?, CancellationToken>(
+                async (frames, _, onInterimResult, ct) =>
+                {
+                    var interimText = "你好";
+                    var frameCount = 0;
+                    await foreach (var frame in frames.WithCancellation(ct))
+                    {
+                        frameCount++;
+                        if (onInterimResult is not null)
+                        {
+                            await onInterimResult(new SpeechRecognitionResult
+                            {
+                                IsSuccess = true,
+                                Text = interimText[..Math.Min(frameCount, interimText.Length)]
+                            });
+                        }
+                    }
+
+                    return new SpeechRecognitionResult
+                    {
+                        IsSuccess = true,
+                        Text = "你好",
+                        Confidence = 0.95
+                    };
+                });
     }
 
     public static void SetupChat(Mock<IChatService> chatMock)
@@ -45,6 +75,23 @@ public static class MockServiceDefaults
         chatMock.Setup(s => s.ChatAsync(
                 It.IsAny<IReadOnlyList<ConversationMessage>>(), It.IsAny<CancellationToken>()))
             .ReturnsAsync("你好！有什么可以帮您？");
+
+        // Hub 走流式回复：分两段返回，恰好是两句
+        chatMock.Setup(s => s.ChatStreamAsync(
+                It.IsAny<IReadOnlyList<ConversationMessage>>(), It.IsAny<CancellationToken>()))
+            .Returns(() => StreamReply("你好！", "有什么可以帮您？"));
+    }
+
+    /// <summary>
+    /// Yields the given deltas asynchronously, like a streaming LLM response.
+    /// </summary>
+    public static async IAsyncEnumerable<string> StreamReply(params string[] deltas)
+    {
+        foreach (var delta in deltas)
+        {
+            await Task.Yield();
+            yield return delta;
+        }
     }
 
     public static void SetupTts(Mock<ITextToSpeechService> ttsMock)
@@ -56,5 +103,12 @@ public static class MockServiceDefaults
                 Data = [0x01, 0x02, 0x03, 0x04],
                 ContentType = "audio/mp3"
             });
+
+        ttsMock.Setup(s => s.GetVoicesAsync(It.IsAny<string?>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new List<VoiceInfo>
+            {
+                new() { Name = "zh-CN-XiaoxiaoNeural", DisplayName = "晓晓", Locale = "zh-CN", Gender = "Female" },
+                new() { Name = "zh-CN-YunxiNeural", DisplayName = "云希", Locale = "zh-CN", Gender = "Male" }
+            });
     }
 }
@@ -30,7 +30,7 @@ public class ExceptionMiddlewareIntegrationTests : IClassFixture<VoiceAssistantW
 
         _factory.SttMock.Reset();
         _factory.SttMock
-            .Setup(s => s.RecognizeAsync(It.IsAny<Stream>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
+            .Setup(s => s.RecognizeAsync(It.IsAny<Stream>(), It.IsAny<string>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
             .ReturnsAsync(new SpeechRecognitionResult { IsSuccess = false, ErrorMessage = "识别失败" });
 
         // Act
@@ -90,7 +90,7 @@ public class ExceptionMiddlewareIntegrationTests : IClassFixture<VoiceAssistantW
 
         _factory.SttMock.Reset();
         _factory.SttMock
-            .Setup(s => s.RecognizeAsync(It.IsAny<Stream>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
+            .Setup(s => s.RecognizeAsync(It.IsAny<Stream>(), It.IsAny<string>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
             .ReturnsAsync(new SpeechRecognitionResult { IsSuccess = false, ErrorMessage = "测试" });
 
         // Act
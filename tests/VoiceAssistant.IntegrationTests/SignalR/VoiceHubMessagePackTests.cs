@@ -0,0 +1,184 @@
+using System.Threading.Channels;
+using FluentAssertions;
+using Microsoft.AspNetCore.SignalR.Client;
+using Microsoft.Extensions.DependencyInjection;
+using Moq;
+using VoiceAssistant.Core.Interfaces;
+using VoiceAssistant.Core.Models;
+using VoiceAssistant.IntegrationTests.Fixtures;
+
+namespace VoiceAssistant.IntegrationTests.SignalR;
+
+/// <summary>
+/// 通过 MessagePack 协议连接 Hub：音频以二进制收发，属性名保持 PascalCase
+/// </summary>
+public class VoiceHubMessagePackTests : IClassFixture<VoiceAssistantWebApplicationFactory>, IAsyncLifetime
+{
+    private readonly VoiceAssistantWebApplicationFactory _factory;
+    private HubConnection _hubConnection = null!;
+
+    public VoiceHubMessagePackTests(VoiceAssistantWebApplicationFactory factory)
+    {
+        _factory = factory;
+        _factory.ResetMocks();
+    }
+
+    public async Task InitializeAsync()
+    {
+        _hubConnection = new HubConnectionBuilder()
+            .WithUrl("http://localhost/hubs/voice", options =>
+            {
+                options.HttpMessageHandlerFactory = _ => _factory.Server.CreateHandler();
+            })
+            .AddMessagePackProtocol()
+            .Build();
+
+        await _hubConnection.StartAsync();
+    }
+
+    public async Task DisposeAsync()
+    {
+        if (_hubConnection.State != HubConnectionState.Disconnected)
+        {
+            await _hubConnection.DisposeAsync();
+        }
+    }
+
+    [Fact]
+    public async Task SendAudio_WithBinaryAudio_PassesBytesToStt_AndReceivesBinaryAudioChunks()
+    {
+        // Arrange
+        byte[]? receivedAudio = null;
+        _factory.SttMock
+            .Setup(s => s.RecognizeAsync(It.IsAny<Stream>(), It.IsAny<string>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
+            .Returns<Stream, string, string, CancellationToken>((stream, _, _, _) =>
+            {
+                using var copy = new MemoryStream();
+                stream.CopyTo(copy);
+                receivedAudio = copy.ToArray();
+                return Task.FromResult(new SpeechRecognitionResult { IsSuccess = true, Text = "你好" });
+            });
+
+        var audioChunks = new List<AudioChunkMessage>();
+        var audioCompleteTcs = new TaskCompletionSource();
+        _hubConnection.On<AudioChunkMessage>("AudioChunk", msg =>
+        {
+            audioChunks.Add(msg);
+            if (msg.IsComplete) audioCompleteTcs.TrySetResult();
+        });
+
+        var sessionId = await StartSessionAsync();
+
+        // Act
+        await _hubConnection.InvokeAsync("SendAudio", sessionId, new byte[] { 0x01, 0x02, 0x03 }, "audio/wav");
+        await audioCompleteTcs.Task.WaitAsync(TimeSpan.FromSeconds(5));
+
+        // Assert
+        receivedAudio.Should().Equal(0x01, 0x02, 0x03);
+        audioChunks.Should().HaveCount(3);
+        audioChunks.Take(2).Should().AllSatisfy(c =>
+        {
+            c.AudioChunk.Should().Equal(0x01, 0x02, 0x03, 0x04);
+            c.ContentType.Should().Be("audio/mp3");
+        });
+        audioChunks[2].AudioChunk.Should().BeNull();
+    }
+
+    [Fact]
+    public async Task StreamAudio_WithBinaryFrames_ReceivesRecognitionResult()
+    {
+        // Arrange
+        var recognitionTcs = new TaskCompletionSource<RecognitionResultMessage>();
+        _hubConnection.On<RecognitionResultMessage>("RecognitionResult", msg =>
+        {
+            if (msg.IsFinal) recognitionTcs.TrySetResult(msg);
+        });
+
+        var sessionId = await StartSessionAsync();
+        var frames = Channel.CreateUnbounded<byte[]>();
+
+        // Act
+        await _hubConnection.SendAsync("StreamAudio", sessionId, frames.Reader);
+        await frames.Writer.WriteAsync(new byte[3200]);
+        await frames.Writer.WriteAsync(new byte[3200]);
+        frames.Writer.Complete();
+
+        // Assert
+        var recognition = await recognitionTcs.Task.WaitAsync(TimeSpan.FromSeconds(5));
+        recognition.Text.Should().Be("你好");
+    }
+
+    [Fact]
+    public async Task RestoreSession_WithCamelCaseHistory_SeedsSession()
+    {
+        // Arrange — the browser sends the same camelCase objects as over JSON
+        var sessionStartedTcs = new TaskCompletionSource<SessionStartedMessage>();
+        _hubConnection.On<SessionStartedMessage>("SessionStarted", msg => sessionStartedTcs.TrySetResult(msg));
+
+        var history = new[]
+        {
+            new Dictionary<string, object?>
+            {
+                ["role"] = "user",
+                ["content"] = "我叫小明",
+                ["timestamp"] = "2026-01-01T08:00:00.000Z",
+                ["isInterrupted"] = false,
+                ["heardRatio"] = null
+            },
+            new Dictionary<string, object?>
+            {
+                ["role"] = "assistant",
+                ["content"] = "你好，小明！",
+                ["timestamp"] = new DateTime(2026, 1, 1, 8, 0, 5, DateTimeKind.Utc),
+                ["isInterrupted"] = true,
+                ["heardRatio"] = 0.5
+            }
+        };
+
+        // Act
+        await _hubConnection.InvokeAsync("RestoreSession", "zh-CN", history);
+        var sessionMsg = await sessionStartedTcs.Task.WaitAsync(TimeSpan.FromSeconds(5));
+
+        // Assert
+        sessionMsg.RestoredMessageCount.Should().Be(2);
+
+        var session = _factory.Services.GetRequiredService<ISessionManager>().GetSession(sessionMsg.SessionId);
+        session.Should().NotBeNull();
+        session!.Messages.Select(m => m.Content).Should().Equal("我叫小明", "你好，小明！");
+        session.Messages[0].Timestamp.Should().Be(new DateTimeOffset(2026, 1, 1, 8, 0, 0, TimeSpan.Zero));
+        session.Messages[1].Timestamp.Should().Be(new DateTimeOffset(2026, 1, 1, 8, 0, 5, TimeSpan.Zero));
+        session.Messages[1].IsInterrupted.Should().BeTrue();
+        session.Messages[1].HeardRatio.Should().Be(0.5);
+    }
+
+    private async Task<string> StartSessionAsync()
+    {
+        var sessionStartedTcs = new TaskCompletionSource<SessionStartedMessage>();
+        _hubConnection.On<SessionStartedMessage>("SessionStarted", msg => sessionStartedTcs.TrySetResult(msg));
+
+        await _hubConnection.InvokeAsync("StartSession", "zh-CN");
+        var sessionMsg = await sessionStartedTcs.Task.WaitAsync(TimeSpan.FromSeconds(5));
+        return sessionMsg.SessionId;
+    }
+
+    // MessagePack 按属性名映射，字段名与服务端匿名对象一致（PascalCase）
+    public sealed class SessionStartedMessage
+    {
+        public string SessionId { get; set; } = string.Empty;
+        public int RestoredMessageCount { get; set; }
+    }
+
+    public sealed class RecognitionResultMessage
+    {
+        public string? Text { get; set; }
+        public bool IsFinal { get; set; }
+    }
+
+    public sealed class AudioChunkMessage
+    {
+        public byte[]? AudioChunk { get; set; }
+        public string? ContentType { get; set; }
+        public int Sequence { get; set; }
+        public bool IsComplete { get; set; }
+    }
+}